@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// API key authentication and role-based access for the backend server.
+// Roles are ordered: an admin can do everything a moderator can, a moderator
+// everything an overlay can.
+//   admin     - sessions, recordings, settings and API keys
+//   moderator - start, end and stop games
+//   overlay   - read-only session data, event streams and game status
+// A key can be scoped to a list of streamer usernames; it then only reaches
+// sessions of those streamers. Unscoped keys reach every streamer.
+const ROLES = {
+    overlay: 1,
+    moderator: 2,
+    admin: 3
+};
+
+const KEY_PREFIX = 'tlk_';
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+    return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function normalizeStreamer(username) {
+    return String(username).trim().replace(/^@/, '').toLowerCase();
+}
+
+class ApiAuth {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.defaultRateLimit = options.defaultRateLimit || 120; // Requests per minute and key
+        this.rateWindows = new Map(); // key id -> { windowStart, count }
+    }
+
+    // Make sure an admin key exists: ADMIN_API_KEY from the environment, or a
+    // generated one that is printed once (only its hash is stored)
+    async init() {
+        const envKey = process.env.ADMIN_API_KEY;
+        if (envKey) {
+            if (!(await this.db.getApiKeyByHash(hashKey(envKey)))) {
+                await this.storeKey({ key: envKey, name: 'ADMIN_API_KEY', role: 'admin' });
+                console.log('🔑 Registered the admin API key from ADMIN_API_KEY');
+            }
+            return;
+        }
+
+        if ((await this.db.countApiKeys('admin')) === 0) {
+            const { key } = await this.createKey({ name: 'Initial admin key', role: 'admin' });
+            console.log('🔑 No API keys found, created an admin key. It is shown only once, store it safely:');
+            console.log(`   ${key}`);
+        }
+    }
+
+    // Create a key and return it in plain text together with its stored record
+    async createKey({ name, role, streamers = null, rateLimit = null }) {
+        const key = generateKey();
+        const record = await this.storeKey({ key, name, role, streamers, rateLimit });
+        return { key, record };
+    }
+
+    async storeKey({ key, name, role, streamers = null, rateLimit = null }) {
+        const error = this.validateKey({ role, streamers, rateLimit });
+        if (error) {
+            throw new Error(error);
+        }
+
+        const record = {
+            id: uuidv4(),
+            name: name || `${role} key`,
+            keyHash: hashKey(key),
+            keyPrefix: key.slice(0, KEY_PREFIX.length + 4),
+            role,
+            streamers: streamers ? [...new Set(streamers.map(normalizeStreamer))] : null,
+            rateLimit: rateLimit ? parseInt(rateLimit) : null
+        };
+
+        await this.db.createApiKey(record);
+        return this.db.getApiKey(record.id);
+    }
+
+    validateKey({ role, streamers, rateLimit }) {
+        if (!ROLES[role]) {
+            return `role must be one of: ${Object.keys(ROLES).join(', ')}`;
+        }
+        if (streamers !== null && streamers !== undefined) {
+            if (!Array.isArray(streamers) || streamers.length === 0 || streamers.some(s => !normalizeStreamer(s))) {
+                return 'streamers must be a non-empty list of usernames (or null for every streamer)';
+            }
+        }
+        if (rateLimit !== null && rateLimit !== undefined && !(parseInt(rateLimit) > 0)) {
+            return 'rateLimit must be a positive number of requests per minute';
+        }
+        return null;
+    }
+
+    // Read the key from "Authorization: Bearer", "X-API-Key" or ?apiKey=
+    // (browsers can't set headers on EventSource and WebSocket connections)
+    getRequestKey(req, query = req.query) {
+        const authorization = req.headers.authorization;
+        if (authorization && authorization.startsWith('Bearer ')) {
+            return authorization.slice(7).trim();
+        }
+        return req.headers['x-api-key'] || query?.apiKey || null;
+    }
+
+    // Resolve the API key of a request. Returns { apiKey } or { status, error }.
+    async authenticateRequest(req, query) {
+        const key = this.getRequestKey(req, query);
+        if (!key) {
+            return { status: 401, error: 'API key required' };
+        }
+
+        const apiKey = await this.db.getApiKeyByHash(hashKey(key));
+        if (!apiKey || apiKey.revoked_at) {
+            return { status: 401, error: 'Invalid API key' };
+        }
+
+        const limit = this.checkRateLimit(apiKey);
+        if (!limit.allowed) {
+            return { status: 429, error: 'Rate limit exceeded', retryAfter: limit.retryAfter, limit };
+        }
+
+        return { apiKey, limit };
+    }
+
+    // Fixed one-minute windows per key
+    checkRateLimit(apiKey) {
+        const now = Date.now();
+        const max = apiKey.rate_limit || this.defaultRateLimit;
+        let window = this.rateWindows.get(apiKey.id);
+
+        if (!window || now - window.windowStart >= 60000) {
+            window = { windowStart: now, count: 0 };
+            this.rateWindows.set(apiKey.id, window);
+
+            // Once per window is often enough to show which keys are in use
+            this.db.touchApiKey(apiKey.id).catch(error => {
+                console.error('Error updating API key usage:', error);
+            });
+        }
+
+        window.count++;
+        return {
+            allowed: window.count <= max,
+            max,
+            remaining: Math.max(0, max - window.count),
+            retryAfter: Math.ceil((window.windowStart + 60000 - now) / 1000)
+        };
+    }
+
+    hasRole(apiKey, role) {
+        return ROLES[apiKey.role] >= ROLES[role];
+    }
+
+    canAccessStreamer(apiKey, username) {
+        if (!apiKey.streamers) {
+            return true;
+        }
+        return !!username && apiKey.streamers.includes(normalizeStreamer(username));
+    }
+
+    // Express middleware: require a key with at least `role`. `scope(req)` returns
+    // the streamer username the request acts on (or a promise of it); scoped keys
+    // are refused when it is not one of theirs, or when it can't be determined.
+    requireRole(role, scope = null) {
+        return async (req, res, next) => {
+            const result = await this.authenticateRequest(req);
+
+            if (result.limit) {
+                res.set('X-RateLimit-Limit', String(result.limit.max));
+                res.set('X-RateLimit-Remaining', String(result.limit.remaining));
+            }
+            if (result.error) {
+                if (result.retryAfter) {
+                    res.set('Retry-After', String(result.retryAfter));
+                }
+                return res.status(result.status).json({ error: result.error });
+            }
+
+            const { apiKey } = result;
+            if (!this.hasRole(apiKey, role)) {
+                return res.status(403).json({ error: `This API key has the ${apiKey.role} role, ${role} is required` });
+            }
+
+            if (scope && apiKey.streamers) {
+                const streamer = await scope(req);
+                if (!this.canAccessStreamer(apiKey, streamer)) {
+                    return res.status(403).json({ error: 'This API key is not allowed to access this streamer' });
+                }
+            }
+
+            req.apiKey = apiKey;
+            next();
+        };
+    }
+}
+
+module.exports = { ApiAuth, ROLES, hashKey, normalizeStreamer };
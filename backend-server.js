@@ -3,25 +3,84 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const { WebSocketServer } = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const Database = require('./database');
 const GamingSystem = require('./gaming-system');
+const SessionSupervisor = require('./session-supervisor');
+const { SessionRecorder, SessionReplay, listRecordings } = require('./session-recorder');
+const { EventHub, parseFilter } = require('./event-hub');
+const ViewerProfiles = require('./viewer-profiles');
+const Leaderboards = require('./leaderboards');
+const { ApiAuth, normalizeStreamer } = require('./api-auth');
+const { ChatAnnouncer } = require('./chat-announcer');
+const { parseQuestionBank } = require('./trivia-questions');
+const { getUserAttributes } = require('./user-attributes');
+const { verifyDraw } = require('./fair-draw');
+const { isComboInProgress } = require('./gift-combos');
 const { TikTokLiveConnection, WebcastEvent, ControlEvent } = require('./dist/index');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const db = new Database();
 const gamingSystem = new GamingSystem(db);
+const eventHub = new EventHub();
+const viewerProfiles = new ViewerProfiles(db); // Persistent viewer profiles from event user payloads
+const leaderboards = new Leaderboards(db); // Top gifters, chatters... aggregated from the events table
+const apiAuth = new ApiAuth(db, { defaultRateLimit: parseInt(process.env.API_RATE_LIMIT) || 120 });
+
+// Bot announcements for game events (settings.announcements, off unless enabled)
+const chatAnnouncer = new ChatAnnouncer({
+    getSettings: () => gamingSystem.settings?.announcements,
+    sendMessage: (sessionId, text) => {
+        const connection = activeConnections.get(sessionId);
+        if (!connection || sessionReplays.has(sessionId)) {
+            throw new Error('Session has no live connection to send chat messages with');
+        }
+        return connection.sendMessage(text);
+    }
+});
 
 // Store active connections and sessions
 const activeSessions = new Map();
 const activeConnections = new Map();
+const sessionSupervisors = new Map();
+const sessionRecorders = new Map();
+const sessionReplays = new Map();
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public')); // We'll create this for frontend files
 
+// API key access (see api-auth.js). Routes pass the role they need and how to find
+// the streamer they act on, so keys scoped to streamers only reach their sessions.
+const requireRole = (role, scope) => apiAuth.requireRole(role, scope);
+
+async function getSessionStreamer(sessionId) {
+    if (!sessionId) {
+        return null;
+    }
+
+    const session = activeSessions.get(sessionId);
+    if (session) {
+        return session.username;
+    }
+
+    const storedSession = await db.getSession(sessionId);
+    return storedSession?.streamer_username || null;
+}
+
+const scopeOf = {
+    sessionParam: (req) => getSessionStreamer(req.params.sessionId),
+    sessionBody: (req) => getSessionStreamer(req.body?.sessionId),
+    sessionQuery: (req) => getSessionStreamer(req.query.sessionId),
+    usernameBody: (req) => req.body?.username,
+    streamerParam: (req) => req.params.streamer,
+    // Not tied to a streamer: only keys that reach every streamer
+    global: () => null
+};
+
 // API Routes
 
 // Health check
@@ -33,15 +92,97 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+// ===== API KEY ENDPOINTS =====
+
+// Keys an admin key may manage: every key for unscoped admins, otherwise keys
+// scoped to some of the admin's own streamers
+function canManageApiKey(adminKey, streamers) {
+    if (!adminKey.streamers) {
+        return true;
+    }
+    return !!streamers && streamers.every(streamer => apiAuth.canAccessStreamer(adminKey, streamer));
+}
+
+function formatApiKey(apiKey) {
+    const { key_hash, ...details } = apiKey;
+    return details;
+}
+
+// List API keys
+app.get('/api/keys', requireRole('admin'), async (req, res) => {
+    try {
+        const keys = await db.getApiKeys();
+
+        res.json({
+            keys: keys.filter(key => canManageApiKey(req.apiKey, key.streamers)).map(formatApiKey)
+        });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create an API key. Body: { name, role, streamers = null (every streamer), rateLimit }
+// The key is only returned by this request.
+app.post('/api/keys', requireRole('admin'), async (req, res) => {
+    try {
+        const { name, role, streamers = null, rateLimit = null } = req.body;
+
+        const validationError = apiAuth.validateKey({ role, streamers, rateLimit });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (!canManageApiKey(req.apiKey, streamers)) {
+            return res.status(403).json({ error: 'Keys can only be created for your own streamers' });
+        }
+
+        const { key, record } = await apiAuth.createKey({ name, role, streamers, rateLimit });
+        console.log(`🔑 Created ${role} API key "${record.name}" (${record.key_prefix}...)`);
+
+        res.status(201).json({
+            key,
+            apiKey: formatApiKey(record),
+            message: 'Store this key now, it cannot be shown again'
+        });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Revoke an API key
+app.delete('/api/keys/:keyId', requireRole('admin'), async (req, res) => {
+    try {
+        const apiKey = await db.getApiKey(req.params.keyId);
+        if (!apiKey || !canManageApiKey(req.apiKey, apiKey.streamers)) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        await db.revokeApiKey(apiKey.id);
+        console.log(`🔑 Revoked API key "${apiKey.name}" (${apiKey.key_prefix}...)`);
+
+        res.json({ success: true, message: 'API key revoked' });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Create new session and connect to TikTok Live
-app.post('/api/sessions', async (req, res) => {
+app.post('/api/sessions', requireRole('admin', scopeOf.usernameBody), async (req, res) => {
     try {
-        const { username } = req.body;
+        const { username, record } = req.body;
 
         if (!username) {
             return res.status(400).json({ error: 'Username is required' });
         }
 
+        // Optional recording of the raw frames: record: "websocket" | "decoded" | true
+        const recordMode = record === true ? 'websocket' : record;
+        if (recordMode && !['websocket', 'decoded'].includes(recordMode)) {
+            return res.status(400).json({ error: 'record must be "websocket" or "decoded"' });
+        }
+
         // Generate session ID
         const sessionId = uuidv4();
 
@@ -64,25 +205,21 @@ app.post('/api/sessions', async (req, res) => {
 
         // Add optional overrides (Proxy/Session) if they exist, but don't require them
         if (process.env.TIKTOK_SESSION_ID) BaseConnectionOptions.sessionId = process.env.TIKTOK_SESSION_ID;
+        if (process.env.TIKTOK_TT_TARGET_IDC) BaseConnectionOptions.ttTargetIdc = process.env.TIKTOK_TT_TARGET_IDC;
         if (process.env.PROXY_URL) BaseConnectionOptions.requestOptions.proxy = process.env.PROXY_URL;
 
         // Session data placeholders
-        const sessionData = {
-            id: sessionId,
-            username,
-            connection: null, // Will set later
-            status: 'connecting',
-            startTime: new Date(),
-            events: [],
-            stats: { totalEvents: 0, messages: 0, gifts: 0, likes: 0, members: 0, social: 0, emotes: 0, envelopes: 0, questions: 0, battles: 0, roomUpdates: 0, rankings: 0, polls: 0, shopping: 0, moderation: 0, captions: 0, goals: 0, banners: 0, links: 0, intros: 0, other: 0 }
-        };
+        const sessionData = createSessionData(sessionId, username, 'connecting');
 
         // Store session early so we can track it
         activeSessions.set(sessionId, sessionData);
 
-        // --- RETRY CONNECT LOGIC ---
-        const connectWithRetry = async (attempt = 1) => {
-            try {
+        // --- CONNECTION SUPERVISOR ---
+        // Retries the first connect, reconnects after drops and ends the session on stream end
+        const supervisor = new SessionSupervisor({
+            sessionId,
+            username,
+            createConnection: (attempt) => {
                 let options = { ...BaseConnectionOptions };
 
                 // On retry, try "Light Mode" (less suspicious)
@@ -98,25 +235,23 @@ app.post('/api/sessions', async (req, res) => {
 
                 // Bind events so they start capturing immediately
                 setupEventHandlers(connection, sessionId, sessionData);
+                sessionRecorders.get(sessionId)?.attach(connection);
 
                 // Update session reference
                 activeConnections.set(sessionId, connection);
                 sessionData.connection = connection;
 
-                const state = await connection.connect();
-                return { connection, state };
-
-            } catch (err) {
-                if (attempt < 3) { // Try up to 3 times
-                    console.log(`❌ Attempt ${attempt} failed: ${err.message}. Retrying...`);
-                    await new Promise(r => setTimeout(r, 2000)); // Wait 2s
-                    return connectWithRetry(attempt + 1);
-                }
-                throw err;
+                return connection;
             }
-        };
+        });
+        sessionSupervisors.set(sessionId, supervisor);
+        superviseSession(supervisor, sessionId, sessionData);
 
         try {
+            // Create the session row before the connection emits: events, loyalty points and
+            // the leaderboard aggregates look the session's streamer up from it
+            await db.createSession(sessionId, username, null, null);
+
             // Check Live Status (Optional - if it fails, we just try to connect anyway)
             try {
                 const checkConn = new TikTokLiveConnection(username, BaseConnectionOptions);
@@ -125,15 +260,15 @@ app.post('/api/sessions', async (req, res) => {
             } catch (e) { /* Ignore check errors */ }
 
             // Perform Connection
-            const { state } = await connectWithRetry();
+            const state = await supervisor.start();
 
             // Update session status
             sessionData.status = 'connected';
             sessionData.roomId = state.roomId;
             sessionData.roomInfo = state.roomInfo || { owner: { display_id: username } };
 
-            // Create session in database
-            await db.createSession(sessionId, username, state.roomId, sessionData.roomInfo);
+            // Store the room of the session
+            await db.updateSessionRoom(sessionId, state.roomId, sessionData.roomInfo);
 
             // Update streamer info
             if (sessionData.roomInfo && sessionData.roomInfo.owner) {
@@ -147,10 +282,15 @@ app.post('/api/sessions', async (req, res) => {
 
             console.log(`✅ Session ${sessionId} connected to room ${state.roomId}`);
 
+            if (recordMode) {
+                startRecording(sessionId, sessionData, recordMode);
+            }
+
             res.json({
                 sessionId,
                 status: 'connected',
                 roomId: state.roomId,
+                recording: sessionRecorders.get(sessionId)?.getStatus() || null,
                 streamer: {
                     username,
                     displayName: sessionData.roomInfo?.owner?.display_id || username,
@@ -163,8 +303,13 @@ app.post('/api/sessions', async (req, res) => {
 
         } catch (error) {
             // Clean up on connection failure
+            db.endSession(sessionId, 'connect_failed').catch(dbError => {
+                console.error(`❌ Failed to end session ${sessionId}:`, dbError.message);
+            });
             activeSessions.delete(sessionId);
             activeConnections.delete(sessionId);
+            sessionSupervisors.delete(sessionId);
+            eventHub.closeSession(sessionId);
 
             console.error(`❌ Failed to connect session ${sessionId}:`, error.message);
 
@@ -206,7 +351,7 @@ app.post('/api/sessions', async (req, res) => {
 });
 
 // Get session info
-app.get('/api/sessions/:sessionId', async (req, res) => {
+app.get('/api/sessions/:sessionId', requireRole('overlay', scopeOf.sessionParam), async (req, res) => {
     try {
         const { sessionId } = req.params;
 
@@ -216,6 +361,9 @@ app.get('/api/sessions/:sessionId', async (req, res) => {
             return res.json({
                 ...activeSession,
                 connection: undefined, // Don't serialize the connection object
+                connectionState: sessionSupervisors.get(sessionId)?.getStatus() || null,
+                recording: sessionRecorders.get(sessionId)?.getStatus() || null,
+                replay: sessionReplays.get(sessionId)?.getStatus() || null,
                 isActive: true
             });
         }
@@ -225,6 +373,7 @@ app.get('/api/sessions/:sessionId', async (req, res) => {
         if (dbSession) {
             return res.json({
                 ...dbSession,
+                connectionState: dbSession.connection_details || null,
                 isActive: false
             });
         }
@@ -237,7 +386,7 @@ app.get('/api/sessions/:sessionId', async (req, res) => {
 });
 
 // Get session events
-app.get('/api/sessions/:sessionId/events', async (req, res) => {
+app.get('/api/sessions/:sessionId/events', requireRole('overlay', scopeOf.sessionParam), async (req, res) => {
     try {
         const { sessionId } = req.params;
         const { type, limit = 100 } = req.query;
@@ -280,26 +429,11 @@ app.get('/api/sessions/:sessionId/events', async (req, res) => {
 });
 
 // End session
-app.delete('/api/sessions/:sessionId', async (req, res) => {
+app.delete('/api/sessions/:sessionId', requireRole('admin', scopeOf.sessionParam), async (req, res) => {
     try {
         const { sessionId } = req.params;
 
-        const session = activeSessions.get(sessionId);
-        const connection = activeConnections.get(sessionId);
-
-        if (connection) {
-            connection.disconnect();
-            activeConnections.delete(sessionId);
-        }
-
-        if (session) {
-            session.status = 'ended';
-            session.endTime = new Date();
-            activeSessions.delete(sessionId);
-        }
-
-        // Update database
-        await db.endSession(sessionId);
+        await finalizeSession(sessionId, 'manual');
 
         console.log(`🔚 Session ${sessionId} ended`);
 
@@ -317,22 +451,206 @@ app.delete('/api/sessions/:sessionId', async (req, res) => {
     }
 });
 
+// ===== RECORDING & REPLAY =====
+
+function createSessionData(sessionId, username, status) {
+    return {
+        id: sessionId,
+        username,
+        connection: null, // Will set later
+        status,
+        startTime: new Date(),
+        events: [],
+        stats: { totalEvents: 0, messages: 0, gifts: 0, likes: 0, members: 0, social: 0, emotes: 0, envelopes: 0, questions: 0, battles: 0, roomUpdates: 0, rankings: 0, polls: 0, shopping: 0, moderation: 0, captions: 0, goals: 0, banners: 0, links: 0, intros: 0, other: 0 }
+    };
+}
+
+function startRecording(sessionId, sessionData, mode) {
+    const recorder = new SessionRecorder({ sessionId, username: sessionData.username, mode });
+    recorder.start(activeConnections.get(sessionId) || null);
+    sessionRecorders.set(sessionId, recorder);
+    return recorder;
+}
+
+// Start recording an active session. Body: { mode = "websocket" | "decoded" }
+app.post('/api/sessions/:sessionId/recording', requireRole('admin', scopeOf.sessionParam), async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { mode = 'websocket' } = req.body;
+
+        const session = activeSessions.get(sessionId);
+        if (!session || sessionReplays.has(sessionId)) {
+            return res.status(404).json({ error: 'Live session not found' });
+        }
+        if (sessionRecorders.get(sessionId)?.getStatus().recording) {
+            return res.status(409).json({ error: 'Session is already being recorded' });
+        }
+        if (!['websocket', 'decoded'].includes(mode)) {
+            return res.status(400).json({ error: 'mode must be "websocket" or "decoded"' });
+        }
+
+        const recorder = startRecording(sessionId, session, mode);
+
+        res.json({ success: true, recording: recorder.getStatus() });
+    } catch (error) {
+        console.error('Error starting recording:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Stop recording a session
+app.delete('/api/sessions/:sessionId/recording', requireRole('admin', scopeOf.sessionParam), async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const recorder = sessionRecorders.get(sessionId);
+        if (!recorder) {
+            return res.status(404).json({ error: 'Session is not being recorded' });
+        }
+
+        const recording = recorder.stop();
+        sessionRecorders.delete(sessionId);
+
+        res.json({ success: true, recording });
+    } catch (error) {
+        console.error('Error stopping recording:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// List recordings
+app.get('/api/recordings', requireRole('admin'), async (req, res) => {
+    try {
+        const recordings = listRecordings().filter(({ username }) => apiAuth.canAccessStreamer(req.apiKey, username));
+
+        res.json({ recordings });
+    } catch (error) {
+        console.error('Error listing recordings:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Replay a recording as a new session. Events go through setupEventHandlers, the
+// gaming system and the event streams exactly like they do for a live room.
+// Body: { file, speed = 1 (0 = as fast as possible), stepwise = false }
+app.post('/api/sessions/replay', requireRole('admin'), async (req, res) => {
+    try {
+        const { file, speed = 1, stepwise = false } = req.body;
+
+        if (!file) {
+            return res.status(400).json({ error: 'file is required' });
+        }
+        if (!Number.isFinite(Number(speed)) || Number(speed) < 0) {
+            return res.status(400).json({ error: 'speed must be a number >= 0' });
+        }
+
+        const sessionId = uuidv4();
+        const connection = new TikTokLiveConnection('replay', { fetchRoomInfoOnConnect: false });
+        const replay = new SessionReplay({ file, connection, speed, stepwise });
+
+        let header;
+        try {
+            header = replay.load();
+        } catch (error) {
+            return res.status(404).json({ error: error.message });
+        }
+
+        const username = header.username || 'replay';
+        if (!apiAuth.canAccessStreamer(req.apiKey, username)) {
+            return res.status(403).json({ error: 'This API key is not allowed to access this streamer' });
+        }
+
+        const sessionData = createSessionData(sessionId, username, 'replaying');
+        sessionData.roomId = header.roomId;
+        sessionData.connection = connection;
+
+        activeSessions.set(sessionId, sessionData);
+        activeConnections.set(sessionId, connection);
+        sessionReplays.set(sessionId, replay);
+        setupEventHandlers(connection, sessionId, sessionData);
+
+        // A recorded stream end ends the replay session like it would a live one
+        connection.on(WebcastEvent.STREAM_END, async () => {
+            try {
+                await finalizeSession(sessionId, 'stream_end');
+            } catch (error) {
+                console.error(`❌ Failed to finalize replay session ${sessionId}:`, error.message);
+            }
+        });
+
+        // Keep the session open after the last frame so games and overlays can finish
+        replay.on('finished', () => {
+            if (activeSessions.has(sessionId)) {
+                sessionData.status = 'replay_finished';
+            }
+        });
+
+        await db.createSession(sessionId, username, header.roomId, { replay: replay.file, recordedAt: header.startedAt });
+
+        replay.start();
+        console.log(`▶️ Replaying ${replay.file} as session ${sessionId} (${replay.stepwise ? 'stepwise' : `${replay.speed || 'max'}x`})`);
+
+        res.json({
+            sessionId,
+            status: 'replaying',
+            replay: replay.getStatus(),
+            message: `Replaying ${replay.file}`
+        });
+    } catch (error) {
+        console.error('Error starting replay:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Play the next frames of a stepwise replay. Body: { count = 1 }
+app.post('/api/sessions/:sessionId/replay/step', requireRole('admin', scopeOf.sessionParam), async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const count = parseInt(req.body?.count ?? 1);
+
+        const replay = sessionReplays.get(sessionId);
+        if (!replay) {
+            return res.status(404).json({ error: 'Replay session not found' });
+        }
+        if (!replay.stepwise) {
+            return res.status(400).json({ error: 'Replay is not stepwise' });
+        }
+        if (!Number.isInteger(count) || count < 1) {
+            return res.status(400).json({ error: 'count must be a positive integer' });
+        }
+        if (replay.busy) {
+            return res.status(409).json({ error: 'Replay is still playing the previous step' });
+        }
+
+        const status = await replay.step(count);
+        res.json({ success: true, replay: status });
+    } catch (error) {
+        console.error('Error stepping replay:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get all sessions
-app.get('/api/sessions', async (req, res) => {
+app.get('/api/sessions', requireRole('overlay'), async (req, res) => {
     try {
         const { limit = 50 } = req.query;
 
         const dbSessions = await db.getAllSessions(parseInt(limit));
 
         // Add active session info
-        const sessions = dbSessions.map(session => ({
-            ...session,
-            isActive: activeSessions.has(session.id)
-        }));
+        const sessions = dbSessions
+            .filter(session => apiAuth.canAccessStreamer(req.apiKey, session.streamer_username))
+            .map(session => ({
+                ...session,
+                isActive: activeSessions.has(session.id)
+            }));
+
+        const totalActive = [...activeSessions.values()]
+            .filter(session => apiAuth.canAccessStreamer(req.apiKey, session.username)).length;
 
         res.json({
             sessions,
-            totalActive: activeSessions.size
+            totalActive
         });
     } catch (error) {
         console.error('Error getting sessions:', error);
@@ -340,8 +658,10 @@ app.get('/api/sessions', async (req, res) => {
     }
 });
 
-// WebSocket-like endpoint for real-time events (SSE)
-app.get('/api/sessions/:sessionId/stream', (req, res) => {
+// Real-time event stream (SSE)
+// Query: types=chat,gift  users=name1,name2  games=false
+// Resume with the Last-Event-ID header (sent by EventSource on reconnect) or ?lastEventId=
+app.get('/api/sessions/:sessionId/stream', requireRole('overlay', scopeOf.sessionParam), (req, res) => {
     const { sessionId } = req.params;
 
     // Set up Server-Sent Events
@@ -360,41 +680,260 @@ app.get('/api/sessions/:sessionId/stream', (req, res) => {
     }
 
     // Send initial session info
-    res.write(`data: ${JSON.stringify({
+    res.write(`data: ${JSON.stringify(getSessionInfoMessage(sessionId, session))}\n\n`);
+
+    const subscription = eventHub.subscribe(sessionId, {
+        filter: parseFilter(req.query),
+        lastEventId: parseLastEventId(req.get('Last-Event-ID') ?? req.query.lastEventId),
+        send: (message) => {
+            const idLine = message.id ? `id: ${message.id}\n` : '';
+            res.write(`${idLine}data: ${JSON.stringify(message)}\n\n`);
+        },
+        close: () => res.end()
+    });
+
+    // Keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    // Clean up on client disconnect
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        subscription.unsubscribe();
+    });
+});
+
+function getSessionInfoMessage(sessionId, session) {
+    return {
         type: 'session_info',
         session: {
             id: sessionId,
             username: session.username,
             status: session.status,
             stats: session.stats
+        },
+        lastEventId: eventHub.getLastEventId(sessionId)
+    };
+}
+
+function parseLastEventId(value) {
+    const id = parseInt(value);
+    return Number.isInteger(id) && id >= 0 ? id : null;
+}
+
+// Real-time event stream (WebSocket) on /api/sessions/:sessionId/ws
+// Takes the same query parameters as the SSE stream. Clients can change their filter
+// at any time by sending {"action": "filter", "types": [...], "users": [...], "games": true}
+function setupEventSocket(server) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        const match = url.pathname.match(/^\/api\/sessions\/([^/]+)\/ws$/);
+        if (!match) {
+            socket.destroy();
+            return;
+        }
+
+        const sessionId = decodeURIComponent(match[1]);
+        const query = Object.fromEntries(url.searchParams);
+
+        authorizeEventSocket(req, sessionId, query).then((error) => {
+            if (error) {
+                socket.end(`HTTP/1.1 ${error.status} ${error.status === 429 ? 'Too Many Requests' : error.status === 401 ? 'Unauthorized' : 'Forbidden'}\r\n\r\n`);
+                return;
+            }
+
+            wss.handleUpgrade(req, socket, head, (ws) => {
+                handleEventSocket(ws, sessionId, query);
+            });
+        }).catch((error) => {
+            console.error('Error authorizing event socket:', error);
+            socket.destroy();
+        });
+    });
+
+    // Drop clients that stopped answering pings
+    const heartbeat = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (ws.isAlive === false) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }, 30000);
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+}
+
+// Same access rule as the SSE stream: an overlay key that reaches the session's streamer
+async function authorizeEventSocket(req, sessionId, query) {
+    const result = await apiAuth.authenticateRequest(req, query);
+    if (result.error) {
+        return result;
+    }
+    if (!apiAuth.canAccessStreamer(result.apiKey, await getSessionStreamer(sessionId))) {
+        return { status: 403 };
+    }
+    return null;
+}
+
+function handleEventSocket(ws, sessionId, query) {
+    const send = (message) => {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    };
+
+    const session = activeSessions.get(sessionId);
+    if (!session) {
+        send({ type: 'error', error: 'Session not found' });
+        ws.close(4404, 'Session not found');
+        return;
+    }
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
+
+    send(getSessionInfoMessage(sessionId, session));
+
+    const subscription = eventHub.subscribe(sessionId, {
+        filter: parseFilter(query),
+        lastEventId: parseLastEventId(query.lastEventId),
+        send,
+        close: () => ws.close(1000, 'Session ended')
+    });
+
+    ws.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            send({ type: 'error', error: 'Messages must be JSON' });
+            return;
+        }
+
+        if (message.action === 'filter') {
+            subscription.setFilter(parseFilter(message));
+            send({ type: 'filter_updated', filter: parseFilter(message) });
+        } else {
+            send({ type: 'error', error: `Unknown action: ${message.action}` });
         }
-    })}\n\n`);
+    });
+
+    ws.on('close', () => subscription.unsubscribe());
+}
 
-    // Set up interval to send events
-    const interval = setInterval(() => {
-        const currentSession = activeSessions.get(sessionId);
-        if (!currentSession || currentSession.status === 'ended') {
-            clearInterval(interval);
-            res.end();
+// Store an event on the session and push it to stream subscribers
+function publishEvent(sessionId, sessionData, event) {
+    sessionData.events.push(event);
+    eventHub.publish(sessionId, event, sessionData.stats);
+    gamingSystem.viewerStats.track(sessionId, event);
+    // Replays don't count towards viewer profiles or earn loyalty points, their viewers were counted live
+    if (!sessionReplays.has(sessionId)) {
+        viewerProfiles.track(sessionId, sessionData.username, event);
+        gamingSystem.points.track(sessionId, sessionData.username, event);
+    }
+}
+
+// Record an accepted game action (entry, request, vote...) in the session event stream
+async function recordGameEvent(sessionId, sessionData, details) {
+    const event = {
+        type: 'game',
+        ...details,
+        timestamp: new Date().toISOString()
+    };
+
+    publishEvent(sessionId, sessionData, event);
+
+    try {
+        await db.addEvent(sessionId, 'game', event);
+    } catch (error) {
+        console.error(`❌ Failed to store game event for session ${sessionId}:`, error.message);
+    }
+}
+
+// Mirror the supervisor's connection state on the session and in its event stream
+function superviseSession(supervisor, sessionId, sessionData) {
+    supervisor.on('state', (state) => {
+        if (['stopped', 'ended', 'failed', 'idle'].includes(state)) {
             return;
         }
 
-        // Send recent events
-        const recentEvents = currentSession.events.slice(-5);
-        if (recentEvents.length > 0) {
-            res.write(`data: ${JSON.stringify({
-                type: 'events',
-                events: recentEvents,
-                stats: currentSession.stats
-            })}\n\n`);
+        sessionData.status = state;
+        publishEvent(sessionId, sessionData, {
+            type: 'connection',
+            state,
+            attempt: supervisor.attempt,
+            nextRetryAt: supervisor.nextRetryAt,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    supervisor.on('connected', (connection, state) => {
+        if (sessionData.roomId && state.roomId && sessionData.roomId !== state.roomId) {
+            console.log(`🔁 Session ${sessionId}: @${sessionData.username} is now in room ${state.roomId}`);
         }
-    }, 1000);
+        sessionData.roomId = state.roomId;
+    });
 
-    // Clean up on client disconnect
-    req.on('close', () => {
-        clearInterval(interval);
+    supervisor.on('streamEnd', async () => {
+        console.log(`🏁 Session ${sessionId}: @${sessionData.username}'s stream ended`);
+        try {
+            await finalizeSession(sessionId, 'stream_end');
+        } catch (error) {
+            console.error(`❌ Failed to finalize session ${sessionId}:`, error.message);
+        }
     });
-});
+
+    supervisor.on('failed', async (error) => {
+        console.error(`❌ Session ${sessionId}: ${error.message}`);
+        try {
+            await finalizeSession(sessionId, 'reconnect_failed');
+        } catch (err) {
+            console.error(`❌ Failed to finalize session ${sessionId}:`, err.message);
+        }
+    });
+}
+
+// End a session: stop reconnecting, disconnect, close its streams and store the end in the database
+async function finalizeSession(sessionId, reason) {
+    const supervisor = sessionSupervisors.get(sessionId);
+    if (supervisor && !supervisor.isStopped()) {
+        supervisor.stop();
+    }
+    sessionSupervisors.delete(sessionId);
+
+    sessionRecorders.get(sessionId)?.stop();
+    sessionRecorders.delete(sessionId);
+    sessionReplays.get(sessionId)?.stop();
+    sessionReplays.delete(sessionId);
+
+    const connection = activeConnections.get(sessionId);
+    if (connection) {
+        connection.disconnect().catch(() => {});
+        activeConnections.delete(sessionId);
+    }
+
+    const session = activeSessions.get(sessionId);
+    if (session) {
+        session.status = 'ended';
+        session.endTime = new Date();
+        activeSessions.delete(sessionId);
+    }
+    eventHub.closeSession(sessionId);
+    chatAnnouncer.clearSession(sessionId);
+    gamingSystem.viewerStats.clearSession(sessionId);
+    gamingSystem.points.clearSession(sessionId);
+    gamingSystem.commands.clearSession(sessionId);
+    gamingSystem.moderation.clearSession(sessionId);
+
+    await db.endSession(sessionId, reason, supervisor?.getStatus() || null);
+}
 
 // Event handler setup
 function setupEventHandlers(connection, sessionId, sessionData) {
@@ -409,11 +948,22 @@ function setupEventHandlers(connection, sessionId, sessionData) {
     connection.on(ControlEvent.DISCONNECTED, async () => {
         console.log(`🔌 Session ${sessionId} disconnected`);
         sessionData.status = 'disconnected';
-        // Don't auto-end sessions on disconnect - only update status
-        // Sessions should only be ended manually via the API
-        // await db.endSession(sessionId);  // Commented out to prevent auto-ending
-        // activeSessions.delete(sessionId);  // Keep session data for potential reconnection
-        activeConnections.delete(sessionId); // Only remove the connection
+        // Don't end the session here - the session supervisor reconnects it,
+        // or ends it when the stream is over
+        if (activeConnections.get(sessionId) === connection) {
+            activeConnections.delete(sessionId); // Only remove the connection
+        }
+    });
+
+    connection.on(WebcastEvent.STREAM_END, async ({ action } = {}) => {
+        const event = {
+            type: 'stream_end',
+            action,
+            timestamp: new Date().toISOString()
+        };
+
+        publishEvent(sessionId, sessionData, event);
+        await db.addEvent(sessionId, 'stream_end', event);
     });
 
     connection.on(ControlEvent.ERROR, async (err) => {
@@ -423,7 +973,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             message: err.message,
             timestamp: new Date().toISOString()
         };
-        sessionData.events.push(errorEvent);
+        publishEvent(sessionId, sessionData, errorEvent);
         await db.addEvent(sessionId, 'error', errorEvent);
     });
 
@@ -455,13 +1005,28 @@ function setupEventHandlers(connection, sessionId, sessionData) {
                     text: badge.text?.defaultPattern,
                     image: badge.image?.image?.url_list?.[0]
                 })),
-                border: data.user.border?.image?.url_list?.[0]
+                border: data.user.border?.image?.url_list?.[0],
+                // Follower, moderator and subscriber status towards the streamer
+                ...getUserAttributes(data.user, data.userIdentity)
             },
 
             raw: data
         };
 
-        sessionData.events.push(event);
+        // Moderation stage: flagged messages are still shown and stored, tagged with their
+        // flags, but kept out of the games
+        const moderation = gamingSystem.moderation.check(sessionId, {
+            streamer: sessionData.username,
+            username: event.username,
+            message: event.message,
+            userProfile: event.userProfile
+        });
+        if (moderation) {
+            event.moderation = moderation;
+            console.log(`🚷 Flagged message of ${event.username}: ${moderation.reasons.join(', ')}`);
+        }
+
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
         sessionData.stats.messages++;
 
@@ -469,34 +1034,20 @@ function setupEventHandlers(connection, sessionId, sessionData) {
         await db.updateSessionCounters(sessionId, 'chat');
 
         // ===== GAMING SYSTEM INTEGRATION =====
-        // Check if this chat message should be processed by gaming system
-        const username = data.user.uniqueId;
-        const message = data.comment;
-
-        // Lucky Wheel - check for configured keyword messages with profile picture capture
-        if (gamingSystem.addLuckyWheelEntry(sessionId, username, message, event.userProfile)) {
-            const activeGame = gamingSystem.getActiveGame(sessionId);
-            const keyword = activeGame && activeGame.type === 'luckywheel' ? activeGame.keyword : 'GAME';
-            console.log(`🎰 Gaming: ${username} entered Lucky Wheel with message: "${message}" (keyword: ${keyword})`);
-
-            // Enhanced debugging for profile pictures
-            if (event.userProfile) {
-                console.log(`🖼️ Profile data for ${username}:`);
-                console.log(`   profilePicture: ${event.userProfile.profilePicture || 'null'}`);
-                console.log(`   profilePictureMedium: ${event.userProfile.profilePictureMedium || 'null'}`);
-                console.log(`   profilePictureLarge: ${event.userProfile.profilePictureLarge || 'null'}`);
-                console.log(`   raw data keys:`, Object.keys(data.user));
-            }
-        }
-
-        // Poll - check for voting keywords
-        if (gamingSystem.addPollVote(sessionId, username, message)) {
-            console.log(`🗳️ Gaming: ${username} voted in poll with message: "${message}"`);
-        }
+        // "!commands" go to the command router, other messages to the session's active
+        // game. Accepted actions and command answers reach the session event stream
+        // through the gamingSystem 'gameEvent' listener.
+        const gameAction = gamingSystem.handleChat(sessionId, {
+            userId: data.user.userId,
+            username: data.user.uniqueId,
+            streamer: sessionData.username,
+            message: data.comment,
+            userProfile: event.userProfile,
+            moderation
+        });
 
-        // Race - add participant movement
-        if (gamingSystem.addRaceParticipant(sessionId, username, message)) {
-            console.log(`🏁 Gaming: ${username} moved in race with message: "${message}"`);
+        if (gameAction) {
+            console.log(`🎮 Gaming: ${event.username} ${gameAction.type} ${gameAction.action} with message: "${event.message}"`);
         }
     });
 
@@ -505,8 +1056,11 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             type: 'gift',
             userId: data.user.userId,
             username: data.user.uniqueId,
-            giftName: data.giftName,
+            giftName: data.giftName || data.extendedGiftInfo?.name || data.giftDetails?.giftName,
             giftId: data.giftId,
+            giftType: data.giftType ?? data.giftDetails?.giftType,
+            // Diamond value of a single gift (available with enableExtendedGiftInfo)
+            diamondCount: data.extendedGiftInfo?.diamond_count ?? data.giftDetails?.diamondCount ?? 0,
             repeatCount: data.repeatCount,
             repeatEnd: data.repeatEnd,
             timestamp: new Date().toISOString(),
@@ -519,18 +1073,41 @@ function setupEventHandlers(connection, sessionId, sessionData) {
                 followerCount: data.user.followInfo?.followerCount,
                 payGrade: data.user.payGrade?.name,
                 payLevel: data.user.payGrade?.level,
-                fanTicketCount: data.user.fanTicketCount
+                fanTicketCount: data.user.fanTicketCount,
+                ...getUserAttributes(data.user, data.userIdentity)
             },
 
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
         sessionData.stats.gifts++;
 
         await db.addEvent(sessionId, 'gift', event);
         await db.updateSessionCounters(sessionId, 'gift');
+
+        // ===== GAMING SYSTEM INTEGRATION =====
+        if (isComboInProgress(event)) {
+            return;
+        }
+
+        const repeatCount = data.repeatCount || 1;
+        const gameAction = gamingSystem.handleGift(sessionId, {
+            userId: event.userId,
+            username: event.username,
+            streamer: sessionData.username,
+            giftId: event.giftId,
+            giftName: event.giftName,
+            diamondCount: event.diamondCount,
+            repeatCount,
+            totalDiamonds: event.diamondCount * repeatCount,
+            userProfile: event.userProfile
+        });
+
+        if (gameAction) {
+            console.log(`🎁 Gaming: ${event.username} ${gameAction.type} ${gameAction.action} with ${event.giftName} x${repeatCount}`);
+        }
     });
 
     connection.on(WebcastEvent.MEMBER, async (data) => {
@@ -543,7 +1120,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
         sessionData.stats.members++;
 
@@ -572,12 +1149,25 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
         sessionData.stats.likes++;
 
         await db.addEvent(sessionId, 'like', event);
         await db.updateSessionCounters(sessionId, 'like');
+
+        // ===== GAMING SYSTEM INTEGRATION =====
+        const gameAction = gamingSystem.handleLike(sessionId, {
+            userId: event.userId,
+            username: event.username,
+            streamer: sessionData.username,
+            likeCount: event.likeCount,
+            userProfile: event.userProfile
+        });
+
+        if (gameAction) {
+            console.log(`❤️ Gaming: ${event.username} ${gameAction.type} ${gameAction.action} with ${event.likeCount} likes`);
+        }
     });
 
     connection.on(WebcastEvent.FOLLOW, async (data) => {
@@ -601,12 +1191,24 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
         sessionData.stats.social++;
 
         await db.addEvent(sessionId, 'social', event);
         await db.updateSessionCounters(sessionId, 'social');
+
+        // ===== GAMING SYSTEM INTEGRATION =====
+        const gameAction = gamingSystem.handleSocial(sessionId, {
+            userId: event.userId,
+            username: event.username,
+            streamer: sessionData.username,
+            subtype: event.subtype
+        });
+
+        if (gameAction) {
+            console.log(`🎮 Gaming: ${event.username} ${gameAction.type} ${gameAction.action} with a ${event.subtype}`);
+        }
     });
 
     connection.on(WebcastEvent.SHARE, async (data) => {
@@ -620,12 +1222,24 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
         sessionData.stats.social++;
 
         await db.addEvent(sessionId, 'social', event);
         await db.updateSessionCounters(sessionId, 'social');
+
+        // ===== GAMING SYSTEM INTEGRATION =====
+        const gameAction = gamingSystem.handleSocial(sessionId, {
+            userId: event.userId,
+            username: event.username,
+            streamer: sessionData.username,
+            subtype: event.subtype
+        });
+
+        if (gameAction) {
+            console.log(`🎮 Gaming: ${event.username} ${gameAction.type} ${gameAction.action} with a ${event.subtype}`);
+        }
     });
 
     connection.on(WebcastEvent.SUBSCRIBE, async (data) => {
@@ -639,12 +1253,24 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
         sessionData.stats.social++;
 
         await db.addEvent(sessionId, 'social', event);
         await db.updateSessionCounters(sessionId, 'social');
+
+        // ===== GAMING SYSTEM INTEGRATION =====
+        const gameAction = gamingSystem.handleSocial(sessionId, {
+            userId: event.userId,
+            username: event.username,
+            streamer: sessionData.username,
+            subtype: event.subtype
+        });
+
+        if (gameAction) {
+            console.log(`🎮 Gaming: ${event.username} ${gameAction.type} ${gameAction.action} with a ${event.subtype}`);
+        }
     });
 
     // Additional Events - Rich Data Capture
@@ -659,7 +1285,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
         sessionData.stats.emotes++;
 
@@ -677,7 +1303,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
         sessionData.stats.envelopes++;
 
@@ -695,7 +1321,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'question', event);
@@ -715,7 +1341,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'battle', event);
@@ -731,7 +1357,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'battle', event);
@@ -746,7 +1372,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'intro', event);
@@ -767,7 +1393,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'room_update', event);
@@ -783,7 +1409,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'goal', event);
@@ -799,7 +1425,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'ranking', event);
@@ -815,7 +1441,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'ranking', event);
@@ -830,7 +1456,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'poll', event);
@@ -845,7 +1471,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'shopping', event);
@@ -860,7 +1486,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'banner', event);
@@ -876,7 +1502,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'moderation', event);
@@ -892,7 +1518,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'moderation', event);
@@ -907,7 +1533,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'caption', event);
@@ -922,7 +1548,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
             raw: data
         };
 
-        sessionData.events.push(event);
+        publishEvent(sessionId, sessionData, event);
         sessionData.stats.totalEvents++;
 
         await db.addEvent(sessionId, 'link', event);
@@ -940,7 +1566,7 @@ function setupEventHandlers(connection, sessionId, sessionData) {
                 raw: data
             };
 
-            sessionData.events.push(event);
+            publishEvent(sessionId, sessionData, event);
             sessionData.stats.totalEvents++;
 
             await db.addEvent(sessionId, 'other', event);
@@ -953,8 +1579,8 @@ function setupEventHandlers(connection, sessionId, sessionData) {
 
 // ===== USER PROFILE API ENDPOINTS =====
 
-// 2. Get Session Participants
-app.get('/api/sessions/:sessionId/participants', async (req, res) => {
+// 2. Get Session Participants (from the viewer profiles, also for past sessions)
+app.get('/api/sessions/:sessionId/participants', requireRole('overlay', scopeOf.sessionParam), async (req, res) => {
     try {
         const { sessionId } = req.params;
         const { limit = 50 } = req.query;
@@ -962,60 +1588,21 @@ app.get('/api/sessions/:sessionId/participants', async (req, res) => {
         console.log('👥 Fetching participants for session:', sessionId);
 
         const session = activeSessions.get(sessionId);
-        if (!session) {
+        if (!session && !(await db.getSession(sessionId))) {
             return res.status(404).json({
                 success: false,
                 error: 'Session not found'
             });
         }
 
-        // Collect unique participants from events
-        const participantsMap = new Map();
-
-        session.events.forEach(event => {
-            if (event.userId && event.username) {
-                const participant = {
-                    userId: event.userId,
-                    username: event.username,
-                    firstSeen: participantsMap.has(event.userId) ?
-                        participantsMap.get(event.userId).firstSeen : event.timestamp,
-                    lastSeen: event.timestamp,
-                    eventCount: (participantsMap.get(event.userId)?.eventCount || 0) + 1,
-                    eventTypes: new Set(participantsMap.get(event.userId)?.eventTypes || [])
-                };
-
-                participant.eventTypes.add(event.type);
-
-                // Add profile data if available in raw event
-                if (event.raw?.user) {
-                    const user = event.raw.user;
-                    participant.profile = {
-                        nickname: user.nickname,
-                        profilePicture: user.profilePicture?.url_list?.[0],
-                        verified: user.verified,
-                        followerCount: user.followInfo?.followerCount,
-                        payGrade: user.payGrade?.name
-                    };
-                }
-
-                participantsMap.set(event.userId, {
-                    ...participant,
-                    eventTypes: Array.from(participant.eventTypes)
-                });
-            }
-        });
-
-        // Convert to array and sort by event count
-        const participants = Array.from(participantsMap.values())
-            .sort((a, b) => b.eventCount - a.eventCount)
-            .slice(0, parseInt(limit));
+        const { participants, total } = await viewerProfiles.getParticipants(sessionId, Math.min(parseInt(limit) || 50, 500));
 
         res.json({
             success: true,
             sessionId,
             participants,
-            totalUniqueParticipants: participantsMap.size,
-            isActive: session.status === 'connected'
+            totalUniqueParticipants: total,
+            isActive: session?.status === 'connected'
         });
 
     } catch (error) {
@@ -1028,26 +1615,23 @@ app.get('/api/sessions/:sessionId/participants', async (req, res) => {
 });
 
 // 3. Get User Activity in Session
-app.get('/api/sessions/:sessionId/users/:userId/activity', async (req, res) => {
+app.get('/api/sessions/:sessionId/users/:userId/activity', requireRole('overlay', scopeOf.sessionParam), async (req, res) => {
     try {
         const { sessionId, userId } = req.params;
         const { limit = 100 } = req.query;
 
         console.log('📊 Fetching user activity for:', userId, 'in session:', sessionId);
 
-        const session = activeSessions.get(sessionId);
-        if (!session) {
+        const streamer = await getSessionStreamer(sessionId);
+        if (!streamer) {
             return res.status(404).json({
                 success: false,
                 error: 'Session not found'
             });
         }
 
-        // Filter events for this specific user
-        const userEvents = session.events
-            .filter(event => event.userId === userId)
-            .slice(-parseInt(limit))
-            .reverse(); // Most recent first
+        // Stored events of this user, most recent first
+        const userEvents = await db.getUserEvents(sessionId, userId, Math.min(parseInt(limit) || 100, 1000));
 
         if (userEvents.length === 0) {
             return res.status(404).json({
@@ -1069,26 +1653,14 @@ app.get('/api/sessions/:sessionId/users/:userId/activity', async (req, res) => {
                 (activityStats.eventTypes[event.type] || 0) + 1;
         });
 
-        // Get user profile from most recent event
-        let userProfile = null;
-        const latestEventWithProfile = userEvents.find(event => event.raw?.user);
-        if (latestEventWithProfile?.raw?.user) {
-            const user = latestEventWithProfile.raw.user;
-            userProfile = {
-                nickname: user.nickname,
-                profilePicture: user.profilePicture?.url_list?.[0],
-                verified: user.verified,
-                followerCount: user.followInfo?.followerCount,
-                payGrade: user.payGrade?.name
-            };
-        }
+        const profiles = await viewerProfiles.getProfiles([userId], streamer);
 
         res.json({
             success: true,
             sessionId,
             userId,
             username: userEvents[0].username,
-            profile: userProfile,
+            profile: profiles[userId] || null,
             activity: userEvents,
             stats: activityStats
         });
@@ -1102,10 +1674,10 @@ app.get('/api/sessions/:sessionId/users/:userId/activity', async (req, res) => {
     }
 });
 
-// 4. Batch User Profiles
-app.post('/api/users/profiles/batch', async (req, res) => {
+// 4. Batch User Profiles (latest stored profile of each user id, ?streamer= for one streamer's)
+app.post('/api/users/profiles/batch', requireRole('overlay'), async (req, res) => {
     try {
-        const { userIds } = req.body;
+        const { userIds, streamer = null } = req.body;
 
         if (!userIds || !Array.isArray(userIds)) {
             return res.status(400).json({
@@ -1113,45 +1685,22 @@ app.post('/api/users/profiles/batch', async (req, res) => {
                 error: 'userIds array is required'
             });
         }
+        if (userIds.length > 500) {
+            return res.status(400).json({
+                success: false,
+                error: 'At most 500 userIds per request'
+            });
+        }
+        if (streamer !== null && !apiAuth.canAccessStreamer(req.apiKey, streamer)) {
+            return res.status(403).json({ error: 'This API key is not allowed to access this streamer' });
+        }
 
         console.log('👥 Fetching batch profiles for:', userIds.length, 'users');
 
-        const profiles = {};
-        const notFound = [];
-
-        // Search through all active sessions for user data
-        for (const userId of userIds) {
-            let found = false;
-
-            for (const [sessionId, session] of activeSessions) {
-                const userEvents = session.events.filter(event => event.userId === userId);
-
-                if (userEvents.length > 0) {
-                    const latestEvent = userEvents[userEvents.length - 1];
-
-                    if (latestEvent.raw?.user) {
-                        const user = latestEvent.raw.user;
-                        profiles[userId] = {
-                            userId: user.userId,
-                            username: user.uniqueId,
-                            nickname: user.nickname,
-                            profilePicture: user.profilePicture?.url_list?.[0],
-                            verified: user.verified,
-                            followerCount: user.followInfo?.followerCount,
-                            payGrade: user.payGrade?.name,
-                            lastSeen: latestEvent.timestamp,
-                            sessionId: sessionId
-                        };
-                        found = true;
-                        break;
-                    }
-                }
-            }
-
-            if (!found) {
-                notFound.push(userId);
-            }
-        }
+        const ids = userIds.map(String);
+        // Keys scoped to streamers only see profiles from their streamers' lives
+        const profiles = await viewerProfiles.getProfiles(ids, streamer, username => apiAuth.canAccessStreamer(req.apiKey, username));
+        const notFound = ids.filter(userId => !profiles[userId]);
 
         res.json({
             success: true,
@@ -1173,7 +1722,7 @@ app.post('/api/users/profiles/batch', async (req, res) => {
 // ===== UNIFIED USER PROFILE API =====
 
 // Get User Profile Picture (unified endpoint)
-app.get('/api/users/:userId/profile', async (req, res) => {
+app.get('/api/users/:userId/profile', requireRole('overlay'), async (req, res) => {
     try {
         const { userId } = req.params;
         console.log('🖼️ Fetching profile for user:', userId);
@@ -1279,7 +1828,7 @@ app.get('/api/users/:userId/profile', async (req, res) => {
 // ===== TIKTOK PROFILE PICTURE API =====
 
 // Legacy endpoint (keep for compatibility)
-app.get('/api/tiktok/profile/:username', async (req, res) => {
+app.get('/api/tiktok/profile/:username', requireRole('overlay'), async (req, res) => {
     try {
         const { username } = req.params;
         console.log('🖼️ Fetching TikTok profile picture for:', username);
@@ -1363,7 +1912,7 @@ app.get('/api/tiktok/profile/:username', async (req, res) => {
 // ===== DEBUG ENDPOINTS =====
 
 // Debug endpoint to inspect actual TikTok event data
-app.get('/api/debug/session/:sessionId/events/raw', async (req, res) => {
+app.get('/api/debug/session/:sessionId/events/raw', requireRole('admin', scopeOf.global), async (req, res) => {
     try {
         const { sessionId } = req.params;
         const { limit = 10 } = req.query;
@@ -1418,7 +1967,7 @@ app.get('/api/debug/session/:sessionId/events/raw', async (req, res) => {
 });
 
 // Debug endpoint for profile picture testing
-app.post('/api/debug/profile-test', async (req, res) => {
+app.post('/api/debug/profile-test', requireRole('admin', scopeOf.global), async (req, res) => {
     try {
         const { username } = req.body;
 
@@ -1469,64 +2018,464 @@ app.post('/api/debug/profile-test', async (req, res) => {
             };
         }
 
-        // Test 3: Database lookup
-        try {
-            const streamerData = await db.getStreamer(username);
-            results.database = {
-                found: !!streamerData,
-                data: streamerData
-            };
-        } catch (error) {
-            results.database = {
-                found: false,
-                error: error.message
-            };
+        // Test 3: Database lookup
+        try {
+            const streamerData = await db.getStreamer(username);
+            results.database = {
+                found: !!streamerData,
+                data: streamerData
+            };
+        } catch (error) {
+            results.database = {
+                found: false,
+                error: error.message
+            };
+        }
+
+        res.json({
+            success: true,
+            username,
+            results
+        });
+
+    } catch (error) {
+        console.error('Error in profile test:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ===== LOYALTY POINTS ENDPOINTS =====
+
+// Viewers of a streamer with the most points, ?limit= (default 10)
+app.get('/api/points/:streamer', requireRole('overlay', scopeOf.streamerParam), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+        const viewers = await gamingSystem.points.getTop(normalizeStreamer(req.params.streamer), limit);
+
+        res.json({
+            success: true,
+            viewers
+        });
+    } catch (error) {
+        console.error('Error getting points leaderboard:', error);
+        res.status(500).json({ error: 'Failed to get points leaderboard' });
+    }
+});
+
+// Balance and latest ledger rows of a viewer, ?limit= (default 50)
+app.get('/api/points/:streamer/:username', requireRole('overlay', scopeOf.streamerParam), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const points = await gamingSystem.points.inspect(normalizeStreamer(req.params.streamer), req.params.username, limit);
+
+        if (!points) {
+            return res.status(404).json({ error: 'Viewer not found' });
+        }
+
+        res.json({
+            success: true,
+            ...points
+        });
+    } catch (error) {
+        console.error('Error getting viewer points:', error);
+        res.status(500).json({ error: 'Failed to get viewer points' });
+    }
+});
+
+// Grant or deduct points by hand: { amount, reason }. Deductions can't go below zero.
+for (const action of ['grant', 'deduct']) {
+    app.post(`/api/points/:streamer/:username/${action}`, requireRole('moderator', scopeOf.streamerParam), async (req, res) => {
+        try {
+            const { amount, reason = null } = req.body || {};
+
+            if (!Number.isInteger(amount) || amount <= 0) {
+                return res.status(400).json({ error: 'amount must be a positive whole number' });
+            }
+            if (reason !== null && typeof reason !== 'string') {
+                return res.status(400).json({ error: 'reason must be a string' });
+            }
+
+            const streamer = normalizeStreamer(req.params.streamer);
+            const user = { username: req.params.username };
+            const meta = {
+                details: reason ? { reason: reason.trim().slice(0, 200) } : null,
+                createdBy: { apiKeyId: req.apiKey.id, name: req.apiKey.name }
+            };
+
+            const balance = action === 'grant'
+                ? await gamingSystem.points.credit(streamer, user, amount, 'grant', meta)
+                : await gamingSystem.points.debit(streamer, user, amount, 'deduct', meta);
+
+            if (balance === null) {
+                return res.status(400).json({ error: 'The viewer does not have enough points' });
+            }
+
+            console.log(`💰 ${req.apiKey.name} ${action === 'grant' ? 'granted' : 'deducted'} ${amount} points ${action === 'grant' ? 'to' : 'from'} ${user.username} (${streamer}), balance ${balance}`);
+
+            res.json({
+                success: true,
+                username: user.username,
+                amount: action === 'grant' ? amount : -amount,
+                balance
+            });
+        } catch (error) {
+            console.error(`Error trying to ${action} points:`, error);
+            res.status(500).json({ error: `Failed to ${action} points` });
+        }
+    });
+}
+
+// ===== LEADERBOARD ENDPOINTS =====
+
+// Query options shared by the leaderboard endpoints: ?window=session|week|month|all
+// (default session), ?sessionId= (default the latest session) and ?limit= (default 10)
+function leaderboardOptions(query) {
+    return {
+        window: query.window || 'session',
+        sessionId: query.sessionId || null,
+        limit: Math.min(parseInt(query.limit) || 10, 100)
+    };
+}
+
+// Every metric of a window in one payload for overlays, ?metrics=diamonds,messages for some of them
+app.get('/api/leaderboards/:streamer', requireRole('overlay', scopeOf.streamerParam), async (req, res) => {
+    try {
+        const metrics = req.query.metrics ? String(req.query.metrics).split(',').map(metric => metric.trim()) : undefined;
+        const leaderboard = await leaderboards.getAll(req.params.streamer, { ...leaderboardOptions(req.query), metrics });
+
+        if (leaderboard.error) {
+            return res.status(leaderboard.status || 400).json({ error: leaderboard.error });
+        }
+
+        res.json({
+            success: true,
+            ...leaderboard
+        });
+    } catch (error) {
+        console.error('Error getting leaderboards:', error);
+        res.status(500).json({ error: 'Failed to get leaderboards' });
+    }
+});
+
+// One ranking: diamonds, gifts, messages, likes or shares
+app.get('/api/leaderboards/:streamer/:metric', requireRole('overlay', scopeOf.streamerParam), async (req, res) => {
+    try {
+        const leaderboard = await leaderboards.get(req.params.streamer, { ...leaderboardOptions(req.query), metric: req.params.metric });
+
+        if (leaderboard.error) {
+            return res.status(leaderboard.status || 400).json({ error: leaderboard.error });
+        }
+
+        res.json({
+            success: true,
+            ...leaderboard
+        });
+    } catch (error) {
+        console.error('Error getting leaderboard:', error);
+        res.status(500).json({ error: 'Failed to get leaderboard' });
+    }
+});
+
+// ===== MODERATOR COMMAND ENDPOINTS =====
+
+// Viewers allowed to use the moderator chat commands (!wheel, !spin, !poll, !race, !stop) without a moderator badge
+app.get('/api/moderators/:streamer', requireRole('moderator', scopeOf.streamerParam), (req, res) => {
+    res.json({
+        success: true,
+        moderators: gamingSystem.moderatorCommands.getModerators(req.params.streamer)
+    });
+});
+
+// Add a viewer to the allowlist: { username }
+app.post('/api/moderators/:streamer', requireRole('admin', scopeOf.streamerParam), async (req, res) => {
+    try {
+        const { username } = req.body;
+
+        if (typeof username !== 'string' || !username.trim()) {
+            return res.status(400).json({ error: 'username is required' });
+        }
+
+        const added = await gamingSystem.moderatorCommands.addModerator(req.params.streamer, username, { apiKeyId: req.apiKey.id, name: req.apiKey.name });
+
+        if (!added) {
+            return res.status(409).json({ error: 'The viewer is already on the allowlist' });
+        }
+
+        res.json({
+            success: true,
+            moderators: gamingSystem.moderatorCommands.getModerators(req.params.streamer)
+        });
+    } catch (error) {
+        console.error('Error adding moderator:', error);
+        res.status(500).json({ error: 'Failed to add moderator' });
+    }
+});
+
+// Remove a viewer from the allowlist
+app.delete('/api/moderators/:streamer/:username', requireRole('admin', scopeOf.streamerParam), async (req, res) => {
+    try {
+        const removed = await gamingSystem.moderatorCommands.removeModerator(req.params.streamer, req.params.username);
+
+        if (!removed) {
+            return res.status(404).json({ error: 'The viewer is not on the allowlist' });
+        }
+
+        res.json({
+            success: true,
+            moderators: gamingSystem.moderatorCommands.getModerators(req.params.streamer)
+        });
+    } catch (error) {
+        console.error('Error removing moderator:', error);
+        res.status(500).json({ error: 'Failed to remove moderator' });
+    }
+});
+
+// Audit log of the moderator chat commands, newest first, ?limit= (default 50)
+app.get('/api/moderators/:streamer/audit', requireRole('moderator', scopeOf.streamerParam), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+        res.json({
+            success: true,
+            actions: await gamingSystem.moderatorCommands.getAudit(req.params.streamer, limit)
+        });
+    } catch (error) {
+        console.error('Error getting moderator audit log:', error);
+        res.status(500).json({ error: 'Failed to get moderator audit log' });
+    }
+});
+
+// ===== CHAT MODERATION ENDPOINTS =====
+
+// Chat messages the moderation stage flagged, newest first: ?sessionId=, ?flag=, ?limit= (default 100)
+app.get('/api/moderation/:streamer/flagged', requireRole('moderator', scopeOf.streamerParam), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const flagged = await gamingSystem.moderation.getFlagged(req.params.streamer, {
+            sessionId: req.query.sessionId || null,
+            flag: req.query.flag || null,
+            limit
+        });
+
+        if (flagged.error) {
+            return res.status(400).json({ error: flagged.error });
+        }
+
+        res.json({
+            success: true,
+            messages: flagged.messages
+        });
+    } catch (error) {
+        console.error('Error getting flagged messages:', error);
+        res.status(500).json({ error: 'Failed to get flagged messages' });
+    }
+});
+
+// Viewers banned from the streamer's games
+app.get('/api/moderation/:streamer/bans', requireRole('moderator', scopeOf.streamerParam), (req, res) => {
+    res.json({
+        success: true,
+        bans: gamingSystem.moderation.getBans(req.params.streamer)
+    });
+});
+
+// Ban a viewer from the games: { username, reason }
+app.post('/api/moderation/:streamer/bans', requireRole('moderator', scopeOf.streamerParam), async (req, res) => {
+    try {
+        const { username, reason = null } = req.body;
+
+        if (typeof username !== 'string' || !username.trim()) {
+            return res.status(400).json({ error: 'username is required' });
+        }
+        if (reason !== null && typeof reason !== 'string') {
+            return res.status(400).json({ error: 'reason must be a string' });
+        }
+
+        const banned = await gamingSystem.moderation.ban(req.params.streamer, username, reason?.trim() || null, { apiKeyId: req.apiKey.id, name: req.apiKey.name });
+
+        if (!banned) {
+            return res.status(409).json({ error: 'The viewer is already banned' });
         }
 
         res.json({
             success: true,
-            username,
-            results
+            bans: gamingSystem.moderation.getBans(req.params.streamer)
         });
+    } catch (error) {
+        console.error('Error banning viewer:', error);
+        res.status(500).json({ error: 'Failed to ban viewer' });
+    }
+});
+
+// Lift a ban
+app.delete('/api/moderation/:streamer/bans/:username', requireRole('moderator', scopeOf.streamerParam), async (req, res) => {
+    try {
+        const unbanned = await gamingSystem.moderation.unban(req.params.streamer, req.params.username);
+
+        if (!unbanned) {
+            return res.status(404).json({ error: 'The viewer is not banned' });
+        }
 
+        res.json({
+            success: true,
+            bans: gamingSystem.moderation.getBans(req.params.streamer)
+        });
     } catch (error) {
-        console.error('Error in profile test:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        console.error('Error unbanning viewer:', error);
+        res.status(500).json({ error: 'Failed to unban viewer' });
     }
 });
 
 // ===== GAMING SYSTEM API ENDPOINTS =====
 
-// Start Lucky Wheel Game
-app.post('/api/gaming/luckywheel/start', async (req, res) => {
-    try {
-        const { sessionId, duration = 10000 } = req.body;
+// Report game actions and results in the session event stream
+gamingSystem.on('gameEvent', (sessionId, details) => {
+    const session = activeSessions.get(sessionId);
+    if (session) {
+        recordGameEvent(sessionId, session, details);
+        chatAnnouncer.announceGameEvent(
+            sessionId,
+            details,
+            gamingSystem.activeGames.get(sessionId),
+            gamingSystem.getGameModule(details.game)?.name
+        );
+    }
+});
 
-        if (!sessionId) {
-            return res.status(400).json({ error: 'sessionId is required' });
-        }
+// Announcements sent (or logged in dry-run mode) for a session, and those still queued
+app.get('/api/sessions/:sessionId/announcements', requireRole('overlay', scopeOf.sessionParam), (req, res) => {
+    try {
+        const { sessionId } = req.params;
 
         if (!activeSessions.has(sessionId)) {
             return res.status(404).json({ error: 'Session not found' });
         }
 
-        const gameData = gamingSystem.startLuckyWheel(sessionId, duration);
-
-        const keyword = gameData.keyword || 'GAME';
         res.json({
             success: true,
-            game: gameData,
-            message: `Lucky Wheel started! Players can type "${keyword}" to enter for ${duration / 1000} seconds.`
+            announcements: chatAnnouncer.getStatus(sessionId)
         });
-
     } catch (error) {
-        console.error('Error starting Lucky Wheel:', error);
-        res.status(500).json({ error: 'Failed to start Lucky Wheel game' });
+        console.error('Error getting announcements:', error);
+        res.status(500).json({ error: 'Failed to get announcements' });
     }
 });
 
+// List registered game types
+app.get('/api/gaming/games', requireRole('overlay'), (req, res) => {
+    res.json({
+        success: true,
+        games: gamingSystem.getGameTypes()
+    });
+});
+
+// Chat commands: built-in, game (available while their game runs) and custom ones
+app.get('/api/gaming/commands', requireRole('overlay'), (req, res) => {
+    res.json({
+        success: true,
+        commands: gamingSystem.commands.list().map(({ name, aliases, description, usage, permission, fanClubLevel, cooldown, userCooldown, source, response }) => ({
+            name, aliases, description, usage, permission, fanClubLevel, cooldown, userCooldown, source, response
+        }))
+    });
+});
+
+// Generic start / end / status routes for every registered game module
+for (const { type, name } of gamingSystem.getGameTypes()) {
+    const gameModule = gamingSystem.getGameModule(type);
+
+    // Start game
+    app.post(`/api/gaming/${type}/start`, requireRole('moderator', scopeOf.sessionBody), async (req, res) => {
+        try {
+            const { sessionId, ...options } = req.body;
+
+            if (!sessionId) {
+                return res.status(400).json({ error: 'sessionId is required' });
+            }
+
+            if (!activeSessions.has(sessionId)) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+
+            const validationError = gameModule.validateOptions(options);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const gameData = gamingSystem.startGame(type, sessionId, options);
+
+            if (!gameData) {
+                return res.status(500).json({ error: `Failed to start ${name}` });
+            }
+
+            res.json({
+                success: true,
+                game: gamingSystem.publicGame(gameData),
+                message: gameModule.describeStart(gameData)
+            });
+
+        } catch (error) {
+            console.error(`Error starting ${name}:`, error);
+            res.status(500).json({ error: `Failed to start ${name}` });
+        }
+    });
+
+    // End game and get results
+    app.post(`/api/gaming/${type}/end`, requireRole('moderator', scopeOf.sessionBody), async (req, res) => {
+        try {
+            const { sessionId } = req.body;
+
+            if (!sessionId) {
+                return res.status(400).json({ error: 'sessionId is required' });
+            }
+
+            const result = gamingSystem.endGame(sessionId, type);
+
+            if (!result) {
+                return res.status(404).json({ error: `No active ${name} game found for this session` });
+            }
+
+            const { gameData, ...summary } = result;
+
+            res.json({
+                success: true,
+                result,
+                ...summary,
+                message: `${name} ended successfully`
+            });
+
+        } catch (error) {
+            console.error(`Error ending ${name}:`, error);
+            res.status(500).json({ error: `Failed to end ${name}` });
+        }
+    });
+
+    // Get game status
+    app.get(`/api/gaming/${type}/status/:sessionId`, requireRole('overlay', scopeOf.sessionParam), (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const status = gamingSystem.getGameStatus(sessionId, type);
+
+            if (!status.active) {
+                return res.json({
+                    success: false,
+                    message: `No active ${name} found`
+                });
+            }
+
+            res.json({
+                success: true,
+                status
+            });
+
+        } catch (error) {
+            console.error(`Error getting ${name} status:`, error);
+            res.status(500).json({ error: `Failed to get ${name} status` });
+        }
+    });
+}
+
 // Spin Lucky Wheel (get winner)
-app.post('/api/gaming/luckywheel/spin', async (req, res) => {
+app.post('/api/gaming/luckywheel/spin', requireRole('moderator', scopeOf.sessionBody), async (req, res) => {
     try {
         const { sessionId } = req.body;
 
@@ -1544,6 +2493,7 @@ app.post('/api/gaming/luckywheel/spin', async (req, res) => {
             success: true,
             result,
             winner: result.winner,
+            winners: result.winners,
             totalEntries: result.totalEntries
         });
 
@@ -1553,126 +2503,149 @@ app.post('/api/gaming/luckywheel/spin', async (req, res) => {
     }
 });
 
-// Start Poll Game
-app.post('/api/gaming/poll/start', async (req, res) => {
+// Re-roll one Lucky Wheel winner: { sessionId, rank | username, reason, gameId }.
+// Defaults to the session's latest Lucky Wheel; the other winners keep their prizes.
+app.post('/api/gaming/luckywheel/reroll', requireRole('moderator', scopeOf.sessionBody), async (req, res) => {
     try {
-        const { sessionId, question, options, duration = 30000 } = req.body;
+        const { sessionId, rank = null, username = null, reason = null, gameId = null } = req.body || {};
 
-        if (!sessionId || !question || !options || !Array.isArray(options)) {
-            return res.status(400).json({ error: 'sessionId, question, and options array are required' });
+        if (!sessionId) {
+            return res.status(400).json({ error: 'sessionId is required' });
         }
-
-        if (!activeSessions.has(sessionId)) {
-            return res.status(404).json({ error: 'Session not found' });
+        if (rank === null && !username) {
+            return res.status(400).json({ error: 'rank or username of the winner to replace is required' });
+        }
+        if (rank !== null && !(Number.isInteger(rank) && rank >= 1)) {
+            return res.status(400).json({ error: 'rank must be a positive whole number' });
+        }
+        if (reason !== null && typeof reason !== 'string') {
+            return res.status(400).json({ error: 'reason must be a string' });
         }
 
-        // Format options with proper structure
-        const formattedOptions = options.map((option, index) => ({
-            id: index + 1,
-            text: option.text || option,
-            keyword: option.keyword || option.text || option,
-            votes: []
-        }));
+        const result = await gamingSystem.rerollLuckyWheel(sessionId, {
+            gameId,
+            rank,
+            username,
+            reason: reason ? reason.trim().slice(0, 200) : null,
+            triggeredBy: { apiKeyId: req.apiKey.id, name: req.apiKey.name }
+        });
 
-        const gameData = gamingSystem.startPoll(sessionId, question, formattedOptions, duration);
+        if (!result) {
+            return res.status(404).json({ error: 'No Lucky Wheel game found for this session' });
+        }
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
 
         res.json({
             success: true,
-            game: gameData,
-            message: `Poll started: "${question}" - ${duration / 1000} seconds to vote!`
+            reroll: result,
+            winner: result.winner
         });
 
     } catch (error) {
-        console.error('Error starting Poll:', error);
-        res.status(500).json({ error: 'Failed to start Poll game' });
+        console.error('Error re-rolling Lucky Wheel:', error);
+        res.status(500).json({ error: 'Failed to re-roll Lucky Wheel' });
     }
 });
 
-// End Poll and get results
-app.post('/api/gaming/poll/end', async (req, res) => {
+// Resolve the prediction with its winning outcome and pay out the pot
+app.post('/api/gaming/prediction/resolve', requireRole('moderator', scopeOf.sessionBody), async (req, res) => {
     try {
-        const { sessionId } = req.body;
+        const { sessionId, outcome } = req.body || {};
 
         if (!sessionId) {
             return res.status(400).json({ error: 'sessionId is required' });
         }
+        if (outcome === undefined || outcome === null || outcome === '') {
+            return res.status(400).json({ error: 'outcome is required' });
+        }
 
-        const result = gamingSystem.endPoll(sessionId);
+        const result = gamingSystem.resolvePrediction(sessionId, outcome, { apiKeyId: req.apiKey.id, name: req.apiKey.name });
 
         if (!result) {
-            return res.status(404).json({ error: 'No active Poll game found for this session' });
+            return res.status(404).json({ error: 'No running prediction found for this session' });
         }
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        const { gameData, ...summary } = result;
 
         res.json({
             success: true,
-            result,
-            winner: result.winner,
-            totalVotes: result.totalVotes
+            ...summary,
+            message: result.winner ? `${result.winner.text} wins, ${result.payouts.length} viewers split ${result.pot} points` : 'Nobody bet on the winning outcome, all bets were refunded'
         });
 
     } catch (error) {
-        console.error('Error ending Poll:', error);
-        res.status(500).json({ error: 'Failed to end Poll' });
+        console.error('Error resolving prediction:', error);
+        res.status(500).json({ error: 'Failed to resolve prediction' });
     }
 });
 
-// Start Race Game
-app.post('/api/gaming/race/start', async (req, res) => {
+// Cancel the prediction and refund every bet
+app.post('/api/gaming/prediction/cancel', requireRole('moderator', scopeOf.sessionBody), async (req, res) => {
     try {
-        const { sessionId, duration = 20000 } = req.body;
+        const { sessionId, reason = null } = req.body || {};
 
         if (!sessionId) {
             return res.status(400).json({ error: 'sessionId is required' });
         }
+        if (reason !== null && typeof reason !== 'string') {
+            return res.status(400).json({ error: 'reason must be a string' });
+        }
 
-        if (!activeSessions.has(sessionId)) {
-            return res.status(404).json({ error: 'Session not found' });
+        const result = gamingSystem.cancelPrediction(sessionId, reason ? reason.trim().slice(0, 200) : null, { apiKeyId: req.apiKey.id, name: req.apiKey.name });
+
+        if (!result) {
+            return res.status(404).json({ error: 'No running prediction found for this session' });
         }
 
-        const gameData = gamingSystem.startRace(sessionId, duration);
+        const { gameData, ...summary } = result;
 
         res.json({
             success: true,
-            game: gameData,
-            message: `Race started! Comment to move your character for ${duration / 1000} seconds!`
+            ...summary,
+            message: `Prediction cancelled, ${result.payouts.length} bets refunded`
         });
 
     } catch (error) {
-        console.error('Error starting Race:', error);
-        res.status(500).json({ error: 'Failed to start Race game' });
+        console.error('Error cancelling prediction:', error);
+        res.status(500).json({ error: 'Failed to cancel prediction' });
     }
 });
 
-// End Race and get results
-app.post('/api/gaming/race/end', async (req, res) => {
+// Stored winner draws of a session (seed, entry snapshot and result), ?gameId= for one game
+app.get('/api/gaming/draws/:sessionId', requireRole('overlay', scopeOf.sessionParam), async (req, res) => {
     try {
-        const { sessionId } = req.body;
+        const draws = await db.getGameDraws(req.params.sessionId, req.query.gameId || null);
 
-        if (!sessionId) {
-            return res.status(400).json({ error: 'sessionId is required' });
-        }
+        res.json({ success: true, draws });
+    } catch (error) {
+        console.error('Error getting game draws:', error);
+        res.status(500).json({ error: 'Failed to get game draws' });
+    }
+});
 
-        const result = gamingSystem.endRace(sessionId);
+// Recompute a draw from its revealed seed: { seed, seedHash, gameId, label, entries: [{ id, tickets }], winner }
+app.post('/api/gaming/verify', requireRole('overlay'), (req, res) => {
+    try {
+        const { seed, seedHash, gameId, label, entries, winner = null } = req.body || {};
 
-        if (!result) {
-            return res.status(404).json({ error: 'No active Race game found for this session' });
+        if (!seed || !seedHash || !gameId || !label || !Array.isArray(entries)) {
+            return res.status(400).json({ error: 'seed, seedHash, gameId, label and an entries array are required' });
         }
 
-        res.json({
-            success: true,
-            result,
-            winner: result.winner,
-            totalParticipants: result.totalParticipants
-        });
-
+        res.json({ success: true, ...verifyDraw({ seed, seedHash, gameId, label, entries, winner }) });
     } catch (error) {
-        console.error('Error ending Race:', error);
-        res.status(500).json({ error: 'Failed to end Race' });
+        console.error('Error verifying draw:', error);
+        res.status(500).json({ error: 'Failed to verify draw' });
     }
 });
 
 // Get game status for session
-app.get('/api/gaming/status/:sessionId', (req, res) => {
+app.get('/api/gaming/status/:sessionId', requireRole('overlay', scopeOf.sessionParam), (req, res) => {
     try {
         const { sessionId } = req.params;
         const status = gamingSystem.getGameStatus(sessionId);
@@ -1689,9 +2662,12 @@ app.get('/api/gaming/status/:sessionId', (req, res) => {
 });
 
 // Get all active games
-app.get('/api/gaming/active', (req, res) => {
+app.get('/api/gaming/active', requireRole('overlay'), (req, res) => {
     try {
-        const activeGames = gamingSystem.getActiveGames();
+        const activeGames = Object.fromEntries(
+            Object.entries(gamingSystem.getActiveGames())
+                .filter(([sessionId]) => apiAuth.canAccessStreamer(req.apiKey, activeSessions.get(sessionId)?.username))
+        );
 
         res.json({
             success: true,
@@ -1705,11 +2681,11 @@ app.get('/api/gaming/active', (req, res) => {
 });
 
 // Get game history
-app.get('/api/gaming/history', (req, res) => {
+app.get('/api/gaming/history', requireRole('overlay', scopeOf.sessionQuery), async (req, res) => {
     try {
         const { sessionId, limit = 10 } = req.query;
 
-        const history = gamingSystem.getGameHistory(sessionId, parseInt(limit));
+        const history = await gamingSystem.getGameHistory(sessionId, parseInt(limit));
 
         res.json({
             success: true,
@@ -1723,12 +2699,12 @@ app.get('/api/gaming/history', (req, res) => {
 });
 
 // Get game history for specific session
-app.get('/api/gaming/history/:sessionId', (req, res) => {
+app.get('/api/gaming/history/:sessionId', requireRole('overlay', scopeOf.sessionParam), async (req, res) => {
     try {
         const { sessionId } = req.params;
         const { limit = 10 } = req.query;
 
-        const history = gamingSystem.getGameHistory(sessionId, parseInt(limit));
+        const history = await gamingSystem.getGameHistory(sessionId, parseInt(limit));
 
         res.json({
             success: true,
@@ -1742,7 +2718,7 @@ app.get('/api/gaming/history/:sessionId', (req, res) => {
 });
 
 // Stop any active game
-app.post('/api/gaming/stop', async (req, res) => {
+app.post('/api/gaming/stop', requireRole('moderator', scopeOf.sessionBody), async (req, res) => {
     try {
         const { sessionId } = req.body;
 
@@ -1770,91 +2746,8 @@ app.post('/api/gaming/stop', async (req, res) => {
 
 // ===== DJ GAME ENDPOINTS =====
 
-// Start DJ Game
-app.post('/api/gaming/djgame/start', async (req, res) => {
-    try {
-        const { sessionId } = req.body;
-
-        if (!sessionId) {
-            return res.status(400).json({ error: 'sessionId is required' });
-        }
-
-        const result = gamingSystem.startDJGame(sessionId);
-
-        if (!result) {
-            return res.status(404).json({ error: 'Failed to start DJ Game' });
-        }
-
-        res.json({
-            success: true,
-            result,
-            message: 'DJ Game started successfully'
-        });
-
-    } catch (error) {
-        console.error('Error starting DJ Game:', error);
-        res.status(500).json({ error: 'Failed to start DJ Game' });
-    }
-});
-
-// Get DJ Game status
-app.get('/api/gaming/djgame/status/:sessionId', async (req, res) => {
-    try {
-        const { sessionId } = req.params;
-
-        if (!sessionId) {
-            return res.status(400).json({ error: 'sessionId is required' });
-        }
-
-        const status = gamingSystem.getDJGameStatus(sessionId);
-
-        if (!status) {
-            return res.json({
-                success: false,
-                message: 'No active DJ Game found'
-            });
-        }
-
-        res.json({
-            success: true,
-            status
-        });
-
-    } catch (error) {
-        console.error('Error getting DJ Game status:', error);
-        res.status(500).json({ error: 'Failed to get DJ Game status' });
-    }
-});
-
-// End DJ Game
-app.post('/api/gaming/djgame/end', async (req, res) => {
-    try {
-        const { sessionId } = req.body;
-
-        if (!sessionId) {
-            return res.status(400).json({ error: 'sessionId is required' });
-        }
-
-        const result = gamingSystem.endDJGame(sessionId);
-
-        if (!result) {
-            return res.status(404).json({ error: 'No active DJ Game found' });
-        }
-
-        res.json({
-            success: true,
-            result,
-            message: 'DJ Game ended successfully'
-        });
-
-    } catch (error) {
-        console.error('Error ending DJ Game:', error);
-        res.status(500).json({ error: 'Failed to end DJ Game' });
-    }
-});
-
 // Get DJ Game playlist
-app.get('/api/gaming/djgame/playlist/:sessionId', async (req, res) => {
+app.get('/api/gaming/djgame/playlist/:sessionId', requireRole('overlay', scopeOf.sessionParam), async (req, res) => {
     try {
         const { sessionId } = req.params;
 
@@ -1882,7 +2775,7 @@ const SpotifyIntegration = require('./spotify-integration');
 const spotifyIntegration = new SpotifyIntegration();
 
 // Get Spotify auth URL
-app.get('/api/spotify/auth', async (req, res) => {
+app.get('/api/spotify/auth', requireRole('admin', scopeOf.global), async (req, res) => {
     try {
         const authUrl = await spotifyIntegration.getAuthUrl();
         res.json({ url: authUrl });
@@ -1924,7 +2817,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Export session data (Simpler implementation without ngrokManager)
-app.get('/api/export/session/:id', async (req, res) => {
+app.get('/api/export/session/:id', requireRole('admin', (req) => getSessionStreamer(req.params.id)), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -1994,10 +2887,9 @@ process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down backend server...');
 
     // End all active sessions
-    for (const [sessionId, connection] of activeConnections) {
+    for (const sessionId of Array.from(activeSessions.keys())) {
         try {
-            connection.disconnect();
-            await db.endSession(sessionId);
+            await finalizeSession(sessionId, 'shutdown');
         } catch (error) {
             console.error(`Error ending session ${sessionId}:`, error);
         }
@@ -2014,10 +2906,9 @@ process.on('SIGTERM', async () => {
     console.log('\n🛑 Shutting down backend server...');
 
     // End all active sessions
-    for (const [sessionId, connection] of activeConnections) {
+    for (const sessionId of Array.from(activeSessions.keys())) {
         try {
-            connection.disconnect();
-            await db.endSession(sessionId);
+            await finalizeSession(sessionId, 'shutdown');
         } catch (error) {
             console.error(`Error ending session ${sessionId}:`, error);
         }
@@ -2031,7 +2922,7 @@ process.on('SIGTERM', async () => {
 });
 
 // Game Settings Endpoints
-app.post('/api/game-settings', async (req, res) => {
+app.post('/api/game-settings', requireRole('admin', scopeOf.global), async (req, res) => {
     try {
         const { settings } = req.body;
 
@@ -2042,6 +2933,14 @@ app.post('/api/game-settings', async (req, res) => {
             });
         }
 
+        const chatError = gamingSystem.moderation.validateSettings(settings.chat);
+        if (chatError) {
+            return res.status(400).json({
+                success: false,
+                error: chatError
+            });
+        }
+
         // Save settings to database
         await db.saveGameSettings(settings);
 
@@ -2063,7 +2962,7 @@ app.post('/api/game-settings', async (req, res) => {
     }
 });
 
-app.get('/api/game-settings', async (req, res) => {
+app.get('/api/game-settings', requireRole('overlay'), async (req, res) => {
     try {
         const settings = await db.getGameSettings();
 
@@ -2080,36 +2979,149 @@ app.get('/api/game-settings', async (req, res) => {
     }
 });
 
+// Trivia Question Bank Endpoints
+app.get('/api/game-settings/trivia/banks', requireRole('overlay'), async (req, res) => {
+    try {
+        const banks = await db.getQuestionBanks();
+
+        res.json({
+            success: true,
+            banks: banks.map(bank => ({
+                name: bank.name,
+                questionCount: bank.questions.length,
+                updatedAt: bank.updatedAt
+            }))
+        });
+    } catch (error) {
+        console.error('Error listing trivia question banks:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/game-settings/trivia/banks/:name', requireRole('admin', scopeOf.global), async (req, res) => {
+    try {
+        const banks = await db.getQuestionBanks();
+        const bank = banks.find(bank => bank.name === req.params.name);
+
+        if (!bank) {
+            return res.status(404).json({ error: 'Question bank not found' });
+        }
+
+        res.json({ success: true, bank });
+    } catch (error) {
+        console.error('Error loading trivia question bank:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Import a question bank: { format: 'json' | 'csv', data } or { questions: [...] }.
+// Invalid questions are skipped and reported in `errors`; an existing bank of the same name is replaced.
+app.put('/api/game-settings/trivia/banks/:name', requireRole('admin', scopeOf.global), async (req, res) => {
+    try {
+        const { format, data, questions: questionList } = req.body || {};
+
+        let parsed;
+        try {
+            parsed = Array.isArray(questionList)
+                ? parseQuestionBank('json', questionList)
+                : parseQuestionBank(format, data);
+        } catch (error) {
+            return res.status(400).json({ error: `Invalid question bank: ${error.message}` });
+        }
+
+        await db.saveQuestionBank(req.params.name, parsed.questions);
+        await gamingSystem.refreshSettings();
+
+        console.log(`❓ Imported trivia question bank "${req.params.name}" (${parsed.questions.length} questions, ${parsed.errors.length} skipped)`);
+
+        res.json({
+            success: true,
+            name: req.params.name,
+            questionCount: parsed.questions.length,
+            errors: parsed.errors
+        });
+    } catch (error) {
+        console.error('Error importing trivia question bank:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/game-settings/trivia/banks/:name', requireRole('admin', scopeOf.global), async (req, res) => {
+    try {
+        const deleted = await db.deleteQuestionBank(req.params.name);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Question bank not found' });
+        }
+
+        await gamingSystem.refreshSettings();
+
+        res.json({ success: true, message: `Question bank ${req.params.name} deleted` });
+    } catch (error) {
+        console.error('Error deleting trivia question bank:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Initialize gaming system cleanup interval
 setInterval(() => {
     gamingSystem.cleanup();
 }, 60000); // Clean up every minute
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`🚀 TikTok Live Connector Backend Server is running!`);
     console.log(`📍 API Server: http://localhost:${PORT}`);
     console.log(`📊 Database: SQLite (tiktok_sessions.db)`);
-    console.log(`🎮 Gaming System: Active (Lucky Wheel, Polls, Races)`);
+    console.log(`🎮 Gaming System: Active (${gamingSystem.getGameTypes().map(game => game.name).join(', ')})`);
     console.log(`🔗 API Endpoints:`);
     console.log(`   POST /api/sessions - Create new session`);
     console.log(`   GET  /api/sessions - List all sessions`);
     console.log(`   GET  /api/sessions/:id - Get session info`);
     console.log(`   GET  /api/sessions/:id/events - Get session events`);
     console.log(`   DELETE /api/sessions/:id - End session`);
+    console.log(`📡 Live Events:`);
+    console.log(`   GET  /api/sessions/:id/stream - Server-Sent Events (Last-Event-ID resume)`);
+    console.log(`   WS   /api/sessions/:id/ws - WebSocket (?types=&users=&games=&lastEventId=)`);
     console.log(`🖼️ User Profile API:`);
     console.log(`   GET  /api/users/:userId/profile - Get unified user profile picture`);
     console.log(`   GET  /api/tiktok/profile/:username - Legacy TikTok profile endpoint`);
     console.log(`🎯 Gaming Endpoints:`);
-    console.log(`   POST /api/gaming/luckywheel/start - Start Lucky Wheel`);
+    console.log(`   GET  /api/gaming/games - List registered games (${gamingSystem.getGameTypes().map(game => game.type).join(', ')})`);
+    console.log(`   GET  /api/gaming/commands - List chat commands (built-in, game and custom)`);
+    console.log(`   POST /api/gaming/:type/start - Start a game`);
+    console.log(`   POST /api/gaming/:type/end - End a game and get results`);
+    console.log(`   GET  /api/gaming/:type/status/:sessionId - Get status of a game type`);
     console.log(`   POST /api/gaming/luckywheel/spin - Spin Lucky Wheel`);
-    console.log(`   POST /api/gaming/poll/start - Start Poll Game`);
-    console.log(`   POST /api/gaming/race/start - Start Race Game`);
+    console.log(`   POST /api/gaming/luckywheel/reroll - Re-roll a Lucky Wheel winner`);
+    console.log(`   POST /api/gaming/prediction/resolve - Resolve a prediction and pay out the pot`);
+    console.log(`   POST /api/gaming/prediction/cancel - Cancel a prediction and refund its bets`);
+    console.log(`💰 Loyalty Points Endpoints:`);
+    console.log(`   GET  /api/points/:streamer - Viewers with the most points`);
+    console.log(`   GET  /api/points/:streamer/:username - Balance and ledger of a viewer`);
+    console.log(`   POST /api/points/:streamer/:username/grant - Grant points`);
+    console.log(`   POST /api/points/:streamer/:username/deduct - Deduct points`);
+    console.log(`   GET  /api/leaderboards/:streamer - Top viewers of every metric (?window=session|week|month|all)`);
+    console.log(`   GET  /api/leaderboards/:streamer/:metric - Top viewers by diamonds, gifts, messages, likes or shares`);
+    console.log(`   GET/POST /api/moderators/:streamer, DELETE /api/moderators/:streamer/:username - Moderator command allowlist`);
+    console.log(`   GET  /api/moderators/:streamer/audit - Moderator command audit log`);
+    console.log(`   GET  /api/moderation/:streamer/flagged - Chat messages flagged by the moderation stage`);
+    console.log(`   GET/POST /api/moderation/:streamer/bans, DELETE /api/moderation/:streamer/bans/:username - Game ban list`);
     console.log(`   GET  /api/gaming/status/:sessionId - Get game status`);
+    console.log(`   GET  /api/gaming/draws/:sessionId - Seeds, entries and results of winner draws`);
+    console.log(`   POST /api/gaming/verify - Recompute a draw from its revealed seed`);
+    console.log(`🔑 Access: /api routes except /api/health need an API key (Authorization: Bearer, X-API-Key or ?apiKey=)`);
+    console.log(`   GET/POST /api/keys, DELETE /api/keys/:id - Manage API keys (admin)`);
     console.log(`⚙️ Settings Endpoints:`);
     console.log(`   POST /api/game-settings - Save game configuration`);
     console.log(`   GET  /api/game-settings - Load game configuration`);
+    console.log(`   GET/PUT/DELETE /api/game-settings/trivia/banks/:name - Trivia question banks (JSON or CSV)`);
     console.log(`🌐 Web Interface:`);
     console.log(`   http://localhost:${PORT}/game-settings.html - Game Settings`);
     console.log(`🛑 Press Ctrl+C to stop the server`);
 });
+
+setupEventSocket(server);
+
+apiAuth.init().catch((error) => {
+    console.error('❌ Failed to set up API keys:', error);
+});
@@ -0,0 +1,287 @@
+// Bot announcements in the live chat, sent with TikTokLiveConnection.sendMessage.
+// Game events are matched against templates from the game settings:
+//
+//   announcements: {
+//       enabled: false,         // opt-in
+//       dryRun: false,          // only log what would be sent
+//       minInterval: 3,         // seconds between two messages of a session
+//       maxPerMinute: 10,       // messages per session and minute
+//       maxQueue: 10,           // pending messages per session, the oldest are dropped
+//       countdownSeconds: 10,   // when games emit their 'countdown' event
+//       templates: { luckywheel_started: 'Lucky Wheel open, type {keyword}!', countdown: '...' }
+//   }
+//
+// Templates are looked up by event subtype (luckywheel_ended) and then by action
+// (ended). An empty template disables that announcement. Placeholders: {game},
+// {keyword}, {question}, {options}, {teams}, {boss}, {item}, {bid}, {outcomes}, {pot}, {seconds}, {winner}, {winners}, {votes},
+// {entries} and any field of the game event. A message is skipped when one of its placeholders has no
+// value, e.g. "{winner} won" for a game that ended without entries.
+const DEFAULT_TEMPLATES = {
+    luckywheel_started: '🎡 Lucky Wheel is open! Type {keyword} to join ({seconds}s)',
+    luckywheel_ended: '🎉 {winners} won the Lucky Wheel!',
+    luckywheel_rerolled: '🔁 Re-roll! @{newWinner} replaces @{previousWinner} as winner #{rank}',
+    poll_started: '📊 {question} Vote: {options}',
+    poll_ended: '📊 Poll result: {winner} wins with {votes} votes',
+    race_started: '🏁 Race started! Type {keyword} to join and spam it to run',
+    race_ended: '🏆 @{winner} won the race!',
+    trivia_question: '❓ Question {questionNumber}/{totalQuestions}: {question} {choices}',
+    trivia_reveal: '✅ The answer was {answer} - {correctCount} got it right',
+    trivia_ended: '🏆 @{winner} wins the trivia!',
+    tugofwar_started: '🪢 Tug of War: {teams}! Type your team keyword to join, then spam it, like and gift to pull',
+    tugofwar_ended: '🏆 Team {winner} wins the Tug of War!',
+    boss_started: '🐉 {boss} appears! Type {keyword}, like, follow and gift to attack',
+    boss_phase: '⚠️ {boss} enters phase {phase}: {name}!',
+    boss_defeat: '💥 @{username} landed the final blow on {boss}!',
+    boss_ended: '🏆 Top damage: {winners}',
+    auction_started: '🔨 Auction for {item} is open! Send gifts to bid, the highest total wins',
+    auction_lead: '👑 @{username} leads the auction with {total} diamonds',
+    auction_ended: '🔨 {item} sold to @{winner} for {bid} diamonds!',
+    prediction_started: '🔮 {question} Bet with !bet <letter> <points>: {outcomes} ({seconds}s)',
+    prediction_locked: '🔒 Bets are locked! {pot} points are on the line',
+    prediction_bet_refused: '⚠️ @{username} bet refused: {reason}',
+    prediction_cancelled: '↩️ The prediction was cancelled, all bets are refunded',
+    prediction_ended: '🔮 The answer is {winner}! Its backers split {pot} points',
+    points_balance: '💰 @{username} has {balance} points',
+    points_top: '🏆 Top points: {top}',
+    command_response: '{response}',
+    command_list: '📜 Commands: {commands}',
+    moderator_refused: '⚠️ @{username} !{command}: {reason}',
+    countdown: '⏰ {seconds} seconds left in the {game}!'
+};
+
+const MAX_MESSAGE_LENGTH = 150;
+const HISTORY_LIMIT = 50;
+
+class ChatAnnouncer {
+    // getSettings: () => announcements settings, sendMessage: (sessionId, text) => Promise
+    constructor({ getSettings, sendMessage }) {
+        this.getSettings = getSettings;
+        this.sendMessage = sendMessage;
+        this.sessions = new Map(); // sessionId -> { queue, sentAt, timer, sending, history }
+    }
+
+    getOptions() {
+        const settings = this.getSettings() || {};
+        const number = (value, defaultValue) => Number.isFinite(Number(value)) && value !== '' && value !== null ? Number(value) : defaultValue;
+
+        return {
+            enabled: settings.enabled === true,
+            dryRun: settings.dryRun === true,
+            minInterval: number(settings.minInterval, 3) * 1000,
+            maxPerMinute: number(settings.maxPerMinute, 10),
+            maxQueue: number(settings.maxQueue, 10),
+            templates: { ...DEFAULT_TEMPLATES, ...(settings.templates || {}) }
+        };
+    }
+
+    getSession(sessionId) {
+        let session = this.sessions.get(sessionId);
+        if (!session) {
+            session = { queue: [], sentAt: [], timer: null, sending: false, history: [] };
+            this.sessions.set(sessionId, session);
+        }
+        return session;
+    }
+
+    // Announce a game event if there is a template for it
+    announceGameEvent(sessionId, details, game = null, gameName = null) {
+        const options = this.getOptions();
+        if (!options.enabled) {
+            return null;
+        }
+
+        const template = options.templates[details.subtype] ?? options.templates[details.action];
+        if (!template) {
+            return null;
+        }
+
+        const text = renderTemplate(template, buildVariables(details, game, gameName));
+        if (!text) {
+            return null;
+        }
+        return this.enqueue(sessionId, text, details.subtype);
+    }
+
+    // Queue a message; messages of a session go out one by one, spaced by the throttle
+    enqueue(sessionId, text, source = 'manual') {
+        const options = this.getOptions();
+        const session = this.getSession(sessionId);
+
+        const message = {
+            text: text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : text,
+            source,
+            queuedAt: new Date()
+        };
+
+        session.queue.push(message);
+        while (session.queue.length > options.maxQueue) {
+            const dropped = session.queue.shift();
+            this.record(session, dropped, 'dropped');
+            console.log(`🔇 Session ${sessionId}: announcement queue full, dropped "${dropped.text}"`);
+        }
+
+        this.schedule(sessionId, session);
+        return message;
+    }
+
+    schedule(sessionId, session) {
+        if (session.timer || session.sending || session.queue.length === 0) {
+            return;
+        }
+
+        const delay = this.getDelay(session, this.getOptions());
+        session.timer = setTimeout(() => {
+            session.timer = null;
+            this.sendNext(sessionId, session);
+        }, delay);
+    }
+
+    // Time until the next message may go out: minInterval after the last one and at
+    // most maxPerMinute within any minute
+    getDelay(session, options) {
+        const now = Date.now();
+        session.sentAt = session.sentAt.filter(time => now - time < 60000);
+
+        let readyAt = now;
+        const last = session.sentAt[session.sentAt.length - 1];
+        if (last) {
+            readyAt = Math.max(readyAt, last + options.minInterval);
+        }
+        if (options.maxPerMinute > 0 && session.sentAt.length >= options.maxPerMinute) {
+            readyAt = Math.max(readyAt, session.sentAt[session.sentAt.length - options.maxPerMinute] + 60000);
+        }
+
+        return readyAt - now;
+    }
+
+    async sendNext(sessionId, session) {
+        const message = session.queue.shift();
+        if (!message) {
+            return;
+        }
+
+        const options = this.getOptions();
+        session.sending = true;
+        session.sentAt.push(Date.now());
+
+        try {
+            if (options.dryRun) {
+                console.log(`💬 [dry run] Session ${sessionId}: ${message.text}`);
+                this.record(session, message, 'dry_run');
+            } else {
+                await this.sendMessage(sessionId, message.text);
+                console.log(`💬 Session ${sessionId}: sent "${message.text}"`);
+                this.record(session, message, 'sent');
+            }
+        } catch (error) {
+            console.error(`❌ Session ${sessionId}: failed to send announcement "${message.text}":`, error.message);
+            this.record(session, message, 'failed', error.message);
+        } finally {
+            session.sending = false;
+            if (this.sessions.get(sessionId) === session) {
+                this.schedule(sessionId, session);
+            }
+        }
+    }
+
+    record(session, message, status, error = null) {
+        session.history.push({ ...message, status, error, at: new Date() });
+        if (session.history.length > HISTORY_LIMIT) {
+            session.history.shift();
+        }
+    }
+
+    getStatus(sessionId) {
+        const session = this.sessions.get(sessionId);
+        const options = this.getOptions();
+
+        return {
+            enabled: options.enabled,
+            dryRun: options.dryRun,
+            queued: session ? session.queue.map(message => message.text) : [],
+            history: session ? session.history : []
+        };
+    }
+
+    // Drop the queue of an ended session
+    clearSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (session) {
+            clearTimeout(session.timer);
+            this.sessions.delete(sessionId);
+        }
+    }
+}
+
+function displayName(value) {
+    if (!value) {
+        return null;
+    }
+    if (typeof value !== 'object') {
+        return String(value);
+    }
+    return value.username || value.nickname || value.text || value.name || null;
+}
+
+function buildVariables(details, game, gameName) {
+    const variables = {};
+
+    if (game) {
+        variables.keyword = game.keyword ?? game.attackKeyword;
+        variables.boss = game.boss?.name;
+        variables.question = game.question;
+        variables.options = Array.isArray(game.options)
+            ? game.options.map(option => option.keyword && option.keyword !== option.text ? `${option.text} (${option.keyword})` : option.text).join(' / ')
+            : undefined;
+        variables.outcomes = Array.isArray(game.outcomes)
+            ? game.outcomes.map(outcome => `${outcome.id}: ${outcome.text}`).join(' / ')
+            : undefined;
+        variables.teams = game.teams?.left && game.teams?.right
+            ? `${game.teams.left.name} (${game.teams.left.keyword}) vs ${game.teams.right.name} (${game.teams.right.keyword})`
+            : undefined;
+        variables.entries = game.entries?.length ?? game.participants?.size ?? game.members?.size ?? game.votes?.size ?? game.bets?.size;
+        variables.winner = displayName(game.winner);
+        // Every winner of a multi-winner game, with their prize tier
+        variables.winners = Array.isArray(game.winners) && game.winners.length > 0
+            ? game.winners.map(winner => `@${displayName(winner)}${winner.prize ? ` (${winner.prize})` : ''}`).join(', ')
+            : undefined;
+        variables.votes = game.winner?.weightedVotes ?? game.winner?.voteCount;
+        variables.item = game.item;
+        variables.bid = game.winner?.total;
+        variables.pot = game.pot;
+        if (game.endTime) {
+            variables.seconds = Math.max(0, Math.ceil((new Date(game.endTime).getTime() - Date.now()) / 1000));
+        }
+    }
+
+    // Fields of the event itself take precedence over the game's state
+    for (const [name, value] of Object.entries(details)) {
+        if (value !== undefined && value !== null) {
+            variables[name] = value;
+        }
+    }
+    variables.game = gameName || details.game;
+
+    if (details.winner) {
+        variables.winner = displayName(details.winner);
+    }
+
+    return variables;
+}
+
+// Returns null when a placeholder has no value
+function renderTemplate(template, variables) {
+    let complete = true;
+    const text = String(template).replace(/\{(\w+)\}/g, (match, name) => {
+        const value = variables[name];
+        if (value === undefined || value === null || typeof value === 'object') {
+            complete = false;
+            return '';
+        }
+        return String(value);
+    }).trim();
+
+    return complete ? text : null;
+}
+
+module.exports = { ChatAnnouncer, DEFAULT_TEMPLATES, renderTemplate };
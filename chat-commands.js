@@ -0,0 +1,266 @@
+// Chat command router: "!command args" messages are matched here before a message
+// reaches the active game's keyword handling.
+//
+// Commands come from three places:
+//   built-in  - registered in code (!points, !top, !commands)
+//   games     - the `commands` of a game module, only while that game runs in the session
+//   custom    - settings.commands.custom, answered with a (templated) response
+//
+// Every command can have aliases, a cooldown per session (cooldown) and per viewer
+// (userCooldown), both in seconds, and a permission level. Levels are ranked, a
+// higher level passes the checks of the lower ones:
+//   everyone < fanclub (fan club level >= fanClubLevel) < subscriber < moderator < streamer
+// Viewer levels come from the badges and userIdentity of the chat message (see
+// user-attributes.js).
+//
+//   commands: {
+//       prefix: '!',
+//       cooldown: 5,            // default cooldowns of custom commands
+//       userCooldown: 30,
+//       overrides: { top: { aliases: ['leaderboard'], userCooldown: 60 } },  // built-in and game commands
+//       custom: [{ name: 'discord', aliases: ['dc'], response: 'Join us: ...', permission: 'everyone' }]
+//   }
+//
+// Custom responses are templates: {username}, {nickname}, {command}, {args} (everything
+// after the command) and {arg1}, {arg2}... A response whose placeholders can't all be
+// filled is not sent.
+const { renderTemplate } = require('./chat-announcer');
+
+const PERMISSIONS = ['everyone', 'fanclub', 'subscriber', 'moderator', 'streamer'];
+
+const DEFAULT_SETTINGS = {
+    prefix: '!',
+    cooldown: 5,
+    userCooldown: 30
+};
+
+// Command fields that settings.commands.overrides may change
+const OVERRIDABLE = ['aliases', 'permission', 'fanClubLevel', 'cooldown', 'userCooldown', 'enabled'];
+
+class ChatCommands {
+    // getSettings: () => commands settings, emitEvent: (sessionId, action, details) => void
+    constructor({ getSettings = () => null, emitEvent = () => {} } = {}) {
+        this.getSettings = getSettings;
+        this.emitEvent = emitEvent;
+        this.builtIn = []; // Commands registered in code
+        this.sessions = new Map(); // sessionId -> Map("command" or "command:username" -> last use)
+    }
+
+    getOptions() {
+        const settings = this.getSettings() || {};
+        const seconds = (value, defaultValue) => Number.isFinite(Number(value)) && value !== '' && value !== null ? Math.max(0, Number(value)) : defaultValue;
+
+        return {
+            prefix: typeof settings.prefix === 'string' && settings.prefix.trim() ? settings.prefix.trim() : DEFAULT_SETTINGS.prefix,
+            cooldown: seconds(settings.cooldown, DEFAULT_SETTINGS.cooldown),
+            userCooldown: seconds(settings.userCooldown, DEFAULT_SETTINGS.userCooldown),
+            overrides: settings.overrides && typeof settings.overrides === 'object' ? settings.overrides : {},
+            custom: Array.isArray(settings.custom) ? settings.custom : []
+        };
+    }
+
+    // Add a command handled in code. handle(sessionId, context) gets the parsed command
+    // ({ command, args, argText, userId, username, streamer, message, userProfile, level })
+    // and may return a promise. isAvailable(sessionId) limits it to some sessions,
+    // allow(sessionId, context) lets in viewers below the permission level and
+    // onRefused(sessionId, context, status) hears about denied and cooling down uses.
+    register({ name, aliases = [], description = null, usage = null, permission = 'everyone', fanClubLevel = 1,
+        cooldown = 0, userCooldown = 0, source = 'builtin', isAvailable = () => true, allow = null, onRefused = null, handle }) {
+        if (!name || typeof handle !== 'function') {
+            throw new Error('A chat command needs a name and a handle function');
+        }
+
+        const command = { name: name.toLowerCase(), aliases: commandNames(aliases), description, usage,
+            permission, fanClubLevel, cooldown, userCooldown, source, isAvailable, allow, onRefused, handle };
+        this.builtIn.push(command);
+        return command;
+    }
+
+    // Built-in commands with their overrides, then the valid custom commands
+    list() {
+        const options = this.getOptions();
+        const builtIn = this.builtIn.map(command => {
+            const override = options.overrides[command.name] || {};
+            const merged = {
+                ...command,
+                ...Object.fromEntries(OVERRIDABLE.filter(key => override[key] !== undefined).map(key => [key, override[key]]))
+            };
+            return { ...merged, aliases: commandNames(merged.aliases) };
+        });
+
+        const custom = options.custom
+            .filter(command => command && typeof command.name === 'string' && command.name.trim() && typeof command.response === 'string')
+            .map(command => ({
+                name: command.name.trim().replace(/^!/, '').toLowerCase(),
+                aliases: commandNames(command.aliases),
+                description: command.description || null,
+                usage: command.usage || null,
+                permission: command.permission || 'everyone',
+                fanClubLevel: command.fanClubLevel ?? 1,
+                cooldown: command.cooldown ?? options.cooldown,
+                userCooldown: command.userCooldown ?? options.userCooldown,
+                enabled: command.enabled,
+                source: 'custom',
+                response: command.response
+            }))
+            // Built-in and game command names can't be taken by custom commands
+            .filter(command => !this.builtIn.some(builtIn => builtIn.name === command.name));
+
+        return [...builtIn, ...custom].filter(command => command.enabled !== false);
+    }
+
+    // { name, args, argText } of a message starting with the prefix, null for other messages
+    parse(message) {
+        const { prefix } = this.getOptions();
+        const text = String(message || '').trim();
+        if (!text.startsWith(prefix)) {
+            return null;
+        }
+
+        const [name, ...args] = text.slice(prefix.length).trim().split(/\s+/);
+        if (!name) {
+            return null;
+        }
+        return { name: name.toLowerCase(), args, argText: args.join(' ') };
+    }
+
+    // The command a name or alias stands for in a session. Built-in and game commands
+    // come first, a custom command can't replace them.
+    find(sessionId, name) {
+        return this.list().find(command =>
+            (command.name === name || command.aliases.includes(name)) && (!command.isAvailable || command.isAvailable(sessionId))
+        ) || null;
+    }
+
+    // Route a chat message. Returns null when it isn't a known command, otherwise
+    // { command, status: 'ok' | 'denied' | 'cooldown', result }.
+    handle(sessionId, { userId, username, streamer = null, message, userProfile = null }) {
+        const parsed = this.parse(message);
+        const command = parsed && username ? this.find(sessionId, parsed.name) : null;
+        if (!command) {
+            return null;
+        }
+
+        const context = {
+            command: command.name,
+            alias: parsed.name,
+            args: parsed.args,
+            argText: parsed.argText,
+            userId: userId || null,
+            username,
+            streamer,
+            message,
+            userProfile,
+            level: viewerLevel(userProfile)
+        };
+
+        if (!mayUse(sessionId, command, context)) {
+            console.log(`🚫 ${username} may not use !${command.name} (needs ${command.permission})`);
+            command.onRefused?.(sessionId, context, 'denied');
+            return { command: command.name, status: 'denied' };
+        }
+
+        const now = Date.now();
+        const uses = this.getSession(sessionId);
+        const userKey = `${command.name}:${username}`;
+        if (now - (uses.get(command.name) || 0) < command.cooldown * 1000 || now - (uses.get(userKey) || 0) < command.userCooldown * 1000) {
+            command.onRefused?.(sessionId, context, 'cooldown');
+            return { command: command.name, status: 'cooldown' };
+        }
+        uses.set(command.name, now);
+        uses.set(userKey, now);
+
+        const result = command.source === 'custom' ? this.respond(sessionId, command, context) : command.handle(sessionId, context);
+        if (result && typeof result.catch === 'function') {
+            result.catch(error => {
+                console.error(`❌ Chat command !${command.name} of ${username} failed:`, error.message);
+            });
+        }
+
+        return { command: command.name, status: 'ok', result };
+    }
+
+    // Answer a custom command with its response template ('command' response event)
+    respond(sessionId, command, context) {
+        const variables = {
+            username: context.username,
+            nickname: context.userProfile?.nickname || context.username,
+            command: command.name,
+            args: context.argText || undefined,
+            ...Object.fromEntries(context.args.map((arg, index) => [`arg${index + 1}`, arg]))
+        };
+
+        const response = renderTemplate(command.response, variables);
+        if (!response) {
+            return null;
+        }
+
+        this.emitEvent(sessionId, 'response', { command: command.name, userId: context.userId, username: context.username, response });
+        return response;
+    }
+
+    // Names of the commands a viewer ({ username, streamer, userProfile }) may use in a session, for !commands
+    available(sessionId, viewer = {}) {
+        const { prefix } = this.getOptions();
+        const context = { ...viewer, level: viewerLevel(viewer.userProfile) };
+
+        return this.list()
+            .filter(command => (!command.isAvailable || command.isAvailable(sessionId)) && mayUse(sessionId, command, context))
+            .map(command => `${prefix}${command.name}`);
+    }
+
+    getSession(sessionId) {
+        let uses = this.sessions.get(sessionId);
+        if (!uses) {
+            uses = new Map();
+            this.sessions.set(sessionId, uses);
+        }
+        return uses;
+    }
+
+    // Forget the cooldowns of an ended session
+    clearSession(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+}
+
+// Command names and aliases are matched without the prefix and case
+function commandNames(names) {
+    return Array.isArray(names) ? names.map(name => String(name).trim().replace(/^!/, '').toLowerCase()).filter(Boolean) : [];
+}
+
+// Highest permission level of a viewer
+function viewerLevel(userProfile) {
+    if (userProfile?.isAnchor) {
+        return 'streamer';
+    }
+    if (userProfile?.isModerator) {
+        return 'moderator';
+    }
+    if (userProfile?.isSubscriber) {
+        return 'subscriber';
+    }
+    return userProfile?.fanClubLevel > 0 ? 'fanclub' : 'everyone';
+}
+
+// The viewer's level is high enough, or the command lets them in anyway
+function mayUse(sessionId, command, context) {
+    return hasPermission(command, context.level, context.userProfile) || !!command.allow?.(sessionId, context);
+}
+
+function hasPermission(command, level, userProfile) {
+    const required = PERMISSIONS.indexOf(command.permission);
+    const rank = PERMISSIONS.indexOf(level);
+
+    // Unknown levels are left to the streamer alone
+    if (required < 0) {
+        return rank === PERMISSIONS.indexOf('streamer');
+    }
+    // Fan club members below the required club level don't pass 'fanclub'
+    if (command.permission === 'fanclub' && level === 'fanclub') {
+        return (userProfile?.fanClubLevel || 0) >= (Number(command.fanClubLevel) || 1);
+    }
+    return rank >= required;
+}
+
+module.exports = { ChatCommands, PERMISSIONS };
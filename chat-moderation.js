@@ -0,0 +1,386 @@
+// Chat moderation: every chat message passes check() before it's stored and offered to
+// the games. A flagged message is still stored and shown, but its flags are written to
+// events.moderation_flags and it is kept out of the games.
+//
+// Flags:
+//   banned          - the viewer is on the streamer's game ban list (game_bans, managed through the API)
+//   short_username  - the username is shorter than chat.minUsernameLength
+//   blocked_word    - a word or phrase of chat.blockedWords, also written in leetspeak ("1d10t", "i d i o t")
+//   blocked_pattern - the message matches a regular expression of chat.blockedPatterns (case insensitive,
+//                     checked by validateSettings when the settings are saved)
+//   flood           - more than flood.messages messages of the viewer within flood.seconds
+//   duplicate       - the same message for the duplicates.count-th time within duplicates.seconds
+//
+// flood and duplicate are spam flags: games played by repeating a message (modules with
+// chatSpam, like the race) still take those messages. chat.entryCooldown is the time a
+// viewer waits between two accepted entries, also only in games without chatSpam.
+// chat.filteringEnabled: false turns the automatic filters off, and moderators and the
+// streamer are never filtered. The ban list always applies, to chat messages,
+// commands and (GamingSystem.dispatch) the gifts, likes and follows offered to the games.
+//
+//   chat: {
+//       filteringEnabled: true,
+//       minUsernameLength: 3,
+//       entryCooldown: 5,
+//       blockedWords: ['buy followers'],
+//       blockedPatterns: ['https?://'],
+//       flood: { messages: 6, seconds: 10 },
+//       duplicates: { count: 3, seconds: 60 }
+//   }
+const { normalizeStreamer } = require('./api-auth');
+
+const DEFAULT_SETTINGS = {
+    minUsernameLength: 3,
+    entryCooldown: 5,
+    flood: { messages: 6, seconds: 10 },
+    duplicates: { count: 3, seconds: 60 }
+};
+
+const FLAGS = ['banned', 'short_username', 'blocked_word', 'blocked_pattern', 'flood', 'duplicate'];
+
+// Flags that don't keep a message out of games played by repeating a message
+const SPAM_FLAGS = ['flood', 'duplicate'];
+
+// Characters read as letters in leetspeak
+const LEET = { '0': 'o', '1': 'i', '2': 'z', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't', '8': 'b', '9': 'g', '@': 'a', '$': 's', '€': 'e' };
+
+const RECENT_LIMIT = 50; // Messages remembered per viewer for the duplicate check
+
+// Blocked patterns run on every chat message: their length and the text they see are
+// capped, and nested quantifiers ("(a+)+") are refused, so a pattern can't backtrack
+// for long enough to hold the event loop
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_INPUT = 300; // Characters of a message the patterns are run against
+
+class ChatModeration {
+    // getSettings: () => chat settings
+    constructor(db, { getSettings = () => null } = {}) {
+        this.db = db;
+        this.getSettings = getSettings;
+        this.bans = new Map(); // streamer -> Map(username -> { username, reason, bannedBy, bannedAt })
+        this.sessions = new Map(); // sessionId -> Map(username -> { messages, recent, lastEntry })
+        this.blocklists = null; // Compiled blockedWords and blockedPatterns, with the settings they came from
+    }
+
+    // Load the ban lists of every streamer (kept in memory, check() is synchronous)
+    async load() {
+        if (!this.db) {
+            return;
+        }
+
+        try {
+            const rows = await this.db.getGameBans();
+            this.bans = new Map();
+            for (const row of rows) {
+                this.getBanList(row.streamer_username).set(row.username, { username: row.username, reason: row.reason, bannedBy: row.banned_by, bannedAt: row.banned_at });
+            }
+        } catch (error) {
+            console.error('🚷 Error loading game ban lists:', error);
+        }
+    }
+
+    getOptions() {
+        const settings = this.getSettings() || {};
+        const number = (value, defaultValue) => value !== '' && value !== null && Number.isFinite(Number(value)) ? Math.max(0, Number(value)) : defaultValue;
+        const flood = settings.flood || {};
+        const duplicates = settings.duplicates || {};
+
+        return {
+            filteringEnabled: settings.filteringEnabled !== false,
+            minUsernameLength: number(settings.minUsernameLength, DEFAULT_SETTINGS.minUsernameLength),
+            entryCooldown: number(settings.entryCooldown, DEFAULT_SETTINGS.entryCooldown),
+            flood: {
+                messages: number(flood.messages, DEFAULT_SETTINGS.flood.messages),
+                seconds: number(flood.seconds, DEFAULT_SETTINGS.flood.seconds)
+            },
+            duplicates: {
+                count: number(duplicates.count, DEFAULT_SETTINGS.duplicates.count),
+                seconds: number(duplicates.seconds, DEFAULT_SETTINGS.duplicates.seconds)
+            },
+            ...this.compile(settings.blockedWords, settings.blockedPatterns)
+        };
+    }
+
+    // Blocked words as patterns over the normalized message, recompiled when the settings change
+    compile(blockedWords, blockedPatterns) {
+        const key = JSON.stringify([blockedWords || [], blockedPatterns || []]);
+        if (this.blocklists?.key === key) {
+            return this.blocklists;
+        }
+
+        const words = [...new Set((Array.isArray(blockedWords) ? blockedWords : []).map(word => letters(word)).filter(Boolean))]
+            .map(word => ({
+                word,
+                // Every letter may be repeated ("stuuupid")
+                pattern: new RegExp(`(?:^| )${word.split('').map(char => char === ' ' ? ' ' : `${char}+`).join('')}(?= |$)`)
+            }));
+
+        const patterns = [];
+        for (const source of Array.isArray(blockedPatterns) ? blockedPatterns : []) {
+            const error = patternError(source);
+            if (error) {
+                console.warn(`🚷 Ignoring blocked pattern /${source}/: ${error}`);
+            } else {
+                patterns.push(new RegExp(String(source), 'i'));
+            }
+        }
+
+        this.blocklists = { key, words, patterns };
+        return this.blocklists;
+    }
+
+    // Flags of a chat message ({ streamer, username, message, userProfile }): null when it
+    // passed, otherwise { flags, reasons }. Flood and duplicate counts include every message.
+    check(sessionId, { streamer = null, username, message, userProfile = null }, now = Date.now()) {
+        const options = this.getOptions();
+        const flags = [];
+        const reasons = [];
+        const flag = (name, reason) => {
+            flags.push(name);
+            reasons.push(reason);
+        };
+
+        const ban = this.getBan(streamer, username);
+        if (ban) {
+            flag('banned', ban.reason ? `banned from the games: ${ban.reason}` : 'banned from the games');
+        }
+
+        if (options.filteringEnabled && username && !userProfile?.isModerator && !userProfile?.isAnchor) {
+            if (username.length < options.minUsernameLength) {
+                flag('short_username', `username is shorter than ${options.minUsernameLength} characters`);
+            }
+
+            const text = String(message || '');
+            const forms = [letters(text), letters(text, true)];
+            const word = options.words.find(({ pattern }) => forms.some(form => pattern.test(form)));
+            if (word) {
+                flag('blocked_word', `contains "${word.word}"`);
+            }
+
+            const pattern = options.patterns.find(pattern => pattern.test(text.slice(0, MAX_PATTERN_INPUT)));
+            if (pattern) {
+                flag('blocked_pattern', `matches /${pattern.source}/`);
+            }
+
+            const viewer = this.getViewer(sessionId, username);
+
+            viewer.messages = viewer.messages.filter(time => now - time < options.flood.seconds * 1000);
+            viewer.messages.push(now);
+            if (options.flood.messages > 0 && viewer.messages.length > options.flood.messages) {
+                flag('flood', `${viewer.messages.length} messages in ${options.flood.seconds} seconds`);
+            }
+
+            const repeated = forms[1] || text.trim().toLowerCase();
+            viewer.recent = viewer.recent.filter(recent => now - recent.time < options.duplicates.seconds * 1000).slice(-RECENT_LIMIT + 1);
+            viewer.recent.push({ text: repeated, time: now });
+            const count = viewer.recent.filter(recent => recent.text === repeated).length;
+            if (options.duplicates.count > 0 && count >= options.duplicates.count) {
+                flag('duplicate', `sent ${count} times in ${options.duplicates.seconds} seconds`);
+            }
+        }
+
+        return flags.length > 0 ? { flags, reasons } : null;
+    }
+
+    // Problem of saved chat settings: null, or a message naming the first unusable blocked pattern
+    validateSettings(settings) {
+        const blockedPatterns = settings?.blockedPatterns;
+        if (blockedPatterns === undefined || blockedPatterns === null) {
+            return null;
+        }
+        if (!Array.isArray(blockedPatterns)) {
+            return 'chat.blockedPatterns must be a list of regular expressions';
+        }
+
+        for (const source of blockedPatterns) {
+            const error = patternError(source);
+            if (error) {
+                return `chat.blockedPatterns: /${source}/ ${error}`;
+            }
+        }
+        return null;
+    }
+
+    // Flags other than spam keep a message away from the command router too
+    blocksCommands(moderation) {
+        return !!moderation?.flags.some(flag => !SPAM_FLAGS.includes(flag));
+    }
+
+    // Whether a flagged message is kept out of a game module
+    keepsOut(moderation, module) {
+        return !!moderation?.flags.some(flag => !SPAM_FLAGS.includes(flag) || !module?.chatSpam);
+    }
+
+    // The viewer's last accepted entry was less than chat.entryCooldown seconds ago
+    onEntryCooldown(sessionId, username, now = Date.now()) {
+        const lastEntry = this.sessions.get(sessionId)?.get(username)?.lastEntry;
+        return typeof lastEntry === 'number' && now - lastEntry < this.getOptions().entryCooldown * 1000;
+    }
+
+    markEntry(sessionId, username, now = Date.now()) {
+        if (username) {
+            this.getViewer(sessionId, username).lastEntry = now;
+        }
+    }
+
+    getViewer(sessionId, username) {
+        let viewers = this.sessions.get(sessionId);
+        if (!viewers) {
+            viewers = new Map();
+            this.sessions.set(sessionId, viewers);
+        }
+
+        let viewer = viewers.get(username);
+        if (!viewer) {
+            viewer = { messages: [], recent: [], lastEntry: null };
+            viewers.set(username, viewer);
+        }
+        return viewer;
+    }
+
+    // Forget the flood, duplicate and cooldown state of an ended session
+    clearSession(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+
+    // Flagged chat messages of a streamer, newest first. Returns { error } or { messages }.
+    async getFlagged(streamer, { sessionId = null, flag = null, limit = 100 } = {}) {
+        if (flag && !FLAGS.includes(flag)) {
+            return { error: `flag must be one of ${FLAGS.join(', ')}` };
+        }
+        if (!this.db) {
+            return { messages: [] };
+        }
+
+        const rows = await this.db.getFlaggedEvents({ streamer: normalizeStreamer(streamer), sessionId, flag, limit });
+        return {
+            messages: rows.map(row => ({
+                id: row.id,
+                sessionId: row.session_id,
+                userId: row.user_id,
+                username: row.username,
+                message: row.message,
+                timestamp: row.timestamp,
+                flags: row.moderation_flags.split(','),
+                reasons: row.moderation?.reasons || []
+            }))
+        };
+    }
+
+    // Game ban list
+
+    getBanList(streamer) {
+        let bans = this.bans.get(streamer);
+        if (!bans) {
+            bans = new Map();
+            this.bans.set(streamer, bans);
+        }
+        return bans;
+    }
+
+    getBan(streamer, username) {
+        if (!streamer || !username) {
+            return null;
+        }
+        return this.bans.get(normalizeStreamer(streamer))?.get(normalizeStreamer(username)) || null;
+    }
+
+    getBans(streamer) {
+        return Array.from(this.bans.get(normalizeStreamer(streamer))?.values() || []);
+    }
+
+    // Ban a viewer from a streamer's games, returns false when they were banned already
+    async ban(streamer, username, reason = null, bannedBy = null) {
+        const key = normalizeStreamer(streamer);
+        const name = normalizeStreamer(username);
+        const bans = this.getBanList(key);
+        if (bans.has(name)) {
+            return false;
+        }
+
+        const by = bannedBy && typeof bannedBy === 'object' ? JSON.stringify(bannedBy) : bannedBy;
+        if (this.db) {
+            await this.db.addGameBan(key, name, reason, by);
+        }
+        bans.set(name, { username: name, reason, bannedBy: by, bannedAt: new Date().toISOString() });
+        console.log(`🚷 ${name} is banned from the games of ${key}${reason ? ` (${reason})` : ''}`);
+        return true;
+    }
+
+    // Lift a ban, returns false when the viewer wasn't banned
+    async unban(streamer, username) {
+        const key = normalizeStreamer(streamer);
+        const name = normalizeStreamer(username);
+        if (!this.bans.get(key)?.has(name)) {
+            return false;
+        }
+
+        if (this.db) {
+            await this.db.removeGameBan(key, name);
+        }
+        this.bans.get(key).delete(name);
+        console.log(`🚷 ${name} may play the games of ${key} again`);
+        return true;
+    }
+}
+
+// Why a blocked pattern can't be used, null when it can
+function patternError(source) {
+    const text = String(source);
+    if (text.length > MAX_PATTERN_LENGTH) {
+        return `is longer than ${MAX_PATTERN_LENGTH} characters`;
+    }
+    try {
+        new RegExp(text, 'i');
+    } catch (error) {
+        return error.message;
+    }
+    return hasNestedQuantifier(text) ? 'repeats a group that repeats itself (nested quantifier)' : null;
+}
+
+// Whether a group holding a quantifier (+, * or {n,}) is quantified again, like
+// "(a+)+" or "(\w*x)*" - the shape of patterns that backtrack catastrophically
+function hasNestedQuantifier(source) {
+    const groups = []; // Whether each open group holds a quantifier
+    let inClass = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\\') {
+            i++;
+        } else if (inClass) {
+            inClass = char !== ']';
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')') {
+            const quantified = groups.pop();
+            if (quantified && /^[+*{]/.test(source.slice(i + 1))) {
+                return true;
+            }
+            if (quantified && groups.length > 0) {
+                groups[groups.length - 1] = true;
+            }
+        } else if ((char === '+' || char === '*' || char === '{') && groups.length > 0) {
+            groups[groups.length - 1] = true;
+        }
+    }
+    return false;
+}
+
+// Lowercase letters of a text without accents, other characters become single spaces.
+// With leet, digits and symbols that stand for letters are read as those letters.
+// Runs of single letters are joined ("i d i o t" -> "idiot").
+function letters(text, leet = false) {
+    let result = String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    if (leet) {
+        result = result.replace(/[0-9@$€]/g, char => LEET[char]);
+    }
+    return result
+        .replace(/[^a-z]+/g, ' ')
+        .trim()
+        .replace(/\b([a-z]) (?=[a-z]\b)/g, '$1');
+}
+
+module.exports = ChatModeration;
@@ -1,6 +1,12 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
+// Lifetime (viewers) and per-session (viewer_sessions) activity counts of a viewer
+const VIEWER_COUNTS = ['join_count', 'chat_count', 'like_count', 'gift_count', 'diamond_count', 'follow_count', 'share_count', 'subscribe_count'];
+
+// Counts of the leaderboard_stats aggregates, the metrics a leaderboard ranks by
+const LEADERBOARD_COUNTS = ['diamond_count', 'gift_count', 'chat_count', 'like_count', 'share_count'];
+
 class Database {
     constructor() {
         this.db = new sqlite3.Database(path.join(__dirname, 'tiktok_sessions.db'));
@@ -55,6 +61,7 @@ class Database {
                 timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
                 raw_data TEXT,
                 processed_data TEXT,
+                moderation_flags TEXT,
                 FOREIGN KEY (session_id) REFERENCES sessions (id)
             )`);
 
@@ -77,6 +84,209 @@ class Database {
                 total_events_captured INTEGER DEFAULT 0
             )`);
 
+            // Games table (current state of every game, restored after restarts)
+            this.db.run(`CREATE TABLE IF NOT EXISTS games (
+                id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                game_type TEXT NOT NULL,
+                status TEXT,
+                state TEXT NOT NULL,
+                start_time DATETIME,
+                end_time DATETIME,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            // Game entries table (every accepted entry, vote, request... as it happens)
+            this.db.run(`CREATE TABLE IF NOT EXISTS game_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                game_id TEXT NOT NULL,
+                session_id TEXT NOT NULL,
+                action TEXT NOT NULL,
+                user_id TEXT,
+                username TEXT,
+                data TEXT,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (game_id) REFERENCES games (id)
+            )`);
+
+            // Game results table (game history)
+            this.db.run(`CREATE TABLE IF NOT EXISTS game_results (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                game_id TEXT NOT NULL,
+                session_id TEXT NOT NULL,
+                game_type TEXT NOT NULL,
+                winner TEXT,
+                result TEXT NOT NULL,
+                start_time DATETIME,
+                ended_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (game_id) REFERENCES games (id)
+            )`);
+
+            // Game draws table (seed, entry snapshot and result of every winner draw)
+            this.db.run(`CREATE TABLE IF NOT EXISTS game_draws (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                game_id TEXT NOT NULL,
+                session_id TEXT NOT NULL,
+                game_type TEXT NOT NULL,
+                label TEXT NOT NULL,
+                seed_hash TEXT NOT NULL,
+                seed TEXT NOT NULL,
+                entries TEXT NOT NULL,
+                result TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (game_id) REFERENCES games (id)
+            )`);
+
+            // Seed committed for the next re-roll of a game (only its hash is on the game until the re-roll)
+            this.db.run(`CREATE TABLE IF NOT EXISTS reroll_seeds (
+                game_id TEXT PRIMARY KEY,
+                seed_hash TEXT NOT NULL,
+                seed TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            // Trivia question banks (imported as JSON or CSV through the settings API)
+            this.db.run(`CREATE TABLE IF NOT EXISTS trivia_banks (
+                name TEXT PRIMARY KEY,
+                questions TEXT NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            // Viewers seen in a streamer's lives: latest profile and lifetime counts
+            this.db.run(`CREATE TABLE IF NOT EXISTS viewers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                streamer_username TEXT NOT NULL,
+                username TEXT NOT NULL,
+                user_id TEXT,
+                nickname TEXT,
+                avatar TEXT,
+                verified INTEGER,
+                badges TEXT,
+                pay_grade TEXT,
+                follower_count INTEGER,
+                first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_session_id TEXT,
+                ${VIEWER_COUNTS.map(column => `${column} INTEGER DEFAULT 0`).join(',\n                ')},
+                UNIQUE (streamer_username, username)
+            )`);
+
+            // What each viewer did in each session
+            this.db.run(`CREATE TABLE IF NOT EXISTS viewer_sessions (
+                session_id TEXT NOT NULL,
+                viewer_id INTEGER NOT NULL,
+                first_seen DATETIME,
+                last_seen DATETIME,
+                event_count INTEGER DEFAULT 0,
+                ${VIEWER_COUNTS.map(column => `${column} INTEGER DEFAULT 0`).join(',\n                ')},
+                PRIMARY KEY (session_id, viewer_id),
+                FOREIGN KEY (viewer_id) REFERENCES viewers (id)
+            )`);
+
+            // Every username (uniqueId) a user id was seen with
+            this.db.run(`CREATE TABLE IF NOT EXISTS viewer_usernames (
+                user_id TEXT NOT NULL,
+                username TEXT NOT NULL,
+                first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, username)
+            )`);
+
+            // Loyalty points: every change of a viewer's balance is a row, balance_after
+            // is the balance once the row is applied
+            this.db.run(`CREATE TABLE IF NOT EXISTS points_ledger (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                viewer_id INTEGER NOT NULL,
+                streamer_username TEXT NOT NULL,
+                amount INTEGER NOT NULL,
+                balance_after INTEGER NOT NULL,
+                reason TEXT NOT NULL,
+                session_id TEXT,
+                details TEXT,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (viewer_id) REFERENCES viewers (id)
+            )`);
+
+            // Balances of the former viewer_points table become opening ledger rows
+            this.db.run(`INSERT OR IGNORE INTO viewers (streamer_username, username, user_id, first_seen, last_seen)
+                         SELECT streamer_username, username, user_id, created_at, updated_at FROM viewer_points`, (err) => {
+                if (err) {
+                    return; // Nothing to migrate
+                }
+                this.db.run(`INSERT INTO points_ledger (viewer_id, streamer_username, amount, balance_after, reason)
+                             SELECT v.id, p.streamer_username, p.balance, p.balance, 'migrated'
+                             FROM viewer_points p JOIN viewers v ON v.streamer_username = p.streamer_username AND v.username = p.username`, (err) => {
+                    if (!err) {
+                        this.db.run(`DROP TABLE viewer_points`);
+                    }
+                });
+            });
+
+            // Leaderboard aggregates: what each viewer did per streamer, session and (UTC) day,
+            // summed up from the events table. aggregate_cursors keeps the last event added.
+            this.db.run(`CREATE TABLE IF NOT EXISTS leaderboard_stats (
+                streamer_username TEXT NOT NULL,
+                session_id TEXT NOT NULL,
+                day TEXT NOT NULL,
+                username TEXT NOT NULL,
+                user_id TEXT,
+                ${LEADERBOARD_COUNTS.map(column => `${column} INTEGER DEFAULT 0`).join(',\n                ')},
+                PRIMARY KEY (streamer_username, session_id, day, username)
+            )`);
+
+            this.db.run(`CREATE TABLE IF NOT EXISTS aggregate_cursors (
+                name TEXT PRIMARY KEY,
+                last_event_id INTEGER NOT NULL DEFAULT 0
+            )`);
+
+            // Viewers a streamer lets use the moderator chat commands without a moderator badge
+            this.db.run(`CREATE TABLE IF NOT EXISTS moderator_allowlist (
+                streamer_username TEXT NOT NULL,
+                username TEXT NOT NULL,
+                added_by TEXT,
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (streamer_username, username)
+            )`);
+
+            // Audit log of the moderator chat commands (accepted, failed and denied)
+            this.db.run(`CREATE TABLE IF NOT EXISTS moderator_actions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT,
+                streamer_username TEXT,
+                username TEXT NOT NULL,
+                user_id TEXT,
+                command TEXT NOT NULL,
+                args TEXT,
+                status TEXT NOT NULL,
+                details TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            // Viewers a streamer keeps out of the games (their chat is still recorded)
+            this.db.run(`CREATE TABLE IF NOT EXISTS game_bans (
+                streamer_username TEXT NOT NULL,
+                username TEXT NOT NULL,
+                reason TEXT,
+                banned_by TEXT,
+                banned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (streamer_username, username)
+            )`);
+
+            // API keys table (only the SHA-256 hash of a key is stored)
+            this.db.run(`CREATE TABLE IF NOT EXISTS api_keys (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                key_hash TEXT NOT NULL UNIQUE,
+                key_prefix TEXT,
+                role TEXT NOT NULL,
+                streamers TEXT,
+                rate_limit INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME,
+                revoked_at DATETIME
+            )`);
+
             // Add new columns to existing sessions table (for backward compatibility)
             this.db.run(`ALTER TABLE sessions ADD COLUMN total_emotes INTEGER DEFAULT 0`, () => {});
             this.db.run(`ALTER TABLE sessions ADD COLUMN total_envelopes INTEGER DEFAULT 0`, () => {});
@@ -93,12 +303,30 @@ class Database {
             this.db.run(`ALTER TABLE sessions ADD COLUMN total_links INTEGER DEFAULT 0`, () => {});
             this.db.run(`ALTER TABLE sessions ADD COLUMN total_intros INTEGER DEFAULT 0`, () => {});
             this.db.run(`ALTER TABLE sessions ADD COLUMN total_other INTEGER DEFAULT 0`, () => {});
+            this.db.run(`ALTER TABLE sessions ADD COLUMN end_reason TEXT`, () => {});
+            this.db.run(`ALTER TABLE events ADD COLUMN moderation_flags TEXT`, () => {});
+
+            // Profile columns of viewers tables created before profiles were stored
+            ['avatar TEXT', 'verified INTEGER', 'badges TEXT', 'pay_grade TEXT', 'follower_count INTEGER', 'last_session_id TEXT',
+                ...VIEWER_COUNTS.map(column => `${column} INTEGER DEFAULT 0`)]
+                .forEach(column => this.db.run(`ALTER TABLE viewers ADD COLUMN ${column}`, () => {}));
 
             // Create indexes for better performance
             this.db.run(`CREATE INDEX IF NOT EXISTS idx_events_session_id ON events(session_id)`);
             this.db.run(`CREATE INDEX IF NOT EXISTS idx_events_type ON events(event_type)`);
             this.db.run(`CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp)`);
             this.db.run(`CREATE INDEX IF NOT EXISTS idx_sessions_username ON sessions(streamer_username)`);
+            this.db.run(`CREATE INDEX IF NOT EXISTS idx_games_status ON games(status)`);
+            this.db.run(`CREATE INDEX IF NOT EXISTS idx_game_entries_game_id ON game_entries(game_id)`);
+            this.db.run(`CREATE INDEX IF NOT EXISTS idx_game_results_session_id ON game_results(session_id)`);
+            this.db.run(`CREATE INDEX IF NOT EXISTS idx_game_draws_session_id ON game_draws(session_id)`);
+            this.db.run(`CREATE INDEX IF NOT EXISTS idx_points_ledger_viewer_id ON points_ledger(viewer_id)`);
+            this.db.run(`CREATE INDEX IF NOT EXISTS idx_viewers_user_id ON viewers(user_id)`);
+            this.db.run(`CREATE INDEX IF NOT EXISTS idx_events_user_id ON events(session_id, user_id)`);
+            this.db.run(`CREATE INDEX IF NOT EXISTS idx_leaderboard_stats_day ON leaderboard_stats(streamer_username, day)`);
+            this.db.run(`CREATE INDEX IF NOT EXISTS idx_leaderboard_stats_session ON leaderboard_stats(session_id)`);
+            this.db.run(`CREATE INDEX IF NOT EXISTS idx_moderator_actions_streamer ON moderator_actions(streamer_username)`);
+            this.db.run(`CREATE INDEX IF NOT EXISTS idx_events_moderation ON events(session_id) WHERE moderation_flags IS NOT NULL`);
         });
 
         console.log('📊 Database initialized successfully');
@@ -124,15 +352,31 @@ class Database {
         });
     }
 
-    endSession(sessionId) {
+    // Room of a session created before its connection was up
+    updateSessionRoom(sessionId, roomId, streamerInfo) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`UPDATE sessions SET room_id = ?, streamer_info = ? WHERE id = ?`,
+                [roomId, JSON.stringify(streamerInfo), sessionId], function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                });
+        });
+    }
+
+    // endReason: manual, stream_end, reconnect_failed, connect_failed or shutdown. connectionDetails: reconnect state and history
+    endSession(sessionId, endReason = 'manual', connectionDetails = null) {
         return new Promise((resolve, reject) => {
             const stmt = this.db.prepare(`
                 UPDATE sessions 
-                SET session_end = CURRENT_TIMESTAMP, status = 'ended'
+                SET session_end = CURRENT_TIMESTAMP, status = 'ended', end_reason = ?,
+                    connection_details = COALESCE(?, connection_details)
                 WHERE id = ?
             `);
             
-            stmt.run([sessionId], function(err) {
+            stmt.run([endReason, connectionDetails ? JSON.stringify(connectionDetails) : null, sessionId], function(err) {
                 if (err) {
                     reject(err);
                 } else {
@@ -148,8 +392,8 @@ class Database {
     addEvent(sessionId, eventType, eventData) {
         return new Promise((resolve, reject) => {
             const stmt = this.db.prepare(`
-                INSERT INTO events (session_id, event_type, event_subtype, user_id, username, message, raw_data, processed_data)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                INSERT INTO events (session_id, event_type, event_subtype, user_id, username, message, raw_data, processed_data, moderation_flags)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
             `);
             
             const processedData = {
@@ -166,7 +410,8 @@ class Database {
                 eventData.username || null,
                 eventData.message || null,
                 JSON.stringify(eventData.raw || {}),
-                JSON.stringify(processedData)
+                JSON.stringify(processedData),
+                eventData.moderation?.flags?.length ? eventData.moderation.flags.join(',') : null
             ], function(err) {
                 if (err) {
                     reject(err);
@@ -275,6 +520,9 @@ class Database {
                     if (row && row.streamer_info) {
                         row.streamer_info = JSON.parse(row.streamer_info);
                     }
+                    if (row && row.connection_details) {
+                        row.connection_details = JSON.parse(row.connection_details);
+                    }
                     resolve(row);
                 }
             });
@@ -468,6 +716,1107 @@ class Database {
         });
     }
 
+    // Game State Methods
+    saveGame(game, state) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT OR REPLACE INTO games (id, session_id, game_type, status, state, start_time, end_time, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    game.id,
+                    game.sessionId,
+                    game.type,
+                    game.status,
+                    state,
+                    game.startTime ? new Date(game.startTime).toISOString() : null,
+                    game.endTime ? new Date(game.endTime).toISOString() : null,
+                    new Date().toISOString()
+                ],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Games that were still running (e.g. when the server stopped)
+    getUnfinishedGames() {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM games WHERE status != 'ended' ORDER BY start_time ASC`,
+                [],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    // Latest game of a type in a session, or a specific one with gameId
+    getLatestGame(sessionId, gameType, gameId = null) {
+        return new Promise((resolve, reject) => {
+            let query = `SELECT * FROM games WHERE session_id = ? AND game_type = ?`;
+            const params = [sessionId, gameType];
+
+            if (gameId) {
+                query += ` AND id = ?`;
+                params.push(gameId);
+            }
+
+            query += ` ORDER BY start_time DESC LIMIT 1`;
+
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    addGameEntry(gameId, sessionId, action, entryData) {
+        return new Promise((resolve, reject) => {
+            const stmt = this.db.prepare(`
+                INSERT INTO game_entries (game_id, session_id, action, user_id, username, data)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `);
+
+            stmt.run([
+                gameId,
+                sessionId,
+                action,
+                entryData.userId || null,
+                entryData.username || null,
+                JSON.stringify(entryData)
+            ], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+            stmt.finalize();
+        });
+    }
+
+    getGameEntries(gameId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM game_entries WHERE game_id = ? ORDER BY id ASC`,
+                [gameId],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => ({
+                            ...row,
+                            data: row.data ? JSON.parse(row.data) : {}
+                        })));
+                    }
+                }
+            );
+        });
+    }
+
+    addGameResult(game, winner, result) {
+        return new Promise((resolve, reject) => {
+            const stmt = this.db.prepare(`
+                INSERT INTO game_results (game_id, session_id, game_type, winner, result, start_time)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `);
+
+            stmt.run([
+                game.id,
+                game.sessionId,
+                game.type,
+                winner ? JSON.stringify(winner) : null,
+                result,
+                game.startTime ? new Date(game.startTime).toISOString() : null
+            ], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+            stmt.finalize();
+        });
+    }
+
+    updateGameResult(game, winner, result) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE game_results SET winner = ?, result = ? WHERE game_id = ?`,
+                [winner ? JSON.stringify(winner) : null, result, game.id],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    getGameResults(sessionId = null, limit = 10) {
+        return new Promise((resolve, reject) => {
+            let query = `SELECT * FROM game_results`;
+            const params = [];
+
+            if (sessionId) {
+                query += ` WHERE session_id = ?`;
+                params.push(sessionId);
+            }
+
+            query += ` ORDER BY start_time DESC, id DESC LIMIT ?`;
+            params.push(limit);
+
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    addGameDraw(draw) {
+        return new Promise((resolve, reject) => {
+            const stmt = this.db.prepare(`
+                INSERT INTO game_draws (game_id, session_id, game_type, label, seed_hash, seed, entries, result)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+
+            stmt.run([
+                draw.gameId,
+                draw.sessionId,
+                draw.gameType,
+                draw.label,
+                draw.seedHash,
+                draw.seed,
+                JSON.stringify(draw.entries),
+                JSON.stringify(draw.result)
+            ], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+            stmt.finalize();
+        });
+    }
+
+    saveRerollSeed(gameId, { seed, seedHash }) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO reroll_seeds (game_id, seed_hash, seed) VALUES (?, ?, ?)
+                 ON CONFLICT (game_id) DO UPDATE SET seed_hash = excluded.seed_hash, seed = excluded.seed, created_at = CURRENT_TIMESTAMP`,
+                [gameId, seedHash, seed],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    getRerollSeed(gameId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT * FROM reroll_seeds WHERE game_id = ?`, [gameId], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? { seed: row.seed, seedHash: row.seed_hash } : null);
+                }
+            });
+        });
+    }
+
+    getGameDraws(sessionId, gameId = null) {
+        return new Promise((resolve, reject) => {
+            let query = `SELECT * FROM game_draws WHERE session_id = ?`;
+            const params = [sessionId];
+
+            if (gameId) {
+                query += ` AND game_id = ?`;
+                params.push(gameId);
+            }
+
+            query += ` ORDER BY id DESC`;
+
+            this.db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        id: row.id,
+                        gameId: row.game_id,
+                        sessionId: row.session_id,
+                        gameType: row.game_type,
+                        label: row.label,
+                        seedHash: row.seed_hash,
+                        seed: row.seed,
+                        entries: JSON.parse(row.entries),
+                        result: JSON.parse(row.result),
+                        createdAt: row.created_at
+                    })));
+                }
+            });
+        });
+    }
+
+    // Viewer events of a session in the shape ViewerStats.track expects
+    getViewerEvents(sessionId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT event_type, event_subtype, user_id, username,
+                       json_extract(processed_data, '$.timestamp') AS event_time,
+                       json_extract(processed_data, '$.giftType') AS gift_type,
+                       json_extract(processed_data, '$.diamondCount') AS diamond_count,
+                       json_extract(processed_data, '$.repeatCount') AS repeat_count,
+                       json_extract(processed_data, '$.repeatEnd') AS repeat_end,
+                       json_extract(processed_data, '$.likeCount') AS like_count
+                FROM events
+                WHERE session_id = ? AND event_type IN ('member', 'chat', 'like', 'gift', 'social')
+                ORDER BY id
+            `, [sessionId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        type: row.event_type,
+                        subtype: row.event_subtype,
+                        userId: row.user_id,
+                        username: row.username,
+                        timestamp: row.event_time,
+                        giftType: row.gift_type,
+                        diamondCount: row.diamond_count,
+                        repeatCount: row.repeat_count,
+                        repeatEnd: !!row.repeat_end,
+                        likeCount: row.like_count
+                    })));
+                }
+            });
+        });
+    }
+
+    // Trivia Question Bank Methods
+    saveQuestionBank(name, questions) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT OR REPLACE INTO trivia_banks (name, questions, updated_at) VALUES (?, ?, ?)`,
+                [name, JSON.stringify(questions), new Date().toISOString()],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    getQuestionBanks() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`SELECT * FROM trivia_banks ORDER BY name`, [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        name: row.name,
+                        questions: JSON.parse(row.questions),
+                        updatedAt: row.updated_at
+                    })));
+                }
+            });
+        });
+    }
+
+    deleteQuestionBank(name) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`DELETE FROM trivia_banks WHERE name = ?`, [name], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    }
+
+    // Viewer Points Methods
+
+    // Viewer of a streamer, created on first sight; resolves with the viewer row
+    upsertViewer(streamer, { username, userId = null, nickname = null }) {
+        const now = new Date().toISOString();
+        return new Promise((resolve, reject) => {
+            // Serialized, so a renamed row is found under its new username
+            this.db.serialize(() => {
+                this.renameViewer(streamer, username, userId);
+                this.db.run(
+                    `INSERT INTO viewers (streamer_username, username, user_id, nickname, first_seen, last_seen)
+                     VALUES (?, ?, ?, ?, ?, ?)
+                     ON CONFLICT (streamer_username, username) DO UPDATE SET
+                         user_id = COALESCE(excluded.user_id, user_id),
+                         nickname = COALESCE(excluded.nickname, nickname),
+                         last_seen = excluded.last_seen`,
+                    [streamer, username, userId, nickname, now, now],
+                    (err) => {
+                        if (err) {
+                            reject(err);
+                            return;
+                        }
+                        this.getViewer(streamer, username).then(resolve, reject);
+                    }
+                );
+            });
+        });
+    }
+
+    getViewer(streamer, username) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                `SELECT * FROM viewers WHERE streamer_username = ? AND username = ?`,
+                [streamer, username],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row || null);
+                    }
+                }
+            );
+        });
+    }
+
+    // A user id seen with a new username keeps its viewer row (and points) under the
+    // new name, unless that name already has a row of its own
+    renameViewer(streamer, username, userId) {
+        if (!userId) {
+            return;
+        }
+
+        this.db.run(
+            `UPDATE viewers SET username = ?
+             WHERE streamer_username = ? AND user_id = ? AND username != ?
+               AND NOT EXISTS (SELECT 1 FROM viewers WHERE streamer_username = ? AND username = ?)`,
+            [username, streamer, userId, username, streamer, username],
+            (err) => {
+                if (err) {
+                    console.error(`❌ Failed to rename viewer ${userId} to ${username}:`, err.message);
+                }
+            }
+        );
+    }
+
+    // Upsert a viewer's profile from an event and add the event to their lifetime and
+    // session counts (counts: { chat_count: 1, ... } with VIEWER_COUNTS columns)
+    recordViewerActivity(streamer, sessionId, profile, counts = {}) {
+        const now = new Date().toISOString();
+        const values = VIEWER_COUNTS.map(column => counts[column] || 0);
+        const badges = profile.badges ? JSON.stringify(profile.badges) : null;
+        const verified = typeof profile.verified === 'boolean' ? (profile.verified ? 1 : 0) : null;
+
+        const run = (sql, params) => new Promise((resolve, reject) => {
+            this.db.run(sql, params, (err) => err ? reject(err) : resolve());
+        });
+
+        // Serialized, so the rename and the viewer row come before the rows that refer to it
+        let statements;
+        this.db.serialize(() => {
+            this.renameViewer(streamer, profile.username, profile.userId);
+            statements = [
+                run(
+                    `INSERT INTO viewers (streamer_username, username, user_id, nickname, avatar, verified, badges, pay_grade, follower_count,
+                                          first_seen, last_seen, last_session_id, ${VIEWER_COUNTS.join(', ')})
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${VIEWER_COUNTS.map(() => '?').join(', ')})
+                     ON CONFLICT (streamer_username, username) DO UPDATE SET
+                         user_id = COALESCE(excluded.user_id, user_id),
+                         nickname = COALESCE(excluded.nickname, nickname),
+                         avatar = COALESCE(excluded.avatar, avatar),
+                         verified = COALESCE(excluded.verified, verified),
+                         badges = COALESCE(excluded.badges, badges),
+                         pay_grade = COALESCE(excluded.pay_grade, pay_grade),
+                         follower_count = COALESCE(excluded.follower_count, follower_count),
+                         last_seen = excluded.last_seen,
+                         last_session_id = excluded.last_session_id,
+                         ${VIEWER_COUNTS.map(column => `${column} = COALESCE(${column}, 0) + excluded.${column}`).join(',\n                     ')}`,
+                    [streamer, profile.username, profile.userId, profile.nickname, profile.avatar, verified, badges, profile.payGrade,
+                        profile.followerCount ?? null, now, now, sessionId, ...values]
+                ),
+                run(
+                    `INSERT INTO viewer_sessions (session_id, viewer_id, first_seen, last_seen, event_count, ${VIEWER_COUNTS.join(', ')})
+                     SELECT ?, id, ?, ?, 1, ${VIEWER_COUNTS.map(() => '?').join(', ')}
+                     FROM viewers WHERE streamer_username = ? AND username = ?
+                     ON CONFLICT (session_id, viewer_id) DO UPDATE SET
+                         last_seen = excluded.last_seen,
+                         event_count = event_count + 1,
+                         ${VIEWER_COUNTS.map(column => `${column} = ${column} + excluded.${column}`).join(',\n                     ')}`,
+                    [sessionId, now, now, ...values, streamer, profile.username]
+                ),
+                profile.userId ? run(
+                    `INSERT INTO viewer_usernames (user_id, username, first_seen, last_seen) VALUES (?, ?, ?, ?)
+                     ON CONFLICT (user_id, username) DO UPDATE SET last_seen = excluded.last_seen`,
+                    [profile.userId, profile.username, now, now]
+                ) : null
+            ];
+        });
+
+        return Promise.all(statements);
+    }
+
+    parseViewer(row) {
+        return {
+            ...row,
+            verified: row.verified === null || row.verified === undefined ? null : !!row.verified,
+            badges: row.badges ? JSON.parse(row.badges) : null
+        };
+    }
+
+    // Viewers of a session with their counts in it, most active first
+    getSessionViewers(sessionId, limit = 50) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT v.*, vs.first_seen AS session_first_seen, vs.last_seen AS session_last_seen, vs.event_count,
+                        ${VIEWER_COUNTS.map(column => `vs.${column} AS session_${column}`).join(', ')},
+                        COUNT(*) OVER () AS total_viewers
+                 FROM viewer_sessions vs
+                 JOIN viewers v ON v.id = vs.viewer_id
+                 WHERE vs.session_id = ?
+                 ORDER BY vs.event_count DESC
+                 LIMIT ?`,
+                [sessionId, limit],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => this.parseViewer(row)));
+                    }
+                }
+            );
+        });
+    }
+
+    // Viewer rows of user ids (every streamer's), most recently seen first, with their
+    // session count and username history
+    getViewersByUserIds(userIds, streamer = null) {
+        if (userIds.length === 0) {
+            return Promise.resolve([]);
+        }
+
+        const placeholders = userIds.map(() => '?').join(', ');
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT v.*, (SELECT COUNT(*) FROM viewer_sessions WHERE viewer_id = v.id) AS session_count
+                 FROM viewers v
+                 WHERE v.user_id IN (${placeholders}) ${streamer ? 'AND v.streamer_username = ?' : ''}
+                 ORDER BY v.last_seen DESC`,
+                streamer ? [...userIds, streamer] : userIds,
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+
+                    this.db.all(
+                        `SELECT * FROM viewer_usernames WHERE user_id IN (${placeholders}) ORDER BY first_seen`,
+                        userIds,
+                        (err, names) => {
+                            if (err) {
+                                reject(err);
+                                return;
+                            }
+                            resolve(rows.map(row => ({
+                                ...this.parseViewer(row),
+                                username_history: names
+                                    .filter(name => name.user_id === row.user_id)
+                                    .map(name => ({ username: name.username, firstSeen: name.first_seen, lastSeen: name.last_seen }))
+                            })));
+                        }
+                    );
+                }
+            );
+        });
+    }
+
+    // Latest stored events of a user in a session, newest first
+    getUserEvents(sessionId, userId, limit = 100) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT processed_data FROM events WHERE session_id = ? AND user_id = ? ORDER BY id DESC LIMIT ?`,
+                [sessionId, userId, limit],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => {
+                            const { eventType, ...event } = JSON.parse(row.processed_data);
+                            return { type: eventType, ...event };
+                        }));
+                    }
+                }
+            );
+        });
+    }
+
+    // Append a ledger row; balance_after continues from the viewer's last row. The
+    // checks are part of the insert, so concurrent changes can't get around them:
+    //   requireFunds - only when the balance stays >= 0
+    //   firstEntry   - only when the viewer has no ledger rows yet
+    // Resolves with the new row, or null when a check refused it.
+    addPointsEntry(entry, { requireFunds = false, firstEntry = false } = {}) {
+        const conditions = ['1 = 1'];
+        const params = [
+            entry.viewerId, entry.streamer, entry.amount, entry.amount, entry.reason,
+            entry.sessionId || null, entry.details ? JSON.stringify(entry.details) : null, entry.createdBy || null,
+            entry.viewerId
+        ];
+        if (requireFunds) {
+            conditions.push('COALESCE(last, 0) + ? >= 0');
+            params.push(entry.amount);
+        }
+        if (firstEntry) {
+            conditions.push('last IS NULL');
+        }
+
+        return new Promise((resolve, reject) => {
+            const db = this;
+            this.db.run(
+                `INSERT INTO points_ledger (viewer_id, streamer_username, amount, balance_after, reason, session_id, details, created_by)
+                 SELECT ?, ?, ?, COALESCE(last, 0) + ?, ?, ?, ?, ?
+                 FROM (SELECT (SELECT balance_after FROM points_ledger WHERE viewer_id = ? ORDER BY id DESC LIMIT 1) AS last)
+                 WHERE ${conditions.join(' AND ')}`,
+                params,
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else if (this.changes === 0) {
+                        resolve(null);
+                    } else {
+                        db.getPointsEntry(this.lastID).then(resolve, reject);
+                    }
+                }
+            );
+        });
+    }
+
+    getPointsEntry(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT * FROM points_ledger WHERE id = ?`, [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? this.parsePointsEntry(row) : null);
+                }
+            });
+        });
+    }
+
+    parsePointsEntry(row) {
+        return { ...row, details: row.details ? JSON.parse(row.details) : null };
+    }
+
+    // Current balance of a viewer (balance_after of their last ledger row), null without rows
+    getPointsBalance(viewerId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                `SELECT balance_after FROM points_ledger WHERE viewer_id = ? ORDER BY id DESC LIMIT 1`,
+                [viewerId],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row ? row.balance_after : null);
+                    }
+                }
+            );
+        });
+    }
+
+    // Latest ledger rows of a viewer, newest first
+    getPointsLedger(viewerId, limit = 50) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM points_ledger WHERE viewer_id = ? ORDER BY id DESC LIMIT ?`,
+                [viewerId, limit],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => this.parsePointsEntry(row)));
+                    }
+                }
+            );
+        });
+    }
+
+    // Viewers of a streamer with the highest balances
+    getTopPoints(streamer, limit = 10) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT v.id, v.username, v.user_id, v.nickname, l.balance_after AS balance
+                 FROM viewers v
+                 JOIN points_ledger l ON l.id = (SELECT MAX(id) FROM points_ledger WHERE viewer_id = v.id)
+                 WHERE v.streamer_username = ?
+                 ORDER BY balance DESC, v.username ASC
+                 LIMIT ?`,
+                [streamer, limit],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    // Leaderboard Methods
+    getAggregateCursor(name) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT last_event_id FROM aggregate_cursors WHERE name = ?`, [name], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? row.last_event_id : 0);
+                }
+            });
+        });
+    }
+
+    getLastEventId() {
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT MAX(id) AS id FROM events`, [], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row?.id || 0);
+                }
+            });
+        });
+    }
+
+    // Add the events with fromId < id <= toId to leaderboard_stats and move the
+    // 'leaderboards' cursor to toId, in one transaction. Combo gifts count once, at
+    // the end of their streak (isComboInProgress of gift-combos.js, written in SQL);
+    // replay sessions don't count.
+    aggregateLeaderboardEvents(fromId, toId) {
+        const from = parseInt(fromId) || 0;
+        const to = parseInt(toId) || 0;
+
+        return new Promise((resolve, reject) => {
+            // exec holds the connection for the whole script, so no other statement ends up in the transaction
+            this.db.exec(`
+                BEGIN;
+                INSERT INTO leaderboard_stats (streamer_username, session_id, day, username, user_id, ${LEADERBOARD_COUNTS.join(', ')})
+                SELECT ltrim(lower(trim(s.streamer_username)), '@'), e.session_id, substr(e.timestamp, 1, 10), e.username, MAX(e.user_id),
+                       SUM(CASE WHEN e.event_type = 'gift'
+                           THEN COALESCE(json_extract(e.processed_data, '$.diamondCount'), 0) * COALESCE(json_extract(e.processed_data, '$.repeatCount'), 1)
+                           ELSE 0 END),
+                       SUM(CASE WHEN e.event_type = 'gift' THEN COALESCE(json_extract(e.processed_data, '$.repeatCount'), 1) ELSE 0 END),
+                       SUM(e.event_type = 'chat' AND e.moderation_flags IS NULL),
+                       SUM(CASE WHEN e.event_type = 'like' THEN COALESCE(json_extract(e.processed_data, '$.likeCount'), 0) ELSE 0 END),
+                       SUM(e.event_type = 'social')
+                FROM events e
+                JOIN sessions s ON s.id = e.session_id
+                WHERE e.id > ${from} AND e.id <= ${to}
+                  AND e.username IS NOT NULL AND e.username <> 'unknown'
+                  AND json_extract(s.streamer_info, '$.replay') IS NULL
+                  AND (e.event_type IN ('chat', 'like')
+                       OR (e.event_type = 'social' AND e.event_subtype = 'share')
+                       OR (e.event_type = 'gift' AND (COALESCE(json_extract(e.processed_data, '$.giftType'), 0) <> 1
+                                                      OR json_extract(e.processed_data, '$.repeatEnd'))))
+                GROUP BY 1, 2, 3, 4
+                ON CONFLICT (streamer_username, session_id, day, username) DO UPDATE SET
+                    user_id = COALESCE(excluded.user_id, user_id),
+                    ${LEADERBOARD_COUNTS.map(column => `${column} = ${column} + excluded.${column}`).join(',\n                    ')};
+                INSERT INTO aggregate_cursors (name, last_event_id) VALUES ('leaderboards', ${to})
+                ON CONFLICT (name) DO UPDATE SET last_event_id = excluded.last_event_id;
+                COMMIT;
+            `, (err) => {
+                if (err) {
+                    this.db.exec('ROLLBACK', () => reject(err));
+                } else {
+                    resolve(to);
+                }
+            });
+        });
+    }
+
+    // Viewers of a streamer ranked by one of LEADERBOARD_COUNTS, optionally only in a
+    // session and/or from a day on ('YYYY-MM-DD'). A viewer is counted by user id, so
+    // a rename doesn't split their rows; the name and picture are their latest profile.
+    getLeaderboard(streamer, column, { sessionId = null, since = null, limit = 10 } = {}) {
+        if (!LEADERBOARD_COUNTS.includes(column)) {
+            return Promise.reject(new Error(`Unknown leaderboard count: ${column}`));
+        }
+
+        const conditions = ['streamer_username = ?'];
+        const params = [streamer];
+        if (sessionId) {
+            conditions.push('session_id = ?');
+            params.push(sessionId);
+        }
+        if (since) {
+            conditions.push('day >= ?');
+            params.push(since);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `WITH ranked AS (
+                     -- user_id and username are taken from the viewer's latest row (MAX(day))
+                     SELECT MAX(day) AS last_day, user_id, username, SUM(${column}) AS value,
+                            RANK() OVER (ORDER BY SUM(${column}) DESC) AS rank
+                     FROM leaderboard_stats
+                     WHERE ${conditions.join(' AND ')}
+                     GROUP BY COALESCE(user_id, username)
+                     HAVING value > 0
+                     ORDER BY value DESC, username ASC
+                     LIMIT ?
+                 )
+                 SELECT r.rank, r.user_id, COALESCE(v.username, r.username) AS username, v.nickname, v.avatar, r.value
+                 FROM ranked r
+                 LEFT JOIN viewers v ON v.id = (
+                     SELECT id FROM viewers
+                     WHERE streamer_username = ? AND (user_id = r.user_id OR username = r.username)
+                     ORDER BY last_seen DESC LIMIT 1
+                 )
+                 ORDER BY r.rank ASC, username ASC`,
+                [...params, limit, streamer],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+    }
+
+    // Latest live (not replayed) session of a streamer
+    getLatestStreamerSession(streamer) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                `SELECT * FROM sessions
+                 WHERE ltrim(lower(trim(streamer_username)), '@') = ? AND json_extract(streamer_info, '$.replay') IS NULL
+                 ORDER BY session_start DESC, rowid DESC
+                 LIMIT 1`,
+                [streamer],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row || null);
+                    }
+                }
+            );
+        });
+    }
+
+    // Moderator Command Methods
+    getModeratorAllowlists() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`SELECT * FROM moderator_allowlist ORDER BY streamer_username, username`, [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    addAllowlistedModerator(streamer, username, addedBy = null) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO moderator_allowlist (streamer_username, username, added_by) VALUES (?, ?, ?)
+                 ON CONFLICT (streamer_username, username) DO NOTHING`,
+                [streamer, username, addedBy],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    removeAllowlistedModerator(streamer, username) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `DELETE FROM moderator_allowlist WHERE streamer_username = ? AND username = ?`,
+                [streamer, username],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    addModeratorAction(action) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO moderator_actions (session_id, streamer_username, username, user_id, command, args, status, details)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    action.sessionId,
+                    action.streamer,
+                    action.username,
+                    action.userId,
+                    action.command,
+                    action.args,
+                    action.status,
+                    action.details ? JSON.stringify(action.details) : null
+                ],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    }
+
+    // Latest moderator command uses of a streamer
+    getModeratorActions(streamer, limit = 50) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM moderator_actions WHERE streamer_username = ? ORDER BY id DESC LIMIT ?`,
+                [streamer, limit],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null })));
+                    }
+                }
+            );
+        });
+    }
+
+    // Chat Moderation Methods
+    getGameBans() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`SELECT * FROM game_bans ORDER BY streamer_username, username`, [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    addGameBan(streamer, username, reason = null, bannedBy = null) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO game_bans (streamer_username, username, reason, banned_by) VALUES (?, ?, ?, ?)
+                 ON CONFLICT (streamer_username, username) DO NOTHING`,
+                [streamer, username, reason, bannedBy],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    removeGameBan(streamer, username) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `DELETE FROM game_bans WHERE streamer_username = ? AND username = ?`,
+                [streamer, username],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Latest chat messages the moderation stage flagged, of one session or all sessions of a streamer
+    getFlaggedEvents({ sessionId = null, streamer = null, flag = null, limit = 100 } = {}) {
+        const conditions = ['e.moderation_flags IS NOT NULL'];
+        const params = [];
+        if (sessionId) {
+            conditions.push('e.session_id = ?');
+            params.push(sessionId);
+        }
+        if (streamer) {
+            conditions.push(`ltrim(lower(trim(s.streamer_username)), '@') = ?`);
+            params.push(streamer);
+        }
+        if (flag) {
+            conditions.push(`(',' || e.moderation_flags || ',') LIKE ?`);
+            params.push(`%,${flag},%`);
+        }
+        params.push(limit);
+
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT e.id, e.session_id, s.streamer_username, e.user_id, e.username, e.message, e.timestamp,
+                        e.moderation_flags, json_extract(e.processed_data, '$.moderation') AS moderation
+                 FROM events e
+                 JOIN sessions s ON s.id = e.session_id
+                 WHERE ${conditions.join(' AND ')}
+                 ORDER BY e.id DESC LIMIT ?`,
+                params,
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows.map(row => ({ ...row, moderation: row.moderation ? JSON.parse(row.moderation) : null })));
+                    }
+                }
+            );
+        });
+    }
+
+    // API Key Methods
+    createApiKey(apiKey) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO api_keys (id, name, key_hash, key_prefix, role, streamers, rate_limit) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    apiKey.id,
+                    apiKey.name,
+                    apiKey.keyHash,
+                    apiKey.keyPrefix,
+                    apiKey.role,
+                    apiKey.streamers ? JSON.stringify(apiKey.streamers) : null,
+                    apiKey.rateLimit
+                ],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(apiKey.id);
+                    }
+                }
+            );
+        });
+    }
+
+    getApiKey(id) {
+        return this.getApiKeyWhere('id = ?', id);
+    }
+
+    getApiKeyByHash(keyHash) {
+        return this.getApiKeyWhere('key_hash = ?', keyHash);
+    }
+
+    getApiKeyWhere(condition, value) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT * FROM api_keys WHERE ${condition}`, [value], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? this.parseApiKey(row) : null);
+                }
+            });
+        });
+    }
+
+    getApiKeys() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`SELECT * FROM api_keys ORDER BY created_at DESC`, [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.parseApiKey(row)));
+                }
+            });
+        });
+    }
+
+    parseApiKey(row) {
+        return {
+            ...row,
+            streamers: row.streamers ? JSON.parse(row.streamers) : null
+        };
+    }
+
+    countApiKeys(role) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                `SELECT COUNT(*) as count FROM api_keys WHERE role = ? AND revoked_at IS NULL`,
+                [role],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row.count);
+                    }
+                }
+            );
+        });
+    }
+
+    touchApiKey(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [id],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    revokeApiKey(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL`,
+                [id],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
     close() {
         this.db.close();
     }
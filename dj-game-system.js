@@ -73,14 +73,58 @@ class DJGameSystem {
         this.activeGames.set(sessionId, gameData);
         console.log(`🎵 DJ Game started for session ${sessionId} - Phase 1: Song Request (${requestDuration/1000}s)`);
 
-        // Auto-advance to voting phase
-        setTimeout(() => {
-            this.advanceToVotingPhase(sessionId);
-        }, requestDuration);
-
         return gameData;
     }
 
+    // Advance to the next phase once the current one is over (called from the game tick).
+    // Returns false when the game should end instead.
+    advancePhase(sessionId) {
+        const game = this.activeGames.get(sessionId);
+        if (!game || game.type !== 'djgame' || game.status === 'ended') {
+            return false;
+        }
+
+        switch (game.phase) {
+            case 'song-request':
+                return this.advanceToVotingPhase(sessionId);
+            case 'voting':
+                return !!this.endVotingPhase(sessionId) && game.autoLoop;
+            case 'playing':
+                return this.startNextRound(sessionId);
+            default:
+                return false;
+        }
+    }
+
+    // Get configured song request prefixes (array or comma separated string)
+    getRequestPrefixes() {
+        let prefixes = this.getSetting('requestPrefixes', ['PLAY:', 'SONG:', 'REQUEST:', 'MUSIC:']);
+        if (typeof prefixes === 'string') {
+            prefixes = prefixes.split(',');
+        }
+        return prefixes.map(prefix => String(prefix).trim().toUpperCase()).filter(prefix => prefix.length > 0);
+    }
+
+    // Route a chat message to the current phase of the DJ Game
+    handleChatMessage(sessionId, username, message) {
+        const game = this.activeGames.get(sessionId);
+        if (!game || game.type !== 'djgame' || !message) {
+            return null;
+        }
+
+        if (game.phase === 'song-request') {
+            const request = this.addSongRequest(sessionId, username, message);
+            return request ? { action: 'request', ...request, round: game.currentRound } : null;
+        }
+
+        if (game.phase === 'voting') {
+            const vote = this.addVote(sessionId, username, message);
+            return vote ? { action: 'vote', ...vote, round: game.currentRound } : null;
+        }
+
+        return null;
+    }
+
     // Add song request from chat
     addSongRequest(sessionId, username, message) {
         const game = this.activeGames.get(sessionId);
@@ -88,17 +132,23 @@ class DJGameSystem {
             return false;
         }
 
-        // Extract song name from message (remove common prefixes)
+        // Extract song name from message (remove configured prefixes)
         let songName = message.trim();
-        const prefixes = ['PLAY:', 'SONG:', 'REQUEST:', 'MUSIC:'];
-        
-        for (const prefix of prefixes) {
+        let matchedPrefix = false;
+
+        for (const prefix of this.getRequestPrefixes()) {
             if (songName.toUpperCase().startsWith(prefix)) {
                 songName = songName.substring(prefix.length).trim();
+                matchedPrefix = true;
                 break;
             }
         }
 
+        // Optionally ignore regular chat that doesn't use a request prefix
+        if (!matchedPrefix && this.getSetting('requirePrefix', false)) {
+            return false;
+        }
+
         if (songName.length < 2) return false; // Too short
 
         // Normalize song name (capitalize first letter of each word)
@@ -110,28 +160,30 @@ class DJGameSystem {
         }
 
         const songData = game.songRequests.get(songName);
-        if (!songData.users.has(username)) {
-            songData.count++;
-            songData.users.add(username);
-            
-            // Enhanced tracking for interactivity
-            game.participants.add(username);
-            game.totalRequests++;
-            game.uniqueUsers = game.participants.size;
-            
-            // Update live stats
-            this.updateLiveStats(game);
-            
-            console.log(`🎵 Song request: "${songName}" by @${username} (Total: ${songData.count}, Participants: ${game.uniqueUsers})`);
+        if (songData.users.has(username)) {
+            return false; // Already requested this song
         }
 
-        return true;
+        songData.count++;
+        songData.users.add(username);
+
+        // Enhanced tracking for interactivity
+        game.participants.add(username);
+        game.totalRequests++;
+        game.uniqueUsers = game.participants.size;
+
+        // Update live stats
+        this.updateLiveStats(game);
+
+        console.log(`🎵 Song request: "${songName}" by @${username} (Total: ${songData.count}, Participants: ${game.uniqueUsers})`);
+
+        return { song: songName, count: songData.count };
     }
 
     // Advance to voting phase
     advanceToVotingPhase(sessionId) {
         const game = this.activeGames.get(sessionId);
-        if (!game || game.type !== 'djgame') {
+        if (!game || game.type !== 'djgame' || game.status === 'ended') {
             return false;
         }
 
@@ -142,7 +194,6 @@ class DJGameSystem {
 
         if (sortedSongs.length === 0) {
             console.log(`🎵 DJ Game: No song requests received, ending game`);
-            this.endDJGame(sessionId);
             return false;
         }
 
@@ -165,11 +216,6 @@ class DJGameSystem {
             console.log(`   ${song.letter}: ${song.name} (${song.requestCount} requests)`);
         });
 
-        // Auto-end voting phase
-        setTimeout(() => {
-            this.endVotingPhase(sessionId);
-        }, game.duration);
-
         return true;
     }
 
@@ -209,13 +255,13 @@ class DJGameSystem {
         
         console.log(`🗳️ Vote ${vote} for "${song.name}" by @${username} (Total votes: ${voteData.count})`);
 
-        return true;
+        return { letter: vote, song: song.name, count: voteData.count };
     }
 
     // End voting phase and determine winner
     endVotingPhase(sessionId) {
         const game = this.activeGames.get(sessionId);
-        if (!game || game.type !== 'djgame') {
+        if (!game || game.type !== 'djgame' || game.status === 'ended') {
             return false;
         }
 
@@ -232,7 +278,6 @@ class DJGameSystem {
 
         if (!winner) {
             console.log(`🎵 DJ Game: No votes received, ending game`);
-            this.endDJGame(sessionId);
             return false;
         }
 
@@ -258,14 +303,11 @@ class DJGameSystem {
         console.log(`🏆 DJ Game Winner: "${winningSong.name}" (${winner}) with ${maxVotes} votes!`);
         console.log(`   Added to playlist. Round ${game.currentRound} complete.`);
 
-        // Auto-start next round if enabled
-        if (game.autoLoop) {
-            setTimeout(() => {
-                this.startNextRound(sessionId);
-            }, 5000); // 5 second break between rounds
-        } else {
-            this.endDJGame(sessionId);
-        }
+        // Play the winning song during a short break before the next round
+        game.phase = 'playing';
+        game.status = 'playing';
+        game.duration = this.getSetting('roundBreakDuration', 5) * 1000;
+        game.endTime = new Date(Date.now() + game.duration);
 
         return game.winner;
     }
@@ -273,7 +315,7 @@ class DJGameSystem {
     // Start next round
     startNextRound(sessionId) {
         const game = this.activeGames.get(sessionId);
-        if (!game || game.type !== 'djgame') {
+        if (!game || game.type !== 'djgame' || game.status === 'ended') {
             return false;
         }
 
@@ -290,11 +332,6 @@ class DJGameSystem {
 
         console.log(`🎵 DJ Game Round ${game.currentRound}: Song Request phase started (${game.duration/1000}s)`);
 
-        // Auto-advance to voting phase
-        setTimeout(() => {
-            this.advanceToVotingPhase(sessionId);
-        }, game.duration);
-
         return true;
     }
 
@@ -0,0 +1,189 @@
+// In-process event bus for live sessions.
+// Every event published for a session gets the next event ID of that session and is
+// kept in a replay buffer, then pushed to the session's subscribers (SSE or WebSocket).
+// Subscribers pass the last event ID they saw to resume without gaps or duplicates.
+
+class EventHub {
+    constructor(options = {}) {
+        this.bufferSize = options.bufferSize || 1000;
+        this.channels = new Map(); // sessionId -> channel
+    }
+
+    getChannel(sessionId) {
+        let channel = this.channels.get(sessionId);
+        if (!channel) {
+            channel = {
+                sessionId,
+                lastEventId: 0,
+                buffer: [],
+                pending: [],
+                stats: null,
+                subscribers: new Set(),
+                flushScheduled: false
+            };
+            this.channels.set(sessionId, channel);
+        }
+        return channel;
+    }
+
+    // Publish an event for a session. Events published in the same tick are delivered
+    // together, after the handler has updated the session stats.
+    publish(sessionId, event, stats = null) {
+        const channel = this.getChannel(sessionId);
+
+        event.eventId = ++channel.lastEventId;
+        if (stats) {
+            channel.stats = stats;
+        }
+
+        channel.buffer.push(event);
+        if (channel.buffer.length > this.bufferSize) {
+            channel.buffer.splice(0, channel.buffer.length - this.bufferSize);
+        }
+
+        channel.pending.push(event);
+        if (!channel.flushScheduled) {
+            channel.flushScheduled = true;
+            setImmediate(() => this.flush(channel));
+        }
+
+        return event;
+    }
+
+    flush(channel) {
+        channel.flushScheduled = false;
+        const events = channel.pending;
+        channel.pending = [];
+
+        for (const subscriber of channel.subscribers) {
+            this.deliver(channel, subscriber, events);
+        }
+    }
+
+    deliver(channel, subscriber, events) {
+        const matching = events.filter(event =>
+            event.eventId > subscriber.lastEventId && matchesFilter(subscriber.filter, event)
+        );
+        if (matching.length === 0) {
+            return;
+        }
+
+        subscriber.lastEventId = matching[matching.length - 1].eventId;
+
+        try {
+            subscriber.send({
+                type: 'events',
+                id: subscriber.lastEventId,
+                events: matching,
+                stats: channel.stats
+            });
+        } catch (error) {
+            console.error(`❌ Failed to push events to subscriber of session ${channel.sessionId}:`, error.message);
+        }
+    }
+
+    // Subscribe to a session. `send` receives message objects, `close` is called when
+    // the session ends. Events after `lastEventId` that are still buffered are replayed
+    // right away; if some of them were already dropped, a 'resync' message comes first.
+    subscribe(sessionId, { filter = parseFilter(), lastEventId = null, send, close = () => {} }) {
+        const channel = this.getChannel(sessionId);
+        const subscriber = {
+            filter,
+            lastEventId: lastEventId ?? channel.lastEventId,
+            send,
+            close
+        };
+
+        if (lastEventId !== null) {
+            const oldest = channel.buffer[0];
+            if (oldest && lastEventId < oldest.eventId - 1) {
+                send({
+                    type: 'resync',
+                    lastEventId,
+                    firstAvailableId: oldest.eventId,
+                    message: 'Some events are no longer buffered, reload them from the events API'
+                });
+            }
+            this.deliver(channel, subscriber, channel.buffer);
+        }
+
+        channel.subscribers.add(subscriber);
+
+        return {
+            setFilter: (newFilter) => {
+                subscriber.filter = newFilter;
+            },
+            unsubscribe: () => {
+                channel.subscribers.delete(subscriber);
+            }
+        };
+    }
+
+    getLastEventId(sessionId) {
+        return this.channels.get(sessionId)?.lastEventId || 0;
+    }
+
+    // Close every subscriber of a session and drop its buffer
+    closeSession(sessionId) {
+        const channel = this.channels.get(sessionId);
+        if (!channel) {
+            return;
+        }
+
+        this.flush(channel);
+        for (const subscriber of channel.subscribers) {
+            try {
+                subscriber.close();
+            } catch (error) {
+                console.error(`❌ Failed to close subscriber of session ${sessionId}:`, error.message);
+            }
+        }
+        this.channels.delete(sessionId);
+    }
+}
+
+// Build a subscriber filter from query parameters or a WebSocket message.
+// types: event types to receive (chat, gift, like...), users: usernames or user IDs,
+// games: whether game updates are included (default true).
+function parseFilter(params = {}) {
+    const toList = (value) => {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const list = (Array.isArray(value) ? value : String(value).split(','))
+            .map(item => String(item).trim().replace(/^@/, '').toLowerCase())
+            .filter(Boolean);
+        return list.length > 0 ? list : null;
+    };
+
+    return {
+        types: toList(params.types),
+        users: toList(params.users),
+        games: !(params.games === false || params.games === 'false' || params.games === '0')
+    };
+}
+
+function matchesFilter(filter, event) {
+    if (event.type === 'game') {
+        if (!filter.games) {
+            return false;
+        }
+    } else if (filter.types && !filter.types.includes(String(event.type).toLowerCase())) {
+        return false;
+    }
+
+    // Game-wide updates (started, ended, phase changes) are not tied to a user
+    const isGameUpdate = event.type === 'game' && !event.username && !event.userId;
+
+    if (filter.users && !isGameUpdate) {
+        const username = event.username ? String(event.username).toLowerCase() : null;
+        const userId = event.userId ? String(event.userId) : null;
+        if (!filter.users.includes(username) && !filter.users.includes(userId)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+module.exports = { EventHub, parseFilter, matchesFilter };
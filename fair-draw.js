@@ -0,0 +1,70 @@
+// Provably fair draws with a commit-reveal seed.
+//
+// Every game gets a random seed when it starts; only its SHA-256 hash is published
+// (seedHash in the game status and 'started' event). When the game ends the seed is
+// revealed, and each draw can be recomputed from it:
+//
+//   1. Sort the entries by id (so the order can't be chosen) and give each one
+//      `tickets` consecutive ticket numbers, starting at 0.
+//   2. r = the first 6 bytes of HMAC-SHA256(key = seed, message = "<gameId>:<label>"),
+//      read as a big-endian integer.
+//   3. The winning ticket is floor(r / 2^48 * totalTickets).
+//
+// A seed only matches its hash, so it can't be swapped for a more convenient one
+// after the entries are known.
+const crypto = require('crypto');
+
+function hashSeed(seed) {
+    return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+function createSeed() {
+    const seed = crypto.randomBytes(32).toString('hex');
+    return { seed, seedHash: hashSeed(seed) };
+}
+
+// Uniform number in [0, 1) for one draw of a game
+function seededRandom(seed, gameId, label) {
+    const digest = crypto.createHmac('sha256', seed).update(`${gameId}:${label}`).digest();
+    return digest.readUIntBE(0, 6) / 2 ** 48;
+}
+
+// Entries as { id, tickets }, sorted by id
+function orderEntries(entries) {
+    return entries
+        .map(entry => ({ id: String(entry.id), tickets: Math.max(1, Math.floor(entry.tickets) || 1) }))
+        .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+// Draw one entry, weighted by tickets. Returns the winner's id and how it was found.
+function drawWinner(seed, gameId, label, entries) {
+    const ordered = orderEntries(entries);
+    if (ordered.length === 0) {
+        return null;
+    }
+
+    const totalTickets = ordered.reduce((total, entry) => total + entry.tickets, 0);
+    const ticket = Math.floor(seededRandom(seed, gameId, label) * totalTickets);
+
+    let remaining = ticket;
+    const winner = ordered.find(entry => (remaining -= entry.tickets) < 0);
+
+    return { winner: winner.id, ticket, totalTickets, entries: ordered };
+}
+
+// Recompute a draw from its revealed seed
+function verifyDraw({ seed, seedHash, gameId, label, entries, winner = null }) {
+    const seedMatches = !!seedHash && hashSeed(String(seed)) === String(seedHash).toLowerCase();
+    const draw = drawWinner(String(seed), gameId, label, entries);
+
+    return {
+        valid: seedMatches && !!draw && (winner === null || draw.winner === String(winner)),
+        seedMatches,
+        winner: draw ? draw.winner : null,
+        winnerMatches: winner === null ? null : !!draw && draw.winner === String(winner),
+        ticket: draw ? draw.ticket : null,
+        totalTickets: draw ? draw.totalTickets : 0
+    };
+}
+
+module.exports = { createSeed, hashSeed, drawWinner, verifyDraw };
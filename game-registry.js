@@ -0,0 +1,71 @@
+// Game Module Registry
+const fs = require('fs');
+const path = require('path');
+const BaseGame = require('./games/base-game');
+
+class GameRegistry {
+    constructor(system) {
+        this.system = system;
+        this.games = new Map(); // type -> game module instance
+    }
+
+    // Register a game module class (or an already created instance)
+    register(GameModule) {
+        const game = GameModule instanceof BaseGame ? GameModule : new GameModule(this.system);
+
+        if (!game.type) {
+            throw new Error(`Game module ${GameModule.name || 'unknown'} must define a type`);
+        }
+
+        if (this.games.has(game.type)) {
+            console.log(`⚠️ Game type "${game.type}" is already registered, replacing it`);
+        }
+
+        this.games.set(game.type, game);
+        console.log(`🎮 Registered game: ${game.type} (${game.name || game.type})`);
+        return game;
+    }
+
+    // Register every BaseGame subclass exported by the .js files in a directory
+    loadDirectory(directory) {
+        if (!fs.existsSync(directory)) {
+            return;
+        }
+
+        const files = fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js'))
+            .sort();
+
+        for (const file of files) {
+            try {
+                const GameModule = require(path.join(directory, file));
+                if (typeof GameModule === 'function' && GameModule.prototype instanceof BaseGame) {
+                    this.register(GameModule);
+                }
+            } catch (error) {
+                console.error(`❌ Failed to load game module ${file}:`, error.message);
+            }
+        }
+    }
+
+    get(type) {
+        return this.games.get(type) || null;
+    }
+
+    has(type) {
+        return this.games.has(type);
+    }
+
+    types() {
+        return Array.from(this.games.keys());
+    }
+
+    list() {
+        return Array.from(this.games.values()).map(game => ({
+            type: game.type,
+            name: game.name || game.type
+        }));
+    }
+}
+
+module.exports = GameRegistry;
@@ -0,0 +1,39 @@
+// Game State Serialization
+//
+// Game data uses Maps, Sets and Dates which JSON.stringify would lose, so they
+// are stored as tagged objects and turned back into the real types on restore.
+
+function serializeGame(game) {
+    return JSON.stringify(game, function (key, value) {
+        const original = this[key];
+
+        if (original instanceof Date) {
+            return { __type: 'Date', value: original.toISOString() };
+        }
+        if (original instanceof Map) {
+            return { __type: 'Map', entries: Array.from(original.entries()) };
+        }
+        if (original instanceof Set) {
+            return { __type: 'Set', values: Array.from(original.values()) };
+        }
+        return value;
+    });
+}
+
+function deserializeGame(json) {
+    return JSON.parse(json, (key, value) => {
+        if (value && typeof value === 'object') {
+            switch (value.__type) {
+                case 'Date':
+                    return new Date(value.value);
+                case 'Map':
+                    return new Map(value.entries);
+                case 'Set':
+                    return new Set(value.values);
+            }
+        }
+        return value;
+    });
+}
+
+module.exports = { serializeGame, deserializeGame };
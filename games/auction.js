@@ -0,0 +1,189 @@
+// Gift Auction - viewers bid with gifts, the highest total diamond value at the end
+// of the bidding window wins the item.
+//
+// Each gift adds diamond_count x repeatCount to the gifter's bid (the system offers
+// combo gifts once, when the streak ends). The leader only changes when a bid
+// overtakes the current lead, so a tie goes to whoever got there first.
+//
+// Anti-sniping (settings.auction.antiSnipe): when the lead changes in the last
+// `window` seconds, the auction is extended to `extension` seconds from then, at
+// most `maxExtensions` times. A window of 0 turns it off.
+const BaseGame = require('./base-game');
+
+const DEFAULT_ANTI_SNIPE = {
+    window: 10,
+    extension: 15,
+    maxExtensions: 10
+};
+
+class AuctionGame extends BaseGame {
+    constructor(system) {
+        super(system);
+        this.type = 'auction';
+        this.name = 'Gift Auction';
+    }
+
+    validateOptions(options) {
+        const { item, reservePrice, antiSnipe } = options;
+        if (item !== undefined && (typeof item !== 'string' || !item.trim())) {
+            return 'item must be the name of the auctioned item';
+        }
+        if (reservePrice !== undefined && !(Number(reservePrice) >= 0)) {
+            return 'reservePrice must be a number of diamonds';
+        }
+        if (antiSnipe !== undefined && (typeof antiSnipe !== 'object' || antiSnipe === null || Array.isArray(antiSnipe))) {
+            return 'antiSnipe must be an object of { window, extension, maxExtensions }';
+        }
+        return null;
+    }
+
+    start(sessionId, options = {}) {
+        const duration = options.duration || this.getSetting('duration', 120) * 1000;
+        const item = options.item || this.getSetting('item', 'the item');
+
+        const gameData = {
+            type: this.type,
+            sessionId,
+            status: 'bidding',
+            item,
+            reservePrice: Number(options.reservePrice ?? this.getSetting('reservePrice', 0)) || 0, // Minimum winning bid
+            antiSnipe: this.getAntiSnipe(options.antiSnipe),
+            bidders: new Map(), // username -> { username, userId, nickname, total, gifts, firstBidAt, lastBidAt }
+            leader: null, // username
+            leadChanges: 0,
+            extensions: [], // { at, previousEndTime, endTime, leader }
+            totalDiamonds: 0,
+            ranking: [],
+            startTime: new Date(),
+            duration,
+            endTime: new Date(Date.now() + duration),
+            winner: null
+        };
+
+        console.log(`🔨 Gift Auction started for session ${sessionId} - "${item}" for ${duration / 1000}s${gameData.reservePrice ? `, reserve ${gameData.reservePrice} diamonds` : ''}`);
+
+        return gameData;
+    }
+
+    describeStart(game) {
+        return `Gift Auction for "${game.item}" started! Send gifts to bid - the highest total after ${game.duration / 1000} seconds wins.`;
+    }
+
+    getAntiSnipe(overrides = {}) {
+        const antiSnipe = { ...DEFAULT_ANTI_SNIPE, ...this.getSetting('antiSnipe', {}), ...(overrides || {}) };
+        return Object.fromEntries(Object.keys(DEFAULT_ANTI_SNIPE)
+            .map(key => [key, Math.max(0, Number(antiSnipe[key]) || 0)]));
+    }
+
+    handleGift(game, { userId, username, totalDiamonds, giftName, userProfile = null }) {
+        if (game.status !== 'bidding' || !(totalDiamonds > 0)) {
+            return null;
+        }
+
+        const now = new Date();
+        let bidder = game.bidders.get(username);
+        if (!bidder) {
+            bidder = { username, userId: userId || null, nickname: userProfile?.nickname || null, total: 0, gifts: 0, firstBidAt: now, lastBidAt: now };
+            game.bidders.set(username, bidder);
+        }
+
+        bidder.total += totalDiamonds;
+        bidder.gifts++;
+        bidder.lastBidAt = now;
+        game.totalDiamonds += totalDiamonds;
+
+        const leader = game.leader ? game.bidders.get(game.leader) : null;
+        const tookLead = game.leader !== username && (!leader || bidder.total > leader.total);
+        const previousLeader = tookLead ? game.leader : null;
+        let extended = false;
+
+        if (tookLead) {
+            game.leader = username;
+            game.leadChanges++;
+            extended = this.extendOnSnipe(game, now.getTime());
+            console.log(`👑 Gift Auction: ${username} takes the lead with ${bidder.total} diamonds${extended ? ` - extended to ${game.endTime.toISOString()}` : ''}`);
+        }
+
+        return {
+            action: tookLead ? 'lead' : 'bid',
+            giftName,
+            diamonds: totalDiamonds,
+            total: bidder.total,
+            rank: this.ladder(game).findIndex(entry => entry.username === username) + 1,
+            previousLeader,
+            extended,
+            endTime: game.endTime
+        };
+    }
+
+    // Push the end back when the lead changed in the last seconds, returns true when extended
+    extendOnSnipe(game, now) {
+        const { window, extension, maxExtensions } = game.antiSnipe;
+        const remaining = game.endTime.getTime() - now;
+        if (!(window > 0) || remaining > window * 1000 || game.extensions.length >= maxExtensions) {
+            return false;
+        }
+
+        const endTime = new Date(now + extension * 1000);
+        if (endTime <= game.endTime) {
+            return false;
+        }
+
+        game.extensions.push({ at: new Date(now), previousEndTime: game.endTime, endTime, leader: game.leader });
+        game.endTime = endTime;
+        game.countdownSent = false; // Count down again to the new end
+        return true;
+    }
+
+    // Bidders by total, ties to whoever reached their total first
+    ladder(game) {
+        return Array.from(game.bidders.values())
+            .sort((a, b) => b.total - a.total || new Date(a.lastBidAt) - new Date(b.lastBidAt));
+    }
+
+    finish(game) {
+        game.ranking = this.ladder(game).map((bidder, index) => ({ rank: index + 1, ...bidder }));
+
+        const top = game.ranking[0];
+        game.winner = top && top.total >= game.reservePrice ? top : null;
+
+        if (game.winner) {
+            console.log(`🔨 Gift Auction: "${game.item}" sold to ${game.winner.username} for ${game.winner.total} diamonds (${game.ranking.length} bidders)`);
+        } else {
+            console.log(`🔨 Gift Auction: "${game.item}" not sold${top ? ` - top bid ${top.total} is below the reserve of ${game.reservePrice}` : ' - no bids'}`);
+        }
+    }
+
+    summary(game) {
+        return {
+            totalBidders: game.bidders.size,
+            totalDiamonds: game.totalDiamonds,
+            extensions: game.extensions.length
+        };
+    }
+
+    result(game) {
+        return {
+            winner: game.winner,
+            item: game.item,
+            ranking: game.ranking,
+            ...this.summary(game),
+            gameData: game
+        };
+    }
+
+    status(game) {
+        return {
+            item: game.item,
+            reservePrice: game.reservePrice,
+            ladder: (game.status === 'ended' ? game.ranking : this.ladder(game).map((bidder, index) => ({ rank: index + 1, ...bidder }))).slice(0, 10),
+            leader: game.leader ? game.bidders.get(game.leader) : null,
+            antiSnipe: game.antiSnipe,
+            extensions: game.extensions,
+            totalBidders: game.bidders.size,
+            totalDiamonds: game.totalDiamonds
+        };
+    }
+}
+
+module.exports = AuctionGame;
@@ -0,0 +1,127 @@
+// Base class for pluggable game modules
+//
+// Every file in the games/ directory that exports a subclass of BaseGame is
+// registered with the GamingSystem under its `type`. Subclasses override the
+// hooks they need; the defaults ignore the event and end the game once its
+// window has elapsed.
+class BaseGame {
+    constructor(system) {
+        this.system = system;
+        this.type = null; // Unique type name used in routes and game data
+        this.name = null; // Human readable name
+        this.countdown = true; // Emit a 'countdown' event before endTime (off for games that run in phases)
+        this.chatSpam = false; // Repeating a message is how the game is played: spam flags and chat.entryCooldown don't apply
+        // Chat commands of the game ({ name, aliases, usage, description, permission, cooldown, userCooldown }),
+        // routed to handleCommand while a game of this type runs (see chat-commands.js)
+        this.commands = [];
+    }
+
+    // Read a setting from this game's settings category
+    getSetting(key, defaultValue) {
+        return this.system.getSetting(this.settingsKey || this.type, key, defaultValue);
+    }
+
+    // Read this game's gift effect setting (settings.giftEffects)
+    getGiftEffect(key, defaultValue) {
+        return this.system.getGiftEffect(this.settingsKey || this.type, key, defaultValue);
+    }
+
+    // Validate the options passed to the start route, returns an error message or null
+    validateOptions(options) {
+        return null;
+    }
+
+    // Create the game data for a new game
+    start(sessionId, options = {}) {
+        throw new Error(`Game module "${this.type}" does not implement start()`);
+    }
+
+    // Called when a game is restored from the database after a restart
+    restore(game) {
+    }
+
+    // Message shown when the game is started through the API
+    describeStart(game) {
+        return `${this.name || this.type} started!`;
+    }
+
+    // Handle a chat message, returns an action object when the message was accepted
+    handleChat(game, chat) {
+        return null;
+    }
+
+    // Handle one of this.commands, returns an action object like handleChat.
+    // command: { command, args, argText, userId, username, message, userProfile, level }
+    handleCommand(game, command) {
+        return null;
+    }
+
+    // Handle a gift, returns an action object when the gift changed the game.
+    // Combo gifts arrive once, at the end of the streak, with totalDiamonds = diamondCount * repeatCount
+    handleGift(game, gift) {
+        return null;
+    }
+
+    // Handle a like batch, returns an action object when the likes changed the game
+    handleLike(game, like) {
+        return null;
+    }
+
+    // Handle a follow, share or subscription (social.subtype), returns an action object when it changed the game
+    handleSocial(game, social) {
+        return null;
+    }
+
+    // Called every second while the game is active
+    tick(game, now) {
+        if (game.status !== 'ended' && game.endTime && now >= game.endTime.getTime()) {
+            this.system.endGame(game.sessionId);
+        }
+    }
+
+    // End the game (only once) and return its result
+    end(game) {
+        if (game.status !== 'ended') {
+            game.status = 'ended';
+            game.actualEndTime = new Date();
+            this.finish(game);
+
+            this.system.addToHistory({
+                ...game,
+                ...this.summary(game)
+            });
+        }
+
+        return this.result(game);
+    }
+
+    // Determine the winner / results when the game ends
+    finish(game) {
+    }
+
+    // Totals stored in history and returned with the result
+    summary(game) {
+        return {};
+    }
+
+    // Result returned by end()
+    result(game) {
+        return {
+            winner: game.winner || null,
+            ...this.summary(game),
+            gameData: game
+        };
+    }
+
+    // Game specific fields merged into the status response
+    status(game) {
+        return {};
+    }
+
+    // Game data as returned by the API, without what players must not see yet
+    publicView(game) {
+        return game;
+    }
+}
+
+module.exports = BaseGame;
@@ -0,0 +1,379 @@
+// Boss Battle - the whole audience fights one boss with a shared HP bar.
+//
+// Chat messages with the attack keyword, likes, gifts (by diamond value), follows,
+// shares and subscriptions deal damage, set by settings.bossBattle.damage. The boss
+// is defeated at 0 HP; when the time runs out first, the boss wins.
+//
+// Phases start when the boss drops to their hpPercent and only move forward. A
+// phase can bring its own weaknesses and healing. Weaknesses multiply the damage of
+// one source, optionally only for a gift name or a chat keyword (e.g. FIRE), which
+// then also counts as an attack:
+//   { source: 'gift', gift: 'Rose', multiplier: 3 }
+// The boss heals `heal.perSecond` continuously and `heal.amount` every `heal.every`
+// seconds. The top damage dealers get the `awards` when the battle ends.
+const BaseGame = require('./base-game');
+
+const SOURCES = ['chat', 'like', 'gift', 'follow', 'share', 'subscribe'];
+
+// Damage per attack message, like, gift diamond, follow, share and subscription
+const DEFAULT_DAMAGE = {
+    chat: 10,
+    like: 1,
+    diamond: 5,
+    follow: 100,
+    share: 50,
+    subscribe: 500
+};
+
+const DEFAULT_HEAL = {
+    perSecond: 0,
+    every: 0,
+    amount: 0
+};
+
+class BossBattleGame extends BaseGame {
+    constructor(system) {
+        super(system);
+        this.type = 'boss';
+        this.name = 'Boss Battle';
+        this.settingsKey = 'bossBattle';
+        this.chatSpam = true;
+    }
+
+    validateOptions(options) {
+        const { boss, phases, weaknesses } = options;
+        if (boss !== undefined && (typeof boss !== 'object' || boss === null || (boss.maxHp !== undefined && !(Number(boss.maxHp) > 0)))) {
+            return 'boss must be an object with a positive maxHp';
+        }
+        if (phases !== undefined) {
+            if (!Array.isArray(phases) || phases.some(phase => !phase || !(Number(phase.hpPercent) > 0 && Number(phase.hpPercent) <= 100))) {
+                return 'phases must be a list of { name, hpPercent (1-100) }';
+            }
+            const error = phases.map(phase => this.validateWeaknesses(phase.weaknesses)).find(Boolean);
+            if (error) {
+                return error;
+            }
+        }
+        return this.validateWeaknesses(weaknesses);
+    }
+
+    validateWeaknesses(weaknesses) {
+        if (weaknesses === undefined) {
+            return null;
+        }
+        if (!Array.isArray(weaknesses) || weaknesses.some(weakness => !weakness || !SOURCES.includes(weakness.source) || !(Number(weakness.multiplier) > 0))) {
+            return `weaknesses must be a list of { source (${SOURCES.join(', ')}), multiplier, gift?, keyword? }`;
+        }
+        return null;
+    }
+
+    start(sessionId, options = {}) {
+        const duration = options.duration || this.getSetting('duration', 180) * 1000;
+        const boss = { name: 'Boss', maxHp: 5000, ...this.getSetting('boss', {}), ...(options.boss || {}) };
+        boss.maxHp = Number(boss.maxHp);
+        const now = new Date();
+
+        const gameData = {
+            type: this.type,
+            sessionId,
+            status: 'active',
+            boss,
+            hp: boss.maxHp,
+            attackKeyword: options.attackKeyword || this.getSetting('attackKeyword', 'ATTACK'),
+            damage: this.getDamage(options.damage),
+            weaknesses: options.weaknesses || this.getSetting('weaknesses', []),
+            heal: { ...DEFAULT_HEAL, ...this.getSetting('heal', {}), ...(options.heal || {}) },
+            phases: this.getPhases(options.phases),
+            phaseIndex: 0,
+            phaseLog: [], // { phase, name, hp, timestamp } for every phase change
+            contributors: new Map(), // username -> { username, userId, damage, hits, bySource }
+            awards: this.getSetting('awards', ['MVP', 'Runner-up', 'Third place']),
+            winners: [], // Top damage dealers with their award
+            totalHealed: 0,
+            lastHealAt: now,
+            nextHealAt: null,
+            lastHit: null,
+            defeated: false,
+            startTime: now,
+            duration,
+            endTime: new Date(now.getTime() + duration),
+            winner: null
+        };
+        this.scheduleHeal(gameData, now.getTime());
+
+        console.log(`🐉 Boss Battle started for session ${sessionId} - ${boss.name} with ${boss.maxHp} HP, ${gameData.phases.length} phases, ${duration / 1000}s`);
+
+        return gameData;
+    }
+
+    // No healing for the time the server was down
+    restore(game) {
+        game.lastHealAt = new Date();
+    }
+
+    describeStart(game) {
+        return `Boss Battle started! ${game.boss.name} has ${game.boss.maxHp} HP - type "${game.attackKeyword}", like, follow and send gifts to attack!`;
+    }
+
+    getDamage(overrides = {}) {
+        const damage = { ...DEFAULT_DAMAGE, ...this.getSetting('damage', {}), ...(overrides || {}) };
+        return Object.fromEntries(Object.keys(DEFAULT_DAMAGE)
+            .map(key => [key, Math.max(0, Number(damage[key]) || 0)]));
+    }
+
+    // Phases sorted from full HP down; there is always a first phase at 100%
+    getPhases(overrides) {
+        const phases = (overrides || this.getSetting('phases', []))
+            .map((phase, index) => ({ ...phase, name: phase.name || `Phase ${index + 1}`, hpPercent: Number(phase.hpPercent) }))
+            .sort((a, b) => b.hpPercent - a.hpPercent);
+
+        if (phases.length === 0 || phases[0].hpPercent < 100) {
+            phases.unshift({ name: 'Phase 1', hpPercent: 100 });
+        }
+        return phases;
+    }
+
+    currentPhase(game) {
+        return game.phases[game.phaseIndex];
+    }
+
+    // Healing of the current phase, falling back to the boss's
+    currentHeal(game) {
+        return { ...game.heal, ...(this.currentPhase(game).heal || {}) };
+    }
+
+    currentWeaknesses(game) {
+        return this.currentPhase(game).weaknesses || game.weaknesses || [];
+    }
+
+    scheduleHeal(game, now) {
+        const { every, amount } = this.currentHeal(game);
+        game.nextHealAt = every > 0 && amount > 0 ? new Date(now + every * 1000) : null;
+    }
+
+    // Strongest weakness hit by an attack, 1 without one
+    weaknessMultiplier(game, source, { giftName = null, message = null } = {}) {
+        const text = message ? message.toUpperCase() : '';
+        const multipliers = this.currentWeaknesses(game)
+            .filter(weakness => weakness.source === source)
+            .filter(weakness => !weakness.gift || (giftName && weakness.gift.toLowerCase() === giftName.toLowerCase()))
+            .filter(weakness => !weakness.keyword || this.hasWord(text, weakness.keyword))
+            .map(weakness => Number(weakness.multiplier));
+
+        return multipliers.length > 0 ? Math.max(...multipliers) : 1;
+    }
+
+    hasWord(text, word) {
+        const escaped = String(word).toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`\\b${escaped}\\b`).test(text);
+    }
+
+    handleChat(game, { userId, username, message }) {
+        if (game.status !== 'active' || !message) {
+            return null;
+        }
+
+        // Weakness keywords are attacks too
+        const text = message.toUpperCase();
+        const keywords = [game.attackKeyword, ...this.currentWeaknesses(game).filter(weakness => weakness.source === 'chat' && weakness.keyword).map(weakness => weakness.keyword)];
+        if (!keywords.some(keyword => this.hasWord(text, keyword))) {
+            return null;
+        }
+
+        return this.attack(game, { userId, username }, 'chat', game.damage.chat, { message });
+    }
+
+    handleLike(game, { userId, username, likeCount }) {
+        if (game.status !== 'active' || !(likeCount > 0)) {
+            return null;
+        }
+
+        const result = this.attack(game, { userId, username }, 'like', likeCount * game.damage.like);
+        return result ? { ...result, likes: likeCount } : null;
+    }
+
+    handleGift(game, { userId, username, giftName, totalDiamonds }) {
+        if (game.status !== 'active' || !this.system.giftEffectsEnabled() || !totalDiamonds) {
+            return null;
+        }
+
+        const result = this.attack(game, { userId, username }, 'gift', totalDiamonds * game.damage.diamond, { giftName });
+        return result ? { ...result, giftName, diamonds: totalDiamonds } : null;
+    }
+
+    handleSocial(game, { userId, username, subtype }) {
+        if (game.status !== 'active' || !SOURCES.includes(subtype)) {
+            return null;
+        }
+
+        // A follow or subscription only hits once per viewer
+        const contributor = game.contributors.get(username);
+        if (subtype !== 'share' && contributor?.bySource[subtype]) {
+            return null;
+        }
+
+        return this.attack(game, { userId, username }, subtype, game.damage[subtype]);
+    }
+
+    getContributor(game, { userId, username }) {
+        let contributor = game.contributors.get(username);
+        if (!contributor) {
+            contributor = { username, userId: userId || null, damage: 0, hits: 0, bySource: {} };
+            game.contributors.set(username, contributor);
+        }
+        return contributor;
+    }
+
+    // Deal damage to the boss. Returns null when the attack has no effect; finished is
+    // set for the blow that defeats the boss (the system ends the game).
+    attack(game, user, source, baseDamage, details = {}) {
+        const multiplier = this.weaknessMultiplier(game, source, details);
+        const damage = Math.min(game.hp, Math.round(baseDamage * multiplier * 100) / 100);
+        if (!(damage > 0)) {
+            return null;
+        }
+
+        const contributor = this.getContributor(game, user);
+        contributor.damage += damage;
+        contributor.hits++;
+        contributor.bySource[source] = (contributor.bySource[source] || 0) + damage;
+
+        game.hp = Math.max(0, Math.round((game.hp - damage) * 100) / 100);
+        this.checkPhase(game);
+
+        const finished = game.hp <= 0 && !game.defeated;
+        if (finished) {
+            game.defeated = true;
+            game.lastHit = { username: user.username, source, damage, timestamp: new Date() };
+            console.log(`💥 Boss Battle: ${user.username} defeated ${game.boss.name} with a ${source} attack`);
+        }
+
+        return {
+            action: finished ? 'defeat' : 'attack',
+            source,
+            damage,
+            weakness: multiplier > 1 ? multiplier : null,
+            hp: game.hp,
+            phase: this.currentPhase(game).name,
+            finished
+        };
+    }
+
+    // Enter every phase whose threshold the boss dropped to
+    checkPhase(game, now = Date.now()) {
+        const hpPercent = game.hp / game.boss.maxHp * 100;
+
+        while (game.phaseIndex + 1 < game.phases.length && hpPercent <= game.phases[game.phaseIndex + 1].hpPercent && game.hp > 0) {
+            game.phaseIndex++;
+            const phase = this.currentPhase(game);
+            const change = { action: 'phase', phase: game.phaseIndex + 1, name: phase.name, hp: game.hp, timestamp: new Date(now) };
+
+            game.phaseLog.push(change);
+            this.scheduleHeal(game, now);
+
+            console.log(`🐉 Boss Battle: ${game.boss.name} entered phase ${change.phase} "${phase.name}" at ${game.hp} HP`);
+
+            this.system.recordEntry(game, change);
+            this.system.emitGameEvent(game.sessionId, this.type, 'phase', {
+                gameId: game.id,
+                boss: game.boss.name,
+                ...change,
+                weaknesses: this.currentWeaknesses(game)
+            });
+        }
+    }
+
+    tick(game, now) {
+        if (game.status === 'ended') {
+            return;
+        }
+
+        this.regenerate(game, now);
+        super.tick(game, now);
+    }
+
+    // Heal over time, plus the burst heal when its timer is due
+    regenerate(game, now) {
+        const heal = this.currentHeal(game);
+        let amount = heal.perSecond * (now - new Date(game.lastHealAt).getTime()) / 1000;
+        game.lastHealAt = new Date(now);
+
+        const burst = game.nextHealAt && now >= new Date(game.nextHealAt).getTime();
+        if (burst) {
+            amount += heal.amount;
+            this.scheduleHeal(game, now);
+        }
+
+        amount = Math.min(game.boss.maxHp - game.hp, Math.round(amount * 100) / 100);
+        if (!(amount > 0)) {
+            return;
+        }
+
+        game.hp = Math.round((game.hp + amount) * 100) / 100;
+        game.totalHealed += amount;
+        this.system.persistGame(game);
+
+        if (burst) {
+            console.log(`💚 Boss Battle: ${game.boss.name} healed ${amount} HP (${game.hp}/${game.boss.maxHp})`);
+            this.system.emitGameEvent(game.sessionId, this.type, 'heal', { gameId: game.id, boss: game.boss.name, amount, hp: game.hp });
+        }
+    }
+
+    // Award the top damage dealers, win or lose
+    finish(game) {
+        game.winners = this.topDamage(game, game.awards.length)
+            .map((contributor, index) => ({ ...contributor, rank: index + 1, prize: game.awards[index] }));
+        game.winner = game.winners[0] || null;
+
+        console.log(`🐉 Boss Battle ended: ${game.boss.name} ${game.defeated ? 'was defeated' : `survived with ${game.hp} HP`}${game.winner ? ` - MVP ${game.winner.username} (${game.winner.damage} damage)` : ''}`);
+    }
+
+    topDamage(game, limit = 10) {
+        return Array.from(game.contributors.values())
+            .sort((a, b) => b.damage - a.damage)
+            .slice(0, limit);
+    }
+
+    summary(game) {
+        return {
+            defeated: game.defeated,
+            hp: game.hp,
+            totalDamage: Math.round((game.boss.maxHp - game.hp + game.totalHealed) * 100) / 100,
+            totalParticipants: game.contributors.size
+        };
+    }
+
+    result(game) {
+        return {
+            winner: game.winner,
+            winners: game.winners,
+            lastHit: game.lastHit,
+            ...this.summary(game),
+            gameData: game
+        };
+    }
+
+    status(game) {
+        const phase = this.currentPhase(game);
+
+        return {
+            boss: game.boss,
+            hp: game.hp,
+            maxHp: game.boss.maxHp,
+            hpPercent: Math.round(game.hp / game.boss.maxHp * 10000) / 100,
+            phase: { number: game.phaseIndex + 1, name: phase.name, weaknesses: this.currentWeaknesses(game), heal: this.currentHeal(game) },
+            totalPhases: game.phases.length,
+            phaseLog: game.phaseLog,
+            attackKeyword: game.attackKeyword,
+            damage: game.damage,
+            topDamage: this.topDamage(game),
+            winners: game.winners,
+            totalHealed: game.totalHealed,
+            totalParticipants: game.contributors.size,
+            defeated: game.defeated,
+            lastHit: game.lastHit
+        };
+    }
+}
+
+module.exports = BossBattleGame;
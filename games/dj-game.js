@@ -0,0 +1,77 @@
+// DJ Game - chat requests songs, votes A/B/C/D, winners build a playlist
+//
+// The round logic lives in DJGameSystem; this module plugs it into the registry.
+const BaseGame = require('./base-game');
+
+class DJGame extends BaseGame {
+    constructor(system) {
+        super(system);
+        this.type = 'djgame';
+        this.name = 'DJ Game';
+        this.settingsKey = 'djGame';
+        this.countdown = false;
+    }
+
+    get djGameSystem() {
+        return this.system.djGameSystem;
+    }
+
+    start(sessionId) {
+        return this.djGameSystem.startDJGame(sessionId);
+    }
+
+    describeStart(game) {
+        return 'DJ Game started successfully';
+    }
+
+    handleChat(game, { username, message }) {
+        return this.djGameSystem.handleChatMessage(game.sessionId, username, message);
+    }
+
+    restore(game) {
+        this.djGameSystem.activeGames.set(game.sessionId, game);
+    }
+
+    // Move to the next phase when the current one is over, end the game when there is nothing to vote on
+    tick(game, now) {
+        if (now < game.endTime.getTime()) {
+            return;
+        }
+
+        if (this.djGameSystem.advancePhase(game.sessionId)) {
+            this.system.persistGame(game);
+            this.system.emitGameEvent(game.sessionId, this.type, 'phase', {
+                gameId: game.id,
+                phase: game.phase,
+                round: game.currentRound,
+                winner: game.phase === 'playing' ? game.winner : null
+            });
+        } else {
+            this.system.endGame(game.sessionId);
+        }
+    }
+
+    end(game) {
+        if (game.status !== 'ended') {
+            this.djGameSystem.endDJGame(game.sessionId);
+            this.system.addToHistory({
+                ...game,
+                totalRounds: game.currentRound,
+                totalSongs: game.playlist.length,
+                finalPlaylist: game.playlist
+            });
+        }
+
+        return {
+            totalRounds: game.currentRound,
+            playlist: game.playlist,
+            gameData: game
+        };
+    }
+
+    status(game) {
+        return this.djGameSystem.getDJGameStatus(game.sessionId) || {};
+    }
+}
+
+module.exports = DJGame;
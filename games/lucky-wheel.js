@@ -0,0 +1,542 @@
+// Lucky Wheel - viewers enter by typing the keyword, a random entry wins
+//
+// Entries can be limited with eligibility rules (settings.luckyWheel.eligibility,
+// or an `eligibility` object passed to the start route):
+//   mustFollow        - follows the streamer (or followed during this session)
+//   subscribersOnly   - subscribed to the streamer
+//   minGiftCoins      - coins gifted during this session
+//   mustChatBefore    - chatted before the wheel opened
+//   minAccountAgeDays - age of the TikTok account
+//   minFollowers      - followers of the viewer's own account
+//   excludePreviousWinners - won an earlier Lucky Wheel of this session
+// Rejected viewers are kept with the reason in game.rejections.
+//
+// A spin can draw several winners (luckyWheel.winnerCount, or `winners` in the start
+// options). Named prize tiers (luckyWheel.prizes / `prizes`) go to the winners in draw
+// order, and each tier adds a winner when there are more tiers than winnerCount.
+// A winner who doesn't respond can be re-rolled after the spin: only their slot is
+// drawn again, from the entries that haven't won, and the re-roll is kept in
+// game.rerolls with who triggered it and why.
+//
+// In raffle mode (luckyWheel.mode = 'raffle') entrants earn bonus tickets for their
+// engagement this session, weighted by settings.luckyWheel.raffle: minutes watched
+// since their first member event, chat messages, likes, shares, and a flat bonus
+// for subscribers and fan club members. Bonus tickets follow the activity until the
+// draw and are added to the entry and gift tickets.
+const BaseGame = require('./base-game');
+
+const MODES = ['wheel', 'raffle'];
+
+const DEFAULT_RAFFLE_WEIGHTS = {
+    perWatchMinute: 1,
+    perChat: 0.5,
+    perLike: 0.01,
+    perShare: 2,
+    subscriber: 5,
+    fanClub: 3,
+    maxBonusTickets: 50
+};
+
+const ELIGIBILITY_RULES = ['mustFollow', 'subscribersOnly', 'minGiftCoins', 'mustChatBefore', 'minAccountAgeDays', 'minFollowers', 'excludePreviousWinners'];
+
+const MAX_WINNERS = 50;
+
+class LuckyWheelGame extends BaseGame {
+    constructor(system) {
+        super(system);
+        this.type = 'luckywheel';
+        this.name = 'Lucky Wheel';
+        this.settingsKey = 'luckyWheel';
+    }
+
+    validateOptions(options) {
+        const { eligibility, mode, weights, winners, prizes } = options;
+        if (mode !== undefined && !MODES.includes(mode)) {
+            return `mode must be one of: ${MODES.join(', ')}`;
+        }
+        if (winners !== undefined && !(Number.isInteger(winners) && winners >= 1 && winners <= MAX_WINNERS)) {
+            return `winners must be a whole number from 1 to ${MAX_WINNERS}`;
+        }
+        if (prizes !== undefined && !(Array.isArray(prizes) && prizes.length <= MAX_WINNERS && prizes.every(prize => typeof prize === 'string' && prize.trim()))) {
+            return `prizes must be a list of up to ${MAX_WINNERS} prize names`;
+        }
+        if (weights !== undefined && (typeof weights !== 'object' || weights === null || Array.isArray(weights))) {
+            return 'weights must be an object of raffle weights';
+        }
+        if (eligibility === undefined || eligibility === null) {
+            return null;
+        }
+        if (typeof eligibility !== 'object' || Array.isArray(eligibility)) {
+            return 'eligibility must be an object of rules';
+        }
+
+        const unknown = Object.keys(eligibility).filter(rule => !ELIGIBILITY_RULES.includes(rule));
+        if (unknown.length > 0) {
+            return `Unknown eligibility rules: ${unknown.join(', ')} (supported: ${ELIGIBILITY_RULES.join(', ')})`;
+        }
+        return null;
+    }
+
+    start(sessionId, options = {}) {
+        // Get settings or use defaults
+        const gameDuration = options.duration || this.getSetting('duration', 10) * 1000;
+        const keyword = this.getSetting('keyword', 'GAME');
+        const eligibility = this.getEligibility(options.eligibility);
+        const mode = options.mode || this.getSetting('mode', 'wheel');
+        const prizes = this.getPrizes(options.prizes);
+        const winnerCount = Math.min(MAX_WINNERS, Math.max(options.winners || this.getSetting('winnerCount', 1), prizes.length));
+
+        const gameData = {
+            type: this.type,
+            sessionId,
+            status: 'collecting',
+            entries: [],
+            startTime: new Date(),
+            duration: gameDuration,
+            endTime: new Date(Date.now() + gameDuration),
+            winner: null, // First winner, kept for overlays that show a single winner
+            winners: [], // { ...entry, rank, prize } in draw order
+            winnerCount,
+            prizes, // Prize tier names by rank
+            rerolls: [],
+            keyword: keyword, // Store the keyword with the game
+            eligibility, // Rules in effect for this game
+            rejections: [], // Latest rejection of each viewer that wasn't entered
+            mode,
+            weights: mode === 'raffle' ? this.getRaffleWeights(options.weights) : null
+        };
+
+        console.log(`🎰 Lucky Wheel started for session ${sessionId} - collecting entries for ${gameDuration/1000}s with keyword "${keyword}"${mode === 'raffle' ? ' (raffle)' : ''}${winnerCount > 1 ? ` - ${winnerCount} winners` : ''}`);
+        if (Object.keys(eligibility).length > 0) {
+            console.log(`🎰 Lucky Wheel eligibility rules:`, eligibility);
+        }
+
+        return gameData;
+    }
+
+    restore(game) {
+        game.eligibility = game.eligibility || {};
+        game.rejections = game.rejections || [];
+        game.mode = game.mode || 'wheel';
+        game.winners = game.winners || (game.winner ? [{ ...game.winner, rank: 1, prize: null }] : []);
+        game.winnerCount = game.winnerCount || 1;
+        game.prizes = game.prizes || [];
+        game.rerolls = game.rerolls || [];
+
+        // The session's history didn't survive the restart, rebuild it from the events table
+        this.system.viewerStats.load(game.sessionId);
+    }
+
+    getRaffleWeights(overrides = {}) {
+        const weights = { ...DEFAULT_RAFFLE_WEIGHTS, ...this.getSetting('raffle', {}), ...(overrides || {}) };
+        return Object.fromEntries(Object.keys(DEFAULT_RAFFLE_WEIGHTS)
+            .map(key => [key, Math.max(0, Number(weights[key]) || 0)]));
+    }
+
+    getPrizes(overrides) {
+        const prizes = overrides || this.getSetting('prizes', []);
+        return (Array.isArray(prizes) ? prizes : [])
+            .map(prize => String(prize).trim())
+            .filter(Boolean)
+            .slice(0, MAX_WINNERS);
+    }
+
+    // Active rules: settings overridden by the start options, disabled rules left out
+    getEligibility(overrides = {}) {
+        const rules = { ...this.getSetting('eligibility', {}), ...(overrides || {}) };
+
+        return Object.fromEntries(ELIGIBILITY_RULES
+            .filter(rule => rules[rule] === true || Number(rules[rule]) > 0)
+            .map(rule => [rule, rules[rule] === true ? true : Number(rules[rule])]));
+    }
+
+    // Reasons why a viewer can't enter, empty when they are eligible
+    checkEligibility(game, { username, userProfile }) {
+        const rules = game.eligibility || {};
+        const stats = this.system.viewerStats.get(game.sessionId, username);
+        const reasons = [];
+
+        if (rules.mustFollow && !userProfile?.isFollower && !stats?.followedAt) {
+            reasons.push('does not follow the streamer');
+        }
+
+        if (rules.subscribersOnly && !userProfile?.isSubscriber) {
+            reasons.push('is not a subscriber');
+        }
+
+        if (rules.minGiftCoins) {
+            const coins = stats?.giftCoins || 0;
+            if (coins < rules.minGiftCoins) {
+                reasons.push(`gifted ${coins} of ${rules.minGiftCoins} coins this session`);
+            }
+        }
+
+        if (rules.mustChatBefore && !(stats?.firstChatAt && new Date(stats.firstChatAt) < new Date(game.startTime))) {
+            reasons.push('did not chat before the wheel opened');
+        }
+
+        if (rules.minAccountAgeDays) {
+            if (!userProfile?.accountCreatedAt) {
+                reasons.push('account age is unknown');
+            } else {
+                const days = Math.floor((Date.now() - new Date(userProfile.accountCreatedAt).getTime()) / 86400000);
+                if (days < rules.minAccountAgeDays) {
+                    reasons.push(`account is ${days} days old, ${rules.minAccountAgeDays} required`);
+                }
+            }
+        }
+
+        if (rules.minFollowers) {
+            const followers = userProfile?.followerCount;
+            if (followers === null || followers === undefined) {
+                reasons.push('follower count is unknown');
+            } else if (followers < rules.minFollowers) {
+                reasons.push(`has ${followers} followers, ${rules.minFollowers} required`);
+            }
+        }
+
+        if (rules.excludePreviousWinners && this.system.viewerStats.hasWon(game.sessionId, username, game.id)) {
+            reasons.push('already won a Lucky Wheel this session');
+        }
+
+        return reasons;
+    }
+
+    // Keep the reason a viewer wasn't entered; repeated attempts for the same reason are reported once
+    reject(game, { userId, username }, reasons) {
+        const reason = reasons.join('; ');
+        const previous = game.rejections.find(rejection => rejection.username === username);
+        if (previous && previous.reason === reason) {
+            return null;
+        }
+
+        const rejection = { username, userId, reason, reasons, timestamp: new Date() };
+        if (previous) {
+            Object.assign(previous, rejection);
+        } else {
+            game.rejections.push(rejection);
+        }
+
+        console.log(`🚫 Lucky Wheel: ${username} was not entered - ${reason}`);
+
+        return { action: 'rejected', reason, reasons };
+    }
+
+    describeStart(game) {
+        return `Lucky Wheel started! Players can type "${game.keyword}" to enter for ${game.duration / 1000} seconds.`;
+    }
+
+    // Add entry with profile picture capture
+    handleChat(game, chat) {
+        const { username, message, userProfile = null } = chat;
+
+        if (game.status !== 'collecting' || !message) {
+            return null;
+        }
+
+        // Check if message contains the game keyword as a whole word (case insensitive)
+        const keywordUpper = (game.keyword || 'GAME').toUpperCase();
+        const wordBoundaryRegex = new RegExp(`\\b${keywordUpper.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`);
+        if (!wordBoundaryRegex.test(message.toUpperCase())) {
+            return null;
+        }
+
+        // Prevent duplicate entries from same user
+        if (this.findEntry(game, username)) {
+            return null;
+        }
+
+        const reasons = this.checkEligibility(game, chat);
+        if (reasons.length > 0) {
+            return this.reject(game, chat, reasons);
+        }
+
+        const entry = this.addEntry(game, username, message, userProfile);
+
+        return { action: 'entry', entryId: entry.entryId, totalEntries: game.entries.length };
+    }
+
+    // Gifts add extra tickets (and enter the gifter if configured)
+    handleGift(game, gift) {
+        const { username, totalDiamonds, userProfile = null } = gift;
+        if (game.status !== 'collecting' || !this.system.giftEffectsEnabled() || !totalDiamonds) {
+            return null;
+        }
+
+        const diamondsPerTicket = this.getGiftEffect('diamondsPerTicket', 1);
+        const extraTickets = diamondsPerTicket > 0 ? Math.floor(totalDiamonds / diamondsPerTicket) : 0;
+        if (extraTickets < 1) {
+            return null;
+        }
+
+        let entry = this.findEntry(game, username);
+        const entered = !entry;
+        if (!entry) {
+            if (!this.getGiftEffect('autoEnter', true)) {
+                return null;
+            }
+            const reasons = this.checkEligibility(game, gift);
+            if (reasons.length > 0) {
+                return this.reject(game, gift, reasons);
+            }
+            entry = this.addEntry(game, username, null, userProfile);
+        }
+
+        const previousTickets = entry.tickets;
+        entry.tickets = Math.min(this.getGiftEffect('maxTicketsPerUser', 50), entry.tickets + extraTickets);
+        entry.giftDiamonds = (entry.giftDiamonds || 0) + totalDiamonds;
+
+        const addedTickets = entry.tickets - previousTickets;
+        if (addedTickets <= 0 && !entered) {
+            return null;
+        }
+
+        console.log(`🎁 Lucky Wheel: ${username} gifted ${totalDiamonds} diamonds for ${addedTickets} extra tickets (${entry.tickets} total)`);
+
+        return { action: entered ? 'gift_entry' : 'tickets', entryId: entry.entryId, addedTickets, tickets: entry.tickets, diamonds: totalDiamonds };
+    }
+
+    findEntry(game, username) {
+        return game.entries.find(entry => entry.username === username);
+    }
+
+    addEntry(game, username, message, userProfile) {
+        // Try multiple profile picture sources in order of quality
+        let profilePicture = null;
+        if (userProfile) {
+            profilePicture = userProfile.profilePictureLarge ||
+                           userProfile.profilePictureMedium ||
+                           userProfile.profilePicture;
+
+            // Validate URL format
+            if (profilePicture && (typeof profilePicture !== 'string' || !profilePicture.startsWith('http'))) {
+                console.log(`⚠️ Invalid profile URL format for ${username}:`, profilePicture);
+                profilePicture = null;
+            }
+        } else {
+            console.log(`❌ No userProfile data provided for ${username}`);
+        }
+
+        const entry = {
+            username,
+            message,
+            timestamp: new Date(),
+            entryId: `${game.sessionId}-${username}-${Date.now()}`,
+            profilePicture: profilePicture, // Store the real-time captured profile picture
+            tickets: 1, // Entry and gift tickets
+            isSubscriber: !!userProfile?.isSubscriber,
+            fanClubLevel: userProfile?.fanClubLevel || 0
+        };
+        game.entries.push(entry);
+        game.rejections = (game.rejections || []).filter(rejection => rejection.username !== username);
+        console.log(`🎯 New Lucky Wheel entry: ${username} with profile: ${profilePicture ? '✅' : '❌'}`);
+
+        return entry;
+    }
+
+    // Raffle bonus tickets for the entrant's engagement so far
+    raffleBonus(game, entry, now) {
+        const weights = game.weights || DEFAULT_RAFFLE_WEIGHTS;
+        const stats = this.system.viewerStats.get(game.sessionId, entry.username);
+
+        // Viewers who joined before tracking started count from the first thing they did
+        const watchStart = new Date(stats?.joinedAt || stats?.firstSeenAt || entry.timestamp).getTime();
+        const breakdown = {
+            watchMinutes: Math.max(0, Math.floor((now - watchStart) / 60000)),
+            chats: stats?.chatCount || 0,
+            likes: stats?.likeCount || 0,
+            shares: stats?.shareCount || 0,
+            subscriber: !!(entry.isSubscriber || stats?.subscribedAt),
+            fanClub: entry.fanClubLevel > 0
+        };
+
+        const weighted = breakdown.watchMinutes * weights.perWatchMinute +
+            breakdown.chats * weights.perChat +
+            breakdown.likes * weights.perLike +
+            breakdown.shares * weights.perShare +
+            (breakdown.subscriber ? weights.subscriber : 0) +
+            (breakdown.fanClub ? weights.fanClub : 0);
+
+        return {
+            bonusTickets: Math.min(weights.maxBonusTickets, Math.floor(weighted)),
+            breakdown
+        };
+    }
+
+    // Recompute the raffle bonus tickets of every entry
+    assignRaffleTickets(game, now = Date.now()) {
+        if (game.mode !== 'raffle') {
+            return;
+        }
+
+        for (const entry of game.entries) {
+            const { bonusTickets, breakdown } = this.raffleBonus(game, entry, now);
+            entry.bonusTickets = bonusTickets;
+            entry.ticketBreakdown = breakdown;
+        }
+    }
+
+    entryTickets(entry) {
+        return (entry.tickets || 1) + (entry.bonusTickets || 0);
+    }
+
+    totalTickets(game) {
+        return game.entries.reduce((total, entry) => total + this.entryTickets(entry), 0);
+    }
+
+    tick(game, now) {
+        if (game.status === 'collecting' && now >= game.endTime.getTime()) {
+            this.system.endGame(game.sessionId);
+        }
+    }
+
+    // Draw the winners, one prize tier after the other
+    finish(game) {
+        // Final raffle tickets, kept with the entries in the game history
+        this.assignRaffleTickets(game);
+
+        console.log(`🎰 Lucky Wheel ending for session ${game.sessionId} - Found ${game.entries.length} entries:`, game.entries.map(e => e.username));
+
+        if (game.entries.length === 0) {
+            console.log(`🎰 Lucky Wheel ended for session ${game.sessionId} - No entries`);
+            return;
+        }
+
+        // Each ticket is one slot on the wheel, drawn with the game's committed seed.
+        // A winner leaves the wheel before the next tier is drawn.
+        const remaining = [...game.entries];
+        game.winners = [];
+        for (let rank = 1; rank <= (game.winnerCount || 1) && remaining.length > 0; rank++) {
+            const draw = this.system.fairDraw(game, rank === 1 ? 'winner' : `winner-${rank}`, this.drawEntries(remaining));
+            const entry = remaining.find(candidate => candidate.username === draw.winner);
+            remaining.splice(remaining.indexOf(entry), 1);
+
+            game.winners.push(this.toWinner(game, entry, rank));
+            this.system.viewerStats.recordWin(game.sessionId, entry.username, game.id);
+        }
+        game.winner = game.winners[0];
+        // Re-rolls don't use the game seed, which is revealed now
+        this.system.commitRerollSeed(game);
+
+        console.log(`🏆 Lucky Wheel winner${game.winners.length > 1 ? 's' : ''}: ${game.winners.map(winner => winner.prize ? `${winner.username} (${winner.prize})` : winner.username).join(', ')} (${game.entries.length} total entries, ${this.totalTickets(game)} tickets)`);
+    }
+
+    drawEntries(entries) {
+        return entries.map(entry => ({ id: entry.username, tickets: this.entryTickets(entry) }));
+    }
+
+    toWinner(game, entry, rank) {
+        return { ...entry, rank, prize: (game.prizes || [])[rank - 1] || null };
+    }
+
+    // Draw a new winner for one slot ({ rank } or { username }) of a spun wheel. Entries
+    // that won - including winners re-rolled earlier - can't be drawn again. fairness is
+    // the { seed, seedHash } committed for this re-roll; the seed is revealed in the record.
+    reroll(game, { rank = null, username = null, reason = null, triggeredBy = null, fairness = null }) {
+        const winners = game.winners || [];
+        const index = winners.findIndex(winner => (rank ? winner.rank === Number(rank) : winner.username === username));
+        if (index === -1) {
+            return { error: rank ? `There is no winner #${rank}` : `${username} is not a winner of this Lucky Wheel` };
+        }
+
+        game.rerolls = game.rerolls || [];
+        const excluded = new Set([
+            ...winners.map(winner => winner.username),
+            ...game.rerolls.map(reroll => reroll.previousWinner)
+        ]);
+        const candidates = game.entries.filter(entry => !excluded.has(entry.username));
+        if (candidates.length === 0) {
+            return { error: 'No entries left to draw a new winner from' };
+        }
+
+        const previous = winners[index];
+        const label = `reroll-${game.rerolls.length + 1}`;
+        const draw = this.system.fairDraw(game, label, this.drawEntries(candidates), fairness);
+        const winner = this.toWinner(game, this.findEntry(game, draw.winner), previous.rank);
+
+        winners[index] = winner;
+        game.winners = winners;
+        game.winner = winners[0];
+
+        const reroll = {
+            rank: previous.rank,
+            prize: previous.prize,
+            previousWinner: previous.username,
+            newWinner: winner.username,
+            reason: reason || null,
+            triggeredBy,
+            draw: label,
+            seedHash: fairness?.seedHash || game.fairness.seedHash,
+            seed: fairness?.seed || game.fairness.seed,
+            timestamp: new Date()
+        };
+        game.rerolls.push(reroll);
+
+        // The replaced winner didn't get the prize, so they may win again later
+        this.system.viewerStats.removeWin(game.sessionId, previous.username, game.id);
+        this.system.viewerStats.recordWin(game.sessionId, winner.username, game.id);
+
+        console.log(`🔁 Lucky Wheel re-roll for session ${game.sessionId}: #${previous.rank} ${previous.username} -> ${winner.username}${reason ? ` (${reason})` : ''}`);
+
+        return { action: 'rerolled', ...reroll, winner };
+    }
+
+    summary(game) {
+        return {
+            totalEntries: game.entries.length,
+            totalTickets: this.totalTickets(game),
+            totalRejected: (game.rejections || []).length,
+            totalRerolls: (game.rerolls || []).length
+        };
+    }
+
+    result(game) {
+        return {
+            winner: game.winner,
+            winners: game.winners || [],
+            rerolls: game.rerolls || [],
+            rerollSeedHash: game.rerollSeedHash || null,
+            entries: game.entries,
+            totalEntries: game.entries.length,
+            gameData: game
+        };
+    }
+
+    status(game) {
+        const hasValidProfile = entry => !!(entry.profilePicture && entry.profilePicture.startsWith('http'));
+
+        // Raffle tickets follow the activity until the draw
+        if (game.status !== 'ended') {
+            this.assignRaffleTickets(game);
+        }
+        const totalTickets = this.totalTickets(game);
+
+        return {
+            entries: game.entries.map(entry => ({
+                ...entry,
+                hasValidProfile: hasValidProfile(entry),
+                ticketCount: this.entryTickets(entry),
+                probability: totalTickets > 0 ? Math.round(this.entryTickets(entry) / totalTickets * 10000) / 100 : 0 // Percent
+            })),
+            entriesCount: game.entries.length,
+            totalTickets,
+            mode: game.mode || 'wheel',
+            weights: game.weights || null,
+            winners: game.winners || [],
+            winnerCount: game.winnerCount || 1,
+            prizes: game.prizes || [],
+            rerolls: game.rerolls || [],
+            rerollSeedHash: game.rerollSeedHash || null,
+            profileStats: {
+                totalEntries: game.entries.length,
+                withProfiles: game.entries.filter(hasValidProfile).length,
+                withoutProfiles: game.entries.filter(entry => !hasValidProfile(entry)).length
+            },
+            keyword: game.keyword,
+            eligibility: game.eligibility || {},
+            rejections: game.rejections || []
+        };
+    }
+}
+
+module.exports = LuckyWheelGame;
@@ -0,0 +1,149 @@
+// Poll - viewers vote by typing an option keyword, most votes wins
+const BaseGame = require('./base-game');
+
+class PollGame extends BaseGame {
+    constructor(system) {
+        super(system);
+        this.type = 'poll';
+        this.name = 'Poll';
+    }
+
+    validateOptions({ question, options }) {
+        if (!question || !options || !Array.isArray(options) || options.length === 0) {
+            return 'question and options array are required';
+        }
+        return null;
+    }
+
+    start(sessionId, { question, options, duration = 30000 }) {
+        // Format options with proper structure
+        const formattedOptions = options.map((option, index) => ({
+            id: index + 1,
+            text: option.text || option,
+            keyword: option.keyword || option.text || option,
+            votes: []
+        }));
+
+        const gameData = {
+            type: this.type,
+            sessionId,
+            status: 'active',
+            question,
+            options: formattedOptions, // Array of option objects: [{ id, text, keyword, votes: [] }]
+            startTime: new Date(),
+            duration,
+            endTime: new Date(Date.now() + duration),
+            votes: new Map() // username -> optionId
+        };
+
+        console.log(`📊 Poll started for session ${sessionId}: "${question}"`);
+
+        return gameData;
+    }
+
+    describeStart(game) {
+        return `Poll started: "${game.question}" - ${game.duration / 1000} seconds to vote!`;
+    }
+
+    handleChat(game, { username, message }) {
+        if (game.status !== 'active' || !message || game.votes.has(username)) {
+            return null;
+        }
+
+        // Check if message matches any option keyword
+        const messageUpper = message.toUpperCase();
+        const matchedOption = game.options.find(option =>
+            messageUpper.includes(String(option.keyword).toUpperCase())
+        );
+
+        if (!matchedOption) {
+            return null;
+        }
+
+        game.votes.set(username, matchedOption.id);
+        matchedOption.votes.push({ username, timestamp: new Date(), weight: 1 });
+        console.log(`🗳️ Vote received: ${username} voted for "${matchedOption.text}"`);
+
+        return { action: 'vote', optionId: matchedOption.id, option: matchedOption.text };
+    }
+
+    // Gifts from voters add coin weighted votes to the option they voted for
+    handleGift(game, { username, totalDiamonds }) {
+        if (game.status !== 'active' || !this.system.giftEffectsEnabled() || !totalDiamonds) {
+            return null;
+        }
+
+        const votesPerCoin = this.getGiftEffect('votesPerCoin', 1);
+        const optionId = game.votes.get(username);
+        if (!(votesPerCoin > 0) || !optionId) {
+            return null;
+        }
+
+        const option = game.options.find(option => option.id === optionId);
+        const vote = option.votes.find(vote => vote.username === username);
+        const addedVotes = totalDiamonds * votesPerCoin;
+        vote.weight = (vote.weight || 1) + addedVotes;
+
+        console.log(`🎁 Poll: ${username} gifted ${totalDiamonds} coins for ${addedVotes} extra votes on "${option.text}"`);
+
+        return { action: 'gift_votes', optionId, option: option.text, addedVotes, weight: vote.weight };
+    }
+
+    // Calculate results and find winner (most weighted votes), none without votes
+    finish(game) {
+        game.results = this.calculateResults(game);
+
+        const mostVotes = Math.max(...game.results.map(option => option.weightedVotes));
+        if (!(mostVotes > 0)) {
+            game.winner = null;
+            console.log(`📊 Poll ended without votes`);
+            return;
+        }
+
+        // Options tied for the most votes are decided by a fair draw
+        const leaders = game.results.filter(option => option.weightedVotes === mostVotes);
+        game.winner = leaders[0];
+        if (leaders.length > 1) {
+            const draw = this.system.fairDraw(game, 'tie', leaders.map(option => ({ id: option.id, tickets: 1 })));
+            game.winner = leaders.find(option => String(option.id) === draw.winner);
+        }
+
+        console.log(`📊 Poll ended: "${game.winner.text}" won with ${game.winner.voteCount} votes (${game.winner.weightedVotes} weighted)`);
+    }
+
+    calculateResults(game) {
+        const weightOf = option => option.votes.reduce((total, vote) => total + (vote.weight || 1), 0);
+        const totalWeight = game.options.reduce((total, option) => total + weightOf(option), 0);
+
+        return game.options.map(option => ({
+            ...option,
+            voteCount: option.votes.length,
+            weightedVotes: weightOf(option),
+            percentage: totalWeight > 0 ?
+                Math.round(weightOf(option) / totalWeight * 100) : 0
+        }));
+    }
+
+    summary(game) {
+        return { totalVotes: game.votes.size };
+    }
+
+    result(game) {
+        return {
+            results: game.results,
+            winner: game.winner,
+            totalVotes: game.votes.size,
+            gameData: game
+        };
+    }
+
+    status(game) {
+        return {
+            question: game.question,
+            options: this.calculateResults(game),
+            totalVotes: game.votes.size
+        };
+    }
+}
+
+module.exports = PollGame;
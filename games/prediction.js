@@ -0,0 +1,319 @@
+// Prediction - viewers stake their points on one of 2 to 10 outcomes of a question,
+// a moderator resolves it and the winning side splits the whole pot.
+//
+// While betting is open viewers type "!bet <letter> <points>" (or "!bet A all").
+// A viewer bets on one outcome only, but can add to their bet. Stakes are taken
+// from the viewer's loyalty points (system.points) right away; a bet above the
+// balance is refused. When the betting window ends the prediction is locked and
+// waits for a moderator:
+//   resolve - every winning bet gets floor(stake / winning pool x pot)
+//   cancel  - every stake is refunded
+// A prediction that isn't resolved within settings.predictions.resolveTimeout
+// seconds, is ended without a resolution, or has no bets on the winning outcome
+// refunds every stake too.
+const BaseGame = require('./base-game');
+
+const LETTERS = 'ABCDEFGHIJ';
+const MAX_OUTCOMES = LETTERS.length;
+
+// Bets of a game are placed one after another: gameId -> promise of the last bet
+const betQueues = new Map();
+
+class PredictionGame extends BaseGame {
+    constructor(system) {
+        super(system);
+        this.type = 'prediction';
+        this.name = 'Prediction';
+        this.settingsKey = 'predictions';
+        this.commands = [{ name: 'bet', usage: '!bet <letter> <points|all>', description: 'Stake points on an outcome' }];
+    }
+
+    validateOptions(options) {
+        const { question, outcomes, minBet, maxBet } = options;
+        if (typeof question !== 'string' || !question.trim()) {
+            return 'question is required';
+        }
+        if (!Array.isArray(outcomes) || outcomes.length < 2 || outcomes.length > MAX_OUTCOMES) {
+            return `outcomes must be a list of 2 to ${MAX_OUTCOMES} answers`;
+        }
+        if (outcomes.some(outcome => typeof outcome !== 'string' || !outcome.trim())) {
+            return 'Every outcome needs a text';
+        }
+        if (minBet !== undefined && !(Number.isInteger(Number(minBet)) && Number(minBet) >= 1)) {
+            return 'minBet must be a whole number of points';
+        }
+        if (maxBet !== undefined && !(Number.isInteger(Number(maxBet)) && Number(maxBet) >= 0)) {
+            return 'maxBet must be a whole number of points (0 for no limit)';
+        }
+        return null;
+    }
+
+    start(sessionId, options = {}) {
+        const duration = options.duration || this.getSetting('duration', 120) * 1000;
+
+        const gameData = {
+            type: this.type,
+            sessionId,
+            status: 'betting', // betting -> locked -> ended
+            question: options.question.trim(),
+            outcomes: options.outcomes.map((text, index) => ({ id: LETTERS[index], text: text.trim(), pool: 0, bettors: 0 })),
+            bets: new Map(), // username -> { username, userId, outcome, amount, placedAt }
+            pot: 0,
+            minBet: Number(options.minBet ?? this.getSetting('minBet', 1)) || 1,
+            maxBet: Number(options.maxBet ?? this.getSetting('maxBet', 0)) || 0, // 0 = no limit
+            resolveTimeout: this.getSetting('resolveTimeout', 3600) * 1000,
+            streamer: null, // Whose points are staked, looked up with the first bet
+            lockedAt: null,
+            resolution: null, // { outcome, resolvedBy, resolvedAt } or { cancelled, reason, cancelledBy, cancelledAt }
+            payouts: [],
+            startTime: new Date(),
+            duration,
+            endTime: new Date(Date.now() + duration),
+            winner: null
+        };
+
+        console.log(`🔮 Prediction started for session ${sessionId} - "${gameData.question}" (${gameData.outcomes.length} outcomes, ${duration / 1000}s to bet)`);
+
+        return gameData;
+    }
+
+    restore(game) {
+        // The betting window ran out while the server was down, the bets still stand
+        if (game.status === 'betting' && game.endTime.getTime() <= Date.now()) {
+            this.lock(game, Date.now());
+        }
+    }
+
+    describeStart(game) {
+        return `Prediction started: "${game.question}" Bet your points with "!bet <letter> <points>" - ${this.listOutcomes(game)} (${game.duration / 1000}s)`;
+    }
+
+    listOutcomes(game) {
+        return game.outcomes.map(outcome => `${outcome.id}: ${outcome.text}`).join(' / ');
+    }
+
+    // !bet <letter> <points|all>. Bets need the viewer's balance, so they are queued and
+    // placed asynchronously; placeBet reports them itself
+    handleCommand(game, { userId, username, args }) {
+        if (game.status !== 'betting') {
+            return null;
+        }
+
+        const [outcome = '', amount = ''] = args;
+        if (!/^[a-z]$/i.test(outcome) || !/^(\d+|all)$/i.test(amount)) {
+            return this.refuse(game, { userId, username }, 'use !bet <letter> <points>');
+        }
+
+        const bet = { userId, username, outcome: outcome.toUpperCase(), amount: amount.toLowerCase() };
+        const next = (betQueues.get(game.id) || Promise.resolve())
+            .then(() => this.placeBet(game, bet))
+            .catch(error => {
+                console.error(`❌ Failed to place bet of ${username} in prediction ${game.id}:`, error.message);
+            });
+
+        betQueues.set(game.id, next);
+        next.then(() => {
+            if (betQueues.get(game.id) === next) {
+                betQueues.delete(game.id);
+            }
+        });
+
+        return null;
+    }
+
+    async placeBet(game, { userId, username, outcome, amount }) {
+        const user = { username, userId: userId || null };
+        const option = game.outcomes.find(candidate => candidate.id === outcome);
+        const existing = game.bets.get(username);
+
+        if (game.status !== 'betting') {
+            return this.refuse(game, user, 'betting is closed');
+        }
+        if (!option) {
+            return this.refuse(game, user, `there is no outcome ${outcome}`);
+        }
+        if (existing && existing.outcome !== outcome) {
+            return this.refuse(game, user, `you already bet on ${existing.outcome}`);
+        }
+
+        const points = this.system.points;
+        game.streamer = game.streamer || await points.getStreamer(game.sessionId);
+        if (!game.streamer) {
+            return this.refuse(game, user, 'points are not available yet');
+        }
+        const balance = await points.getBalance(game.streamer, user);
+        const staked = existing ? existing.amount : 0;
+
+        let stake = amount === 'all' ? balance : parseInt(amount, 10);
+        if (amount === 'all' && game.maxBet > 0) {
+            stake = Math.min(stake, game.maxBet - staked);
+        }
+
+        if (!(stake > 0)) {
+            return this.refuse(game, user, balance > 0 ? `the maximum bet is ${game.maxBet} points` : 'you have no points', balance);
+        }
+        if (staked + stake < game.minBet) {
+            return this.refuse(game, user, `the minimum bet is ${game.minBet} points`, balance);
+        }
+        if (game.maxBet > 0 && staked + stake > game.maxBet) {
+            return this.refuse(game, user, `the maximum bet is ${game.maxBet} points`, balance);
+        }
+
+        const ledger = { sessionId: game.sessionId, details: { gameId: game.id, outcome } };
+        const newBalance = stake <= balance ? await points.debit(game.streamer, user, stake, 'prediction_bet', ledger) : null;
+        if (newBalance === null) {
+            return this.refuse(game, user, `you only have ${balance} points`, balance);
+        }
+
+        // The prediction may have closed while the points were taken
+        if (game.status !== 'betting') {
+            await points.credit(game.streamer, user, stake, 'prediction_refund', ledger);
+            return this.refuse(game, user, 'betting is closed', balance);
+        }
+
+        const bet = existing || { ...user, outcome, amount: 0, placedAt: new Date() };
+        bet.amount += stake;
+        game.bets.set(username, bet);
+        if (!existing) {
+            option.bettors++;
+        }
+        option.pool += stake;
+        game.pot += stake;
+
+        const entry = {
+            userId: user.userId,
+            username,
+            action: 'bet',
+            outcome,
+            amount: stake,
+            total: bet.amount,
+            balance: newBalance,
+            pool: option.pool,
+            pot: game.pot
+        };
+        this.system.recordEntry(game, entry);
+        this.system.emitGameEvent(game.sessionId, this.type, 'bet', { gameId: game.id, ...entry });
+
+        console.log(`🔮 Prediction: ${username} bet ${stake} points on ${outcome} (pool ${option.pool}, pot ${game.pot})`);
+    }
+
+    refuse(game, { userId, username }, reason, balance = null) {
+        this.system.emitGameEvent(game.sessionId, this.type, 'bet_refused', { gameId: game.id, userId, username, reason, balance });
+        return null;
+    }
+
+    tick(game, now) {
+        if (game.status === 'ended' || now < game.endTime.getTime()) {
+            return;
+        }
+
+        if (game.status === 'betting') {
+            this.lock(game, now);
+        } else {
+            console.log(`🔮 Prediction ${game.id} was not resolved in time, refunding all bets`);
+            this.cancel(game, 'not resolved in time');
+            this.system.endGame(game.sessionId);
+        }
+    }
+
+    // Close betting; the prediction now waits for a moderator until the resolve deadline
+    lock(game, now) {
+        game.status = 'locked';
+        game.lockedAt = new Date(now);
+        game.endTime = new Date(now + game.resolveTimeout);
+        game.countdownSent = true; // No countdown to the resolve deadline
+        this.system.persistGame(game);
+
+        this.system.emitGameEvent(game.sessionId, this.type, 'locked', {
+            gameId: game.id,
+            pot: game.pot,
+            bettors: game.bets.size,
+            resolveBy: game.endTime
+        });
+    }
+
+    // Pick the winning outcome (its letter or text), returns an error message or null.
+    // The system ends the game afterwards, which pays out the pot.
+    resolve(game, outcome, resolvedBy = null) {
+        const value = String(outcome ?? '').trim().toUpperCase();
+        const option = game.outcomes.find(candidate => candidate.id === value || candidate.text.toUpperCase() === value);
+        if (!option) {
+            return `outcome must be one of ${game.outcomes.map(candidate => candidate.id).join(', ')}`;
+        }
+
+        game.resolution = { outcome: option.id, resolvedBy, resolvedAt: new Date() };
+        console.log(`🔮 Prediction ${game.id} resolved: ${option.id} (${option.text})`);
+        return null;
+    }
+
+    // Call the prediction off, every stake is refunded when the game ends
+    cancel(game, reason = null, cancelledBy = null) {
+        game.resolution = { cancelled: true, reason, cancelledBy, cancelledAt: new Date() };
+        this.system.emitGameEvent(game.sessionId, this.type, 'cancelled', { gameId: game.id, reason, pot: game.pot });
+        return null;
+    }
+
+    finish(game) {
+        const bets = Array.from(game.bets.values());
+        const winning = game.resolution?.outcome ? game.outcomes.find(outcome => outcome.id === game.resolution.outcome) : null;
+
+        if (winning && winning.pool > 0) {
+            // Winners split the whole pot by stake; rounding leftovers are not paid out
+            game.winner = winning;
+            game.payouts = bets
+                .filter(bet => bet.outcome === winning.id)
+                .map(bet => ({ username: bet.username, userId: bet.userId, outcome: bet.outcome, stake: bet.amount, payout: Math.floor(bet.amount * game.pot / winning.pool) }));
+        } else {
+            game.winner = null;
+            game.payouts = bets.map(bet => ({ username: bet.username, userId: bet.userId, outcome: bet.outcome, stake: bet.amount, payout: bet.amount, refund: true }));
+        }
+
+        for (const payout of game.payouts) {
+            const reason = payout.refund ? 'prediction_refund' : 'prediction_payout';
+            this.system.points.credit(game.streamer, payout, payout.payout, reason, { sessionId: game.sessionId, details: { gameId: game.id, outcome: payout.outcome } }).catch(error => {
+                console.error(`❌ Failed to pay ${payout.payout} points to ${payout.username} for prediction ${game.id}:`, error.message);
+            });
+        }
+
+        if (game.winner) {
+            console.log(`🔮 Prediction ended: ${winning.id} (${winning.text}) wins, ${game.payouts.length} viewers split ${game.pot} points`);
+        } else {
+            console.log(`🔮 Prediction ended without payout${winning ? ` - nobody bet on ${winning.id}` : ''}, refunded ${game.payouts.length} bets`);
+        }
+    }
+
+    summary(game) {
+        return {
+            totalBettors: game.bets.size,
+            pot: game.pot,
+            paidOut: game.payouts.reduce((sum, payout) => sum + payout.payout, 0)
+        };
+    }
+
+    result(game) {
+        return {
+            winner: game.winner,
+            question: game.question,
+            outcomes: game.outcomes,
+            resolution: game.resolution,
+            payouts: game.payouts,
+            ...this.summary(game),
+            gameData: game
+        };
+    }
+
+    status(game) {
+        return {
+            question: game.question,
+            outcomes: game.outcomes,
+            minBet: game.minBet,
+            maxBet: game.maxBet,
+            lockedAt: game.lockedAt,
+            resolution: game.resolution,
+            payouts: game.payouts,
+            ...this.summary(game)
+        };
+    }
+}
+
+module.exports = PredictionGame;
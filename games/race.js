@@ -0,0 +1,151 @@
+// Race - every chat message moves the viewer forward, first to 100% wins
+// The distance of a move is random and not drawn from the game's committed seed: only
+// a tie for the lead at the end is a verifiable draw (see fair-draw.js).
+const BaseGame = require('./base-game');
+
+class RaceGame extends BaseGame {
+    constructor(system) {
+        super(system);
+        this.type = 'race';
+        this.name = 'Race';
+        this.chatSpam = true;
+    }
+
+    start(sessionId, { duration = 20000 } = {}) {
+        const gameData = {
+            type: this.type,
+            sessionId,
+            status: 'active',
+            participants: new Map(), // username -> { position, speed, lastComment }
+            startTime: new Date(),
+            duration,
+            endTime: new Date(Date.now() + duration),
+            winner: null,
+            raceDistance: 100 // Total race distance (percentage)
+        };
+
+        console.log(`🏁 Race started for session ${sessionId} - ${duration/1000}s duration`);
+
+        return gameData;
+    }
+
+    describeStart(game) {
+        return `Race started! Comment to move your character for ${game.duration / 1000} seconds!`;
+    }
+
+    // Add participant (when they comment) and move them forward
+    handleChat(game, { username }) {
+        if (game.status !== 'active') {
+            return null;
+        }
+
+        const joined = !game.participants.has(username);
+        const participant = this.getParticipant(game, username);
+
+        // Move participant forward based on comment
+        const moveDistance = Math.random() * 5 + 3; // Move 3-8 units per comment
+        participant.lastComment = new Date();
+        participant.commentCount++;
+        const finished = this.advance(game, participant, moveDistance);
+
+        return { action: joined ? 'join' : 'move', position: participant.position, finished };
+    }
+
+    // Gifts boost the gifter forward by their diamond value
+    handleGift(game, { username, totalDiamonds }) {
+        if (game.status !== 'active' || !this.system.giftEffectsEnabled() || !totalDiamonds) {
+            return null;
+        }
+
+        const boostPerDiamond = this.getGiftEffect('boostPerDiamond', 1);
+        if (!(boostPerDiamond > 0)) {
+            return null;
+        }
+
+        const participant = this.getParticipant(game, username);
+        const boost = Math.min(this.getGiftEffect('maxBoostPerGift', 25), totalDiamonds * boostPerDiamond);
+        participant.giftBoost = (participant.giftBoost || 0) + boost;
+        const finished = this.advance(game, participant, boost);
+
+        console.log(`🎁 Race: ${username} gifted ${totalDiamonds} diamonds for a ${boost.toFixed(1)}% boost`);
+
+        return { action: 'gift_boost', boost, position: participant.position, finished };
+    }
+
+    getParticipant(game, username) {
+        let participant = game.participants.get(username);
+
+        if (!participant) {
+            participant = {
+                username,
+                position: 0,
+                speed: Math.random() * 2 + 1, // Random speed 1-3
+                lastComment: new Date(),
+                commentCount: 0,
+                giftBoost: 0,
+                avatar: `🏃‍${Math.random() > 0.5 ? '♂️' : '♀️'}`
+            };
+            game.participants.set(username, participant);
+        }
+
+        return participant;
+    }
+
+    // Move a participant, returns true when they crossed the finish line first.
+    // The system ends the game after reporting the move.
+    advance(game, participant, distance) {
+        participant.position = Math.min(game.raceDistance, participant.position + distance);
+        console.log(`🏃 ${participant.username} moved to position ${participant.position.toFixed(1)}%`);
+
+        const finished = participant.position >= game.raceDistance && !game.winner;
+        if (finished) {
+            game.winner = participant;
+        }
+        return finished;
+    }
+
+    // Participant with highest position wins if nobody crossed the line
+    finish(game) {
+        const participants = this.sortedParticipants(game);
+
+        if (!game.winner && participants.length > 0) {
+            // Runners tied for the lead are decided by a fair draw
+            const leaders = participants.filter(participant => participant.position === participants[0].position);
+            game.winner = leaders[0];
+            if (leaders.length > 1) {
+                const draw = this.system.fairDraw(game, 'tie', leaders.map(participant => ({ id: participant.username, tickets: 1 })));
+                game.winner = leaders.find(participant => participant.username === draw.winner);
+            }
+        }
+
+        console.log(`🏁 Race ended: ${game.winner ? game.winner.username : 'No winner'} won!`);
+    }
+
+    sortedParticipants(game) {
+        return Array.from(game.participants.values())
+            .sort((a, b) => b.position - a.position);
+    }
+
+    summary(game) {
+        return { totalParticipants: game.participants.size };
+    }
+
+    result(game) {
+        return {
+            winner: game.winner,
+            participants: this.sortedParticipants(game),
+            totalParticipants: game.participants.size,
+            gameData: game
+        };
+    }
+
+    status(game) {
+        return {
+            participants: this.sortedParticipants(game),
+            totalParticipants: game.participants.size,
+            raceDistance: game.raceDistance
+        };
+    }
+}
+
+module.exports = RaceGame;
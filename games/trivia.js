@@ -0,0 +1,290 @@
+// Trivia - a round of questions from a question bank, answered in chat.
+// Multiple choice questions take A-D (or the choice text), free text questions a
+// fuzzy match of the answer. Faster correct answers score more points, and the
+// scoreboard carries over from question to question.
+//
+// Phases: intro -> question -> reveal -> question -> ... -> ended
+const BaseGame = require('./base-game');
+const { LETTERS, matchAnswer, describeAnswer, normalizeQuestion } = require('../trivia-questions');
+
+const MIN_PHASE_MS = 1000; // Shortest question or break passed to the start route
+
+class TriviaGame extends BaseGame {
+    constructor(system) {
+        super(system);
+        this.type = 'trivia';
+        this.name = 'Trivia';
+        this.countdown = false;
+    }
+
+    // Questions passed to the start route, or the named (or default) bank
+    getQuestions({ questions, bank } = {}) {
+        if (Array.isArray(questions) && questions.length > 0) {
+            return questions.map(normalizeQuestion);
+        }
+
+        const bankName = bank || this.getSetting('defaultBank', null) || this.system.questionBanks.keys().next().value;
+        return this.system.questionBanks.get(bankName) || null;
+    }
+
+    // questionDuration and breakDuration are milliseconds (the settings are seconds)
+    validateOptions(options) {
+        const { count, questionDuration, breakDuration } = options;
+        if (count !== undefined && !(Number.isInteger(Number(count)) && Number(count) >= 1)) {
+            return 'count must be a whole number of questions';
+        }
+        for (const [name, value] of [['questionDuration', questionDuration], ['breakDuration', breakDuration]]) {
+            if (value !== undefined && !(Number.isFinite(Number(value)) && Number(value) >= MIN_PHASE_MS)) {
+                return `${name} must be a number of milliseconds, at least ${MIN_PHASE_MS}`;
+            }
+        }
+
+        try {
+            const questions = this.getQuestions(options);
+            if (!questions || questions.length === 0) {
+                return options.bank
+                    ? `Question bank "${options.bank}" not found`
+                    : 'No questions: import a question bank or pass a questions array';
+            }
+        } catch (error) {
+            return `Invalid question: ${error.message}`;
+        }
+        return null;
+    }
+
+    start(sessionId, options = {}) {
+        const {
+            count = this.getSetting('questionsPerGame', 10),
+            questionDuration = this.getSetting('questionDuration', 20) * 1000,
+            breakDuration = this.getSetting('breakDuration', 5) * 1000,
+            shuffle = this.getSetting('shuffle', true)
+        } = options;
+
+        let questions = [...this.getQuestions(options)];
+        if (shuffle !== false) {
+            shuffleInPlace(questions);
+        }
+        questions = questions.slice(0, Math.max(1, parseInt(count) || questions.length));
+
+        const gameData = {
+            type: this.type,
+            sessionId,
+            status: 'intro',
+            bank: options.bank || null,
+            questions,
+            questionIndex: -1,
+            questionDuration: Number(questionDuration),
+            breakDuration: Number(breakDuration),
+            basePoints: this.getSetting('basePoints', 100),
+            startTime: new Date(),
+            questionStartTime: null,
+            endTime: new Date(Date.now() + Number(breakDuration)), // End of the current phase
+            answers: new Map(), // username -> answer to the current question
+            scores: new Map(), // username -> { username, userId, points, correct, answered }
+            rounds: [], // One entry per asked question
+            winner: null
+        };
+
+        console.log(`❓ Trivia started for session ${sessionId} - ${questions.length} questions, ${questionDuration / 1000}s each`);
+
+        return gameData;
+    }
+
+    describeStart(game) {
+        return `Trivia started! ${game.questions.length} questions, ${game.questionDuration / 1000} seconds each - answer in chat!`;
+    }
+
+    handleChat(game, { userId, username, message }) {
+        if (game.status !== 'question' || !message || game.answers.has(username)) {
+            return null;
+        }
+
+        const question = game.questions[game.questionIndex];
+        const match = matchAnswer(question, message);
+        if (!match) {
+            return null;
+        }
+
+        // Full points for an instant answer, half for one in the last moment
+        const elapsed = Date.now() - new Date(game.questionStartTime).getTime();
+        const speed = Math.max(0, 1 - elapsed / game.questionDuration);
+        const points = match.correct ? Math.round(game.basePoints * (0.5 + 0.5 * speed)) : 0;
+
+        game.answers.set(username, { username, choice: match.choice, correct: match.correct, points, elapsed });
+
+        const score = this.getScore(game, username, userId);
+        score.answered++;
+        if (match.correct) {
+            score.correct++;
+            score.points += points;
+        }
+
+        console.log(`❓ Trivia: ${username} answered ${match.choice || message} (${match.correct ? `correct, +${points}` : 'wrong'})`);
+
+        return {
+            action: match.correct ? 'correct' : 'wrong',
+            questionNumber: game.questionIndex + 1,
+            choice: match.choice,
+            points,
+            totalPoints: score.points
+        };
+    }
+
+    getScore(game, username, userId) {
+        let score = game.scores.get(username);
+        if (!score) {
+            score = { username, userId, points: 0, correct: 0, answered: 0 };
+            game.scores.set(username, score);
+        }
+        return score;
+    }
+
+    tick(game, now) {
+        if (game.status === 'ended' || now < game.endTime.getTime()) {
+            return;
+        }
+
+        if (game.status === 'question') {
+            this.reveal(game, now);
+        } else if (game.questionIndex + 1 < game.questions.length) {
+            this.nextQuestion(game, now);
+        } else {
+            this.system.endGame(game.sessionId);
+        }
+    }
+
+    nextQuestion(game, now) {
+        game.questionIndex++;
+        game.status = 'question';
+        game.answers = new Map();
+        game.questionStartTime = new Date(now);
+        game.endTime = new Date(now + game.questionDuration);
+        this.system.persistGame(game);
+
+        const question = game.questions[game.questionIndex];
+        this.system.emitGameEvent(game.sessionId, this.type, 'question', {
+            gameId: game.id,
+            questionNumber: game.questionIndex + 1,
+            totalQuestions: game.questions.length,
+            question: question.question,
+            choices: question.choices.map((choice, index) => `${LETTERS[index]}: ${choice}`).join(' / '),
+            seconds: game.questionDuration / 1000
+        });
+    }
+
+    reveal(game, now) {
+        const round = this.closeRound(game);
+        game.status = 'reveal';
+        game.endTime = new Date(now + game.breakDuration);
+        this.system.persistGame(game);
+
+        this.system.emitGameEvent(game.sessionId, this.type, 'reveal', {
+            gameId: game.id,
+            questionNumber: round.questionNumber,
+            answer: round.answer,
+            correctCount: round.correct.length,
+            fastest: round.correct[0]?.username || null
+        });
+    }
+
+    // Record the current question's answers in the game's rounds
+    closeRound(game) {
+        const question = game.questions[game.questionIndex];
+        const answers = Array.from(game.answers.values());
+        const round = {
+            questionNumber: game.questionIndex + 1,
+            question: question.question,
+            answer: describeAnswer(question),
+            answered: answers.length,
+            correct: answers
+                .filter(answer => answer.correct)
+                .sort((a, b) => a.elapsed - b.elapsed)
+                .map(({ username, points, elapsed }) => ({ username, points, elapsed }))
+        };
+
+        game.rounds.push(round);
+        return round;
+    }
+
+    // Ended early: the open question still counts
+    finish(game) {
+        if (game.questionIndex >= 0 && game.rounds.length === game.questionIndex) {
+            this.closeRound(game);
+        }
+
+        const [leader] = this.standings(game);
+        game.winner = leader && leader.points > 0 ? leader : null;
+
+        console.log(`❓ Trivia ended: ${game.winner ? `${game.winner.username} won with ${game.winner.points} points` : 'No winner'}`);
+    }
+
+    standings(game, limit = null) {
+        const standings = Array.from(game.scores.values())
+            .sort((a, b) => b.points - a.points || b.correct - a.correct);
+        return limit ? standings.slice(0, limit) : standings;
+    }
+
+    summary(game) {
+        return {
+            totalQuestions: game.questions.length,
+            questionsAsked: game.rounds.length,
+            totalPlayers: game.scores.size,
+            standings: this.standings(game, 10)
+        };
+    }
+
+    result(game) {
+        return {
+            winner: game.winner,
+            ...this.summary(game),
+            rounds: game.rounds,
+            gameData: game
+        };
+    }
+
+    // Questions are only shown once asked, and their answers once revealed
+    publicView(game) {
+        return {
+            ...game,
+            questions: game.questions.slice(0, game.questionIndex + 1).map((question, index) => ({
+                question: question.question,
+                choices: question.choices,
+                answer: index < game.questionIndex || game.status !== 'question' ? describeAnswer(question) : null
+            })),
+            totalQuestions: game.questions.length
+        };
+    }
+
+    status(game) {
+        const question = game.questions[game.questionIndex];
+        const answers = Array.from(game.answers.values());
+
+        return {
+            phase: game.status,
+            questionNumber: game.questionIndex + 1,
+            totalQuestions: game.questions.length,
+            // The answer is only shown once the question is closed
+            question: question ? {
+                text: question.question,
+                choices: question.choices,
+                answer: game.status === 'question' ? null : describeAnswer(question)
+            } : null,
+            answeredCount: answers.length,
+            correctCount: game.status === 'question' ? null : answers.filter(answer => answer.correct).length,
+            standings: this.standings(game, 10),
+            totalPlayers: game.scores.size,
+            lastRound: game.rounds[game.rounds.length - 1] || null
+        };
+    }
+}
+
+// Fisher-Yates shuffle, every order is equally likely
+function shuffleInPlace(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+module.exports = TriviaGame;
@@ -0,0 +1,259 @@
+// Tug of War - two teams pull a rope, the first team to drag it past the win
+// threshold wins (or the team ahead when the time runs out).
+//
+// Viewers join a team by typing its keyword, and stay on that team. After that,
+// their team keyword in chat, likes and gifts pull the rope toward their side,
+// weighted by settings.tugOfWar.multipliers:
+//   message - pull per chat message with the team keyword
+//   like    - pull per like
+//   diamond - pull per gift diamond (capped by maxPullPerGift)
+// The rope position runs from -winThreshold (left team wins) to +winThreshold
+// (right team wins). Likes and gifts of viewers who haven't joined a team don't count.
+const BaseGame = require('./base-game');
+
+const SIDES = ['left', 'right'];
+
+const DEFAULT_TEAMS = {
+    left: { name: 'Red', keyword: 'RED' },
+    right: { name: 'Blue', keyword: 'BLUE' }
+};
+
+const DEFAULT_MULTIPLIERS = {
+    message: 1,
+    like: 0.2,
+    diamond: 1
+};
+
+class TugOfWarGame extends BaseGame {
+    constructor(system) {
+        super(system);
+        this.type = 'tugofwar';
+        this.name = 'Tug of War';
+        this.settingsKey = 'tugOfWar';
+        this.chatSpam = true;
+    }
+
+    validateOptions(options) {
+        const { teams, multipliers, winThreshold } = options;
+        if (winThreshold !== undefined && !(Number(winThreshold) > 0)) {
+            return 'winThreshold must be a positive number';
+        }
+        if (multipliers !== undefined && (typeof multipliers !== 'object' || multipliers === null || Array.isArray(multipliers))) {
+            return 'multipliers must be an object of { message, like, diamond }';
+        }
+        if (teams === undefined) {
+            return null;
+        }
+        if (typeof teams !== 'object' || teams === null || Array.isArray(teams)) {
+            return 'teams must be an object of { left, right } teams';
+        }
+
+        const keywords = Object.values(this.getTeams(teams)).map(team => team.keyword.toUpperCase());
+        if (keywords.some(keyword => !keyword.trim())) {
+            return 'Every team needs a keyword';
+        }
+        if (keywords[0] === keywords[1]) {
+            return 'The two teams need different keywords';
+        }
+        return null;
+    }
+
+    start(sessionId, options = {}) {
+        const duration = options.duration || this.getSetting('duration', 60) * 1000;
+        const winThreshold = Number(options.winThreshold) || this.getSetting('winThreshold', 100);
+        const teams = this.getTeams(options.teams);
+
+        const gameData = {
+            type: this.type,
+            sessionId,
+            status: 'active',
+            teams: Object.fromEntries(SIDES.map(side => [side, { side, ...teams[side], pull: 0, members: 0 }])),
+            members: new Map(), // username -> { username, userId, team, pull, messages, likes, diamonds, joinedAt }
+            position: 0, // Negative toward the left team, positive toward the right team
+            winThreshold,
+            multipliers: this.getMultipliers(options.multipliers),
+            maxPullPerGift: this.getSetting('maxPullPerGift', 50),
+            startTime: new Date(),
+            duration,
+            endTime: new Date(Date.now() + duration),
+            winner: null
+        };
+
+        console.log(`🪢 Tug of War started for session ${sessionId} - ${teams.left.name} ("${teams.left.keyword}") vs ${teams.right.name} ("${teams.right.keyword}"), ${duration / 1000}s, first to ${winThreshold}`);
+
+        return gameData;
+    }
+
+    describeStart(game) {
+        return `Tug of War started! Type "${game.teams.left.keyword}" to join ${game.teams.left.name} or "${game.teams.right.keyword}" to join ${game.teams.right.name}, then spam your keyword, like and send gifts to pull!`;
+    }
+
+    // Team names and keywords: start options over settings over defaults
+    getTeams(overrides = {}) {
+        const configured = this.getSetting('teams', {});
+
+        return Object.fromEntries(SIDES.map(side => {
+            const team = { ...DEFAULT_TEAMS[side], ...(configured[side] || {}), ...((overrides || {})[side] || {}) };
+            return [side, { name: String(team.name), keyword: String(team.keyword).trim() }];
+        }));
+    }
+
+    getMultipliers(overrides = {}) {
+        const multipliers = { ...DEFAULT_MULTIPLIERS, ...this.getSetting('multipliers', {}), ...(overrides || {}) };
+        return Object.fromEntries(Object.keys(DEFAULT_MULTIPLIERS)
+            .map(key => [key, Math.max(0, Number(multipliers[key]) || 0)]));
+    }
+
+    // Sides whose keyword is in the message (as a whole word, case insensitive)
+    matchTeams(game, message) {
+        const text = message.toUpperCase();
+        return SIDES.filter(side => {
+            const keyword = game.teams[side].keyword.toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`\\b${keyword}\\b`).test(text);
+        });
+    }
+
+    handleChat(game, { userId, username, message }) {
+        if (game.status !== 'active' || !message) {
+            return null;
+        }
+
+        const sides = this.matchTeams(game, message);
+        let member = game.members.get(username);
+        let joined = false;
+
+        if (!member) {
+            // Naming both teams doesn't pick a side
+            if (sides.length !== 1) {
+                return null;
+            }
+            member = this.addMember(game, { userId, username }, sides[0]);
+            joined = true;
+        } else if (!sides.includes(member.team)) {
+            return null;
+        }
+
+        member.messages++;
+        const result = this.pull(game, member, game.multipliers.message);
+        if (!result && !joined) {
+            return null;
+        }
+
+        return { team: member.team, position: game.position, ...result, action: joined ? 'join' : 'pull', source: 'chat' };
+    }
+
+    handleLike(game, { username, likeCount }) {
+        const member = game.members.get(username);
+        if (game.status !== 'active' || !member || !(likeCount > 0)) {
+            return null;
+        }
+
+        member.likes += likeCount;
+        const result = this.pull(game, member, likeCount * game.multipliers.like);
+
+        return result ? { ...result, action: 'pull', source: 'like', likes: likeCount } : null;
+    }
+
+    handleGift(game, { username, totalDiamonds }) {
+        const member = game.members.get(username);
+        if (game.status !== 'active' || !member || !this.system.giftEffectsEnabled() || !totalDiamonds) {
+            return null;
+        }
+
+        member.diamonds += totalDiamonds;
+        const result = this.pull(game, member, Math.min(game.maxPullPerGift, totalDiamonds * game.multipliers.diamond));
+        if (result) {
+            console.log(`🎁 Tug of War: ${username} gifted ${totalDiamonds} diamonds for a pull of ${result.amount} (${game.teams[member.team].name})`);
+        }
+
+        return result ? { ...result, action: 'pull', source: 'gift', diamonds: totalDiamonds } : null;
+    }
+
+    addMember(game, { userId, username }, side) {
+        const member = {
+            username,
+            userId: userId || null,
+            team: side,
+            pull: 0,
+            messages: 0,
+            likes: 0,
+            diamonds: 0,
+            joinedAt: new Date()
+        };
+        game.members.set(username, member);
+        game.teams[side].members++;
+
+        console.log(`🪢 Tug of War: ${username} joined ${game.teams[side].name}`);
+
+        return member;
+    }
+
+    // Move the rope toward the member's side. Returns null when the pull has no effect;
+    // finished is set when the rope crossed the threshold (the system ends the game).
+    pull(game, member, amount) {
+        amount = Math.round(amount * 100) / 100;
+        if (!(amount > 0)) {
+            return null;
+        }
+
+        const direction = member.team === 'left' ? -1 : 1;
+        member.pull += amount;
+        game.teams[member.team].pull += amount;
+        game.position = Math.max(-game.winThreshold, Math.min(game.winThreshold, game.position + direction * amount));
+
+        const finished = Math.abs(game.position) >= game.winThreshold && !game.winner;
+        if (finished) {
+            game.winner = this.teamResult(game, member.team);
+        }
+
+        return { team: member.team, amount, position: game.position, finished };
+    }
+
+    // Team ahead wins when time runs out; a rope in the middle is decided by a fair draw
+    finish(game) {
+        if (!game.winner) {
+            let side = game.position < 0 ? 'left' : game.position > 0 ? 'right' : null;
+            if (!side && game.members.size > 0) {
+                const draw = this.system.fairDraw(game, 'tie', SIDES.map(id => ({ id, tickets: 1 })));
+                side = draw.winner;
+            }
+            game.winner = side ? this.teamResult(game, side) : null;
+        }
+
+        console.log(`🪢 Tug of War ended: ${game.winner ? `${game.winner.name} won` : 'no players'} (rope at ${game.position})`);
+    }
+
+    // Team with its strongest pullers, used as the winner
+    teamResult(game, side) {
+        return {
+            ...game.teams[side],
+            topPullers: this.topPullers(game, side)
+        };
+    }
+
+    topPullers(game, side, limit = 5) {
+        return Array.from(game.members.values())
+            .filter(member => member.team === side)
+            .sort((a, b) => b.pull - a.pull)
+            .slice(0, limit);
+    }
+
+    summary(game) {
+        return {
+            totalParticipants: game.members.size,
+            position: game.position
+        };
+    }
+
+    status(game) {
+        return {
+            teams: Object.fromEntries(SIDES.map(side => [side, this.teamResult(game, side)])),
+            position: game.position,
+            winThreshold: game.winThreshold,
+            multipliers: game.multipliers,
+            totalParticipants: game.members.size
+        };
+    }
+}
+
+module.exports = TugOfWarGame;
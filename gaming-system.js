@@ -1,19 +1,65 @@
 // TikTok Live Gaming System
+const EventEmitter = require('events');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
 const DJGameSystem = require('./dj-game-system');
-
-class GamingSystem {
+const GameRegistry = require('./game-registry');
+const ViewerStats = require('./viewer-stats');
+const ViewerPoints = require('./viewer-points');
+const { ChatCommands } = require('./chat-commands');
+const ModeratorCommands = require('./moderator-commands');
+const ChatModeration = require('./chat-moderation');
+const { createSeed, drawWinner } = require('./fair-draw');
+const { serializeGame, deserializeGame } = require('./game-state');
+
+class GamingSystem extends EventEmitter {
     constructor(database = null) {
+        super();
         this.activeGames = new Map(); // sessionId -> gameData
-        this.gameHistory = [];
+        this.gameHistory = []; // Only used when running without a database
+        this.dirtyGames = new Set(); // Games whose state changed since the last save
+        this.saveQueue = Promise.resolve();
+        this.rerolling = new Set(); // Sessions with a re-roll in progress
+        this.rerollSeeds = new Map(); // gameId -> { seed, seedHash } of the next re-roll, until it is stored
         this.chatEntries = new Map(); // sessionId -> chat entries for games
         this.db = database;
         this.settings = null;
+        this.questionBanks = new Map(); // name -> trivia questions
+        this.viewerStats = new ViewerStats(database); // What each viewer did during a session
+        // Loyalty points of viewers per streamer, earned in lives and staked in predictions
+        this.points = new ViewerPoints(database, {
+            getSettings: () => this.settings?.points,
+            emitEvent: (sessionId, action, details) => this.emitGameEvent(sessionId, 'points', action, details)
+        });
+        // "!command" router in front of the games' chat handling (built-in, game and custom commands)
+        this.commands = new ChatCommands({
+            getSettings: () => this.settings?.commands,
+            emitEvent: (sessionId, action, details) => this.emitGameEvent(sessionId, 'command', action, details)
+        });
+        this.registerBuiltInCommands();
+        // !wheel, !spin, !poll, !race and !stop for moderators and allowlisted viewers
+        this.moderatorCommands = new ModeratorCommands(this, database);
+        this.moderatorCommands.register();
+        // Blocklists, spam detection and the game ban lists, flagged messages don't reach the games
+        this.moderation = new ChatModeration(database, {
+            getSettings: () => this.settings?.chat
+        });
         
         // Initialize DJ Game System
         this.djGameSystem = new DJGameSystem(database);
+
+        // Register built-in and dropped-in game modules from ./games
+        this.registry = new GameRegistry(this);
+        this.registry.loadDirectory(path.join(__dirname, 'games'));
+        this.registry.types().forEach(type => this.registerGameCommands(this.registry.get(type)));
         
-        // Load settings on startup
-        this.loadSettings();
+        // Load settings on startup, then pick up games that were running before a restart
+        this.ready = this.loadSettings()
+            .then(() => Promise.all([this.moderatorCommands.load(), this.moderation.load()]))
+            .then(() => this.restoreGames());
+
+        // Drive all game timers from a single tick
+        this.tickInterval = setInterval(() => this.tick(), 1000);
     }
 
     async loadSettings() {
@@ -34,6 +80,13 @@ class GamingSystem {
         } catch (error) {
             console.error('🎮 Gaming System: Error loading settings:', error);
         }
+
+        try {
+            const banks = await this.db.getQuestionBanks();
+            this.questionBanks = new Map(banks.map(bank => [bank.name, bank.questions]));
+        } catch (error) {
+            console.error('🎮 Gaming System: Error loading trivia question banks:', error);
+        }
     }
 
     // Get setting value with fallback to default
@@ -44,183 +97,538 @@ class GamingSystem {
         return this.settings[category][key] || defaultValue;
     }
 
+    // Gift effects are on unless giftEffects.enabled is explicitly false
+    giftEffectsEnabled() {
+        return this.settings?.giftEffects?.enabled !== false;
+    }
+
+    // Get gift effect setting (settings.giftEffects[gameKey][key]), 0 is a valid value
+    getGiftEffect(gameKey, key, defaultValue) {
+        const value = this.settings?.giftEffects?.[gameKey]?.[key];
+        return value === undefined || value === null || value === '' ? defaultValue : value;
+    }
+
     // Refresh settings from database
     async refreshSettings() {
         await this.loadSettings();
+        await this.djGameSystem.loadSettings();
     }
 
-    // Lucky Wheel Game Implementation
-    startLuckyWheel(sessionId, duration = null) {
-        // Get settings or use defaults
-        const gameDuration = duration || this.getSetting('luckyWheel', 'duration', 10) * 1000;
-        const keyword = this.getSetting('luckyWheel', 'keyword', 'GAME');
-        
-        const gameData = {
-            type: 'luckywheel',
-            sessionId,
-            status: 'collecting',
-            entries: [],
-            startTime: new Date(),
-            duration: gameDuration,
-            endTime: new Date(Date.now() + gameDuration),
-            winner: null,
-            keyword: keyword // Store the keyword with the game
-        };
+    // Generic Game Engine (modules registered in the game registry)
 
-        this.activeGames.set(sessionId, gameData);
-        console.log(`🎰 Lucky Wheel started for session ${sessionId} - collecting entries for ${gameDuration/1000}s with keyword "${keyword}"`);
+    getGameModule(type) {
+        return this.registry.get(type);
+    }
+
+    getGameTypes() {
+        return this.registry.list();
+    }
+
+    // Start a game of any registered type, replacing a still running game
+    startGame(type, sessionId, options = {}) {
+        const module = this.registry.get(type);
+        if (!module) {
+            return null;
+        }
+
+        const previousGame = this.activeGames.get(sessionId);
+        if (previousGame && previousGame.status !== 'ended') {
+            console.log(`⚠️ Ending running ${previousGame.type} game for session ${sessionId} before starting ${type}`);
+            this.endGame(sessionId);
+        }
+
+        const gameData = module.start(sessionId, options);
+        if (!gameData) {
+            return null;
+        }
 
-        // Auto-end game after duration
-        setTimeout(() => {
-            this.endLuckyWheel(sessionId);
-        }, gameDuration);
+        gameData.id = gameData.id || uuidv4();
+        // Commit to the seed of this game's draws; only the hash is public until the game ends
+        gameData.fairness = { ...createSeed(), revealed: false };
+        this.activeGames.set(sessionId, gameData);
+        this.saveGame(gameData);
+        this.emitGameEvent(sessionId, type, 'started', { gameId: gameData.id, endTime: gameData.endTime, seedHash: gameData.fairness.seedHash });
 
         return gameData;
     }
 
-    // Add entry to Lucky Wheel with profile picture capture
-    addLuckyWheelEntry(sessionId, username, message, userProfile = null) {
+    // End the active game of a session and return its result
+    endGame(sessionId, type = null) {
         const game = this.activeGames.get(sessionId);
-        if (!game || game.type !== 'luckywheel' || game.status !== 'collecting') {
-            return false;
+        if (!game || (type && game.type !== type)) {
+            return null;
         }
 
-        // Check if message contains the game keyword as a whole word (case insensitive)
-        const gameKeyword = game.keyword || "GAME"; // Use keyword from game data
-        const messageUpper = message.toUpperCase();
-        const keywordUpper = gameKeyword.toUpperCase();
-        
-        // Use word boundary regex for exact word matching
-        const wordBoundaryRegex = new RegExp(`\\b${keywordUpper.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`);
-        if (wordBoundaryRegex.test(messageUpper)) {
-            // Prevent duplicate entries from same user
-            const existingEntry = game.entries.find(entry => entry.username === username);
-            if (!existingEntry) {
-                // Extract profile picture from userProfile with enhanced debugging
-                let profilePicture = null;
-                if (userProfile) {
-                    // Try multiple profile picture sources in order of quality
-                    profilePicture = userProfile.profilePictureLarge ||
-                                   userProfile.profilePictureMedium || 
-                                   userProfile.profilePicture;
-                    
-                    console.log(`🖼️ Profile extraction for ${username}:`);
-                    console.log(`   profilePicture: ${userProfile.profilePicture || 'null'}`);
-                    console.log(`   profilePictureMedium: ${userProfile.profilePictureMedium || 'null'}`);
-                    console.log(`   profilePictureLarge: ${userProfile.profilePictureLarge || 'null'}`);
-                    console.log(`   Selected: ${profilePicture || 'null'}`);
-                    
-                    // Validate URL format
-                    if (profilePicture && typeof profilePicture === 'string' && profilePicture.startsWith('http')) {
-                        console.log(`✅ Valid profile URL captured for ${username}`);
-                    } else if (profilePicture) {
-                        console.log(`⚠️ Invalid profile URL format for ${username}:`, profilePicture);
-                        profilePicture = null;
-                    }
-                } else {
-                    console.log(`❌ No userProfile data provided for ${username}`);
+        const module = this.registry.get(game.type);
+        if (!module) {
+            return null;
+        }
+
+        const wasRunning = game.status !== 'ended';
+        if (wasRunning && game.fairness) {
+            game.fairness.revealed = true;
+        }
+        const result = module.end(game);
+
+        if (wasRunning && result) {
+            this.saveGame(game);
+            this.emitGameEvent(sessionId, game.type, 'ended', {
+                gameId: game.id,
+                winner: result.winner || null,
+                seedHash: game.fairness?.seedHash || null,
+                seed: game.fairness?.seed || null
+            });
+        }
+
+        return result;
+    }
+
+    // Draw a winner from entries ({ id, tickets }) with the game's committed seed, or with
+    // another committed { seed, seedHash } (re-rolls). The draw is kept on the game and
+    // stored with its seed and entry snapshot.
+    fairDraw(game, label, entries, fairness = null) {
+        if (!game.fairness) {
+            // Games started before seeds were committed
+            game.fairness = { ...createSeed(), revealed: game.status === 'ended' };
+        }
+
+        const { seed, seedHash } = fairness || game.fairness;
+        const draw = drawWinner(seed, game.id, label, entries);
+        if (!draw) {
+            return null;
+        }
+
+        const result = { winner: draw.winner, ticket: draw.ticket, totalTickets: draw.totalTickets };
+        game.draws = [...(game.draws || []), { label, ...result, ...(fairness ? { seedHash } : {}), drawnAt: new Date() }];
+        this.persistGame(game);
+
+        console.log(`🎲 ${game.type} draw "${label}" for game ${game.id}: ticket ${draw.ticket} of ${draw.totalTickets} -> ${draw.winner}`);
+
+        if (this.db) {
+            this.db.addGameDraw({
+                gameId: game.id,
+                sessionId: game.sessionId,
+                gameType: game.type,
+                label,
+                seedHash,
+                seed,
+                entries: draw.entries,
+                result
+            }).catch(error => {
+                console.error(`❌ Failed to store draw "${label}" of game ${game.id}:`, error.message);
+            });
+        }
+
+        return draw;
+    }
+
+    // Commit to the seed of a game's next re-roll. Only its hash goes on the game
+    // (rerollSeedHash): the game data is returned by the API, so the seed is kept apart
+    // until the re-roll reveals it.
+    commitRerollSeed(game) {
+        const commitment = createSeed();
+        game.rerollSeedHash = commitment.seedHash;
+        this.rerollSeeds.set(game.id, commitment);
+
+        if (this.db) {
+            this.db.saveRerollSeed(game.id, commitment).then(() => {
+                if (this.rerollSeeds.get(game.id) === commitment) {
+                    this.rerollSeeds.delete(game.id);
                 }
-                
-                const entry = {
-                    username,
-                    message,
-                    timestamp: new Date(),
-                    entryId: `${sessionId}-${username}-${Date.now()}`,
-                    profilePicture: profilePicture // Store the real-time captured profile picture
-                };
-                game.entries.push(entry);
-                console.log(`🎯 New Lucky Wheel entry: ${username} with profile: ${profilePicture ? '✅' : '❌'}`);
-                return true;
+            }).catch(error => {
+                console.error(`❌ Failed to store the re-roll seed of game ${game.id}:`, error.message);
+            });
+        }
+        return commitment;
+    }
+
+    async getRerollSeed(gameId) {
+        if (this.rerollSeeds.has(gameId)) {
+            return this.rerollSeeds.get(gameId);
+        }
+        return this.db ? this.db.getRerollSeed(gameId) : null;
+    }
+
+    // Re-roll part of an ended game's result (module.reroll), e.g. a Lucky Wheel winner
+    // who didn't respond. Uses the active game when it is still around, otherwise the
+    // session's latest stored game of that type (or options.gameId). The change is
+    // saved with the game and replaces its history record.
+    async rerollGame(sessionId, type, { gameId = null, ...options } = {}) {
+        const module = this.registry.get(type);
+        if (!module || typeof module.reroll !== 'function') {
+            return { error: `${type} games can't be re-rolled` };
+        }
+
+        // One re-roll per session at a time, so two can't start from the same stored state
+        if (this.rerolling.has(sessionId)) {
+            return { error: 'A re-roll is already in progress for this session' };
+        }
+        this.rerolling.add(sessionId);
+
+        try {
+            return await this.rerollStoredGame(module, sessionId, type, gameId, options);
+        } finally {
+            this.rerolling.delete(sessionId);
+        }
+    }
+
+    async rerollStoredGame(module, sessionId, type, gameId, options) {
+        const active = this.activeGames.get(sessionId);
+        let game = active && active.type === type && (!gameId || active.id === gameId) ? active : null;
+        if (!game && this.db) {
+            // Pending writes first, the stored state must include the latest re-roll
+            await this.saveQueue;
+            const row = await this.db.getLatestGame(sessionId, type, gameId);
+            game = row ? deserializeGame(row.state) : null;
+        } else if (!game) {
+            game = [...this.gameHistory].reverse()
+                .find(record => record.sessionId === sessionId && record.type === type && (!gameId || record.id === gameId)) || null;
+        }
+
+        if (!game) {
+            return null;
+        }
+        if (game.status !== 'ended') {
+            return { error: `The ${module.name || type} is still running` };
+        }
+
+        // Drawn with the seed committed when the game ended or at the last re-roll (its hash
+        // is game.rerollSeedHash), not the revealed game seed. Games ended before re-roll
+        // seeds existed get one now, published before it can be used.
+        const fairness = await this.getRerollSeed(game.id);
+        if (!fairness) {
+            this.commitRerollSeed(game);
+            this.saveGame(game);
+            return { error: `No re-roll seed was committed for this game yet, one is now (${game.rerollSeedHash}). Re-roll again to use it` };
+        }
+        const result = module.reroll(game, { ...options, fairness });
+        if (result.error) {
+            return result;
+        }
+        this.commitRerollSeed(game);
+
+        const { action, ...details } = result;
+        this.saveGame(game);
+        this.recordEntry(game, { action, username: result.newWinner, ...details });
+        this.updateHistory({ ...game, ...module.summary(game) });
+        this.emitGameEvent(sessionId, type, action, { gameId: game.id, ...details, nextSeedHash: game.rerollSeedHash });
+
+        return { ...result, gameId: game.id, nextSeedHash: game.rerollSeedHash };
+    }
+
+    // Game data safe to return before the game ends (the module's public view, without the secret seed)
+    publicGame(game) {
+        const view = this.registry.get(game.type)?.publicView(game) || game;
+        if (!view.fairness || view.fairness.revealed) {
+            return view;
+        }
+        return { ...view, fairness: { seedHash: view.fairness.seedHash, revealed: false } };
+    }
+
+    // Stop any active game
+    stopGame(sessionId) {
+        return this.endGame(sessionId) || false;
+    }
+
+    // Commands are answered by the router. Every other message, and commands the viewer
+    // may not use (yet), go to the active game like any chat message. chat.moderation holds
+    // the flags of the moderation stage (see chat-moderation.js), flagged messages and
+    // entries within chat.entryCooldown are kept out of the game.
+    handleChat(sessionId, chat) {
+        const { moderation = null } = chat;
+        if (!this.moderation.blocksCommands(moderation)) {
+            const command = this.commands.handle(sessionId, chat);
+            if (command?.status === 'ok') {
+                // Game commands go through dispatch, whose action is returned like a chat action
+                return command.result?.type ? command.result : null;
+            }
+        }
+
+        const module = this.registry.get(this.activeGames.get(sessionId)?.type);
+        if (!module || this.moderation.keepsOut(moderation, module)) {
+            return null;
+        }
+        if (!module.chatSpam && this.moderation.onEntryCooldown(sessionId, chat.username)) {
+            return null;
+        }
+
+        const action = this.dispatch(sessionId, 'handleChat', chat);
+        if (action && !module.chatSpam) {
+            this.moderation.markEntry(sessionId, chat.username);
+        }
+        return action;
+    }
+
+    registerBuiltInCommands() {
+        this.commands.register({
+            name: 'points',
+            description: 'Your loyalty points',
+            handle: (sessionId, context) => this.points.showBalance(sessionId, context)
+        });
+        this.commands.register({
+            name: 'top',
+            description: 'Viewers with the most points',
+            handle: (sessionId, context) => this.points.showTop(sessionId, context)
+        });
+        this.commands.register({
+            name: 'commands',
+            aliases: ['help'],
+            description: 'Commands you can use',
+            userCooldown: 30,
+            handle: (sessionId, context) => {
+                const commands = this.commands.available(sessionId, context);
+                this.emitGameEvent(sessionId, 'command', 'list', { userId: context.userId, username: context.username, commands: commands.join(' ') });
+                return null;
             }
+        });
+    }
+
+    // Route the commands of a game module to its handleCommand while such a game runs
+    registerGameCommands(module) {
+        for (const command of module.commands || []) {
+            this.commands.register({
+                ...command,
+                source: module.type,
+                isAvailable: sessionId => {
+                    const game = this.activeGames.get(sessionId);
+                    return !!game && game.type === module.type && game.status !== 'ended';
+                },
+                handle: (sessionId, context) => this.dispatch(sessionId, 'handleCommand', context)
+            });
         }
-        return false;
     }
 
-    // End Lucky Wheel and select winner
-    async endLuckyWheel(sessionId) {
+    handleGift(sessionId, gift) {
+        return this.dispatch(sessionId, 'handleGift', gift);
+    }
+
+    handleLike(sessionId, like) {
+        return this.dispatch(sessionId, 'handleLike', like);
+    }
+
+    handleSocial(sessionId, social) {
+        return this.dispatch(sessionId, 'handleSocial', social);
+    }
+
+    // Offer an event ({ userId, username, streamer, ... }) to the active game, report
+    // accepted actions and end finished games. Viewers on the streamer's game ban list
+    // are kept out of every handler, not only chat.
+    dispatch(sessionId, handler, payload) {
         const game = this.activeGames.get(sessionId);
-        if (!game || game.type !== 'luckywheel') {
+        if (!game || game.status === 'ended') {
+            return null;
+        }
+        if (this.moderation.getBan(payload.streamer, payload.username)) {
             return null;
         }
 
-        // Prevent double spinning
-        if (game.status === 'ended' || game.winner) {
-            console.log(`⚠️ Lucky Wheel already ended for session ${sessionId}, returning cached result`);
-            return {
-                winner: game.winner,
-                entries: game.entries,
-                totalEntries: game.entries.length,
-                gameData: game
-            };
+        const module = this.registry.get(game.type);
+        if (!module) {
+            return null;
         }
 
-        game.status = 'ended';
-        game.actualEndTime = new Date();
+        const result = module[handler](game, payload);
+        if (!result) {
+            return null;
+        }
 
-        console.log(`🎰 Lucky Wheel ending for session ${sessionId} - Found ${game.entries.length} entries:`, game.entries.map(e => e.username));
-        
-        if (game.entries.length === 0) {
-            console.log(`🎰 Lucky Wheel ended for session ${sessionId} - No entries`);
-            return { winner: null, entries: [], totalEntries: 0 };
+        const { finished, ...details } = result;
+        const entry = {
+            userId: payload.userId,
+            username: payload.username,
+            ...details
+        };
+
+        this.recordEntry(game, entry);
+        this.emitGameEvent(sessionId, game.type, result.action, { gameId: game.id, ...entry });
+
+        if (finished) {
+            this.endGame(sessionId);
+        }
+
+        return { type: game.type, ...result };
+    }
+
+    // Let every active game advance its timers
+    tick() {
+        const now = Date.now();
+        for (const game of this.activeGames.values()) {
+            if (game.status === 'ended') {
+                continue;
+            }
+
+            const module = this.registry.get(game.type);
+            if (!module) {
+                continue;
+            }
+
+            try {
+                module.tick(game, now);
+                if (module.countdown) {
+                    this.checkCountdown(game, now);
+                }
+            } catch (error) {
+                console.error(`❌ Error ticking ${game.type} game for session ${game.sessionId}:`, error);
+            }
         }
 
-        // Profile pictures are now captured in real-time when users enter
-        // No need to fetch them again - they're already stored with entries
-        console.log(`🖼️ Profile pictures status for ${game.entries.length} entries:`);
-        game.entries.forEach(entry => {
-            console.log(`  ${entry.username}: ${entry.profilePicture ? '✅ Has profile' : '❌ No profile'}`);
+        this.points.tick(now);
+        this.flushGames();
+    }
+
+    // Report once when a game enters its last seconds (announcements.countdownSeconds)
+    checkCountdown(game, now) {
+        const seconds = parseInt(this.getSetting('announcements', 'countdownSeconds', 10));
+        if (game.countdownSent || game.status === 'ended' || !(seconds > 0)) {
+            return;
+        }
+
+        // Only games that ran longer than the countdown, so it doesn't fire right after the start
+        const remaining = game.endTime.getTime() - now;
+        if (remaining > seconds * 1000 || game.endTime.getTime() - new Date(game.startTime).getTime() <= seconds * 1000) {
+            return;
+        }
+
+        game.countdownSent = true;
+        this.persistGame(game);
+        this.emitGameEvent(game.sessionId, game.type, 'countdown', { gameId: game.id, seconds: Math.ceil(remaining / 1000) });
+    }
+
+    // Persistence
+
+    // Mark a game as changed, it is written on the next tick
+    persistGame(game) {
+        this.dirtyGames.add(game);
+    }
+
+    // Write a game's state right away
+    saveGame(game) {
+        this.dirtyGames.delete(game);
+        if (!this.db || !game.id) {
+            return;
+        }
+
+        // Writes are chained so an older snapshot can never overwrite a newer one
+        const state = serializeGame(game);
+        this.saveQueue = this.saveQueue
+            .then(() => this.db.saveGame(game, state))
+            .catch(error => {
+                console.error(`❌ Failed to save ${game.type} game ${game.id}:`, error.message);
+            });
+    }
+
+    flushGames() {
+        for (const game of this.dirtyGames) {
+            this.saveGame(game);
+        }
+    }
+
+    recordEntry(game, entry) {
+        this.persistGame(game);
+        if (!this.db || !game.id) {
+            return;
+        }
+
+        this.db.addGameEntry(game.id, game.sessionId, entry.action, entry).catch(error => {
+            console.error(`❌ Failed to store ${game.type} entry for game ${game.id}:`, error.message);
         });
-        
-        // Select random winner
-        const randomIndex = Math.floor(Math.random() * game.entries.length);
-        const winner = game.entries[randomIndex];
-        game.winner = winner;
-
-        // Add to history
-        this.gameHistory.push({
-            ...game,
-            totalEntries: game.entries.length
+    }
+
+    // Restore games that were still running when the server stopped. Games still
+    // inside their window continue on the tick, overdue ones are ended right away.
+    async restoreGames() {
+        if (!this.db) {
+            return;
+        }
+
+        try {
+            const rows = await this.db.getUnfinishedGames();
+
+            for (const row of rows) {
+                const module = this.registry.get(row.game_type);
+                if (!module) {
+                    console.log(`⚠️ Cannot restore game ${row.id}: unknown game type "${row.game_type}"`);
+                    continue;
+                }
+
+                const game = deserializeGame(row.state);
+                const current = this.activeGames.get(game.sessionId);
+                if (current && current.status !== 'ended') {
+                    continue;
+                }
+
+                this.activeGames.set(game.sessionId, game);
+                module.restore(game);
+
+                if (game.endTime.getTime() > Date.now()) {
+                    console.log(`♻️ Restored ${game.type} game ${game.id} for session ${game.sessionId} (${Math.ceil((game.endTime.getTime() - Date.now()) / 1000)}s remaining)`);
+                } else {
+                    console.log(`♻️ Restored overdue ${game.type} game ${game.id} for session ${game.sessionId}, ending it now`);
+                    this.endGame(game.sessionId);
+                }
+            }
+        } catch (error) {
+            console.error('🎮 Gaming System: Error restoring games:', error);
+        }
+    }
+
+    // Report a game action (entry, vote, winner...) to listeners such as the session event stream
+    emitGameEvent(sessionId, gameType, action, details = {}) {
+        this.emit('gameEvent', sessionId, {
+            ...details,
+            subtype: `${gameType}_${action}`,
+            game: gameType,
+            action
         });
+    }
 
-        console.log(`🏆 Lucky Wheel winner: ${winner.username} (${game.entries.length} total entries)`);
+    addToHistory(record) {
+        if (!this.db) {
+            this.gameHistory.push(record);
+            return;
+        }
 
-        return {
-            winner,
-            entries: game.entries,
-            totalEntries: game.entries.length,
-            gameData: game
-        };
+        this.db.addGameResult(record, record.winner || null, serializeGame(record)).catch(error => {
+            console.error(`❌ Failed to store result of ${record.type} game ${record.id}:`, error.message);
+        });
+    }
+
+    // Replace the history record of a game whose result changed after it ended
+    updateHistory(record) {
+        if (!this.db) {
+            const index = this.gameHistory.findIndex(game => game.id === record.id);
+            if (index !== -1) {
+                this.gameHistory[index] = record;
+            }
+            return;
+        }
+
+        this.db.updateGameResult(record, record.winner || null, serializeGame(record)).catch(error => {
+            console.error(`❌ Failed to update result of ${record.type} game ${record.id}:`, error.message);
+        });
     }
 
-    // Get current game status with enhanced debugging
-    getGameStatus(sessionId) {
+    // Get current game status
+    getGameStatus(sessionId, type = null) {
         const game = this.activeGames.get(sessionId);
-        if (!game) {
+        if (!game || (type && game.type !== type)) {
             return { active: false, type: null, status: null };
         }
 
+        const module = this.registry.get(game.type);
         const timeRemaining = Math.max(0, game.endTime.getTime() - Date.now());
-        
-        // Enhanced entries with profile status
-        const entriesWithProfileStatus = game.entries.map(entry => ({
-            ...entry,
-            hasValidProfile: !!(entry.profilePicture && entry.profilePicture.startsWith('http'))
-        }));
-        
+
         return {
             active: true,
             type: game.type,
             status: game.status,
-            entries: entriesWithProfileStatus,
-            entriesCount: game.entries.length,
-            profileStats: {
-                totalEntries: game.entries.length,
-                withProfiles: game.entries.filter(e => e.profilePicture && e.profilePicture.startsWith('http')).length,
-                withoutProfiles: game.entries.filter(e => !e.profilePicture || !e.profilePicture.startsWith('http')).length
-            },
             timeRemaining: timeRemaining,
             timeRemainingSeconds: Math.ceil(timeRemaining / 1000),
-            winner: game.winner
+            winner: game.winner || null,
+            seedHash: game.fairness?.seedHash || null,
+            seed: game.fairness?.revealed ? game.fairness.seed : null,
+            draws: game.draws || [],
+            ...(module ? module.status(game) : {})
         };
     }
 
@@ -229,218 +637,125 @@ class GamingSystem {
         return this.activeGames.get(sessionId);
     }
 
-    // Polls Game Implementation
-    startPoll(sessionId, question, options, duration = 30000) {
-        const gameData = {
-            type: 'poll',
-            sessionId,
-            status: 'active',
-            question,
-            options, // Array of option objects: [{ id, text, keyword, votes: [] }]
-            startTime: new Date(),
-            duration,
-            endTime: new Date(Date.now() + duration),
-            votes: new Map() // username -> optionId
-        };
+    // Built-in game shortcuts
 
-        this.activeGames.set(sessionId, gameData);
-        console.log(`📊 Poll started for session ${sessionId}: "${question}"`);
+    startLuckyWheel(sessionId, duration = null) {
+        return this.startGame('luckywheel', sessionId, { duration });
+    }
 
-        // Auto-end poll after duration
-        setTimeout(() => {
-            this.endPoll(sessionId);
-        }, duration);
+    addLuckyWheelEntry(sessionId, username, message, userProfile = null) {
+        return this.handleBuiltInChat(sessionId, 'luckywheel', { username, message, userProfile });
+    }
 
-        return gameData;
+    endLuckyWheel(sessionId) {
+        return this.endGame(sessionId, 'luckywheel');
     }
 
-    // Add vote to poll
-    addPollVote(sessionId, username, message) {
-        const game = this.activeGames.get(sessionId);
-        if (!game || game.type !== 'poll' || game.status !== 'active') {
-            return false;
-        }
+    rerollLuckyWheel(sessionId, options = {}) {
+        return this.rerollGame(sessionId, 'luckywheel', options);
+    }
 
-        // Check if message matches any option keyword
-        const messageUpper = message.toUpperCase();
-        const matchedOption = game.options.find(option => 
-            messageUpper.includes(option.keyword.toUpperCase())
-        );
+    startPoll(sessionId, question, options, duration = 30000) {
+        return this.startGame('poll', sessionId, { question, options, duration });
+    }
 
-        if (matchedOption && !game.votes.has(username)) {
-            game.votes.set(username, matchedOption.id);
-            if (!matchedOption.votes) matchedOption.votes = [];
-            matchedOption.votes.push({ username, timestamp: new Date() });
-            console.log(`🗳️ Vote received: ${username} voted for "${matchedOption.text}"`);
-            return true;
-        }
-        return false;
+    addPollVote(sessionId, username, message) {
+        return this.handleBuiltInChat(sessionId, 'poll', { username, message });
     }
 
-    // End poll and get results
     endPoll(sessionId) {
-        const game = this.activeGames.get(sessionId);
-        if (!game || game.type !== 'poll') {
-            return null;
-        }
-
-        game.status = 'ended';
-        game.actualEndTime = new Date();
-
-        // Calculate results
-        const results = game.options.map(option => ({
-            ...option,
-            voteCount: option.votes ? option.votes.length : 0,
-            percentage: game.votes.size > 0 ? 
-                Math.round((option.votes ? option.votes.length : 0) / game.votes.size * 100) : 0
-        }));
+        return this.endGame(sessionId, 'poll');
+    }
 
-        // Find winner (most votes)
-        const winner = results.reduce((prev, current) => 
-            (current.voteCount > prev.voteCount) ? current : prev
-        );
+    startRace(sessionId, duration = 20000) {
+        return this.startGame('race', sessionId, { duration });
+    }
 
-        game.results = results;
-        game.winner = winner;
+    addRaceParticipant(sessionId, username, message) {
+        return this.handleBuiltInChat(sessionId, 'race', { username, message });
+    }
 
-        // Add to history
-        this.gameHistory.push({
-            ...game,
-            totalVotes: game.votes.size
-        });
+    endRace(sessionId) {
+        return this.endGame(sessionId, 'race');
+    }
 
-        console.log(`📊 Poll ended: "${winner.text}" won with ${winner.voteCount} votes`);
+    startTrivia(sessionId, options = {}) {
+        return this.startGame('trivia', sessionId, options);
+    }
 
-        return {
-            results,
-            winner,
-            totalVotes: game.votes.size,
-            gameData: game
-        };
+    addTriviaAnswer(sessionId, username, message) {
+        return this.handleBuiltInChat(sessionId, 'trivia', { username, message });
     }
 
-    // Races Game Implementation
-    startRace(sessionId, duration = 20000) {
-        const gameData = {
-            type: 'race',
-            sessionId,
-            status: 'active',
-            participants: new Map(), // username -> { position, speed, lastComment }
-            startTime: new Date(),
-            duration,
-            endTime: new Date(Date.now() + duration),
-            winner: null,
-            raceDistance: 100 // Total race distance (percentage)
-        };
+    endTrivia(sessionId) {
+        return this.endGame(sessionId, 'trivia');
+    }
 
-        this.activeGames.set(sessionId, gameData);
-        console.log(`🏁 Race started for session ${sessionId} - ${duration/1000}s duration`);
+    startTugOfWar(sessionId, options = {}) {
+        return this.startGame('tugofwar', sessionId, options);
+    }
 
-        // Auto-end race after duration
-        setTimeout(() => {
-            this.endRace(sessionId);
-        }, duration);
+    endTugOfWar(sessionId) {
+        return this.endGame(sessionId, 'tugofwar');
+    }
 
-        return gameData;
+    startBossBattle(sessionId, options = {}) {
+        return this.startGame('boss', sessionId, options);
     }
 
-    // Add participant to race (when they comment)
-    addRaceParticipant(sessionId, username, message) {
-        const game = this.activeGames.get(sessionId);
-        if (!game || game.type !== 'race' || game.status !== 'active') {
-            return false;
-        }
+    endBossBattle(sessionId) {
+        return this.endGame(sessionId, 'boss');
+    }
 
-        let participant = game.participants.get(username);
-        
-        if (!participant) {
-            // New participant
-            participant = {
-                username,
-                position: 0,
-                speed: Math.random() * 2 + 1, // Random speed 1-3
-                lastComment: new Date(),
-                commentCount: 1,
-                avatar: `🏃‍${Math.random() > 0.5 ? '♂️' : '♀️'}`
-            };
-            game.participants.set(username, participant);
-        }
+    startAuction(sessionId, options = {}) {
+        return this.startGame('auction', sessionId, options);
+    }
 
-        // Move participant forward based on comment
-        const moveDistance = Math.random() * 5 + 3; // Move 3-8 units per comment
-        participant.position = Math.min(100, participant.position + moveDistance);
-        participant.lastComment = new Date();
-        participant.commentCount++;
+    endAuction(sessionId) {
+        return this.endGame(sessionId, 'auction');
+    }
 
-        console.log(`🏃 ${username} moved to position ${participant.position.toFixed(1)}%`);
+    startPrediction(sessionId, options = {}) {
+        return this.startGame('prediction', sessionId, options);
+    }
 
-        // Check if someone won
-        if (participant.position >= 100 && !game.winner) {
-            game.winner = participant;
-            this.endRace(sessionId);
-        }
+    // Resolve the session's prediction with its winning outcome and pay out the pot
+    resolvePrediction(sessionId, outcome, resolvedBy = null) {
+        return this.settleGame(sessionId, 'prediction', (module, game) => module.resolve(game, outcome, resolvedBy));
+    }
 
-        return true;
+    // Cancel the session's prediction and refund every bet
+    cancelPrediction(sessionId, reason = null, cancelledBy = null) {
+        return this.settleGame(sessionId, 'prediction', (module, game) => module.cancel(game, reason, cancelledBy));
     }
 
-    // End race and determine winner
-    endRace(sessionId) {
+    // Let the module settle a running game before it ends. Returns null without such a
+    // game, { error } when the module refuses, otherwise the game's result.
+    settleGame(sessionId, type, settle) {
         const game = this.activeGames.get(sessionId);
-        if (!game || game.type !== 'race') {
+        const module = this.registry.get(type);
+        if (!game || !module || game.type !== type || game.status === 'ended') {
             return null;
         }
 
-        game.status = 'ended';
-        game.actualEndTime = new Date();
-
-        // Get all participants sorted by position
-        const participants = Array.from(game.participants.values())
-            .sort((a, b) => b.position - a.position);
-
-        if (!game.winner && participants.length > 0) {
-            game.winner = participants[0]; // Participant with highest position
+        const error = settle(module, game);
+        if (error) {
+            return { error };
         }
-
-        // Add to history
-        this.gameHistory.push({
-            ...game,
-            totalParticipants: participants.length
-        });
-
-        console.log(`🏁 Race ended: ${game.winner ? game.winner.username : 'No winner'} won!`);
-
-        return {
-            winner: game.winner,
-            participants,
-            totalParticipants: participants.length,
-            gameData: game
-        };
+        return this.endGame(sessionId, type);
     }
 
-    // Stop any active game
-    stopGame(sessionId) {
+    handleBuiltInChat(sessionId, type, chat) {
         const game = this.activeGames.get(sessionId);
-        if (!game) {
+        if (!game || game.type !== type) {
             return false;
         }
-
-        switch (game.type) {
-            case 'luckywheel':
-                return this.endLuckyWheel(sessionId);
-            case 'poll':
-                return this.endPoll(sessionId);
-            case 'race':
-                return this.endRace(sessionId);
-            case 'djgame':
-                return this.djGameSystem.endDJGame(sessionId);
-            default:
-                return false;
-        }
+        return !!this.handleChat(sessionId, chat);
     }
 
     // DJ Game Methods (delegated to DJ Game System)
     startDJGame(sessionId) {
-        return this.djGameSystem.startDJGame(sessionId);
+        return this.startGame('djgame', sessionId);
     }
 
     getDJGameStatus(sessionId) {
@@ -448,7 +763,7 @@ class GamingSystem {
     }
 
     endDJGame(sessionId) {
-        return this.djGameSystem.endDJGame(sessionId);
+        return this.endGame(sessionId, 'djgame');
     }
 
     getDJGamePlaylist(sessionId) {
@@ -456,7 +771,16 @@ class GamingSystem {
     }
 
     // Get game history
-    getGameHistory(sessionId = null, limit = 10) {
+    async getGameHistory(sessionId = null, limit = 10) {
+        if (this.db) {
+            const rows = await this.db.getGameResults(sessionId, limit);
+            return rows.map(row => ({
+                ...deserializeGame(row.result),
+                resultId: row.id,
+                endedAt: row.ended_at
+            }));
+        }
+
         let history = this.gameHistory;
         
         if (sessionId) {
@@ -486,6 +810,7 @@ class GamingSystem {
                 console.log(`🧹 Cleaned up ended game for session ${sessionId}`);
             }
         }
+        this.djGameSystem.cleanup();
     }
 
     // Fetch profile pictures for all game entries
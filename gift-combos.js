@@ -0,0 +1,8 @@
+// Combo gifts (giftType 1) are sent again at every step of a viewer's streak, with the
+// running repeatCount, and the last one has repeatEnd. Everything that counts gifts
+// only takes that last event, so a combo counts once.
+function isComboInProgress(event) {
+    return event.type === 'gift' && event.giftType === 1 && !event.repeatEnd;
+}
+
+module.exports = { isComboInProgress };
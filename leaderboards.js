@@ -0,0 +1,118 @@
+// Viewer leaderboards per streamer: top gifters, chatters, likers and sharers of the
+// current session, the last 7 days, the calendar month and all time.
+//
+// Rankings are read from leaderboard_stats, which sums the events table up per
+// streamer, session, day and viewer. refresh() only adds the events stored since the
+// last refresh (aggregate_cursors), so a leaderboard request never scans the whole
+// events table. Days are UTC days, the week is today and the 6 days before.
+const { normalizeStreamer } = require('./api-auth');
+
+// Metric name -> leaderboard_stats count
+const METRICS = {
+    diamonds: 'diamond_count',
+    gifts: 'gift_count',
+    messages: 'chat_count',
+    likes: 'like_count',
+    shares: 'share_count'
+};
+
+const WINDOWS = ['session', 'week', 'month', 'all'];
+
+// Events aggregated per statement, so catching up on a large events table doesn't hold the database
+const REFRESH_BATCH = 5000;
+
+class Leaderboards {
+    constructor(db) {
+        this.db = db;
+        this.refreshing = null; // Promise of the running refresh
+    }
+
+    // Add the events stored since the last refresh to the aggregates
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = this.aggregate().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async aggregate() {
+        let cursor = await this.db.getAggregateCursor('leaderboards');
+        const lastEventId = await this.db.getLastEventId();
+
+        while (cursor < lastEventId) {
+            cursor = await this.db.aggregateLeaderboardEvents(cursor, Math.min(cursor + REFRESH_BATCH, lastEventId));
+        }
+    }
+
+    // Start of a window as a 'YYYY-MM-DD' day, null for no limit
+    since(window, now = new Date()) {
+        if (window === 'week') {
+            return new Date(now.getTime() - 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        }
+        if (window === 'month') {
+            return `${now.toISOString().slice(0, 7)}-01`;
+        }
+        return null;
+    }
+
+    // One ranking. The session window uses sessionId, or the streamer's latest live
+    // session. Returns { error, status } or the leaderboard.
+    async get(streamerUsername, { metric = 'diamonds', window = 'session', sessionId = null, limit = 10 } = {}) {
+        const boards = await this.getAll(streamerUsername, { metrics: [metric], window, sessionId, limit });
+        if (boards.error) {
+            return boards;
+        }
+
+        const { boards: { [metric]: entries }, ...leaderboard } = boards;
+        return { ...leaderboard, metric, entries };
+    }
+
+    // Rankings of several metrics over the same window, { metric: entries } in boards
+    async getAll(streamerUsername, { metrics = Object.keys(METRICS), window = 'session', sessionId = null, limit = 10 } = {}) {
+        const unknown = metrics.find(metric => !METRICS[metric]);
+        if (unknown) {
+            return { error: `metric must be one of ${Object.keys(METRICS).join(', ')}` };
+        }
+        if (!WINDOWS.includes(window)) {
+            return { error: `window must be one of ${WINDOWS.join(', ')}` };
+        }
+
+        const streamer = normalizeStreamer(streamerUsername);
+        let session = null;
+        if (window === 'session') {
+            session = sessionId ? await this.db.getSession(sessionId) : await this.db.getLatestStreamerSession(streamer);
+            if (!session || normalizeStreamer(session.streamer_username) !== streamer) {
+                return { error: 'Session not found', status: 404 };
+            }
+        }
+
+        await this.refresh();
+
+        const since = this.since(window);
+        const boards = {};
+        for (const metric of metrics) {
+            const rows = await this.db.getLeaderboard(streamer, METRICS[metric], { sessionId: session?.id, since, limit });
+            boards[metric] = rows.map(row => ({
+                rank: row.rank,
+                userId: row.user_id,
+                username: row.username,
+                nickname: row.nickname,
+                profilePicture: row.avatar,
+                value: row.value
+            }));
+        }
+
+        return {
+            streamer,
+            window,
+            since,
+            sessionId: session?.id || null,
+            updatedAt: new Date().toISOString(),
+            boards
+        };
+    }
+}
+
+module.exports = Leaderboards;
@@ -0,0 +1,424 @@
+const EventEmitter = require('events');
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const {
+    Config,
+    SignConfig,
+    ControlAction,
+    createBaseWebcastPushFrame,
+    WebcastPushFrame,
+    HeartbeatMessage,
+    WebcastImEnterRoomMessage,
+    ProtoMessageFetchResult,
+    BaseProtoMessage,
+    User,
+    Gift,
+    WebcastChatMessage,
+    WebcastGiftMessage,
+    WebcastLikeMessage,
+    WebcastMemberMessage,
+    WebcastControlMessage
+} = require('./dist/index');
+
+const WS_PATH = '/webcast/im/ws_proxy/ws_reuse_supplement/';
+
+// Protobuf encoders need every scalar field, so start from the schema defaults
+function createMessage(schema, fields = {}) {
+    return Object.assign(schema.decode(new Uint8Array()), fields);
+}
+
+function createUser({ userId = '1000', uniqueId = 'viewer', nickname = uniqueId, ...fields } = {}) {
+    return createMessage(User, { userId: String(userId), uniqueId, nickname, ...fields });
+}
+
+// Local stand-in for everything TikTokLiveConnection talks to while connecting:
+// the room HTML page, the api-live JSON, the room info and gift list, the sign
+// server's /webcast/fetch and the webcast WebSocket. Pushes WebcastPushFrames to
+// connected clients and records the heartbeats, acks and room enters they send.
+//
+// Events: 'request' (entry), 'connection' (socket), 'heartbeat' (roomId),
+// 'ack' ({ logId, internalExt }), 'enterRoom' (message), 'disconnect' (socket)
+class MockWebcastServer extends EventEmitter {
+    constructor({ uniqueId = 'mockstreamer', roomId = '7000000000000000001', live = true, gifts = null } = {}) {
+        super();
+        this.uniqueId = uniqueId;
+        this.roomId = roomId;
+        this.live = live;
+        this.gifts = gifts || [
+            { id: 5655, name: 'Rose', diamond_count: 1, type: 1 },
+            { id: 5269, name: 'TikTok', diamond_count: 1, type: 1 },
+            { id: 6064, name: 'GG', diamond_count: 1, type: 1 },
+            { id: 5760, name: 'Weights', diamond_count: 1, type: 1 },
+            { id: 6267, name: 'Corgi', diamond_count: 299, type: 2 }
+        ];
+
+        this.server = null;
+        this.wss = null;
+        this.port = null;
+        this.sockets = new Set();
+        this.logSeq = 0;
+        this.cursorSeq = 0;
+
+        this.requests = [];
+        this.heartbeats = [];
+        this.acks = [];
+        this.enteredRooms = [];
+        this.restoreConfig = null;
+    }
+
+    get host() {
+        return `127.0.0.1:${this.port}`;
+    }
+
+    get url() {
+        return `http://${this.host}`;
+    }
+
+    async start(port = 0) {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.wss = new WebSocketServer({ noServer: true });
+
+        this.server.on('upgrade', (req, socket, head) => {
+            if (!req.url.startsWith(WS_PATH)) {
+                socket.destroy();
+                return;
+            }
+            this.wss.handleUpgrade(req, socket, head, (ws) => this.handleSocket(ws, req));
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', resolve);
+        });
+
+        this.port = this.server.address().port;
+        return this;
+    }
+
+    async stop() {
+        this.restore();
+
+        for (const ws of this.sockets) {
+            ws.terminate();
+        }
+        this.sockets.clear();
+
+        if (this.wss) {
+            this.wss.close();
+        }
+        if (this.server) {
+            await new Promise(resolve => this.server.close(() => resolve()));
+            this.server = null;
+        }
+    }
+
+    // Point the connector's TikTok hosts and sign server at this server (in this process).
+    // Other processes can use the TIKTOK_HOST_WEB, TIKTOK_HOST_WEBCAST and SIGN_API_URL env vars.
+    redirect() {
+        if (!this.restoreConfig) {
+            const previous = {
+                web: Config.TIKTOK_HOST_WEB,
+                webcast: Config.TIKTOK_HOST_WEBCAST,
+                basePath: SignConfig.basePath
+            };
+            this.restoreConfig = () => {
+                Config.TIKTOK_HOST_WEB = previous.web;
+                Config.TIKTOK_HOST_WEBCAST = previous.webcast;
+                SignConfig.basePath = previous.basePath;
+            };
+        }
+
+        Config.TIKTOK_HOST_WEB = this.host;
+        Config.TIKTOK_HOST_WEBCAST = this.host;
+        SignConfig.basePath = this.url;
+    }
+
+    restore() {
+        if (this.restoreConfig) {
+            this.restoreConfig();
+            this.restoreConfig = null;
+        }
+    }
+
+    getEnvironment() {
+        return {
+            TIKTOK_HOST_WEB: this.host,
+            TIKTOK_HOST_WEBCAST: this.host,
+            SIGN_API_URL: this.url
+        };
+    }
+
+    setLive(live) {
+        this.live = live;
+    }
+
+    // ===== HTTP =====
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, this.url);
+        const entry = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) };
+        this.requests.push(entry);
+        this.emit('request', entry);
+
+        const roomStatus = this.live ? 2 : 4;
+
+        if (url.pathname === `/@${this.uniqueId}/live`) {
+            const sigiState = {
+                LiveRoom: {
+                    liveRoomUserInfo: {
+                        user: { uniqueId: this.uniqueId, nickname: this.uniqueId, roomId: this.roomId },
+                        liveRoom: { roomId: this.roomId, status: roomStatus, title: 'Mock live' }
+                    }
+                }
+            };
+            return this.send(res, 200, 'text/html', `<html><body><script id="SIGI_STATE" type="application/json">${JSON.stringify(sigiState)}</script></body></html>`);
+        }
+
+        if (url.pathname === '/api-live/user/room/') {
+            return this.sendJson(res, {
+                statusCode: 0,
+                data: {
+                    user: { uniqueId: this.uniqueId, roomId: this.roomId },
+                    liveRoom: { roomId: this.roomId, status: roomStatus }
+                }
+            });
+        }
+
+        if (url.pathname === '/webcast/room/info/') {
+            return this.sendJson(res, {
+                status_code: 0,
+                data: {
+                    id_str: this.roomId,
+                    status: roomStatus,
+                    title: 'Mock live',
+                    user_count: 42,
+                    owner: { display_id: this.uniqueId, nickname: this.uniqueId, follow_info: { follower_count: 1000 } }
+                }
+            });
+        }
+
+        if (url.pathname === '/webcast/gift/list/') {
+            return this.sendJson(res, { status_code: 0, data: { gifts: this.gifts } });
+        }
+
+        // Sign server: signed WebSocket URL plus the initial messages
+        if (url.pathname === '/webcast/fetch') {
+            if (!this.live) {
+                return this.sendJson(res, { message: 'User is offline' }, 404);
+            }
+
+            const result = this.createFetchResult([], { wsUrl: `ws://${this.host}${WS_PATH}`, needsAck: false });
+            res.writeHead(200, {
+                'Content-Type': 'application/protobuf',
+                'X-Set-TT-Cookie': 'ttwid=mock-ttwid; tt-target-idc=useast1a',
+                'X-Room-Id': this.roomId,
+                'X-Log-Id': '1'
+            });
+            res.end(Buffer.from(ProtoMessageFetchResult.encode(result).finish()));
+            return;
+        }
+
+        this.sendJson(res, { status_code: 404, message: `Mock server has no route for ${url.pathname}` }, 404);
+    }
+
+    send(res, status, contentType, body) {
+        res.writeHead(status, { 'Content-Type': contentType });
+        res.end(body);
+    }
+
+    sendJson(res, data, status = 200) {
+        this.send(res, status, 'application/json', JSON.stringify(data));
+    }
+
+    // ===== WebSocket =====
+
+    handleSocket(ws, req) {
+        this.sockets.add(ws);
+        ws.connectedWith = Object.fromEntries(new URL(req.url, this.url).searchParams);
+        this.emit('connection', ws);
+
+        ws.on('message', (data) => this.handleClientFrame(ws, data));
+        ws.on('close', () => {
+            this.sockets.delete(ws);
+            this.emit('disconnect', ws);
+        });
+    }
+
+    handleClientFrame(ws, data) {
+        let frame;
+        try {
+            frame = WebcastPushFrame.decode(new Uint8Array(data));
+        } catch (error) {
+            console.error('❌ Mock webcast server: could not decode client frame:', error.message);
+            return;
+        }
+
+        switch (frame.payloadType) {
+            case 'hb': {
+                const { roomId } = HeartbeatMessage.decode(frame.payload);
+                this.heartbeats.push({ roomId, timestamp: Date.now() });
+                this.emit('heartbeat', roomId);
+                break;
+            }
+            case 'ack': {
+                const ack = { logId: frame.logId, internalExt: Buffer.from(frame.payload).toString('utf8') };
+                this.acks.push(ack);
+                this.emit('ack', ack);
+                break;
+            }
+            case 'im_enter_room': {
+                const message = WebcastImEnterRoomMessage.decode(frame.payload);
+                this.enteredRooms.push(message.roomId);
+                this.emit('enterRoom', message);
+                ws.send(Buffer.from(createBaseWebcastPushFrame({ payloadType: 'im_enter_room_resp' }).finish()));
+                break;
+            }
+        }
+    }
+
+    createFetchResult(messages, overrides = {}) {
+        const cursor = `mock-cursor-${++this.cursorSeq}`;
+        return createMessage(ProtoMessageFetchResult, {
+            messages: messages.map(({ type, payload }) => createMessage(BaseProtoMessage, {
+                method: type,
+                type,
+                payload,
+                msgId: String(Date.now() + this.cursorSeq)
+            })),
+            cursor,
+            internalExt: `internal_ext:${cursor}`,
+            fetchInterval: '1000',
+            now: String(Date.now()),
+            ...overrides
+        });
+    }
+
+    // Push encoded messages ({ type, payload }) to every connected client.
+    // Returns the frame's logId, which the client echoes back in its ack.
+    push(messages, { needsAck = true } = {}) {
+        const result = this.createFetchResult(messages, { needsAck });
+        const logId = String(++this.logSeq);
+        const frame = createBaseWebcastPushFrame({
+            logId,
+            payloadType: 'msg',
+            payload: ProtoMessageFetchResult.encode(result).finish()
+        }).finish();
+
+        for (const ws of this.sockets) {
+            ws.send(Buffer.from(frame));
+        }
+        return logId;
+    }
+
+    pushChat(user, comment) {
+        return this.push([{
+            type: 'WebcastChatMessage',
+            payload: WebcastChatMessage.encode(createMessage(WebcastChatMessage, { user: createUser(user), comment })).finish()
+        }]);
+    }
+
+    pushGift(user, giftId = this.gifts[0].id, { repeatCount = 1, repeatEnd = 1 } = {}) {
+        const gift = this.gifts.find(g => g.id === giftId) || { id: giftId, name: 'Gift', diamond_count: 1, type: 1 };
+        const giftDetails = createMessage(Gift, {
+            id: String(gift.id),
+            giftName: gift.name,
+            diamondCount: gift.diamond_count,
+            giftType: gift.type
+        });
+
+        return this.push([{
+            type: 'WebcastGiftMessage',
+            payload: WebcastGiftMessage.encode(createMessage(WebcastGiftMessage, {
+                user: createUser(user),
+                giftId: gift.id,
+                giftDetails,
+                repeatCount,
+                repeatEnd,
+                groupId: String(Date.now())
+            })).finish()
+        }]);
+    }
+
+    pushLike(user, likeCount = 1, totalLikeCount = likeCount) {
+        return this.push([{
+            type: 'WebcastLikeMessage',
+            payload: WebcastLikeMessage.encode(createMessage(WebcastLikeMessage, { user: createUser(user), likeCount, totalLikeCount })).finish()
+        }]);
+    }
+
+    pushMember(user) {
+        return this.push([{
+            type: 'WebcastMemberMessage',
+            payload: WebcastMemberMessage.encode(createMessage(WebcastMemberMessage, { user: createUser(user) })).finish()
+        }]);
+    }
+
+    // The streamer ends the live: the client emits streamEnd and disconnects
+    pushStreamEnd(action = ControlAction.CONTROL_ACTION_STREAM_ENDED) {
+        this.live = false;
+        return this.push([{
+            type: 'WebcastControlMessage',
+            payload: WebcastControlMessage.encode(createMessage(WebcastControlMessage, { action })).finish()
+        }]);
+    }
+
+    // Drop every client connection, like a network failure
+    dropConnections() {
+        for (const ws of this.sockets) {
+            ws.terminate();
+        }
+    }
+
+    // Resolve with the arguments of the next `event` that matches `predicate`
+    waitFor(event, predicate = () => true, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.off(event, listener);
+                reject(new Error(`Timed out after ${timeout}ms waiting for "${event}"`));
+            }, timeout);
+
+            const listener = (...args) => {
+                if (predicate(...args)) {
+                    clearTimeout(timer);
+                    this.off(event, listener);
+                    resolve(args[0]);
+                }
+            };
+
+            this.on(event, listener);
+        });
+    }
+}
+
+// Run standalone to drive a backend session without TikTok:
+//   node mock-webcast-server.js [port]
+// then start the backend with the printed env vars and create a session for the mock streamer.
+// Type "chat <user> <text>", "gift <user> [giftId] [count]", "like <user> [count]", "end" or "drop".
+if (require.main === module) {
+    const server = new MockWebcastServer();
+
+    server.start(parseInt(process.argv[2]) || 0).then(() => {
+        console.log(`🧪 Mock webcast server listening on ${server.url} (streamer @${server.uniqueId})`);
+        console.log('   Start the backend with:');
+        console.log(`   ${Object.entries(server.getEnvironment()).map(([key, value]) => `${key}=${value}`).join(' ')} npm start`);
+
+        server.on('connection', () => console.log('🔗 Client connected'));
+        server.on('heartbeat', () => console.log('💓 Heartbeat'));
+        server.on('ack', ({ logId }) => console.log(`✅ Ack for frame ${logId}`));
+
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', (line) => {
+            const [command, user, ...args] = line.trim().split(/\s+/);
+            const viewer = { uniqueId: user || 'viewer', userId: String(1000 + (user || '').length) };
+
+            if (command === 'chat') server.pushChat(viewer, args.join(' '));
+            else if (command === 'gift') server.pushGift(viewer, parseInt(args[0]) || undefined, { repeatCount: parseInt(args[1]) || 1 });
+            else if (command === 'like') server.pushLike(viewer, parseInt(args[0]) || 1);
+            else if (command === 'end') server.pushStreamEnd();
+            else if (command === 'drop') server.dropConnections();
+            else if (command) console.log(`Unknown command: ${command}`);
+        });
+    });
+}
+
+module.exports = { MockWebcastServer, createMessage, createUser };
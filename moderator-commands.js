@@ -0,0 +1,264 @@
+// Moderator chat commands: run the games from the TikTok chat instead of the dashboard.
+//
+//   !wheel start [seconds]          - open a Lucky Wheel (startLuckyWheel)
+//   !spin                           - spin the running Lucky Wheel (endLuckyWheel)
+//   !poll Question | Option | ...   - start a poll with 2 or more options (startPoll)
+//   !race start [seconds]           - start a race (startRace)
+//   !stop                           - stop whatever game is running (stopGame)
+//
+// Only viewers with a moderator badge (or the streamer) and viewers on the streamer's
+// allowlist (moderator_allowlist, managed through the API) may use them. Every use,
+// accepted, failed or denied, is written to the moderator_actions audit log. A use
+// that can't be carried out is answered with a 'moderator' refused event.
+const { normalizeStreamer } = require('./api-auth');
+
+const MIN_SECONDS = 5;
+const MAX_SECONDS = 600;
+const AUDIT_LIMIT = 500; // Audit rows kept without a database
+
+class ModeratorCommands {
+    constructor(system, db) {
+        this.system = system;
+        this.db = db;
+        this.allowlists = new Map(); // streamer -> Map(username -> { username, addedBy, addedAt })
+        this.audit = []; // Audit rows, only used without a database
+        this.nextAuditId = 1;
+    }
+
+    // Load the allowlists of every streamer (kept in memory, the permission check is synchronous)
+    async load() {
+        if (!this.db) {
+            return;
+        }
+
+        try {
+            const rows = await this.db.getModeratorAllowlists();
+            this.allowlists = new Map();
+            for (const row of rows) {
+                this.getAllowlist(row.streamer_username).set(row.username, { username: row.username, addedBy: row.added_by, addedAt: row.added_at });
+            }
+        } catch (error) {
+            console.error('🛡️ Error loading moderator allowlists:', error);
+        }
+    }
+
+    getAllowlist(streamer) {
+        let allowlist = this.allowlists.get(streamer);
+        if (!allowlist) {
+            allowlist = new Map();
+            this.allowlists.set(streamer, allowlist);
+        }
+        return allowlist;
+    }
+
+    isAllowlisted(streamer, username) {
+        return !!streamer && !!username && !!this.allowlists.get(normalizeStreamer(streamer))?.has(normalizeStreamer(username));
+    }
+
+    getModerators(streamer) {
+        return Array.from(this.allowlists.get(normalizeStreamer(streamer))?.values() || []);
+    }
+
+    // Add a viewer to a streamer's allowlist, returns false when they were on it already
+    async addModerator(streamer, username, addedBy = null) {
+        const key = normalizeStreamer(streamer);
+        const name = normalizeStreamer(username);
+        const allowlist = this.getAllowlist(key);
+        if (allowlist.has(name)) {
+            return false;
+        }
+
+        const by = addedBy && typeof addedBy === 'object' ? JSON.stringify(addedBy) : addedBy;
+        if (this.db) {
+            await this.db.addAllowlistedModerator(key, name, by);
+        }
+        allowlist.set(name, { username: name, addedBy: by, addedAt: new Date().toISOString() });
+        console.log(`🛡️ ${name} can now use the moderator commands of ${key}`);
+        return true;
+    }
+
+    // Remove a viewer from a streamer's allowlist, returns false when they weren't on it
+    async removeModerator(streamer, username) {
+        const key = normalizeStreamer(streamer);
+        const name = normalizeStreamer(username);
+        if (!this.allowlists.get(key)?.has(name)) {
+            return false;
+        }
+
+        if (this.db) {
+            await this.db.removeAllowlistedModerator(key, name);
+        }
+        this.allowlists.get(key).delete(name);
+        console.log(`🛡️ ${name} can no longer use the moderator commands of ${key}`);
+        return true;
+    }
+
+    // Latest audit rows of a streamer
+    async getAudit(streamer, limit = 50) {
+        const key = normalizeStreamer(streamer);
+        if (this.db) {
+            return this.db.getModeratorActions(key, limit);
+        }
+        return this.audit.filter(row => row.streamer_username === key).reverse().slice(0, limit);
+    }
+
+    // Register the commands with the chat command router
+    register() {
+        const commands = [
+            { name: 'wheel', usage: '!wheel start [seconds]', description: 'Open a Lucky Wheel', run: (sessionId, context) => this.wheel(sessionId, context) },
+            { name: 'spin', usage: '!spin', description: 'Spin the Lucky Wheel', run: sessionId => this.spin(sessionId) },
+            { name: 'poll', usage: '!poll Question | Option | Option', description: 'Start a poll', run: (sessionId, context) => this.poll(sessionId, context) },
+            { name: 'race', usage: '!race start [seconds]', description: 'Start a race', run: (sessionId, context) => this.race(sessionId, context) },
+            { name: 'stop', usage: '!stop', description: 'Stop the running game', run: sessionId => this.stop(sessionId) }
+        ];
+
+        for (const { run, ...command } of commands) {
+            this.system.commands.register({
+                ...command,
+                permission: 'moderator',
+                source: 'moderator',
+                allow: (sessionId, context) => this.isAllowlisted(context.streamer, context.username),
+                onRefused: (sessionId, context, status) => this.record(sessionId, context, status),
+                handle: (sessionId, context) => this.run(sessionId, context, run)
+            });
+        }
+    }
+
+    // Carry out a command: run returns { details } when it worked and { error } when it didn't
+    run(sessionId, context, run) {
+        let outcome;
+        try {
+            outcome = run(sessionId, context);
+        } catch (error) {
+            console.error(`❌ Moderator command !${context.command} of ${context.username} failed:`, error);
+            outcome = { error: 'the command failed' };
+        }
+
+        if (outcome.error) {
+            this.record(sessionId, context, 'failed', { error: outcome.error });
+            this.system.emitGameEvent(sessionId, 'moderator', 'refused', {
+                userId: context.userId,
+                username: context.username,
+                command: context.command,
+                reason: outcome.error
+            });
+            return null;
+        }
+
+        console.log(`🛡️ ${context.username} used !${context.command}${context.argText ? ` ${context.argText}` : ''} in session ${sessionId}`);
+        this.record(sessionId, context, 'ok', outcome.details);
+        return null;
+    }
+
+    // Write a use to the audit log
+    record(sessionId, context, status, details = null) {
+        const action = {
+            sessionId,
+            streamer: context.streamer ? normalizeStreamer(context.streamer) : null,
+            username: context.username,
+            userId: context.userId,
+            command: context.command,
+            args: context.argText || null,
+            status,
+            details
+        };
+
+        if (!this.db) {
+            this.audit.push({
+                id: this.nextAuditId++,
+                session_id: action.sessionId,
+                streamer_username: action.streamer,
+                username: action.username,
+                user_id: action.userId,
+                command: action.command,
+                args: action.args,
+                status,
+                details,
+                created_at: new Date().toISOString()
+            });
+            this.audit.splice(0, this.audit.length - AUDIT_LIMIT);
+            return;
+        }
+
+        this.db.addModeratorAction(action).catch(error => {
+            console.error(`❌ Failed to audit !${context.command} of ${context.username}:`, error.message);
+        });
+    }
+
+    // Commands
+
+    wheel(sessionId, { args }) {
+        if ((args[0] || '').toLowerCase() !== 'start') {
+            return { error: 'use !wheel start [seconds]' };
+        }
+
+        const seconds = parseSeconds(args[1]);
+        if (seconds === false) {
+            return { error: `the duration must be ${MIN_SECONDS} to ${MAX_SECONDS} seconds` };
+        }
+
+        const game = this.system.startLuckyWheel(sessionId, seconds ? seconds * 1000 : null);
+        return game ? { details: { gameId: game.id, type: game.type, duration: game.duration } } : { error: 'the Lucky Wheel could not be started' };
+    }
+
+    spin(sessionId) {
+        const game = this.system.getActiveGame(sessionId);
+        if (!game || game.type !== 'luckywheel' || game.status === 'ended') {
+            return { error: 'no Lucky Wheel is running' };
+        }
+
+        const result = this.system.endLuckyWheel(sessionId);
+        return { details: { gameId: game.id, type: game.type, winner: result?.winner?.username || null } };
+    }
+
+    poll(sessionId, { argText }) {
+        const [question, ...options] = argText.split('|').map(part => part.trim());
+        const choices = options.filter(Boolean);
+        if (!question || choices.length < 2) {
+            return { error: 'use !poll Question | Option | Option' };
+        }
+
+        const error = this.system.getGameModule('poll')?.validateOptions({ question, options: choices });
+        if (error) {
+            return { error };
+        }
+
+        const game = this.system.startPoll(sessionId, question, choices);
+        return game ? { details: { gameId: game.id, type: game.type, question, options: choices } } : { error: 'the poll could not be started' };
+    }
+
+    race(sessionId, { args }) {
+        if ((args[0] || '').toLowerCase() !== 'start') {
+            return { error: 'use !race start [seconds]' };
+        }
+
+        const seconds = parseSeconds(args[1]);
+        if (seconds === false) {
+            return { error: `the duration must be ${MIN_SECONDS} to ${MAX_SECONDS} seconds` };
+        }
+
+        const game = seconds ? this.system.startRace(sessionId, seconds * 1000) : this.system.startRace(sessionId);
+        return game ? { details: { gameId: game.id, type: game.type, duration: game.duration } } : { error: 'the race could not be started' };
+    }
+
+    stop(sessionId) {
+        const game = this.system.getActiveGame(sessionId);
+        if (!game || game.status === 'ended') {
+            return { error: 'no game is running' };
+        }
+
+        this.system.stopGame(sessionId);
+        return { details: { gameId: game.id, type: game.type } };
+    }
+}
+
+// Optional duration argument: null when missing, false when out of range
+function parseSeconds(value) {
+    if (value === undefined) {
+        return null;
+    }
+    const seconds = Number(value);
+    return Number.isInteger(seconds) && seconds >= MIN_SECONDS && seconds <= MAX_SECONDS ? seconds : false;
+}
+
+module.exports = ModeratorCommands;
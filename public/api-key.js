@@ -0,0 +1,70 @@
+// Sends the backend API key with the dashboard's API requests.
+// The key is asked for once and kept in localStorage; a rejected key is asked for again.
+// EventSource can't send headers, so event streams get it as ?apiKey=
+(function () {
+    const STORAGE_KEY = 'tiktokLiveApiKey';
+
+    function getApiKey() {
+        return localStorage.getItem(STORAGE_KEY);
+    }
+
+    function askForApiKey(message = '🔑 Enter your API key for the TikTok Live backend') {
+        const key = window.prompt(message)?.trim();
+        if (key) {
+            localStorage.setItem(STORAGE_KEY, key);
+        }
+        return key || null;
+    }
+
+    function isApiUrl(url) {
+        try {
+            return new URL(url, window.location.href).pathname.startsWith('/api/');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    const originalFetch = window.fetch.bind(window);
+
+    window.fetch = async (input, init = {}) => {
+        const url = input instanceof Request ? input.url : String(input);
+        if (!isApiUrl(url)) {
+            return originalFetch(input, init);
+        }
+
+        const withKey = (key) => {
+            const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+            if (key) {
+                headers.set('X-API-Key', key);
+            }
+            return { ...init, headers };
+        };
+
+        let response = await originalFetch(input, withKey(getApiKey() || askForApiKey()));
+
+        if (response.status === 401) {
+            const key = askForApiKey('❌ The API key was rejected, enter a valid key');
+            if (key) {
+                response = await originalFetch(input, withKey(key));
+            }
+        }
+
+        return response;
+    };
+
+    const OriginalEventSource = window.EventSource;
+
+    window.EventSource = class extends OriginalEventSource {
+        constructor(url, options) {
+            const key = getApiKey();
+            if (key && isApiUrl(url)) {
+                const streamUrl = new URL(url, window.location.href);
+                streamUrl.searchParams.set('apiKey', key);
+                url = streamUrl.toString();
+            }
+            super(url, options);
+        }
+    };
+
+    window.getApiKey = getApiKey;
+})();
@@ -232,6 +232,9 @@ class TikTokLiveApp {
                     console.log('📊 Session info received:', data.session);
                 } else if (data.type === 'events') {
                     this.handleNewEvents(data.events, data.stats);
+                } else if (data.type === 'resync') {
+                    console.warn('⚠️ Missed events while disconnected, reloading session events');
+                    this.reloadStreamEvents(sessionId);
                 }
             } catch (error) {
                 console.error('Error parsing event data:', error);
@@ -244,6 +247,20 @@ class TikTokLiveApp {
         };
     }
 
+    // Fill in events the stream could no longer replay after a long disconnect
+    async reloadStreamEvents(sessionId) {
+        try {
+            const response = await fetch(`${this.API_BASE}/sessions/${sessionId}/events?limit=200`);
+            const data = await response.json();
+            if (response.ok) {
+                // The API returns newest first, handleNewEvents expects oldest first
+                this.handleNewEvents((data.events || []).reverse(), data.stats);
+            }
+        } catch (error) {
+            console.error('Error reloading events:', error);
+        }
+    }
+
     stopEventStream() {
         if (this.eventSource) {
             console.log('🔌 Stopping event stream');
@@ -255,8 +272,11 @@ class TikTokLiveApp {
     handleNewEvents(newEvents, stats) {
         // Add new events to our local array
         newEvents.forEach(event => {
-            // Check if we already have this event
-            if (!this.events.find(e => e.timestamp === event.timestamp && e.type === event.type && e.username === event.username)) {
+            // Check if we already have this event (stream events carry a unique eventId)
+            const isDuplicate = event.eventId !== undefined
+                ? this.events.some(e => e.eventId === event.eventId)
+                : this.events.some(e => e.timestamp === event.timestamp && e.type === event.type && e.username === event.username);
+            if (!isDuplicate) {
                 this.events.unshift(event); // Add to beginning for most recent first
             }
         });
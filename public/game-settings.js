@@ -29,7 +29,31 @@ class GameSettings {
                 colors: ["#FF6B6B", "#4ECDC4", "#45B7D1", "#96CEB4"],
                 soundEnabled: true,
                 confettiEnabled: true,
-                spinDuration: 4
+                spinDuration: 4,
+                // Winners per spin; each prize tier is one winner, in draw order
+                winnerCount: 1,
+                prizes: [],
+                // Who may enter (see games/lucky-wheel.js), 0 / false turns a rule off
+                eligibility: {
+                    mustFollow: false,
+                    subscribersOnly: false,
+                    mustChatBefore: false,
+                    minGiftCoins: 0,
+                    minAccountAgeDays: 0,
+                    minFollowers: 0,
+                    excludePreviousWinners: false
+                },
+                // 'wheel': one ticket per entry (plus gift tickets), 'raffle': bonus tickets for engagement
+                mode: "wheel",
+                raffle: {
+                    perWatchMinute: 1,
+                    perChat: 0.5,
+                    perLike: 0.01,
+                    perShare: 2,
+                    subscriber: 5,
+                    fanClub: 3,
+                    maxBonusTickets: 50
+                }
             },
 
             // Poll Game Settings
@@ -50,6 +74,172 @@ class GameSettings {
                 leaderboardEnabled: true
             },
 
+            // DJ Game Settings
+            djGame: {
+                requestDuration: 30,
+                votingDuration: 30,
+                roundBreakDuration: 5,
+                requestPrefixes: ["PLAY:", "SONG:", "REQUEST:", "MUSIC:"],
+                requirePrefix: false
+            },
+
+            // Trivia (question banks are imported through /api/game-settings/trivia/banks)
+            trivia: {
+                questionsPerGame: 10,
+                questionDuration: 20,
+                breakDuration: 5,
+                basePoints: 100,
+                defaultBank: "",
+                shuffle: true
+            },
+
+            // Tug of War: likes, gifts and team keyword spam pull the rope
+            tugOfWar: {
+                duration: 60,
+                winThreshold: 100,
+                teams: {
+                    left: { name: "Red", keyword: "RED" },
+                    right: { name: "Blue", keyword: "BLUE" }
+                },
+                multipliers: {
+                    message: 1,
+                    like: 0.2,
+                    diamond: 1
+                },
+                maxPullPerGift: 50
+            },
+
+            // Boss Battle: the audience damages a shared HP bar
+            bossBattle: {
+                duration: 180,
+                boss: { name: "Dragon", maxHp: 5000 },
+                attackKeyword: "ATTACK",
+                damage: {
+                    chat: 10,
+                    like: 1,
+                    diamond: 5,
+                    follow: 100,
+                    share: 50,
+                    subscribe: 500
+                },
+                weaknesses: [
+                    { source: "chat", keyword: "FIRE", multiplier: 2 }
+                ],
+                phases: [
+                    { name: "Awakened", hpPercent: 100 },
+                    { name: "Enraged", hpPercent: 50, heal: { perSecond: 5 }, weaknesses: [{ source: "gift", multiplier: 2 }] },
+                    { name: "Last Stand", hpPercent: 20, heal: { every: 30, amount: 250 } }
+                ],
+                heal: { perSecond: 0, every: 0, amount: 0 },
+                awards: ["MVP", "Runner-up", "Third place"]
+            },
+
+            // Gift Auction: the highest gift total in the bidding window wins
+            auction: {
+                duration: 120,
+                item: "the item",
+                reservePrice: 0,
+                // Lead changes in the last `window` seconds extend the auction by `extension` seconds
+                antiSnipe: {
+                    window: 10,
+                    extension: 15,
+                    maxExtensions: 10
+                }
+            },
+
+            // Loyalty points per streamer, earned in lives and staked in predictions
+            points: {
+                enabled: true,          // Earning; balances and !points / !top always work
+                startingBalance: 1000,
+                perMinute: 1,           // While present: active in the last presenceMinutes
+                presenceMinutes: 5,
+                perChat: 1,
+                chatCooldown: 30,       // Seconds between two rewarded messages of a viewer
+                perLikeBatch: 1,
+                perGiftCoin: 1,
+                perFollow: 50,          // Once per viewer and session
+                perShare: 10
+            },
+
+            // Predictions: viewers bet points with "!bet <letter> <points>", a moderator resolves
+            predictions: {
+                duration: 120,
+                minBet: 1,
+                maxBet: 0,              // 0 = no limit
+                resolveTimeout: 3600    // Unresolved predictions are refunded after this many seconds
+            },
+
+            // Chat commands ("!name args"). Permissions: everyone, fanclub, subscriber, moderator, streamer
+            commands: {
+                prefix: "!",
+                cooldown: 5,            // Default seconds between two uses of a custom command in a session
+                userCooldown: 30,       // Default seconds between two uses by the same viewer
+                overrides: {},          // Built-in and game commands, e.g. { top: { aliases: ["leaderboard"] } }
+                custom: [
+                    { name: "discord", aliases: ["dc"], response: "💬 Join the community: discord.gg/example", permission: "everyone", enabled: false },
+                    { name: "so", response: "📣 Go follow @{arg1}!", permission: "moderator", cooldown: 10, userCooldown: 0, enabled: false }
+                ]
+            },
+
+            // Gift Effects (diamond values come from extendedGiftInfo)
+            giftEffects: {
+                enabled: true,
+                luckyWheel: {
+                    diamondsPerTicket: 1,
+                    maxTicketsPerUser: 50,
+                    autoEnter: true
+                },
+                poll: {
+                    votesPerCoin: 1
+                },
+                race: {
+                    boostPerDiamond: 1,
+                    maxBoostPerGift: 25
+                }
+            },
+
+            // Chat announcements sent by the bot account (TIKTOK_SESSION_ID)
+            announcements: {
+                enabled: false,
+                dryRun: true,
+                minInterval: 3,
+                maxPerMinute: 10,
+                maxQueue: 10,
+                countdownSeconds: 10,
+                templates: {
+                    luckywheel_started: "🎡 Lucky Wheel is open! Type {keyword} to join ({seconds}s)",
+                    luckywheel_ended: "🎉 {winners} won the Lucky Wheel!",
+                    luckywheel_rerolled: "🔁 Re-roll! @{newWinner} replaces @{previousWinner} as winner #{rank}",
+                    poll_started: "📊 {question} Vote: {options}",
+                    poll_ended: "📊 Poll result: {winner} wins with {votes} votes",
+                    race_started: "🏁 Race started! Type {keyword} to join and spam it to run",
+                    race_ended: "🏆 @{winner} won the race!",
+                    trivia_question: "❓ Question {questionNumber}/{totalQuestions}: {question} {choices}",
+                    trivia_reveal: "✅ The answer was {answer} - {correctCount} got it right",
+                    trivia_ended: "🏆 @{winner} wins the trivia!",
+                    tugofwar_started: "🪢 Tug of War: {teams}! Type your team keyword to join, then spam it, like and gift to pull",
+                    tugofwar_ended: "🏆 Team {winner} wins the Tug of War!",
+                    boss_started: "🐉 {boss} appears! Type {keyword}, like, follow and gift to attack",
+                    boss_phase: "⚠️ {boss} enters phase {phase}: {name}!",
+                    boss_defeat: "💥 @{username} landed the final blow on {boss}!",
+                    boss_ended: "🏆 Top damage: {winners}",
+                    auction_started: "🔨 Auction for {item} is open! Send gifts to bid, the highest total wins",
+                    auction_lead: "👑 @{username} leads the auction with {total} diamonds",
+                    auction_ended: "🔨 {item} sold to @{winner} for {bid} diamonds!",
+                    prediction_started: "🔮 {question} Bet with !bet <letter> <points>: {outcomes} ({seconds}s)",
+                    prediction_locked: "🔒 Bets are locked! {pot} points are on the line",
+                    prediction_bet_refused: "⚠️ @{username} bet refused: {reason}",
+                    prediction_cancelled: "↩️ The prediction was cancelled, all bets are refunded",
+                    prediction_ended: "🔮 The answer is {winner}! Its backers split {pot} points",
+                    points_balance: "💰 @{username} has {balance} points",
+                    points_top: "🏆 Top points: {top}",
+                    command_response: "{response}",
+                    command_list: "📜 Commands: {commands}",
+                    moderator_refused: "⚠️ @{username} !{command}: {reason}",
+                    countdown: "⏰ {seconds} seconds left in the {game}!"
+                }
+            },
+
             // General Settings
             general: {
                 masterVolume: 70,
@@ -64,7 +254,11 @@ class GameSettings {
                 filteringEnabled: true,
                 minUsernameLength: 3,
                 allowDuplicateEntries: false,
-                entryCooldown: 5
+                entryCooldown: 5,
+                blockedWords: [],
+                blockedPatterns: [],
+                flood: { messages: 6, seconds: 10 },
+                duplicates: { count: 3, seconds: 60 }
             },
 
             // Theme & Appearance
@@ -226,6 +420,30 @@ class GameSettings {
         this.settings.luckyWheel.soundEnabled = document.getElementById('wheelSound').checked;
         this.settings.luckyWheel.confettiEnabled = document.getElementById('wheelConfetti').checked;
         this.settings.luckyWheel.spinDuration = parseInt(document.getElementById('wheelSpinDuration').value);
+        this.settings.luckyWheel.winnerCount = Math.max(1, parseInt(document.getElementById('wheelWinnerCount').value) || 1);
+        this.settings.luckyWheel.prizes = document.getElementById('wheelPrizes').value
+            .split(',')
+            .map(prize => prize.trim())
+            .filter(Boolean);
+        this.settings.luckyWheel.eligibility = {
+            mustFollow: document.getElementById('wheelMustFollow').checked,
+            subscribersOnly: document.getElementById('wheelSubscribersOnly').checked,
+            mustChatBefore: document.getElementById('wheelMustChatBefore').checked,
+            minGiftCoins: parseInt(document.getElementById('wheelMinGiftCoins').value) || 0,
+            minAccountAgeDays: parseInt(document.getElementById('wheelMinAccountAgeDays').value) || 0,
+            minFollowers: parseInt(document.getElementById('wheelMinFollowers').value) || 0,
+            excludePreviousWinners: document.getElementById('wheelExcludePreviousWinners').checked
+        };
+        this.settings.luckyWheel.mode = document.getElementById('wheelMode').value;
+        this.settings.luckyWheel.raffle = {
+            perWatchMinute: parseFloat(document.getElementById('rafflePerWatchMinute').value) || 0,
+            perChat: parseFloat(document.getElementById('rafflePerChat').value) || 0,
+            perLike: parseFloat(document.getElementById('rafflePerLike').value) || 0,
+            perShare: parseFloat(document.getElementById('rafflePerShare').value) || 0,
+            subscriber: parseFloat(document.getElementById('raffleSubscriber').value) || 0,
+            fanClub: parseFloat(document.getElementById('raffleFanClub').value) || 0,
+            maxBonusTickets: parseInt(document.getElementById('raffleMaxBonusTickets').value) || 0
+        };
 
         // Poll Game
         this.settings.poll.duration = parseInt(document.getElementById('pollDuration').value);
@@ -273,6 +491,25 @@ class GameSettings {
         document.getElementById('wheelSound').checked = this.settings.luckyWheel.soundEnabled;
         document.getElementById('wheelConfetti').checked = this.settings.luckyWheel.confettiEnabled;
         document.getElementById('wheelSpinDuration').value = this.settings.luckyWheel.spinDuration;
+        document.getElementById('wheelWinnerCount').value = this.settings.luckyWheel.winnerCount || 1;
+        document.getElementById('wheelPrizes').value = (this.settings.luckyWheel.prizes || []).join(', ');
+        const eligibility = this.settings.luckyWheel.eligibility || {};
+        document.getElementById('wheelMustFollow').checked = !!eligibility.mustFollow;
+        document.getElementById('wheelSubscribersOnly').checked = !!eligibility.subscribersOnly;
+        document.getElementById('wheelMustChatBefore').checked = !!eligibility.mustChatBefore;
+        document.getElementById('wheelMinGiftCoins').value = eligibility.minGiftCoins || 0;
+        document.getElementById('wheelMinAccountAgeDays').value = eligibility.minAccountAgeDays || 0;
+        document.getElementById('wheelMinFollowers').value = eligibility.minFollowers || 0;
+        document.getElementById('wheelExcludePreviousWinners').checked = !!eligibility.excludePreviousWinners;
+        const raffle = { ...this.getDefaultSettings().luckyWheel.raffle, ...(this.settings.luckyWheel.raffle || {}) };
+        document.getElementById('wheelMode').value = this.settings.luckyWheel.mode || 'wheel';
+        document.getElementById('rafflePerWatchMinute').value = raffle.perWatchMinute;
+        document.getElementById('rafflePerChat').value = raffle.perChat;
+        document.getElementById('rafflePerLike').value = raffle.perLike;
+        document.getElementById('rafflePerShare').value = raffle.perShare;
+        document.getElementById('raffleSubscriber').value = raffle.subscriber;
+        document.getElementById('raffleFanClub').value = raffle.fanClub;
+        document.getElementById('raffleMaxBonusTickets').value = raffle.maxBonusTickets;
 
         // Poll Game
         document.getElementById('pollDuration').value = this.settings.poll.duration;
@@ -105,6 +105,58 @@ class GamingHub {
         document.getElementById('endRace').addEventListener('click', () => {
             this.endRace();
         });
+
+        // Trivia controls
+        document.getElementById('startTrivia').addEventListener('click', () => {
+            this.startTrivia();
+        });
+
+        document.getElementById('endTrivia').addEventListener('click', () => {
+            this.endTrivia();
+        });
+
+        // Tug of War controls
+        document.getElementById('startTugOfWar').addEventListener('click', () => {
+            this.startTugOfWar();
+        });
+
+        document.getElementById('endTugOfWar').addEventListener('click', () => {
+            this.endTugOfWar();
+        });
+
+        // Boss Battle controls
+        document.getElementById('startBoss').addEventListener('click', () => {
+            this.startBossBattle();
+        });
+
+        document.getElementById('endBoss').addEventListener('click', () => {
+            this.endBossBattle();
+        });
+
+        // Gift Auction controls
+        document.getElementById('startAuction').addEventListener('click', () => {
+            this.startAuction();
+        });
+
+        document.getElementById('endAuction').addEventListener('click', () => {
+            this.endAuction();
+        });
+
+        // Prediction controls
+        document.getElementById('startPrediction').addEventListener('click', () => {
+            this.startPrediction();
+        });
+
+        document.getElementById('cancelPrediction').addEventListener('click', () => {
+            this.cancelPrediction();
+        });
+
+        document.getElementById('predictionOutcomeList').addEventListener('click', (event) => {
+            const button = event.target.closest('.resolve-btn');
+            if (button) {
+                this.resolvePrediction(button.dataset.outcome);
+            }
+        });
     }
 
     async loadSessions() {
@@ -179,6 +231,16 @@ class GamingHub {
             this.updatePollUI(active, type, status, timeRemainingSeconds, winner);
         } else if (this.currentGame === 'race') {
             this.updateRaceUI(active, type, status, timeRemainingSeconds, winner);
+        } else if (this.currentGame === 'trivia') {
+            this.updateTriviaUI(this.gameStatus);
+        } else if (this.currentGame === 'tugofwar') {
+            this.updateTugOfWarUI(this.gameStatus);
+        } else if (this.currentGame === 'boss') {
+            this.updateBossUI(this.gameStatus);
+        } else if (this.currentGame === 'auction') {
+            this.updateAuctionUI(this.gameStatus);
+        } else if (this.currentGame === 'prediction') {
+            this.updatePredictionUI(this.gameStatus);
         }
     }
 
@@ -223,6 +285,12 @@ class GamingHub {
         // Update the detailed entries list
         this.updateDetailedEntriesList(entriesArray);
 
+        // Drawn winners, each of them can be re-rolled
+        this.updateWinnersList(active && type === 'luckywheel' && status === 'ended' ? this.gameStatus.winners || [] : []);
+
+        // Viewers who typed the keyword but didn't meet the eligibility rules
+        this.updateRejectionsList(active && type === 'luckywheel' ? this.gameStatus.rejections || [] : []);
+
         // Update wheel segments with player names
         this.updateWheelSegments(entriesArray);
 
@@ -280,6 +348,289 @@ class GamingHub {
         }
     }
 
+    updateTriviaUI(gameStatus) {
+        const { active, type, phase, timeRemainingSeconds, question, questionNumber, totalQuestions } = gameStatus;
+        const statusElement = document.getElementById('triviaStatus');
+        const questionElement = document.getElementById('triviaQuestion');
+        const choicesElement = document.getElementById('triviaChoices');
+        const startBtn = document.getElementById('startTrivia');
+        const endBtn = document.getElementById('endTrivia');
+
+        if (!active || type !== 'trivia') {
+            statusElement.textContent = 'Pick a question bank and start the trivia!';
+            statusElement.style.color = '#fff';
+            startBtn.disabled = false;
+            endBtn.disabled = true;
+            return;
+        }
+
+        startBtn.disabled = phase !== 'ended';
+        endBtn.disabled = phase === 'ended';
+
+        if (phase === 'intro') {
+            statusElement.textContent = `❓ Get ready! First question in ${timeRemainingSeconds || 0}s`;
+            statusElement.style.color = '#4CAF50';
+        } else if (phase === 'question') {
+            statusElement.textContent = `❓ Question ${questionNumber}/${totalQuestions} - ${timeRemainingSeconds || 0}s remaining (${gameStatus.answeredCount} answers)`;
+            statusElement.style.color = '#4CAF50';
+        } else if (phase === 'reveal') {
+            statusElement.textContent = `✅ ${gameStatus.correctCount} correct - next question in ${timeRemainingSeconds || 0}s`;
+            statusElement.style.color = '#FFD700';
+        } else if (phase === 'ended') {
+            statusElement.textContent = gameStatus.winner ? `🏆 Winner: ${gameStatus.winner.username}!` : '❓ Trivia ended';
+            statusElement.style.color = '#FFD700';
+        }
+
+        questionElement.textContent = question ? question.text : '';
+        choicesElement.innerHTML = '';
+        if (question) {
+            const letters = ['A', 'B', 'C', 'D'];
+            question.choices.forEach((choice, index) => {
+                const choiceDiv = document.createElement('div');
+                choiceDiv.className = 'trivia-choice';
+                if (question.answer && question.answer.startsWith(`${letters[index]}:`)) {
+                    choiceDiv.classList.add('correct');
+                }
+                choiceDiv.textContent = `${letters[index]}: ${choice}`;
+                choicesElement.appendChild(choiceDiv);
+            });
+            if (question.choices.length === 0 && question.answer) {
+                const answerDiv = document.createElement('div');
+                answerDiv.className = 'trivia-choice correct';
+                answerDiv.textContent = question.answer;
+                choicesElement.appendChild(answerDiv);
+            }
+        }
+
+        this.updateTriviaStandings(gameStatus.standings || []);
+    }
+
+    updateTugOfWarUI(gameStatus) {
+        const { active, type, status, timeRemainingSeconds, teams, position, winThreshold, winner } = gameStatus;
+        const statusElement = document.getElementById('tugOfWarStatus');
+        const startBtn = document.getElementById('startTugOfWar');
+        const endBtn = document.getElementById('endTugOfWar');
+        const marker = document.getElementById('tugMarker');
+
+        if (!active || type !== 'tugofwar') {
+            statusElement.textContent = 'Click "Start Tug of War" to begin!';
+            statusElement.style.color = '#fff';
+            startBtn.disabled = false;
+            endBtn.disabled = true;
+            marker.style.left = '50%';
+            this.updateTugTeam('tugTeamLeft', null);
+            this.updateTugTeam('tugTeamRight', null);
+            return;
+        }
+
+        if (status === 'active') {
+            statusElement.textContent = `🪢 ${teams.left.name} vs ${teams.right.name} - ${timeRemainingSeconds || 0}s remaining`;
+            statusElement.style.color = '#4CAF50';
+            startBtn.disabled = true;
+            endBtn.disabled = false;
+        } else {
+            statusElement.textContent = winner ? `🏆 Team ${winner.name} wins!` : '🪢 Tug of War ended';
+            statusElement.style.color = '#FFD700';
+            startBtn.disabled = false;
+            endBtn.disabled = true;
+        }
+
+        // -winThreshold (left wins) is the left edge, +winThreshold the right edge
+        marker.style.left = `${50 + (position / winThreshold) * 50}%`;
+        this.updateTugTeam('tugTeamLeft', teams.left);
+        this.updateTugTeam('tugTeamRight', teams.right);
+    }
+
+    updateTugTeam(elementId, team) {
+        const element = document.getElementById(elementId);
+        element.innerHTML = '';
+        if (!team) return;
+
+        const title = document.createElement('h4');
+        title.style.cssText = 'text-align: center; color: #FFD700; margin-bottom: 15px;';
+        title.textContent = `${team.name} (${team.keyword}) - ${team.members} players, pull ${Math.round(team.pull)}`;
+        element.appendChild(title);
+
+        team.topPullers.forEach((member, index) => {
+            const row = document.createElement('div');
+            row.className = 'trivia-standing';
+            const name = document.createElement('span');
+            name.textContent = `${index + 1}. ${member.username}`;
+            const pull = document.createElement('span');
+            pull.textContent = `${Math.round(member.pull)} (💬 ${member.messages} ❤️ ${member.likes} 💎 ${member.diamonds})`;
+            row.appendChild(name);
+            row.appendChild(pull);
+            element.appendChild(row);
+        });
+    }
+
+    updateBossUI(gameStatus) {
+        const { active, type, status, timeRemainingSeconds, boss, hp, maxHp, hpPercent, phase, totalPhases, defeated } = gameStatus;
+        const statusElement = document.getElementById('bossStatus');
+        const nameElement = document.getElementById('bossName');
+        const hpFill = document.getElementById('bossHpFill');
+        const damageElement = document.getElementById('bossDamage');
+        const startBtn = document.getElementById('startBoss');
+        const endBtn = document.getElementById('endBoss');
+
+        if (!active || type !== 'boss') {
+            statusElement.textContent = 'Click "Start Boss Battle" to summon the boss!';
+            statusElement.style.color = '#fff';
+            nameElement.textContent = '';
+            hpFill.style.width = '100%';
+            damageElement.innerHTML = '';
+            startBtn.disabled = false;
+            endBtn.disabled = true;
+            return;
+        }
+
+        startBtn.disabled = status === 'active';
+        endBtn.disabled = status !== 'active';
+
+        if (status === 'active') {
+            statusElement.textContent = `⚔️ Phase ${phase.number}/${totalPhases}: ${phase.name} - ${timeRemainingSeconds || 0}s remaining`;
+            statusElement.style.color = '#4CAF50';
+        } else {
+            statusElement.textContent = defeated ? `💥 ${boss.name} was defeated!` : `🐉 ${boss.name} survived!`;
+            statusElement.style.color = '#FFD700';
+        }
+
+        nameElement.textContent = `${boss.name} - ${Math.ceil(hp)} / ${maxHp} HP`;
+        hpFill.style.width = `${hpPercent}%`;
+
+        damageElement.innerHTML = '<h4 style="text-align: center; color: #FFD700; margin-bottom: 15px;">⚔️ Top Damage</h4>';
+        (gameStatus.topDamage || []).forEach((contributor, index) => {
+            const row = document.createElement('div');
+            row.className = 'trivia-standing';
+            const name = document.createElement('span');
+            name.textContent = `${index + 1}. ${contributor.username}`;
+            const damage = document.createElement('span');
+            damage.textContent = `${Math.round(contributor.damage)} damage (${contributor.hits} hits)`;
+            row.appendChild(name);
+            row.appendChild(damage);
+            damageElement.appendChild(row);
+        });
+    }
+
+    updateAuctionUI(gameStatus) {
+        const { active, type, status, timeRemainingSeconds, item, leader, extensions, totalBidders, winner } = gameStatus;
+        const statusElement = document.getElementById('auctionStatus');
+        const ladderElement = document.getElementById('auctionLadder');
+        const startBtn = document.getElementById('startAuction');
+        const endBtn = document.getElementById('endAuction');
+
+        if (!active || type !== 'auction') {
+            statusElement.textContent = 'Name the item and click "Start Auction"!';
+            statusElement.style.color = '#fff';
+            ladderElement.innerHTML = '';
+            startBtn.disabled = false;
+            endBtn.disabled = true;
+            return;
+        }
+
+        startBtn.disabled = status === 'bidding';
+        endBtn.disabled = status !== 'bidding';
+
+        if (status === 'bidding') {
+            const extended = extensions.length > 0 ? ` (extended ${extensions.length}x)` : '';
+            statusElement.textContent = `🔨 "${item}" - ${leader ? `@${leader.username} leads with ${leader.total} 💎` : 'no bids yet'} - ${timeRemainingSeconds || 0}s remaining${extended}`;
+            statusElement.style.color = '#4CAF50';
+        } else {
+            statusElement.textContent = winner ? `🔨 "${item}" sold to @${winner.username} for ${winner.total} 💎!` : `🔨 "${item}" was not sold`;
+            statusElement.style.color = '#FFD700';
+        }
+
+        ladderElement.innerHTML = `<h4 style="text-align: center; color: #FFD700; margin-bottom: 15px;">💎 Top Bidders (${totalBidders})</h4>`;
+        (gameStatus.ladder || []).forEach(bidder => {
+            const row = document.createElement('div');
+            row.className = 'trivia-standing';
+            const name = document.createElement('span');
+            name.textContent = `${bidder.rank}. ${bidder.username}`;
+            const total = document.createElement('span');
+            total.textContent = `${bidder.total} 💎 (${bidder.gifts} gifts)`;
+            row.appendChild(name);
+            row.appendChild(total);
+            ladderElement.appendChild(row);
+        });
+    }
+
+    updatePredictionUI(gameStatus) {
+        const { active, type, status, timeRemainingSeconds, question, outcomes, pot, totalBettors, winner, resolution } = gameStatus;
+        const statusElement = document.getElementById('predictionStatus');
+        const outcomeList = document.getElementById('predictionOutcomeList');
+        const startBtn = document.getElementById('startPrediction');
+        const cancelBtn = document.getElementById('cancelPrediction');
+
+        if (!active || type !== 'prediction') {
+            statusElement.textContent = 'Enter a question and its outcomes, then click "Start Prediction"!';
+            statusElement.style.color = '#fff';
+            outcomeList.innerHTML = '';
+            startBtn.disabled = false;
+            cancelBtn.disabled = true;
+            return;
+        }
+
+        const running = status === 'betting' || status === 'locked';
+        startBtn.disabled = running;
+        cancelBtn.disabled = !running;
+
+        if (status === 'betting') {
+            statusElement.textContent = `🔮 ${question} - ${pot} points from ${totalBettors} viewers - ${timeRemainingSeconds || 0}s to bet`;
+            statusElement.style.color = '#4CAF50';
+        } else if (status === 'locked') {
+            statusElement.textContent = `🔒 ${question} - bets locked, ${pot} points on the line. Pick the winning outcome!`;
+            statusElement.style.color = '#FFA500';
+        } else {
+            statusElement.textContent = winner
+                ? `🔮 ${winner.id}: ${winner.text} won - its backers split ${pot} points`
+                : `↩️ ${resolution?.cancelled ? 'Cancelled' : 'No payout'} - all bets were refunded`;
+            statusElement.style.color = '#FFD700';
+        }
+
+        outcomeList.innerHTML = `<h4 style="text-align: center; color: #FFD700; margin-bottom: 15px;">🎯 Outcomes</h4>`;
+        (outcomes || []).forEach(outcome => {
+            const row = document.createElement('div');
+            row.className = 'trivia-standing';
+            const name = document.createElement('span');
+            name.textContent = `${outcome.id}: ${outcome.text}`;
+            const pool = document.createElement('span');
+            pool.textContent = `${outcome.pool} pts (${outcome.bettors} viewers)`;
+            row.appendChild(name);
+            row.appendChild(pool);
+            if (running) {
+                const resolve = document.createElement('button');
+                resolve.className = 'reroll-btn resolve-btn';
+                resolve.dataset.outcome = outcome.id;
+                resolve.title = `Resolve with ${outcome.id} as the winning outcome`;
+                resolve.textContent = '✅';
+                row.appendChild(resolve);
+            }
+            outcomeList.appendChild(row);
+        });
+    }
+
+    updateTriviaStandings(standings) {
+        const standingsElement = document.getElementById('triviaStandings');
+        standingsElement.innerHTML = '<h4 style="text-align: center; color: #FFD700; margin-bottom: 15px;">🏆 Standings</h4>';
+
+        if (standings.length === 0) {
+            standingsElement.innerHTML += '<div style="text-align: center; opacity: 0.7; padding: 20px;">No answers yet... ❓</div>';
+            return;
+        }
+
+        standings.forEach((score, index) => {
+            const row = document.createElement('div');
+            row.className = 'trivia-standing';
+            const name = document.createElement('span');
+            name.textContent = `${index + 1}. ${score.username}`;
+            const points = document.createElement('span');
+            points.textContent = `${score.points} pts (${score.correct} correct)`;
+            row.appendChild(name);
+            row.appendChild(points);
+            standingsElement.appendChild(row);
+        });
+    }
+
     async startLuckyWheel() {
         if (!this.currentSession) {
             alert('Please select a session first!');
@@ -540,10 +891,14 @@ class GamingHub {
 
             if (data.success) {
                 console.log('📊 Poll ended!', data);
-                this.showWinner(data.result.winner, 'poll');
                 this.updatePollResults(data.result.results);
                 this.updateGameStatus();
-                this.showNotification(`🏆 Poll winner: ${data.result.winner.text}!`, 'success');
+                if (data.result.winner) {
+                    this.showWinner(data.result.winner, 'poll');
+                    this.showNotification(`🏆 Poll winner: ${data.result.winner.text}!`, 'success');
+                } else {
+                    this.showNotification('📊 Poll ended without votes', 'info');
+                }
             } else {
                 throw new Error(data.error || 'Failed to end poll');
             }
@@ -560,7 +915,8 @@ class GamingHub {
                 const voteCount = options[index].querySelector('.vote-count');
                 voteCount.textContent = `${result.voteCount} votes (${result.percentage}%)`;
 
-                if (result.voteCount === Math.max(...results.map(r => r.voteCount))) {
+                const score = r => r.weightedVotes ?? r.voteCount;
+                if (score(result) === Math.max(...results.map(score))) {
                     options[index].classList.add('winning');
                 }
             }
@@ -631,6 +987,330 @@ class GamingHub {
         }
     }
 
+    async startTrivia() {
+        if (!this.currentSession) {
+            alert('Please select a session first!');
+            return;
+        }
+
+        const bank = document.getElementById('triviaBank').value.trim();
+
+        try {
+            const response = await fetch(`${this.API_BASE}/gaming/trivia/start`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    sessionId: this.currentSession,
+                    ...(bank ? { bank } : {})
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                console.log('❓ Trivia started!', data);
+                this.updateGameStatus();
+                this.showNotification('❓ Trivia started! Viewers answer in chat!', 'success');
+            } else {
+                throw new Error(data.error || 'Failed to start trivia');
+            }
+        } catch (error) {
+            console.error('Error starting trivia:', error);
+            this.showNotification('❌ Failed to start trivia: ' + error.message, 'error');
+        }
+    }
+
+    async endTrivia() {
+        if (!this.currentSession) return;
+
+        try {
+            const response = await fetch(`${this.API_BASE}/gaming/trivia/end`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId: this.currentSession })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                console.log('❓ Trivia ended!', data);
+                this.showWinner(data.result.winner, 'trivia');
+                this.updateGameStatus();
+            } else {
+                throw new Error(data.error || 'Failed to end trivia');
+            }
+        } catch (error) {
+            console.error('Error ending trivia:', error);
+            this.showNotification('❌ Failed to end trivia: ' + error.message, 'error');
+        }
+    }
+
+    async startTugOfWar() {
+        if (!this.currentSession) {
+            alert('Please select a session first!');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.API_BASE}/gaming/tugofwar/start`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId: this.currentSession })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                console.log('🪢 Tug of War started!', data);
+                this.updateGameStatus();
+                this.showNotification('🪢 Tug of War started! Viewers pick a team in chat!', 'success');
+            } else {
+                throw new Error(data.error || 'Failed to start Tug of War');
+            }
+        } catch (error) {
+            console.error('Error starting Tug of War:', error);
+            this.showNotification('❌ Failed to start Tug of War: ' + error.message, 'error');
+        }
+    }
+
+    async endTugOfWar() {
+        if (!this.currentSession) return;
+
+        try {
+            const response = await fetch(`${this.API_BASE}/gaming/tugofwar/end`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId: this.currentSession })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                console.log('🪢 Tug of War ended!', data);
+                this.showWinner(data.result.winner, 'tugofwar');
+                this.updateGameStatus();
+            } else {
+                throw new Error(data.error || 'Failed to end Tug of War');
+            }
+        } catch (error) {
+            console.error('Error ending Tug of War:', error);
+            this.showNotification('❌ Failed to end Tug of War: ' + error.message, 'error');
+        }
+    }
+
+    async startBossBattle() {
+        if (!this.currentSession) {
+            alert('Please select a session first!');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.API_BASE}/gaming/boss/start`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId: this.currentSession })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                console.log('🐉 Boss Battle started!', data);
+                this.updateGameStatus();
+                this.showNotification('🐉 Boss Battle started! Viewers attack in chat!', 'success');
+            } else {
+                throw new Error(data.error || 'Failed to start Boss Battle');
+            }
+        } catch (error) {
+            console.error('Error starting Boss Battle:', error);
+            this.showNotification('❌ Failed to start Boss Battle: ' + error.message, 'error');
+        }
+    }
+
+    async endBossBattle() {
+        if (!this.currentSession) return;
+
+        try {
+            const response = await fetch(`${this.API_BASE}/gaming/boss/end`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId: this.currentSession })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                console.log('🐉 Boss Battle ended!', data);
+                this.showWinner(data.result.winner, 'boss');
+                this.updateGameStatus();
+            } else {
+                throw new Error(data.error || 'Failed to end Boss Battle');
+            }
+        } catch (error) {
+            console.error('Error ending Boss Battle:', error);
+            this.showNotification('❌ Failed to end Boss Battle: ' + error.message, 'error');
+        }
+    }
+
+    async startAuction() {
+        if (!this.currentSession) {
+            alert('Please select a session first!');
+            return;
+        }
+
+        const item = document.getElementById('auctionItem').value.trim();
+
+        try {
+            const response = await fetch(`${this.API_BASE}/gaming/auction/start`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    sessionId: this.currentSession,
+                    ...(item ? { item } : {})
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                console.log('🔨 Gift Auction started!', data);
+                this.updateGameStatus();
+                this.showNotification('🔨 Gift Auction started! Viewers bid with gifts!', 'success');
+            } else {
+                throw new Error(data.error || 'Failed to start auction');
+            }
+        } catch (error) {
+            console.error('Error starting auction:', error);
+            this.showNotification('❌ Failed to start auction: ' + error.message, 'error');
+        }
+    }
+
+    async endAuction() {
+        if (!this.currentSession) return;
+
+        try {
+            const response = await fetch(`${this.API_BASE}/gaming/auction/end`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId: this.currentSession })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                console.log('🔨 Gift Auction ended!', data);
+                this.showWinner(data.result.winner, 'auction');
+                this.updateGameStatus();
+            } else {
+                throw new Error(data.error || 'Failed to end auction');
+            }
+        } catch (error) {
+            console.error('Error ending auction:', error);
+            this.showNotification('❌ Failed to end auction: ' + error.message, 'error');
+        }
+    }
+
+    async startPrediction() {
+        if (!this.currentSession) {
+            alert('Please select a session first!');
+            return;
+        }
+
+        const question = document.getElementById('predictionQuestion').value.trim();
+        const outcomes = document.getElementById('predictionOutcomes').value
+            .split(',')
+            .map(outcome => outcome.trim())
+            .filter(outcome => outcome.length > 0);
+
+        if (!question || outcomes.length < 2) {
+            alert('Please enter a question and at least 2 outcomes!');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.API_BASE}/gaming/prediction/start`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    sessionId: this.currentSession,
+                    question,
+                    outcomes
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                console.log('🔮 Prediction started!', data);
+                this.updateGameStatus();
+                this.showNotification('🔮 Prediction started! Viewers bet with !bet <letter> <points>', 'success');
+            } else {
+                throw new Error(data.error || 'Failed to start prediction');
+            }
+        } catch (error) {
+            console.error('Error starting prediction:', error);
+            this.showNotification('❌ Failed to start prediction: ' + error.message, 'error');
+        }
+    }
+
+    async resolvePrediction(outcome) {
+        if (!this.currentSession) return;
+
+        if (!confirm(`Resolve the prediction with ${outcome} as the winning outcome?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.API_BASE}/gaming/prediction/resolve`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId: this.currentSession, outcome })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                console.log('🔮 Prediction resolved!', data);
+                this.showWinner(data.winner, 'prediction');
+                this.updateGameStatus();
+            } else {
+                throw new Error(data.error || 'Failed to resolve prediction');
+            }
+        } catch (error) {
+            console.error('Error resolving prediction:', error);
+            this.showNotification('❌ Failed to resolve prediction: ' + error.message, 'error');
+        }
+    }
+
+    async cancelPrediction() {
+        if (!this.currentSession) return;
+
+        const reason = prompt('Why is the prediction cancelled? (optional)');
+        if (reason === null) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.API_BASE}/gaming/prediction/cancel`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId: this.currentSession, reason: reason.trim() || null })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                console.log('↩️ Prediction cancelled!', data);
+                this.showNotification(`↩️ ${data.message}`, 'info');
+                this.updateGameStatus();
+            } else {
+                throw new Error(data.error || 'Failed to cancel prediction');
+            }
+        } catch (error) {
+            console.error('Error cancelling prediction:', error);
+            this.showNotification('❌ Failed to cancel prediction: ' + error.message, 'error');
+        }
+    }
+
     async stopGame() {
         if (!this.currentSession) return;
 
@@ -677,6 +1357,51 @@ class GamingHub {
             setTimeout(() => {
                 winnerDisplay.style.display = 'none';
             }, 10000);
+        } else if (gameType === 'trivia') {
+            const winnerDisplay = document.getElementById('triviaWinner');
+            winnerDisplay.textContent = winner
+                ? `❓ Trivia Winner: ${winner.username} with ${winner.points} points! 🎉`
+                : '❓ Trivia ended without a winner';
+            winnerDisplay.style.display = 'block';
+            setTimeout(() => {
+                winnerDisplay.style.display = 'none';
+            }, 10000);
+        } else if (gameType === 'tugofwar') {
+            const winnerDisplay = document.getElementById('tugOfWarWinner');
+            winnerDisplay.textContent = winner
+                ? `🪢 Team ${winner.name} wins the Tug of War! 🎉`
+                : '🪢 Tug of War ended without players';
+            winnerDisplay.style.display = 'block';
+            setTimeout(() => {
+                winnerDisplay.style.display = 'none';
+            }, 10000);
+        } else if (gameType === 'boss') {
+            const winnerDisplay = document.getElementById('bossWinner');
+            winnerDisplay.textContent = winner
+                ? `🐉 MVP: ${winner.username} with ${Math.round(winner.damage)} damage! 🎉`
+                : '🐉 Nobody attacked the boss';
+            winnerDisplay.style.display = 'block';
+            setTimeout(() => {
+                winnerDisplay.style.display = 'none';
+            }, 10000);
+        } else if (gameType === 'auction') {
+            const winnerDisplay = document.getElementById('auctionWinner');
+            winnerDisplay.textContent = winner
+                ? `🔨 Sold to ${winner.username} for ${winner.total} diamonds! 🎉`
+                : '🔨 The auction ended without a winning bid';
+            winnerDisplay.style.display = 'block';
+            setTimeout(() => {
+                winnerDisplay.style.display = 'none';
+            }, 10000);
+        } else if (gameType === 'prediction') {
+            const winnerDisplay = document.getElementById('predictionWinner');
+            winnerDisplay.textContent = winner
+                ? `🔮 ${winner.id}: ${winner.text} wins! Its ${winner.bettors} backers split the pot 🎉`
+                : '↩️ Nobody bet on the winning outcome, all bets were refunded';
+            winnerDisplay.style.display = 'block';
+            setTimeout(() => {
+                winnerDisplay.style.display = 'none';
+            }, 10000);
         }
     }
 
@@ -1298,7 +2023,7 @@ class GamingHub {
                         <div class="entrant-username">@${entry.username}</div>
                         <div class="entrant-timestamp">${timeAgo}</div>
                     </div>
-                    <div class="entrant-status">✅</div>
+                    <div class="entrant-status">${entry.ticketCount ? `🎫 ${entry.ticketCount} · ${entry.probability}%` : '✅'}</div>
                 </div>
             `;
         }).join('');
@@ -1306,6 +2031,84 @@ class GamingHub {
         detailedEntrants.innerHTML = entrantsHtml;
     }
 
+    updateWinnersList(winners) {
+        const header = document.getElementById('wheelWinnersHeader');
+        const list = document.getElementById('wheelWinners');
+        if (!header || !list) return;
+
+        header.style.display = winners.length > 0 ? '' : 'none';
+        document.getElementById('winnersCount').textContent = winners.length;
+
+        list.innerHTML = '';
+        winners.forEach(winner => {
+            const card = document.createElement('div');
+            card.className = 'entrant-card';
+            card.innerHTML = `
+                <div class="entrant-info">
+                    <div class="entrant-username"></div>
+                    <div class="entrant-timestamp"></div>
+                </div>
+                <button class="control-btn reroll-btn" title="Draw a new winner for this prize">🔁</button>
+            `;
+            card.querySelector('.entrant-username').textContent = `#${winner.rank} @${winner.username}`;
+            card.querySelector('.entrant-timestamp').textContent = winner.prize || '';
+            card.querySelector('.reroll-btn').addEventListener('click', () => this.rerollWinner(winner));
+            list.appendChild(card);
+        });
+    }
+
+    async rerollWinner(winner) {
+        if (!this.currentSession) return;
+
+        const reason = prompt(`Re-roll winner #${winner.rank} (@${winner.username})? Reason:`, 'No response');
+        if (reason === null) return;
+
+        try {
+            const response = await fetch(`${this.API_BASE}/gaming/luckywheel/reroll`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId: this.currentSession, rank: winner.rank, reason })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification(`🔁 @${data.winner.username} replaces @${winner.username}!`, 'success');
+                this.updateGameStatus();
+            } else {
+                throw new Error(data.error || 'Failed to re-roll');
+            }
+        } catch (error) {
+            console.error('Error re-rolling Lucky Wheel winner:', error);
+            this.showNotification('❌ Failed to re-roll: ' + error.message, 'error');
+        }
+    }
+
+    updateRejectionsList(rejections) {
+        const header = document.getElementById('wheelRejectionsHeader');
+        const list = document.getElementById('wheelRejections');
+        if (!header || !list) return;
+
+        header.style.display = rejections.length > 0 ? '' : 'none';
+        document.getElementById('rejectionsCount').textContent = rejections.length;
+
+        list.innerHTML = '';
+        rejections.forEach(rejection => {
+            const card = document.createElement('div');
+            card.className = 'entrant-card';
+            card.innerHTML = `
+                <div class="entrant-info">
+                    <div class="entrant-username"></div>
+                    <div class="entrant-timestamp"></div>
+                </div>
+                <div class="entrant-status">🚫</div>
+            `;
+            card.querySelector('.entrant-username').textContent = `@${rejection.username}`;
+            card.querySelector('.entrant-timestamp').textContent = rejection.reason;
+            list.appendChild(card);
+        });
+    }
+
     updateWheelSegments(entries) {
         const wheelSegments = document.getElementById('wheelSegments');
         if (!wheelSegments) return;
@@ -0,0 +1,285 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { ControlEvent, deserializeMessage, deserializeWebSocketMessage } = require('./dist/index');
+
+const RECORDINGS_DIR = path.join(__dirname, 'recordings');
+const RECORDING_FORMAT = 'tiktok-live-recording';
+
+// Recording files are JSON lines. The first line is a header, every other line a frame:
+//   websocket mode: { "t": msSinceStart, "data": base64 WebcastPushFrame }
+//   decoded mode:   { "t": msSinceStart, "type": "WebcastChatMessage", "payload": base64 message }
+// Both keep the original protobuf bytes, so a replay decodes them exactly like a live room.
+
+function resolveRecordingPath(file) {
+    // Only files inside the recordings directory can be read
+    return path.join(RECORDINGS_DIR, path.basename(file));
+}
+
+function listRecordings() {
+    if (!fs.existsSync(RECORDINGS_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(RECORDINGS_DIR)
+        .filter(file => file.endsWith('.jsonl'))
+        .map(file => {
+            const stats = fs.statSync(path.join(RECORDINGS_DIR, file));
+            // Files are named <username>-<start time>.jsonl
+            const username = file.match(/^(.*)-\d{4}-\d{2}-\d{2}T[\d-]+Z\.jsonl$/)?.[1] || null;
+            return { file, username, size: stats.size, modified: stats.mtime };
+        })
+        .sort((a, b) => b.modified - a.modified);
+}
+
+// Writes the frames of a session's connections to a file
+class SessionRecorder {
+    constructor({ sessionId, username, mode = 'websocket' }) {
+        if (!['websocket', 'decoded'].includes(mode)) {
+            throw new Error(`Invalid recording mode "${mode}", use "websocket" or "decoded"`);
+        }
+
+        this.sessionId = sessionId;
+        this.username = username;
+        this.mode = mode;
+        this.frameCount = 0;
+        this.startedAt = null;
+        this.file = null;
+        this.stream = null;
+        this.connections = new WeakSet();
+    }
+
+    start(connection = null) {
+        fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+
+        this.startedAt = new Date();
+        this.file = `${this.username.replace(/[^a-zA-Z0-9._-]/g, '_')}-${this.startedAt.toISOString().replace(/[:.]/g, '-')}.jsonl`;
+        this.stream = fs.createWriteStream(resolveRecordingPath(this.file), { flags: 'w' });
+
+        this.writeLine({
+            format: RECORDING_FORMAT,
+            version: 1,
+            mode: this.mode,
+            sessionId: this.sessionId,
+            username: this.username,
+            roomId: connection?.roomId || null,
+            startedAt: this.startedAt.toISOString(),
+            // Gift details are looked up from this list on replay, like on a live connection
+            availableGifts: connection?.availableGifts || null
+        });
+
+        if (connection) {
+            this.attach(connection);
+        }
+
+        console.log(`⏺️ Recording session ${this.sessionId} (${this.mode}) to recordings/${this.file}`);
+        return this.file;
+    }
+
+    // Record a connection of the session, called again for every reconnect
+    attach(connection) {
+        if (this.connections.has(connection)) {
+            return;
+        }
+        this.connections.add(connection);
+
+        if (this.mode === 'websocket') {
+            connection.on(ControlEvent.WEBSOCKET_DATA, (data) => {
+                this.writeFrame({ data: Buffer.from(data).toString('base64') });
+            });
+        } else {
+            connection.on(ControlEvent.DECODED_DATA, (type, decodedData, payload) => {
+                if (payload) {
+                    this.writeFrame({ type, payload: Buffer.from(payload).toString('base64') });
+                }
+            });
+        }
+    }
+
+    writeFrame(frame) {
+        if (!this.stream) {
+            return;
+        }
+
+        this.frameCount++;
+        this.writeLine({ t: Date.now() - this.startedAt.getTime(), ...frame });
+    }
+
+    writeLine(line) {
+        this.stream.write(JSON.stringify(line) + '\n');
+    }
+
+    stop() {
+        if (!this.stream) {
+            return null;
+        }
+
+        this.stream.end();
+        this.stream = null;
+        console.log(`⏹️ Stopped recording session ${this.sessionId}: ${this.frameCount} frames in recordings/${this.file}`);
+        return this.getStatus();
+    }
+
+    getStatus() {
+        return {
+            file: this.file,
+            mode: this.mode,
+            recording: !!this.stream,
+            frameCount: this.frameCount,
+            startedAt: this.startedAt
+        };
+    }
+}
+
+// Feeds a recording into a TikTokLiveConnection as if it came from the live room.
+// speed: 1 = real time, 2 = twice as fast, 0 = as fast as possible.
+// In stepwise mode frames are only played through step().
+//
+// Events: 'finished'
+class SessionReplay extends EventEmitter {
+    constructor({ file, connection, speed = 1, stepwise = false }) {
+        super();
+        this.file = path.basename(file);
+        this.connection = connection;
+        this.speed = Math.max(0, Number(speed) || 0);
+        this.stepwise = !!stepwise;
+
+        this.header = null;
+        this.frames = [];
+        this.position = 0;
+        this.state = 'idle';
+        this.timer = null;
+        this.busy = false;
+    }
+
+    load() {
+        const filePath = resolveRecordingPath(this.file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Recording not found: ${this.file}`);
+        }
+
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+        const header = lines.length > 0 ? JSON.parse(lines[0]) : null;
+        if (!header || header.format !== RECORDING_FORMAT) {
+            throw new Error(`Not a session recording: ${this.file}`);
+        }
+
+        this.header = header;
+        this.frames = lines.slice(1).map(line => JSON.parse(line));
+
+        // Gift messages get their extended info from the connection's gift list
+        if (header.availableGifts) {
+            this.connection._availableGifts = header.availableGifts;
+        }
+
+        return header;
+    }
+
+    start() {
+        this.state = this.stepwise ? 'paused' : 'playing';
+        if (!this.stepwise) {
+            this.scheduleNext();
+        }
+    }
+
+    scheduleNext() {
+        if (this.state !== 'playing') {
+            return;
+        }
+
+        if (this.position >= this.frames.length) {
+            this.finish();
+            return;
+        }
+
+        const previousTime = this.position > 0 ? this.frames[this.position - 1].t : 0;
+        const delay = this.speed > 0 ? Math.max(0, (this.frames[this.position].t - previousTime) / this.speed) : 0;
+
+        this.timer = setTimeout(async () => {
+            this.timer = null;
+            await this.playFrame();
+            this.scheduleNext();
+        }, delay);
+    }
+
+    // Play the next `count` frames (stepwise mode)
+    async step(count = 1) {
+        if (this.busy) {
+            throw new Error('Replay is still playing the previous step');
+        }
+
+        this.busy = true;
+        try {
+            for (let i = 0; i < count && this.position < this.frames.length; i++) {
+                await this.playFrame();
+            }
+        } finally {
+            this.busy = false;
+        }
+
+        if (this.position >= this.frames.length) {
+            this.finish();
+        }
+        return this.getStatus();
+    }
+
+    async playFrame() {
+        const frame = this.frames[this.position++];
+
+        try {
+            const protoMessageFetchResult = await this.decodeFrame(frame);
+            if (protoMessageFetchResult) {
+                await this.connection.processProtoMessageFetchResult(protoMessageFetchResult);
+            }
+        } catch (error) {
+            console.error(`❌ Replay ${this.file}: failed to play frame ${this.position}:`, error.message);
+        }
+    }
+
+    async decodeFrame(frame) {
+        if (frame.data) {
+            const decodedContainer = await deserializeWebSocketMessage(Buffer.from(frame.data, 'base64'));
+            return decodedContainer.protoMessageFetchResult;
+        }
+
+        const payload = Buffer.from(frame.payload, 'base64');
+        return {
+            messages: [{
+                type: frame.type,
+                payload,
+                decodedData: { type: frame.type, data: deserializeMessage(frame.type, payload) }
+            }]
+        };
+    }
+
+    finish() {
+        if (this.state === 'finished' || this.state === 'stopped') {
+            return;
+        }
+
+        this.state = 'finished';
+        console.log(`⏹️ Replay of ${this.file} finished (${this.frames.length} frames)`);
+        this.emit('finished');
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.state = 'stopped';
+    }
+
+    getStatus() {
+        return {
+            file: this.file,
+            mode: this.header?.mode || null,
+            username: this.header?.username || null,
+            state: this.state,
+            speed: this.speed,
+            stepwise: this.stepwise,
+            position: this.position,
+            totalFrames: this.frames.length
+        };
+    }
+}
+
+module.exports = { SessionRecorder, SessionReplay, listRecordings, RECORDINGS_DIR };
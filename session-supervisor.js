@@ -0,0 +1,232 @@
+const EventEmitter = require('events');
+const { ControlEvent, WebcastEvent } = require('./dist/index');
+
+// Keeps one live session connected for as long as it runs.
+// - Network drops: reconnect with exponential backoff (with jitter)
+// - Streamer offline: wait for them with waitUntilLive, then reconnect
+// - Stream end: stop reconnecting and emit 'streamEnd' so the session can be finalized
+//
+// Events: 'connected' (connection, state), 'state' (state), 'streamEnd' (details), 'failed' (error)
+class SessionSupervisor extends EventEmitter {
+    constructor({ sessionId, username, createConnection, options = {} }) {
+        super();
+        this.sessionId = sessionId;
+        this.username = username;
+        this.createConnection = createConnection; // (attempt) => TikTokLiveConnection with handlers bound
+
+        this.options = {
+            initialAttempts: 3,
+            maxAttempts: 10, // Reconnect attempts in a row before giving up
+            baseDelay: 2000,
+            maxDelay: 60000,
+            offlineCheckInterval: 60, // Seconds between waitUntilLive checks
+            historyLimit: 100,
+            ...options
+        };
+
+        this.state = 'idle';
+        this.connection = null;
+        this.attempt = 0;
+        this.reconnectCount = 0;
+        this.nextRetryAt = null;
+        this.history = [];
+        this.retryTimer = null;
+        this.abortController = null;
+    }
+
+    // Connect for the first time. Rejects if every initial attempt fails,
+    // so the caller can report the error to the client.
+    async start() {
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= this.options.initialAttempts; attempt++) {
+            if (this.isStopped()) {
+                break;
+            }
+
+            try {
+                return await this.connect(attempt);
+            } catch (error) {
+                lastError = error;
+                if (attempt < this.options.initialAttempts) {
+                    console.log(`❌ Attempt ${attempt} failed: ${error.message}. Retrying...`);
+                    await new Promise(r => setTimeout(r, this.options.baseDelay));
+                }
+            }
+        }
+
+        this.setState('failed');
+        throw lastError || new Error('Session was stopped');
+    }
+
+    async connect(attempt) {
+        if (this.state !== 'reconnecting') {
+            this.setState('connecting');
+        }
+        this.attempt = attempt;
+
+        const connection = this.createConnection(attempt);
+        this.connection = connection;
+        this.bindConnection(connection);
+
+        try {
+            const state = await connection.connect();
+
+            // Stopped while the connection was being set up
+            if (this.isStopped()) {
+                connection.disconnect().catch(() => {});
+                return state;
+            }
+
+            this.attempt = 0;
+            this.nextRetryAt = null;
+            this.setState('connected');
+            this.record('connected', { attempt, roomId: state.roomId });
+            this.emit('connected', connection, state);
+            return state;
+        } catch (error) {
+            this.record('connect_failed', { attempt, error: error.message });
+            throw error;
+        }
+    }
+
+    bindConnection(connection) {
+        connection.on(ControlEvent.DISCONNECTED, () => {
+            if (connection !== this.connection || this.isStopped()) {
+                return;
+            }
+
+            this.record('disconnected');
+            this.scheduleReconnect();
+        });
+
+        connection.on(WebcastEvent.STREAM_END, ({ action } = {}) => {
+            if (connection !== this.connection || this.isStopped()) {
+                return;
+            }
+
+            this.record('stream_end', { action });
+            this.finish('ended');
+            this.emit('streamEnd', { action });
+        });
+    }
+
+    getRetryDelay(attempt) {
+        const delay = Math.min(this.options.baseDelay * 2 ** (attempt - 1), this.options.maxDelay);
+        // Up to 20% jitter so many sessions don't reconnect in lockstep
+        return Math.round(delay * (1 + Math.random() * 0.2));
+    }
+
+    scheduleReconnect() {
+        if (this.isStopped() || this.retryTimer) {
+            return;
+        }
+
+        const attempt = this.attempt + 1;
+        if (attempt > this.options.maxAttempts) {
+            const error = new Error(`Gave up after ${this.options.maxAttempts} reconnect attempts`);
+            this.record('gave_up', { attempts: this.options.maxAttempts });
+            this.finish('failed');
+            this.emit('failed', error);
+            return;
+        }
+
+        const delay = this.getRetryDelay(attempt);
+        this.attempt = attempt;
+        this.nextRetryAt = new Date(Date.now() + delay);
+        this.setState('reconnecting');
+        this.record('retry_scheduled', { attempt, delay });
+        console.log(`🔄 Session ${this.sessionId}: reconnecting to @${this.username} in ${Math.round(delay / 1000)}s (attempt ${attempt}/${this.options.maxAttempts})`);
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.reconnect(attempt);
+        }, delay);
+    }
+
+    async reconnect(attempt) {
+        if (this.isStopped()) {
+            return;
+        }
+
+        try {
+            // A drop because the streamer went offline is not a network problem:
+            // wait for them to come back instead of burning through retries
+            if (!(await this.connection.fetchIsLive())) {
+                await this.waitForLive();
+                if (this.isStopped()) {
+                    return;
+                }
+                attempt = 1;
+            }
+
+            await this.connect(attempt);
+            this.reconnectCount++;
+        } catch (error) {
+            if (this.isStopped()) {
+                return;
+            }
+            console.log(`❌ Session ${this.sessionId}: reconnect attempt ${attempt} failed: ${error.message}`);
+            this.scheduleReconnect();
+        }
+    }
+
+    async waitForLive() {
+        this.setState('waiting_for_live');
+        this.nextRetryAt = null;
+        this.record('offline');
+        console.log(`⏳ Session ${this.sessionId}: @${this.username} is offline, waiting for them to go live`);
+
+        this.abortController = new AbortController();
+        try {
+            await this.connection.waitUntilLive(this.options.offlineCheckInterval, this.abortController.signal);
+            this.record('live');
+            console.log(`🟢 Session ${this.sessionId}: @${this.username} is live again`);
+        } finally {
+            this.abortController = null;
+        }
+    }
+
+    // Stop supervising (session ended through the API). The caller disconnects.
+    stop() {
+        this.finish('stopped');
+    }
+
+    finish(state) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.nextRetryAt = null;
+        this.abortController?.abort(new Error('Session stopped'));
+        this.setState(state);
+    }
+
+    isStopped() {
+        return ['stopped', 'ended', 'failed'].includes(this.state);
+    }
+
+    setState(state) {
+        if (this.state !== state) {
+            this.state = state;
+            this.emit('state', state);
+        }
+    }
+
+    record(event, details = {}) {
+        this.history.push({ event, timestamp: new Date().toISOString(), ...details });
+        if (this.history.length > this.options.historyLimit) {
+            this.history.shift();
+        }
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            attempt: this.attempt,
+            reconnectCount: this.reconnectCount,
+            nextRetryAt: this.nextRetryAt,
+            history: this.history
+        };
+    }
+}
+
+module.exports = SessionSupervisor;
@@ -393,22 +393,40 @@ export class TikTokLiveConnection extends (EventEmitter as new () => TypedEventE
     /**
      * Wait until the streamer is live
      * @param seconds Number of seconds to wait before checking if the streamer is live again
+     * @param signal Optional signal to stop waiting. The promise then rejects with the signal's reason
      */
-    public async waitUntilLive(seconds: number = 60): Promise<void> {
+    public async waitUntilLive(seconds: number = 60, signal?: AbortSignal): Promise<void> {
         seconds = Math.max(30, seconds);
 
-        return new Promise(async (resolve) => {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                return reject(signal.reason);
+            }
+
+            let interval: ReturnType<typeof setInterval>;
+
+            const onAbort = () => {
+                clearInterval(interval);
+                reject(signal.reason);
+            };
+
             const fetchIsLive = async () => {
-                const isLive = await this.fetchIsLive();
+                try {
+                    const isLive = await this.fetchIsLive();
 
-                if (isLive) {
-                    clearInterval(interval);
-                    resolve();
+                    if (isLive && !signal?.aborted) {
+                        clearInterval(interval);
+                        signal?.removeEventListener('abort', onAbort);
+                        resolve();
+                    }
+                } catch (err) {
+                    // Already reported through handleError, try again on the next check
                 }
             };
 
-            const interval = setInterval(async () => fetchIsLive(), seconds * 1000);
-            await fetchIsLive();
+            signal?.addEventListener('abort', onAbort, { once: true });
+            interval = setInterval(fetchIsLive, seconds * 1000);
+            fetchIsLive();
         });
 
     }
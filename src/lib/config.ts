@@ -169,8 +169,8 @@ export const Screen: ScreenPreset = (process.env.RANDOMIZE_TIKTOK_SCREEN?.toLowe
 
 
 const Config: IWebcastConfig = {
-    TIKTOK_HOST_WEB: 'www.tiktok.com',
-    TIKTOK_HOST_WEBCAST: 'webcast.tiktok.com',
+    TIKTOK_HOST_WEB: process.env.TIKTOK_HOST_WEB || 'www.tiktok.com',
+    TIKTOK_HOST_WEBCAST: process.env.TIKTOK_HOST_WEBCAST || 'webcast.tiktok.com',
     TIKTOK_HTTP_ORIGIN: 'https://www.tiktok.com',
     DEFAULT_HTTP_CLIENT_COOKIES: { 'tt-target-idc': 'useast1a' },
     DEFAULT_HTTP_CLIENT_OPTIONS: {},
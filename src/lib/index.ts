@@ -4,3 +4,4 @@ export * from './web';
 export * from './ws';
 export * from './_legacy';
 export * from './config';
+export { default as Config } from './config';
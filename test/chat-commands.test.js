@@ -0,0 +1,137 @@
+// Chat command router of chat-commands.js: permission levels, aliases, overrides,
+// cooldowns and custom command responses.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ChatCommands } = require('../chat-commands');
+
+const VIEWER = null;
+const FAN = { fanClubLevel: 3 };
+const SUBSCRIBER = { isSubscriber: true };
+const MODERATOR = { isModerator: true };
+const STREAMER = { isAnchor: true };
+
+function createCommands(settings = {}) {
+    const responses = [];
+    const commands = new ChatCommands({
+        getSettings: () => settings,
+        emitEvent: (sessionId, action, details) => responses.push({ sessionId, action, ...details })
+    });
+    return { commands, responses };
+}
+
+// Status of a use of message by a viewer with userProfile, null when it isn't a command
+function use(commands, message, userProfile, username = 'viewer', sessionId = 's1') {
+    return commands.handle(sessionId, { userId: username, username, streamer: 'streamer', message, userProfile })?.status ?? null;
+}
+
+test('each permission level lets in that level and the levels above it', () => {
+    const { commands } = createCommands();
+    for (const permission of ['everyone', 'fanclub', 'subscriber', 'moderator', 'streamer']) {
+        commands.register({ name: permission, permission, handle: () => 'ok' });
+    }
+
+    const profiles = [VIEWER, FAN, SUBSCRIBER, MODERATOR, STREAMER];
+    const allowed = profiles.map((profile, rank) => ['everyone', 'fanclub', 'subscriber', 'moderator', 'streamer']
+        .filter(permission => use(commands, `!${permission}`, profile, `viewer${rank}`) === 'ok'));
+
+    assert.deepStrictEqual(allowed, [
+        ['everyone'],
+        ['everyone', 'fanclub'],
+        ['everyone', 'fanclub', 'subscriber'],
+        ['everyone', 'fanclub', 'subscriber', 'moderator'],
+        ['everyone', 'fanclub', 'subscriber', 'moderator', 'streamer']
+    ]);
+});
+
+test('fanclub commands check the fan club level, unknown permissions are for the streamer', () => {
+    const { commands } = createCommands();
+    commands.register({ name: 'club', permission: 'fanclub', fanClubLevel: 5, handle: () => 'ok' });
+    commands.register({ name: 'odd', permission: 'admins', handle: () => 'ok' });
+
+    assert.strictEqual(use(commands, '!club', FAN), 'denied');
+    assert.strictEqual(use(commands, '!club', { fanClubLevel: 5 }), 'ok');
+    assert.strictEqual(use(commands, '!odd', MODERATOR), 'denied');
+    assert.strictEqual(use(commands, '!odd', STREAMER), 'ok');
+});
+
+test('allow lets viewers below the level in and refused uses are reported', () => {
+    const { commands } = createCommands();
+    const refused = [];
+    commands.register({
+        name: 'guess',
+        permission: 'moderator',
+        allow: (sessionId, context) => context.username === 'helper',
+        onRefused: (sessionId, context, status) => refused.push([context.username, status]),
+        handle: () => 'ok'
+    });
+
+    assert.strictEqual(use(commands, '!guess', VIEWER, 'helper'), 'ok');
+    assert.strictEqual(use(commands, '!guess', VIEWER, 'someone'), 'denied');
+    assert.deepStrictEqual(refused, [['someone', 'denied']]);
+});
+
+test('names, aliases and the prefix are matched without case, other messages pass through', () => {
+    const { commands } = createCommands({ prefix: '?', overrides: { top: { aliases: ['leaderboard'] } } });
+    const seen = [];
+    commands.register({ name: 'top', aliases: ['best'], handle: (sessionId, context) => seen.push([context.command, context.alias, context.args]) });
+
+    assert.strictEqual(use(commands, '?TOP 5', VIEWER, 'a'), 'ok');
+    assert.strictEqual(use(commands, '?leaderboard', VIEWER, 'b'), 'ok');
+    assert.strictEqual(use(commands, '?best', VIEWER, 'c'), null);
+    assert.strictEqual(use(commands, '!top', VIEWER, 'd'), null);
+    assert.strictEqual(use(commands, 'top', VIEWER, 'e'), null);
+    assert.deepStrictEqual(seen, [['top', 'top', ['5']], ['top', 'leaderboard', []]]);
+});
+
+test('overrides change permissions and can turn a command off', () => {
+    const { commands } = createCommands({ overrides: { points: { permission: 'subscriber' }, top: { enabled: false } } });
+    commands.register({ name: 'points', handle: () => 'ok' });
+    commands.register({ name: 'top', handle: () => 'ok' });
+
+    assert.strictEqual(use(commands, '!points', VIEWER), 'denied');
+    assert.strictEqual(use(commands, '!points', SUBSCRIBER), 'ok');
+    assert.strictEqual(use(commands, '!top', STREAMER), null);
+    assert.deepStrictEqual(commands.available('s1', { username: 'viewer', userProfile: SUBSCRIBER }), ['!points']);
+});
+
+test('session and viewer cooldowns refuse uses until they have passed', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const { commands } = createCommands();
+    commands.register({ name: 'hug', cooldown: 5, userCooldown: 30, handle: () => 'ok' });
+
+    assert.strictEqual(use(commands, '!hug', VIEWER, 'alice'), 'ok');
+    assert.strictEqual(use(commands, '!hug', VIEWER, 'bob'), 'cooldown');
+    assert.strictEqual(use(commands, '!hug', VIEWER, 'bob', 's2'), 'ok');
+
+    t.mock.timers.tick(5000);
+    assert.strictEqual(use(commands, '!hug', VIEWER, 'bob'), 'ok');
+    t.mock.timers.tick(10000);
+    assert.strictEqual(use(commands, '!hug', VIEWER, 'alice'), 'cooldown');
+    t.mock.timers.tick(20000);
+    assert.strictEqual(use(commands, '!hug', VIEWER, 'alice'), 'ok');
+});
+
+test('custom commands answer with their template and can\'t replace built-in ones', () => {
+    const { commands, responses } = createCommands({
+        cooldown: 0,
+        userCooldown: 0,
+        custom: [
+            { name: '!Discord', aliases: ['dc'], response: 'Hi {nickname}, join us: example.invalid' },
+            { name: 'so', response: 'Follow @{arg1}!', permission: 'moderator' },
+            { name: 'points', response: 'not the real points' }
+        ]
+    });
+    commands.register({ name: 'points', handle: () => 'built-in' });
+
+    assert.strictEqual(use(commands, '!dc', { nickname: 'Ally' }, 'ally'), 'ok');
+    assert.strictEqual(use(commands, '!so', VIEWER), 'denied');
+    assert.strictEqual(use(commands, '!so mod', MODERATOR, 'mod'), 'ok');
+    // {arg1} can't be filled, nothing is sent
+    assert.strictEqual(use(commands, '!so', MODERATOR, 'mod'), 'ok');
+    assert.strictEqual(commands.handle('s1', { username: 'viewer', message: '!points' }).result, 'built-in');
+
+    assert.deepStrictEqual(responses.map(({ command, response }) => [command, response]), [
+        ['discord', 'Hi Ally, join us: example.invalid'],
+        ['so', 'Follow @mod!']
+    ]);
+});
@@ -0,0 +1,134 @@
+// Chat moderation flags of chat-moderation.js: blocked words (leetspeak, spacing,
+// repeated letters), blocked patterns, flood and duplicate rules and the ban list.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ChatModeration = require('../chat-moderation');
+
+function createModeration(settings = {}) {
+    return new ChatModeration(null, { getSettings: () => ({ blockedWords: ['idiot', 'buy followers'], ...settings }) });
+}
+
+const flagsOf = (result) => result ? result.flags : [];
+
+test('blocked words are found in leetspeak, spaced out and with repeated letters', () => {
+    const moderation = createModeration();
+    // A viewer per message, so repeating it doesn't count as spam
+    let viewers = 0;
+    const check = (message) => flagsOf(moderation.check('s1', { username: `viewer${++viewers}`, message }));
+
+    for (const message of ['you idiot', 'You IDIOT!', '1d10t', 'i d i o t', 'iiidiooot', 'ïdiöt', 'buy   followers here', 'BUY F0LL0WERS']) {
+        assert.deepStrictEqual(check(message), ['blocked_word'], message);
+    }
+    // Whole words only
+    for (const message of ['idiotic plan', 'buy followership', 'hello']) {
+        assert.deepStrictEqual(check(message), [], message);
+    }
+});
+
+test('blocked patterns match case insensitively and only the start of a long message', () => {
+    const moderation = createModeration({ blockedPatterns: ['https?://'] });
+
+    const flagged = moderation.check('s1', { username: 'viewer', message: 'see HTTP://spam.example' });
+    assert.deepStrictEqual(flagged.flags, ['blocked_pattern']);
+    assert.deepStrictEqual(flagged.reasons, ['matches /https?:\\/\\//']);
+
+    const hidden = moderation.check('s1', { username: 'viewer2', message: `${'x'.repeat(400)} http://spam.example` });
+    assert.strictEqual(hidden, null);
+});
+
+test('blocked patterns that could backtrack catastrophically are refused and skipped', () => {
+    const moderation = createModeration({ blockedPatterns: ['(a+)+$', 'ok'] });
+
+    assert.match(moderation.validateSettings({ blockedPatterns: ['(a+)+$'] }), /nested quantifier/);
+    assert.match(moderation.validateSettings({ blockedPatterns: ['((ab*)c)*'] }), /nested quantifier/);
+    assert.match(moderation.validateSettings({ blockedPatterns: ['('] }), /Invalid regular expression/);
+    assert.match(moderation.validateSettings({ blockedPatterns: 'https?://' }), /must be a list/);
+    assert.strictEqual(moderation.validateSettings({ blockedPatterns: ['https?://', '(ab)+', '[(a+)]+'] }), null);
+    assert.strictEqual(moderation.validateSettings(undefined), null);
+
+    const started = Date.now();
+    assert.strictEqual(moderation.check('s1', { username: 'viewer', message: `${'a'.repeat(40)}!` }), null);
+    assert.ok(Date.now() - started < 1000);
+    assert.deepStrictEqual(flagsOf(moderation.check('s1', { username: 'viewer', message: 'ok then' })), ['blocked_pattern']);
+});
+
+test('more than flood.messages messages within flood.seconds are flagged as flood', () => {
+    const moderation = createModeration({ flood: { messages: 3, seconds: 10 }, duplicates: { count: 0, seconds: 60 } });
+    const at = (message, now) => flagsOf(moderation.check('s1', { username: 'fast', message }, now));
+
+    assert.deepStrictEqual(at('one', 0), []);
+    assert.deepStrictEqual(at('two', 1000), []);
+    assert.deepStrictEqual(at('three', 2000), []);
+    assert.deepStrictEqual(at('four', 3000), ['flood']);
+    // The first messages left the window
+    assert.deepStrictEqual(at('five', 12500), []);
+    // Other viewers and sessions have their own counts
+    assert.deepStrictEqual(flagsOf(moderation.check('s2', { username: 'fast', message: 'hi' }, 3000)), []);
+});
+
+test('the same message duplicates.count times within duplicates.seconds is flagged as duplicate', () => {
+    const moderation = createModeration({ flood: { messages: 0, seconds: 10 }, duplicates: { count: 3, seconds: 60 } });
+    const at = (message, now) => flagsOf(moderation.check('s1', { username: 'repeater', message }, now));
+
+    assert.deepStrictEqual(at('Win me', 0), []);
+    assert.deepStrictEqual(at('win   ME!', 1000), []);
+    // Leetspeak spellings are the same message
+    assert.deepStrictEqual(at('w1n me', 2000), ['duplicate']);
+    assert.deepStrictEqual(at('something else', 3000), []);
+    assert.deepStrictEqual(at('win me', 70000), []);
+});
+
+test('moderators, the streamer and disabled filtering are not filtered', () => {
+    const moderation = createModeration();
+    assert.strictEqual(moderation.check('s1', { username: 'mod', message: 'idiot', userProfile: { isModerator: true } }), null);
+    assert.strictEqual(moderation.check('s1', { username: 'host', message: 'idiot', userProfile: { isAnchor: true } }), null);
+
+    const disabled = createModeration({ filteringEnabled: false });
+    assert.strictEqual(disabled.check('s1', { username: 'ab', message: 'idiot' }), null);
+});
+
+test('short usernames are flagged', () => {
+    const moderation = createModeration({ minUsernameLength: 4 });
+    assert.deepStrictEqual(flagsOf(moderation.check('s1', { username: 'abc', message: 'hello' })), ['short_username']);
+});
+
+test('the ban list always applies and keeps commands out', async () => {
+    const moderation = createModeration({ filteringEnabled: false });
+    assert.strictEqual(await moderation.ban('@Streamer', 'Troll', 'spam'), true);
+    assert.strictEqual(await moderation.ban('streamer', 'troll'), false);
+
+    const result = moderation.check('s1', { streamer: 'streamer', username: 'troll', message: 'hi', userProfile: { isModerator: true } });
+    assert.deepStrictEqual(result.flags, ['banned']);
+    assert.strictEqual(moderation.blocksCommands(result), true);
+    assert.strictEqual(moderation.keepsOut(result, { chatSpam: true }), true);
+
+    assert.strictEqual(await moderation.unban('streamer', 'troll'), true);
+    assert.strictEqual(moderation.check('s1', { streamer: 'streamer', username: 'troll', message: 'hi' }), null);
+});
+
+test('spam flags only keep a message out of games not played by repeating messages', () => {
+    const moderation = createModeration();
+    const spam = { flags: ['flood'], reasons: [] };
+
+    assert.strictEqual(moderation.blocksCommands(spam), false);
+    assert.strictEqual(moderation.keepsOut(spam, { chatSpam: true }), false);
+    assert.strictEqual(moderation.keepsOut(spam, { chatSpam: false }), true);
+});
+
+test('banned viewers can\'t join games with gifts, likes or follows either', async () => {
+    const GamingSystem = require('../gaming-system');
+    const system = new GamingSystem(null);
+    clearInterval(system.tickInterval);
+
+    await system.moderation.ban('streamer', 'troll', 'spam');
+    system.startGame('luckywheel', 'ban-1', { duration: 60000 });
+    const gift = { streamer: 'streamer', giftId: 5655, giftName: 'Rose', diamondCount: 1, repeatCount: 1, totalDiamonds: 1 };
+
+    assert.strictEqual(system.handleGift('ban-1', { ...gift, userId: '1', username: 'troll' }), null);
+    assert.strictEqual(system.handleLike('ban-1', { streamer: 'streamer', userId: '1', username: 'troll', likeCount: 10 }), null);
+    assert.strictEqual(system.handleSocial('ban-1', { streamer: 'streamer', userId: '1', username: 'troll', subtype: 'follow' }), null);
+    assert.strictEqual(system.activeGames.get('ban-1').entries.length, 0);
+
+    assert.ok(system.handleGift('ban-1', { ...gift, userId: '2', username: 'friend' }));
+    assert.deepStrictEqual(system.activeGames.get('ban-1').entries.map(entry => entry.username), ['friend']);
+});
@@ -0,0 +1,118 @@
+// Commit-reveal seeds and HMAC draws of fair-draw.js, and the seeds the gaming system
+// commits for games and Lucky Wheel re-rolls.
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createSeed, hashSeed, drawWinner, verifyDraw } = require('../fair-draw');
+const GamingSystem = require('../gaming-system');
+
+const SEED = 'a'.repeat(64);
+const ENTRIES = [{ id: 'carol', tickets: 1 }, { id: 'alice', tickets: 3 }, { id: 'bob', tickets: 2 }];
+
+// The draw as BACKEND_GUIDE.md describes it, to recompute it by hand
+function expectedTicket(seed, gameId, label, totalTickets) {
+    const digest = crypto.createHmac('sha256', seed).update(`${gameId}:${label}`).digest();
+    return Math.floor(digest.readUIntBE(0, 6) / 2 ** 48 * totalTickets);
+}
+
+test('a created seed matches its published hash', () => {
+    const { seed, seedHash } = createSeed();
+    assert.match(seed, /^[0-9a-f]{64}$/);
+    assert.strictEqual(seedHash, crypto.createHash('sha256').update(seed).digest('hex'));
+    assert.strictEqual(hashSeed(seed), seedHash);
+    assert.notStrictEqual(createSeed().seed, seed);
+});
+
+test('the winning ticket is the HMAC of the game id and label over the sorted tickets', () => {
+    const draw = drawWinner(SEED, 'game-1', 'winner', ENTRIES);
+    const ticket = expectedTicket(SEED, 'game-1', 'winner', 6);
+
+    assert.deepStrictEqual(draw.entries.map(entry => entry.id), ['alice', 'bob', 'carol']);
+    assert.strictEqual(draw.totalTickets, 6);
+    assert.strictEqual(draw.ticket, ticket);
+    // alice holds tickets 0-2, bob 3-4, carol 5
+    assert.strictEqual(draw.winner, ticket < 3 ? 'alice' : ticket < 5 ? 'bob' : 'carol');
+});
+
+test('a draw does not depend on the order of the entries', () => {
+    const draw = drawWinner(SEED, 'game-1', 'tie', ENTRIES);
+    assert.deepStrictEqual(drawWinner(SEED, 'game-1', 'tie', [...ENTRIES].reverse()), draw);
+    assert.strictEqual(drawWinner(SEED, 'game-1', 'tie', []), null);
+});
+
+test('verifyDraw accepts the revealed seed and rejects another seed or winner', () => {
+    const { seed, seedHash } = createSeed();
+    const draw = drawWinner(seed, 'game-2', 'winner', ENTRIES);
+    const request = { seed, seedHash, gameId: 'game-2', label: 'winner', entries: ENTRIES };
+
+    assert.strictEqual(verifyDraw({ ...request, winner: draw.winner }).valid, true);
+    assert.strictEqual(verifyDraw({ ...request, seedHash: seedHash.toUpperCase() }).valid, true);
+
+    const otherWinner = ENTRIES.find(entry => entry.id !== draw.winner).id;
+    const wrongWinner = verifyDraw({ ...request, winner: otherWinner });
+    assert.strictEqual(wrongWinner.valid, false);
+    assert.strictEqual(wrongWinner.winnerMatches, false);
+
+    const swapped = verifyDraw({ ...request, seed: createSeed().seed, winner: draw.winner });
+    assert.strictEqual(swapped.valid, false);
+    assert.strictEqual(swapped.seedMatches, false);
+});
+
+const system = new GamingSystem(null);
+after(() => clearInterval(system.tickInterval));
+
+function playLuckyWheel(sessionId, usernames) {
+    system.startGame('luckywheel', sessionId, { duration: 60000 });
+    for (const username of usernames) {
+        system.handleChat(sessionId, { username, userId: username, message: 'GAME' });
+    }
+    return system.endGame(sessionId);
+}
+
+test('a game publishes its seed hash while running and reveals the seed when it ends', () => {
+    system.startGame('luckywheel', 'fair-1', { duration: 60000 });
+    const running = system.activeGames.get('fair-1');
+    assert.doesNotMatch(JSON.stringify(system.publicGame(running)), new RegExp(running.fairness.seed));
+
+    for (const username of ['alice', 'bobby', 'carol']) {
+        system.handleChat('fair-1', { username, userId: username, message: 'GAME' });
+    }
+    const ended = system.endGame('fair-1');
+    const game = ended.gameData;
+
+    assert.strictEqual(hashSeed(game.fairness.seed), game.fairness.seedHash);
+    assert.strictEqual(verifyDraw({
+        seed: game.fairness.seed,
+        seedHash: game.fairness.seedHash,
+        gameId: game.id,
+        label: 'winner',
+        entries: ['alice', 'bobby', 'carol'].map(id => ({ id, tickets: 1 })),
+        winner: ended.winner.username
+    }).valid, true);
+});
+
+test('re-rolls are drawn from a seed committed before them, not the revealed game seed', async () => {
+    const usernames = ['alice', 'bobby', 'carol', 'dave1', 'eve12'];
+    const ended = playLuckyWheel('fair-2', usernames);
+    const committed = ended.rerollSeedHash;
+    assert.match(committed, /^[0-9a-f]{64}$/);
+    assert.notStrictEqual(committed, ended.gameData.fairness.seedHash);
+
+    const reroll = await system.rerollGame('fair-2', 'luckywheel', { rank: 1, reason: 'no answer' });
+    assert.strictEqual(reroll.seedHash, committed);
+    assert.strictEqual(hashSeed(reroll.seed), committed);
+    assert.notStrictEqual(reroll.seed, ended.gameData.fairness.seed);
+    assert.notStrictEqual(reroll.nextSeedHash, committed);
+
+    assert.strictEqual(verifyDraw({
+        seed: reroll.seed,
+        seedHash: reroll.seedHash,
+        gameId: ended.gameData.id,
+        label: 'reroll-1',
+        entries: usernames.filter(username => username !== reroll.previousWinner).map(id => ({ id, tickets: 1 })),
+        winner: reroll.newWinner
+    }).valid, true);
+
+    const next = await system.rerollGame('fair-2', 'luckywheel', { rank: 1 });
+    assert.strictEqual(next.seedHash, reroll.nextSeedHash);
+});
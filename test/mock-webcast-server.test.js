@@ -0,0 +1,88 @@
+// Connect, event and disconnect flow of TikTokLiveConnection against the local mock
+// webcast server. Runs against the built connector in dist/ (built by npm pretest).
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { MockWebcastServer } = require('../mock-webcast-server');
+const { TikTokLiveConnection, WebcastEvent, ControlEvent } = require('../dist/index');
+
+// Resolve with the first `event` of an emitter
+function once(emitter, event, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out after ${timeout}ms waiting for "${event}"`)), timeout);
+        emitter.once(event, (data) => {
+            clearTimeout(timer);
+            resolve(data);
+        });
+    });
+}
+
+let server;
+let connection;
+
+before(async () => {
+    server = await new MockWebcastServer().start();
+    server.redirect();
+    connection = new TikTokLiveConnection(server.uniqueId, { fetchRoomInfoOnConnect: false });
+});
+
+after(async () => {
+    if (connection?.isConnected) {
+        await connection.disconnect();
+    }
+    await server.stop();
+});
+
+test('connects to the mock room', async () => {
+    const heartbeat = server.waitFor('heartbeat');
+    const state = await connection.connect();
+
+    assert.strictEqual(state.roomId, server.roomId);
+    assert.strictEqual(connection.isConnected, true);
+    assert.strictEqual(await heartbeat, server.roomId);
+    assert.strictEqual(server.sockets.size, 1);
+});
+
+test('pushed chat, like and gift frames arrive as events and are acked', async () => {
+    const viewer = { userId: '1234', uniqueId: 'tester', nickname: 'Tester' };
+
+    const chat = once(connection, WebcastEvent.CHAT);
+    const chatLogId = server.pushChat(viewer, 'hello mock');
+    const chatEvent = await chat;
+    assert.strictEqual(chatEvent.comment, 'hello mock');
+    assert.strictEqual(chatEvent.user.uniqueId, 'tester');
+
+    const like = once(connection, WebcastEvent.LIKE);
+    server.pushLike(viewer, 15);
+    const likeEvent = await like;
+    assert.strictEqual(likeEvent.likeCount, 15);
+    assert.strictEqual(likeEvent.user.uniqueId, 'tester');
+
+    const gift = once(connection, WebcastEvent.GIFT);
+    const giftLogId = server.pushGift(viewer, 6267);
+    const giftEvent = await gift;
+    assert.strictEqual(giftEvent.giftId, 6267);
+    assert.strictEqual(giftEvent.giftDetails.diamondCount, 299);
+    assert.strictEqual(giftEvent.user.uniqueId, 'tester');
+
+    // Acks can trail the events, wait for the gift frame's ack
+    if (!server.acks.some(ack => ack.logId === giftLogId)) {
+        await server.waitFor('ack', ack => ack.logId === giftLogId);
+    }
+    const ackedLogIds = server.acks.map(ack => ack.logId);
+    assert.ok(ackedLogIds.includes(chatLogId), `chat frame ${chatLogId} was not acked`);
+    assert.ok(ackedLogIds.includes(giftLogId), `gift frame ${giftLogId} was not acked`);
+    assert.ok(server.acks.every(ack => ack.internalExt.startsWith('internal_ext:')));
+    assert.ok(server.heartbeats.length >= 1);
+    assert.ok(server.heartbeats.every(heartbeat => heartbeat.roomId === server.roomId));
+});
+
+test('disconnects from the mock room', async () => {
+    const disconnected = once(connection, ControlEvent.DISCONNECTED);
+    const closed = server.waitFor('disconnect');
+    await connection.disconnect();
+
+    await disconnected;
+    await closed;
+    assert.strictEqual(connection.isConnected, false);
+    assert.strictEqual(server.sockets.size, 0);
+});
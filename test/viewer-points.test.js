@@ -0,0 +1,114 @@
+// Loyalty points ledger of viewer-points.js, without a database (in-memory ledger).
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ViewerPoints = require('../viewer-points');
+
+function createPoints(settings = {}) {
+    return new ViewerPoints(null, { getSettings: () => ({ startingBalance: 100, ...settings }) });
+}
+
+// Earning writes its ledger rows asynchronously
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('a viewer opens with a welcome row of the starting balance', async () => {
+    const points = createPoints();
+    const viewer = { username: 'alice', userId: '1' };
+
+    assert.strictEqual(await points.getBalance('streamer', viewer), 100);
+    assert.strictEqual(await points.getBalance('streamer', viewer), 100);
+
+    const { ledger } = await points.inspect('streamer', 'alice');
+    assert.deepStrictEqual(ledger.map(row => [row.reason, row.amount, row.balance_after]), [['welcome', 100, 100]]);
+});
+
+test('every change is a row and balance_after follows the amounts', async () => {
+    const points = createPoints();
+    const viewer = { username: 'alice' };
+
+    assert.strictEqual(await points.credit('streamer', viewer, 50, 'grant', { createdBy: 'mod' }), 150);
+    assert.strictEqual(await points.debit('streamer', viewer, 30, 'prediction_bet', { sessionId: 's1', details: { outcome: 'A' } }), 120);
+
+    const { balance, ledger } = await points.inspect('streamer', 'alice');
+    assert.strictEqual(balance, 120);
+    // Newest first
+    assert.deepStrictEqual(ledger.map(row => [row.reason, row.amount, row.balance_after]), [
+        ['prediction_bet', -30, 120],
+        ['grant', 50, 150],
+        ['welcome', 100, 100]
+    ]);
+    assert.strictEqual(ledger[0].session_id, 's1');
+    assert.strictEqual(ledger[1].created_by, 'mod');
+});
+
+test('a debit above the balance is refused and writes no row', async () => {
+    const points = createPoints();
+    const viewer = { username: 'bob' };
+
+    assert.strictEqual(await points.debit('streamer', viewer, 101), null);
+    assert.strictEqual(await points.debit('streamer', viewer, 0), null);
+    assert.strictEqual(await points.debit('streamer', viewer, 100), 0);
+    assert.strictEqual(await points.debit('streamer', viewer, 1), null);
+    assert.strictEqual((await points.inspect('streamer', 'bob')).ledger.length, 2);
+});
+
+test('balances are kept per streamer', async () => {
+    const points = createPoints();
+    const viewer = { username: 'carol' };
+
+    await points.credit('first', viewer, 25);
+    assert.strictEqual(await points.getBalance('first', viewer), 125);
+    assert.strictEqual(await points.getBalance('second', viewer), 100);
+
+    const top = await points.getTop('first');
+    assert.deepStrictEqual(top.map(row => [row.username, row.balance]), [['carol', 125]]);
+});
+
+test('tracked events earn points for the streamer they were published for', async () => {
+    const points = createPoints({ perChat: 2, chatCooldown: 30, perGiftCoin: 1, perFollow: 50 });
+    assert.strictEqual(await points.getStreamer('session-1'), null);
+
+    points.track('session-1', '@Streamer', { type: 'chat', username: 'dave', userId: '4' });
+    points.track('session-1', '@Streamer', { type: 'chat', username: 'dave', userId: '4' }); // Within chatCooldown
+    await settle();
+    assert.strictEqual(await points.getStreamer('session-1'), 'streamer');
+    assert.strictEqual(await points.getBalance('streamer', { username: 'dave' }), 102);
+
+    // A combo earns once, for the whole streak, when it ends
+    const gift = { type: 'gift', username: 'dave', giftType: 1, diamondCount: 5 };
+    points.track('session-1', 'streamer', { ...gift, repeatCount: 1 });
+    points.track('session-1', 'streamer', { ...gift, repeatCount: 2 });
+    points.track('session-1', 'streamer', { ...gift, repeatCount: 3, repeatEnd: true });
+    await settle();
+    assert.strictEqual(await points.getBalance('streamer', { username: 'dave' }), 117);
+
+    // Follows count once per session
+    points.track('session-1', 'streamer', { type: 'social', subtype: 'follow', username: 'dave' });
+    points.track('session-1', 'streamer', { type: 'social', subtype: 'follow', username: 'dave' });
+    await settle();
+    assert.strictEqual(await points.getBalance('streamer', { username: 'dave' }), 167);
+});
+
+test('present viewers earn perMinute once a minute', async () => {
+    const points = createPoints({ perMinute: 3, presenceMinutes: 5, perChat: 0 });
+    points.track('session-2', 'streamer', { type: 'member', username: 'erin' });
+    await settle();
+
+    const session = points.getSession('session-2');
+    points.tick(session.lastMinuteAt + 30000);
+    points.tick(session.lastMinuteAt + 60000);
+    await settle();
+    assert.strictEqual(await points.getBalance('streamer', { username: 'erin' }), 103);
+
+    // Gone for longer than presenceMinutes
+    session.viewers.get('erin').lastActiveAt -= 6 * 60000;
+    points.tick(session.lastMinuteAt + 60000);
+    await settle();
+    assert.strictEqual(await points.getBalance('streamer', { username: 'erin' }), 103);
+});
+
+test('nothing is earned with earning turned off', async () => {
+    const points = createPoints({ enabled: false });
+    points.track('session-3', 'streamer', { type: 'chat', username: 'frank' });
+    await settle();
+    assert.strictEqual(await points.inspect('streamer', 'frank'), null);
+});
@@ -0,0 +1,225 @@
+// Trivia question banks: import from JSON or CSV, and match chat answers.
+//
+// A question is { question, choices, answer, aliases }:
+//   choices - up to 4 answers shown as A-D, empty for free text questions
+//   answer  - the correct choice letter ("B") or, for free text, the answer itself
+//   aliases - other free text answers that count as correct
+//
+// JSON: an array of questions (or { questions: [...] }); "choices" may also be given
+// as "a", "b", "c", "d" fields and "aliases" as a "|" separated string.
+// CSV: a header row with question,a,b,c,d,answer,aliases (a-d and aliases optional).
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+
+function parseQuestionBank(format, data) {
+    let rows;
+    if (format === 'csv') {
+        rows = parseCsv(String(data));
+    } else if (format === 'json') {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        rows = Array.isArray(parsed) ? parsed : parsed?.questions;
+        if (!Array.isArray(rows)) {
+            throw new Error('JSON question banks must be an array of questions');
+        }
+    } else {
+        throw new Error('format must be "json" or "csv"');
+    }
+
+    const questions = [];
+    const errors = [];
+    rows.forEach((row, index) => {
+        try {
+            questions.push(normalizeQuestion(row));
+        } catch (error) {
+            errors.push(`Question ${index + 1}: ${error.message}`);
+        }
+    });
+
+    if (questions.length === 0) {
+        throw new Error(errors[0] || 'The question bank is empty');
+    }
+    return { questions, errors };
+}
+
+function normalizeQuestion(row) {
+    const question = String(row.question || '').trim();
+    if (!question) {
+        throw new Error('question is missing');
+    }
+
+    const choices = (Array.isArray(row.choices) ? row.choices : [row.a, row.b, row.c, row.d])
+        .map(choice => (choice === undefined || choice === null ? '' : String(choice).trim()))
+        .filter(Boolean);
+    if (choices.length > LETTERS.length) {
+        throw new Error(`at most ${LETTERS.length} choices are supported`);
+    }
+
+    const aliases = (Array.isArray(row.aliases) ? row.aliases : String(row.aliases || '').split('|'))
+        .map(alias => String(alias).trim())
+        .filter(Boolean);
+
+    let answer = String(row.answer ?? '').trim();
+    if (!answer) {
+        throw new Error('answer is missing');
+    }
+
+    if (choices.length > 0) {
+        // The answer can be given as the letter or as the text of a choice
+        const letter = answer.toUpperCase();
+        if (LETTERS.slice(0, choices.length).includes(letter)) {
+            answer = letter;
+        } else {
+            const index = choices.findIndex(choice => normalizeText(choice) === normalizeText(answer));
+            if (index === -1) {
+                throw new Error(`answer "${answer}" is not one of the choices`);
+            }
+            answer = LETTERS[index];
+        }
+    }
+
+    return { question, choices, answer, aliases };
+}
+
+// Minimal CSV reader: quoted fields, "" escapes, commas and newlines inside quotes
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const rows = records.filter(fields => fields.some(value => value.trim()));
+    if (rows.length === 0) {
+        return [];
+    }
+
+    const header = rows[0].map(name => name.trim().toLowerCase());
+    if (!header.includes('question') || !header.includes('answer')) {
+        throw new Error('CSV question banks need a header row with question and answer columns');
+    }
+
+    return rows.slice(1).map(fields =>
+        Object.fromEntries(header.map((name, index) => [name, fields[index]]))
+    );
+}
+
+// Lowercase, no accents, punctuation or extra spaces
+function normalizeText(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// Close enough to count: one typo per 5 characters, none for very short answers
+function fuzzyMatches(message, expected) {
+    const a = normalizeText(message);
+    const b = normalizeText(expected);
+    if (!a || !b) {
+        return false;
+    }
+    if (a === b) {
+        return true;
+    }
+
+    const allowed = Math.floor(b.length / 5);
+    return allowed > 0 && Math.abs(a.length - b.length) <= allowed && levenshtein(a, b) <= allowed;
+}
+
+// Interpret a chat message as an answer to a question.
+// Returns { correct, choice } or null when the message isn't an answer.
+function matchAnswer(question, message) {
+    if (question.choices.length > 0) {
+        // "B", "b)", "answer b"
+        const letter = normalizeText(message).match(/^(?:answer )?([a-d])$/)?.[1]?.toUpperCase();
+        let choice = letter && LETTERS.indexOf(letter) < question.choices.length ? letter : null;
+
+        if (!choice) {
+            const index = question.choices.findIndex(text => fuzzyMatches(message, text));
+            choice = index === -1 ? null : LETTERS[index];
+        }
+
+        if (choice) {
+            return { correct: choice === question.answer, choice };
+        }
+        if (question.aliases.some(alias => fuzzyMatches(message, alias))) {
+            return { correct: true, choice: question.answer };
+        }
+        return null;
+    }
+
+    // Free text: wrong guesses look like any other chat message, so only correct ones count
+    const accepted = [question.answer, ...question.aliases];
+    return accepted.some(answer => fuzzyMatches(message, answer)) ? { correct: true, choice: null } : null;
+}
+
+// Text of the correct answer, e.g. "B: Paris"
+function describeAnswer(question) {
+    if (question.choices.length === 0) {
+        return question.answer;
+    }
+    return `${question.answer}: ${question.choices[LETTERS.indexOf(question.answer)]}`;
+}
+
+module.exports = {
+    LETTERS,
+    parseQuestionBank,
+    normalizeQuestion,
+    matchAnswer,
+    describeAnswer,
+    fuzzyMatches
+};
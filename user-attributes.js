@@ -0,0 +1,39 @@
+// Viewer attributes from the user object of a webcast message.
+// Chat and gift messages also carry a userIdentity block that describes the
+// viewer's relation to the streamer; badges are the fallback for other messages.
+
+// BadgeStruct_BadgeSceneType values (see src/types/tiktok-schema.ts)
+const BADGE_SCENE = {
+    ADMIN: 1,
+    SUBSCRIBER: 4,
+    NEW_SUBSCRIBER: 7,
+    USER_GRADE: 8,
+    FANS: 10
+};
+
+// followInfo.followStatus: 1 = follows, 2 = follows each other
+const FOLLOWING_STATUSES = ['1', '2'];
+
+function getUserAttributes(user, userIdentity = null) {
+    const badges = Array.isArray(user?.badges) ? user.badges : [];
+    const hasBadge = (...scenes) => badges.some(badge => scenes.includes(badge.badgeScene));
+
+    const followStatus = user?.followInfo?.followStatus;
+    const followerCount = parseInt(user?.followInfo?.followerCount);
+    const createTime = parseInt(user?.createTime);
+
+    return {
+        isFollower: userIdentity
+            ? !!(userIdentity.isFollowerOfAnchor || userIdentity.isMutualFollowingWithAnchor)
+            : FOLLOWING_STATUSES.includes(String(followStatus)),
+        isModerator: !!userIdentity?.isModeratorOfAnchor || hasBadge(BADGE_SCENE.ADMIN),
+        isSubscriber: !!userIdentity?.isSubscriberOfAnchor || hasBadge(BADGE_SCENE.SUBSCRIBER, BADGE_SCENE.NEW_SUBSCRIBER),
+        isAnchor: !!userIdentity?.isAnchor,
+        fanClubLevel: user?.fansClub?.data?.level || 0,
+        followerCount: Number.isFinite(followerCount) ? followerCount : null,
+        // Not every message includes the account's creation time
+        accountCreatedAt: createTime > 0 ? new Date(createTime * 1000).toISOString() : null
+    };
+}
+
+module.exports = { getUserAttributes, BADGE_SCENE };
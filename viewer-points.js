@@ -0,0 +1,332 @@
+// Loyalty points of each viewer, per streamer. Viewers earn points for watching and
+// taking part in a live, and stake them in games (predictions).
+//
+// Every change is a row in the points ledger (amount, reason, session, who made it)
+// instead of a mutable counter; a viewer's balance is the balance after their last
+// row. A viewer's first lookup opens their balance with points.startingBalance (a
+// 'welcome' row). Debits are refused instead of going below zero. Without a database
+// the ledger only lives in memory.
+//
+// Earning rules (settings.points, earning is off with enabled: false):
+//   perMinute    - every minute a viewer is present: they joined, chatted, liked,
+//                  gifted, followed or shared in the last presenceMinutes
+//   perChat      - per message, at most once every chatCooldown seconds
+//   perLikeBatch - per like event (likes arrive in batches)
+//   perGiftCoin  - per diamond of a gift (a combo counts once, when its streak ends)
+//   perFollow    - once per viewer and session
+//   perShare     - per share
+const { normalizeStreamer } = require('./api-auth');
+const { isComboInProgress } = require('./gift-combos');
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    startingBalance: 1000,
+    perMinute: 1,
+    presenceMinutes: 5,
+    perChat: 1,
+    chatCooldown: 30,
+    perLikeBatch: 1,
+    perGiftCoin: 1,
+    perFollow: 50,
+    perShare: 10
+};
+
+const EARNING_TYPES = ['member', 'chat', 'like', 'gift', 'social'];
+const TOP_COMMAND_LIMIT = 5;
+
+class ViewerPoints {
+    // getSettings: () => points settings, emitEvent: (sessionId, action, details) => void
+    constructor(db, { getSettings = () => null, emitEvent = () => {} } = {}) {
+        this.db = db;
+        this.getSettings = getSettings;
+        this.emitEvent = emitEvent;
+        this.viewers = new Map(); // "streamer:username" -> viewer row
+        this.streamers = new Map(); // sessionId -> streamer username
+        this.sessions = new Map(); // sessionId -> { viewers: Map(username -> presence), lastMinuteAt }
+        this.ledger = []; // Ledger rows, only used without a database
+        this.nextId = 1; // Viewer and ledger ids without a database
+    }
+
+    getOptions() {
+        const settings = { ...DEFAULT_SETTINGS, ...(this.getSettings() || {}) };
+
+        return Object.fromEntries(Object.entries(DEFAULT_SETTINGS).map(([key, defaultValue]) => [
+            key,
+            typeof defaultValue === 'boolean' ? settings[key] !== false : Math.max(0, Number(settings[key]) || 0)
+        ]));
+    }
+
+    // Streamer of a session, whose points its viewers earn and spend. Known from the
+    // session's tracked events, or its stored session row; null when neither exists yet.
+    async getStreamer(sessionId) {
+        if (!this.streamers.has(sessionId)) {
+            const session = this.db ? await this.db.getSession(sessionId) : null;
+            if (!session?.streamer_username) {
+                return null;
+            }
+            this.streamers.set(sessionId, normalizeStreamer(session.streamer_username));
+        }
+        return this.streamers.get(sessionId);
+    }
+
+    // Viewer row of a streamer, created (with the starting balance) on first sight
+    async getViewer(streamer, { username, userId = null, nickname = null }) {
+        const key = `${streamer}:${username}`;
+        if (this.viewers.has(key)) {
+            return this.viewers.get(key);
+        }
+
+        const viewer = this.db
+            ? await this.db.upsertViewer(streamer, { username, userId, nickname })
+            : { id: this.nextId++, streamer_username: streamer, username, user_id: userId, nickname, first_seen: new Date().toISOString() };
+        this.viewers.set(key, viewer);
+
+        const startingBalance = this.getOptions().startingBalance;
+        if (startingBalance > 0) {
+            await this.addEntry(viewer, startingBalance, 'welcome', {}, { firstEntry: true });
+        }
+        return viewer;
+    }
+
+    // Append a ledger row (see Database.addPointsEntry for the checks), null when refused
+    async addEntry(viewer, amount, reason, { sessionId = null, details = null, createdBy = null } = {}, checks = {}) {
+        const entry = {
+            viewerId: viewer.id,
+            streamer: viewer.streamer_username,
+            amount,
+            reason,
+            sessionId,
+            details,
+            createdBy: createdBy && typeof createdBy === 'object' ? JSON.stringify(createdBy) : createdBy
+        };
+
+        if (this.db) {
+            return this.db.addPointsEntry(entry, checks);
+        }
+
+        const last = this.lastEntry(viewer.id);
+        const balance = last ? last.balance_after : 0;
+        if ((checks.requireFunds && balance + amount < 0) || (checks.firstEntry && last)) {
+            return null;
+        }
+
+        const row = {
+            id: this.nextId++,
+            viewer_id: viewer.id,
+            streamer_username: entry.streamer,
+            amount,
+            balance_after: balance + amount,
+            reason,
+            session_id: sessionId,
+            details,
+            created_by: entry.createdBy,
+            created_at: new Date().toISOString()
+        };
+        this.ledger.push(row);
+        return row;
+    }
+
+    lastEntry(viewerId) {
+        for (let index = this.ledger.length - 1; index >= 0; index--) {
+            if (this.ledger[index].viewer_id === viewerId) {
+                return this.ledger[index];
+            }
+        }
+        return null;
+    }
+
+    async getBalance(streamer, user) {
+        const viewer = await this.getViewer(streamer, user);
+        if (this.db) {
+            return (await this.db.getPointsBalance(viewer.id)) ?? 0;
+        }
+        return this.lastEntry(viewer.id)?.balance_after ?? 0;
+    }
+
+    // Take points from a viewer, returns the new balance or null when they don't have enough
+    async debit(streamer, user, amount, reason = 'debit', meta = {}) {
+        if (!(amount > 0)) {
+            return null;
+        }
+
+        const viewer = await this.getViewer(streamer, user);
+        const row = await this.addEntry(viewer, -amount, reason, meta, { requireFunds: true });
+        return row ? row.balance_after : null;
+    }
+
+    // Give points to a viewer, returns the new balance
+    async credit(streamer, user, amount, reason = 'credit', meta = {}) {
+        if (!(amount > 0)) {
+            return this.getBalance(streamer, user);
+        }
+
+        const viewer = await this.getViewer(streamer, user);
+        const row = await this.addEntry(viewer, amount, reason, meta);
+        return row.balance_after;
+    }
+
+    // Viewers of a streamer with the highest balances
+    async getTop(streamer, limit = 10) {
+        if (this.db) {
+            return this.db.getTopPoints(streamer, limit);
+        }
+
+        return Array.from(this.viewers.values())
+            .filter(viewer => viewer.streamer_username === streamer && this.lastEntry(viewer.id))
+            .map(viewer => ({ id: viewer.id, username: viewer.username, user_id: viewer.user_id, nickname: viewer.nickname, balance: this.lastEntry(viewer.id).balance_after }))
+            .sort((a, b) => b.balance - a.balance || a.username.localeCompare(b.username))
+            .slice(0, limit);
+    }
+
+    // Balance and latest ledger rows of a viewer, null for viewers never seen
+    async inspect(streamer, username, limit = 50) {
+        const viewer = this.db
+            ? await this.db.getViewer(streamer, username)
+            : this.viewers.get(`${streamer}:${username}`) || null;
+        if (!viewer) {
+            return null;
+        }
+
+        const ledger = this.db
+            ? await this.db.getPointsLedger(viewer.id, limit)
+            : this.ledger.filter(row => row.viewer_id === viewer.id).reverse().slice(0, limit);
+
+        return { viewer, balance: ledger[0]?.balance_after ?? 0, ledger };
+    }
+
+    // Earning
+
+    getSession(sessionId) {
+        let session = this.sessions.get(sessionId);
+        if (!session) {
+            session = { viewers: new Map(), lastMinuteAt: Date.now() };
+            this.sessions.set(sessionId, session);
+        }
+        return session;
+    }
+
+    // Award points for a published event of a live session of streamerUsername
+    track(sessionId, streamerUsername, event) {
+        if (streamerUsername) {
+            this.streamers.set(sessionId, normalizeStreamer(streamerUsername));
+        }
+
+        const options = this.getOptions();
+        if (!options.enabled || !event.username || event.username === 'unknown' || !EARNING_TYPES.includes(event.type)) {
+            return;
+        }
+
+        if (isComboInProgress(event)) {
+            return;
+        }
+
+        const now = Date.now();
+        const session = this.getSession(sessionId);
+        let viewer = session.viewers.get(event.username);
+        if (!viewer) {
+            viewer = { username: event.username, userId: event.userId || null, nickname: null, lastActiveAt: now, lastChatRewardAt: 0, followed: false };
+            session.viewers.set(event.username, viewer);
+        }
+        viewer.lastActiveAt = now;
+        viewer.userId = viewer.userId || event.userId || null;
+        viewer.nickname = event.userProfile?.nickname || viewer.nickname;
+
+        let amount = 0;
+        let reason = event.type;
+        let details = null;
+
+        if (event.type === 'chat') {
+            if (now - viewer.lastChatRewardAt >= options.chatCooldown * 1000) {
+                viewer.lastChatRewardAt = now;
+                amount = options.perChat;
+            }
+        } else if (event.type === 'like') {
+            amount = options.perLikeBatch;
+            details = { likes: event.likeCount || 0 };
+        } else if (event.type === 'gift') {
+            const coins = (event.diamondCount || 0) * (event.repeatCount || 1);
+            amount = Math.floor(coins * options.perGiftCoin);
+            details = { giftName: event.giftName || null, coins };
+        } else if (event.subtype === 'follow') {
+            reason = 'follow';
+            amount = viewer.followed ? 0 : options.perFollow;
+            viewer.followed = true;
+        } else if (event.subtype === 'share') {
+            reason = 'share';
+            amount = options.perShare;
+        }
+
+        if (amount > 0) {
+            this.earn(sessionId, viewer, amount, reason, details);
+        }
+    }
+
+    // Called every second: pay perMinute to the present viewers of each session once a minute
+    tick(now) {
+        const options = this.getOptions();
+
+        for (const [sessionId, session] of this.sessions) {
+            if (now - session.lastMinuteAt < 60000) {
+                continue;
+            }
+            session.lastMinuteAt = now;
+
+            if (!options.enabled || !(options.perMinute > 0)) {
+                continue;
+            }
+            for (const viewer of session.viewers.values()) {
+                if (now - viewer.lastActiveAt <= options.presenceMinutes * 60000) {
+                    this.earn(sessionId, viewer, options.perMinute, 'watch', { minutes: 1 });
+                }
+            }
+        }
+    }
+
+    earn(sessionId, user, amount, reason, details = null) {
+        return this.getStreamer(sessionId)
+            .then(streamer => {
+                if (!streamer) {
+                    throw new Error(`the streamer of session ${sessionId} is unknown`);
+                }
+                return this.credit(streamer, user, amount, reason, { sessionId, details });
+            })
+            .catch(error => {
+                console.error(`❌ Failed to award ${amount} ${reason} points to ${user.username}:`, error.message);
+            });
+    }
+
+    // Forget the presence of an ended session
+    clearSession(sessionId) {
+        this.sessions.delete(sessionId);
+        this.streamers.delete(sessionId);
+    }
+
+    // !points: answer with the viewer's balance ('points' balance event, announced in chat)
+    async showBalance(sessionId, { userId, username }) {
+        const streamer = await this.getStreamer(sessionId);
+        if (!streamer) {
+            return null;
+        }
+        const balance = await this.getBalance(streamer, { username, userId });
+        this.emitEvent(sessionId, 'balance', { userId, username, balance });
+        return balance;
+    }
+
+    // !top: answer with the highest balances ('points' top event)
+    async showTop(sessionId, { userId, username }) {
+        const streamer = await this.getStreamer(sessionId);
+        if (!streamer) {
+            return [];
+        }
+        const viewers = await this.getTop(streamer, TOP_COMMAND_LIMIT);
+        this.emitEvent(sessionId, 'top', {
+            userId,
+            username,
+            top: viewers.map((viewer, index) => `${index + 1}. ${viewer.username} (${viewer.balance})`).join(', ') || null,
+            viewers
+        });
+        return viewers;
+    }
+}
+
+module.exports = ViewerPoints;
@@ -0,0 +1,159 @@
+// Persistent viewer profiles, per streamer, built from the user payload of every
+// chat, gift, like, member and social event.
+//
+// Each event upserts the viewer's latest profile (nickname, avatar, verified flag,
+// badges, pay grade) and adds to their lifetime counts (viewers table) and to their
+// counts in the session (viewer_sessions). Every username a user id shows up with is
+// kept in viewer_usernames; a renamed viewer keeps their row under the new name.
+// The participant and profile endpoints read these tables, so they also work for
+// sessions that are no longer active.
+const { normalizeStreamer } = require('./api-auth');
+const { isComboInProgress } = require('./gift-combos');
+
+const TRACKED_TYPES = ['member', 'chat', 'like', 'gift', 'social'];
+
+// Event types a viewer_sessions row shows activity in, by its count columns
+const EVENT_TYPE_COUNTS = {
+    member: ['join_count'],
+    chat: ['chat_count'],
+    like: ['like_count'],
+    gift: ['gift_count'],
+    social: ['follow_count', 'share_count', 'subscribe_count']
+};
+
+class ViewerProfiles {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Store the viewer of a published event
+    track(sessionId, streamerUsername, event) {
+        if (!this.db || !event.username || event.username === 'unknown' || !TRACKED_TYPES.includes(event.type)) {
+            return Promise.resolve();
+        }
+
+        if (isComboInProgress(event)) {
+            return Promise.resolve();
+        }
+
+        return this.db.recordViewerActivity(normalizeStreamer(streamerUsername), sessionId, profileFromEvent(event), countsOf(event))
+            .catch(error => {
+                console.error(`❌ Failed to store viewer ${event.username} of session ${sessionId}:`, error.message);
+            });
+    }
+
+    // Participants of a session in the shape of the participants endpoint
+    async getParticipants(sessionId, limit = 50) {
+        const rows = await this.db.getSessionViewers(sessionId, limit);
+
+        return {
+            total: rows[0]?.total_viewers || 0,
+            participants: rows.map(row => ({
+                userId: row.user_id,
+                username: row.username,
+                firstSeen: row.session_first_seen,
+                lastSeen: row.session_last_seen,
+                eventCount: row.event_count,
+                eventTypes: Object.keys(EVENT_TYPE_COUNTS)
+                    .filter(type => EVENT_TYPE_COUNTS[type].some(column => row[`session_${column}`] > 0)),
+                counts: countsFromRow(row, 'session_'),
+                profile: toProfile(row)
+            }))
+        };
+    }
+
+    // Latest profile of each user id ({ userId: profile }), optionally for one streamer.
+    // canAccess(streamer) leaves out the profiles of other streamers' lives.
+    async getProfiles(userIds, streamerUsername = null, canAccess = () => true) {
+        const rows = await this.db.getViewersByUserIds(userIds, streamerUsername ? normalizeStreamer(streamerUsername) : null);
+        const profiles = {};
+
+        for (const row of rows) {
+            // Rows are ordered by last_seen, the first one of a user is their latest
+            if (profiles[row.user_id] || !canAccess(row.streamer_username)) {
+                continue;
+            }
+            profiles[row.user_id] = {
+                userId: row.user_id,
+                username: row.username,
+                ...toProfile(row),
+                streamer: row.streamer_username,
+                firstSeen: row.first_seen,
+                lastSeen: row.last_seen,
+                sessionId: row.last_session_id,
+                sessionCount: row.session_count,
+                counts: countsFromRow(row),
+                usernameHistory: row.username_history
+            };
+        }
+        return profiles;
+    }
+}
+
+// Profile fields from the raw user object, falling back to the event's userProfile
+function profileFromEvent(event) {
+    const user = event.raw?.user || {};
+    const userProfile = event.userProfile || {};
+    const verified = user.verified ?? userProfile.verified;
+
+    return {
+        userId: user.userId || event.userId || null,
+        username: event.username,
+        nickname: user.nickname || userProfile.nickname || null,
+        avatar: user.profilePicture?.url?.[0] || user.profilePicture?.url_list?.[0] || userProfile.profilePicture || null,
+        verified: typeof verified === 'boolean' ? verified : null,
+        badges: userProfile.badges || (Array.isArray(user.badges) ? user.badges.map(badge => ({
+            type: badge.badgeDisplayType,
+            text: badge.text?.defaultPattern,
+            image: badge.image?.image?.url_list?.[0]
+        })) : null),
+        payGrade: user.payGrade?.name || userProfile.payGrade || null,
+        followerCount: user.followInfo?.followerCount ?? userProfile.followerCount ?? null
+    };
+}
+
+function countsOf(event) {
+    switch (event.type) {
+        case 'member':
+            return { join_count: 1 };
+        case 'chat':
+            return { chat_count: 1 };
+        case 'like':
+            return { like_count: event.likeCount || 0 };
+        case 'gift': {
+            const repeatCount = event.repeatCount || 1;
+            return { gift_count: repeatCount, diamond_count: (event.diamondCount || 0) * repeatCount };
+        }
+        case 'social':
+            return { [`${event.subtype}_count`]: 1 };
+        default:
+            return {};
+    }
+}
+
+function toProfile(row) {
+    return {
+        nickname: row.nickname,
+        profilePicture: row.avatar,
+        verified: row.verified,
+        badges: row.badges,
+        followerCount: row.follower_count,
+        payGrade: row.pay_grade
+    };
+}
+
+function countsFromRow(row, prefix = '') {
+    const count = column => row[`${prefix}${column}`] || 0;
+    return {
+        joins: count('join_count'),
+        messages: count('chat_count'),
+        likes: count('like_count'),
+        gifts: count('gift_count'),
+        diamonds: count('diamond_count'),
+        follows: count('follow_count'),
+        shares: count('share_count'),
+        subscribes: count('subscribe_count')
+    };
+}
+
+module.exports = ViewerProfiles;
@@ -0,0 +1,146 @@
+// Per-session activity of each viewer, for games that look at what a viewer did
+// during the stream (giveaway eligibility, weighted tickets...).
+//
+// The backend feeds every published event to track(). A session that wasn't
+// tracked from its start (e.g. a game restored after a restart) is rebuilt from
+// the events table with load().
+//
+// Lucky Wheel wins are kept here too (wonGames), so a giveaway can leave out
+// viewers who already won earlier in the stream.
+const { isComboInProgress } = require('./gift-combos');
+
+const TRACKED_TYPES = ['member', 'chat', 'like', 'gift', 'social'];
+
+class ViewerStats {
+    constructor(db) {
+        this.db = db;
+        this.sessions = new Map(); // sessionId -> Map(username -> stats)
+        this.loading = new Map(); // sessionId -> load promise
+    }
+
+    getSession(sessionId) {
+        let viewers = this.sessions.get(sessionId);
+        if (!viewers) {
+            viewers = new Map();
+            this.sessions.set(sessionId, viewers);
+        }
+        return viewers;
+    }
+
+    get(sessionId, username) {
+        return this.sessions.get(sessionId)?.get(username) || null;
+    }
+
+    track(sessionId, event) {
+        if (!event.username || event.username === 'unknown' || !TRACKED_TYPES.includes(event.type)) {
+            return;
+        }
+
+        if (isComboInProgress(event)) {
+            return;
+        }
+
+        const viewers = this.getSession(sessionId);
+        let stats = viewers.get(event.username);
+        const timestamp = event.timestamp || new Date().toISOString();
+
+        if (!stats) {
+            stats = {
+                username: event.username,
+                userId: event.userId || null,
+                firstSeenAt: timestamp,
+                joinedAt: null, // First member (joined the live) event
+                firstChatAt: null,
+                chatCount: 0,
+                likeCount: 0,
+                shareCount: 0,
+                giftCount: 0,
+                giftCoins: 0,
+                followedAt: null,
+                subscribedAt: null,
+                wonGames: [] // Ids of the Lucky Wheel games the viewer won
+            };
+            viewers.set(event.username, stats);
+        }
+
+        if (event.type === 'member') {
+            stats.joinedAt = stats.joinedAt || timestamp;
+        } else if (event.type === 'chat') {
+            stats.chatCount++;
+            stats.firstChatAt = stats.firstChatAt || timestamp;
+        } else if (event.type === 'like') {
+            stats.likeCount += event.likeCount || 0;
+        } else if (event.type === 'gift') {
+            const repeatCount = event.repeatCount || 1;
+            stats.giftCount += repeatCount;
+            stats.giftCoins += (event.diamondCount || 0) * repeatCount;
+        } else if (event.subtype === 'follow') {
+            stats.followedAt = stats.followedAt || timestamp;
+        } else if (event.subtype === 'share') {
+            stats.shareCount++;
+        } else if (event.subtype === 'subscribe') {
+            stats.subscribedAt = stats.subscribedAt || timestamp;
+        }
+    }
+
+    recordWin(sessionId, username, gameId) {
+        const stats = this.get(sessionId, username);
+        if (stats && !stats.wonGames.includes(gameId)) {
+            stats.wonGames.push(gameId);
+        }
+    }
+
+    removeWin(sessionId, username, gameId) {
+        const stats = this.get(sessionId, username);
+        if (stats) {
+            stats.wonGames = stats.wonGames.filter(id => id !== gameId);
+        }
+    }
+
+    // Whether the viewer won a game of this session other than exceptGameId
+    hasWon(sessionId, username, exceptGameId = null) {
+        const stats = this.get(sessionId, username);
+        return !!stats && stats.wonGames.some(id => id !== exceptGameId);
+    }
+
+    // Rebuild a session's stats from the events table (once, unless it is tracked already)
+    load(sessionId) {
+        if (!this.db || this.sessions.has(sessionId)) {
+            return Promise.resolve();
+        }
+        if (this.loading.has(sessionId)) {
+            return this.loading.get(sessionId);
+        }
+
+        const promise = Promise.all([this.db.getViewerEvents(sessionId), this.db.getGameResults(sessionId, 1000)])
+            .then(([events, results]) => {
+                // Live events may have started a session map in the meantime
+                if (!this.sessions.has(sessionId)) {
+                    this.getSession(sessionId);
+                    events.forEach(event => this.track(sessionId, event));
+                    results
+                        .filter(row => row.game_type === 'luckywheel' && row.result)
+                        .forEach(row => {
+                            const { id, winners = [] } = JSON.parse(row.result);
+                            winners.forEach(winner => this.recordWin(sessionId, winner.username, id));
+                        });
+                    console.log(`📈 Loaded viewer stats of session ${sessionId} from ${events.length} events`);
+                }
+            })
+            .catch(error => {
+                console.error(`❌ Failed to load viewer stats of session ${sessionId}:`, error.message);
+            })
+            .finally(() => {
+                this.loading.delete(sessionId);
+            });
+
+        this.loading.set(sessionId, promise);
+        return promise;
+    }
+
+    clearSession(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+}
+
+module.exports = ViewerStats;